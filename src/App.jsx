@@ -4,6 +4,12 @@ import React from 'react';
 import { BrowserRouter, Routes, Route, NavLink } from 'react-router-dom';
 // Import notification context provider for global notification system
 import { NotificationProvider } from './context/NotificationContext';
+// Import cross-tab sync status badge for the navigation bar
+import SyncStatus from './components/SyncStatus';
+// Import the scheduler that generates recurring invoices when the app opens
+import RecurringScheduler from './components/RecurringScheduler';
+// Import the scheduler that publishes scheduled blog posts
+import PostScheduler from './components/PostScheduler';
 
 // Import all page components for different sections of the application
 import HomePage from './pages/HomePage';
@@ -11,6 +17,7 @@ import RegistrationPage from './pages/registration/RegistrationPage';
 import BlogPage from './pages/blog/BlogPage';
 import BillingPage from './pages/billing/BillingPage';
 import CartPage from './pages/cart/CartPage';
+import CustomersPage from './pages/customers/CustomersPage';
 
 /**
  * Main App Component - Root component of the application
@@ -21,6 +28,7 @@ import CartPage from './pages/cart/CartPage';
  * 3. Component composition - Building app from smaller, reusable components
  * 4. Navigation structure - Creating consistent navigation across pages
  * 5. Bootstrap integration - Using Bootstrap classes for responsive design
+ * 6. Renderless components - Background work (recurring invoices) mounted once at the root
  * 
  * Application Architecture:
  * - Provider pattern for global state (notifications)
@@ -33,6 +41,11 @@ function App() {
     // NotificationProvider wraps entire app to provide notification functionality
     // This allows any component to show notifications using useNotification hook
     <NotificationProvider>
+      {/* Recurring invoice scheduler - renders nothing, generates due invoices on open */}
+      <RecurringScheduler />
+      {/* Blog post scheduler - renders nothing, publishes scheduled posts when they are due */}
+      <PostScheduler />
+
       {/* BrowserRouter enables client-side routing using HTML5 history API */}
       <BrowserRouter>
         {/* Navigation Bar - Consistent across all pages */}
@@ -64,6 +77,16 @@ function App() {
               <NavLink className="nav-link" to="/cart/useState">
                 Shopping Cart
               </NavLink>
+              
+              {/* Customers Page - Directory shared by registration and billing */}
+              <NavLink className="nav-link" to="/customers">
+                Customers
+              </NavLink>
+            </div>
+            
+            {/* Cross-tab sync status - right-aligned */}
+            <div className="ms-auto">
+              <SyncStatus />
             </div>
           </div>
         </nav>
@@ -86,6 +109,9 @@ function App() {
             
             {/* Cart Routes - Nested routing handled within CartPage */}
             <Route path="/cart/*" element={<CartPage />} />
+            
+            {/* Customer Routes - Nested routing handled within CustomersPage */}
+            <Route path="/customers/*" element={<CustomersPage />} />
           </Routes>
         </main>
       </BrowserRouter>
@@ -0,0 +1,55 @@
+// Import money helper so prices are exact minor-unit amounts
+import { money } from '../utils/money';
+
+/**
+ * Catalog API - Local Mock API for Product Catalog Data
+ *
+ * Mock API Concepts Demonstrated:
+ * 1. Promise-based API functions - Same shape as a real fetch() wrapper
+ * 2. Simulated network latency - Lets the UI exercise its loading state
+ * 3. Defensive copies - Callers can never mutate the "server" data
+ * 4. Normalised reference data - Products point at categories by ID
+ *
+ * In a real application these functions would call a REST endpoint.
+ * Swapping them for fetch() calls requires no changes in the Redux slice.
+ */
+
+// Simulated network delay in milliseconds
+const NETWORK_DELAY = 300;
+
+// Product categories - referenced from products via categoryId
+const categories = [
+  { id: 'computers', name: 'Computers' },
+  { id: 'accessories', name: 'Accessories' },
+  { id: 'audio', name: 'Audio' },
+  { id: 'stationery', name: 'Stationery' },
+];
+
+// Product records - images are served from the public/products folder
+// Prices are money values in cents, e.g. money(450) is $4.50
+const products = [
+  { id: 1, sku: 'CMP-LAP-001', name: 'Laptop', price: money(120000), categoryId: 'computers', image: '/products/laptop.svg', stock: 5 },
+  { id: 2, sku: 'ACC-MOU-001', name: 'Mouse', price: money(2500), categoryId: 'accessories', image: '/products/mouse.svg', stock: 40 },
+  { id: 3, sku: 'ACC-KEY-001', name: 'Mechanical Keyboard', price: money(8900), categoryId: 'accessories', image: '/products/keyboard.svg', stock: 12 },
+  { id: 4, sku: 'CMP-MON-001', name: '27" Monitor', price: money(32900), categoryId: 'computers', image: '/products/monitor.svg', stock: 0 },
+  { id: 5, sku: 'AUD-HDP-001', name: 'Headphones', price: money(14900), categoryId: 'audio', image: '/products/headphones.svg', stock: 8 },
+  { id: 6, sku: 'STA-NTB-001', name: 'Notebook', price: money(450), categoryId: 'stationery', image: '/products/notebook.svg', stock: 100 },
+];
+
+/**
+ * Resolve a value after the simulated network delay
+ *
+ * @param {*} data - Data to resolve with
+ * @returns {Promise} - Promise resolving to a deep copy of data
+ */
+const respond = (data) =>
+  new Promise(resolve => {
+    setTimeout(() => resolve(structuredClone(data)), NETWORK_DELAY);
+  });
+
+/**
+ * Fetch the full product catalog
+ *
+ * @returns {Promise<{products: Array, categories: Array}>} - Catalog payload
+ */
+export const fetchCatalog = () => respond({ products, categories });
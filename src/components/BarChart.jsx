@@ -0,0 +1,64 @@
+// Import React library for creating components
+import React from 'react';
+
+// Drawing size in SVG units - the chart scales to the width of its container
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 8, bottom: 28, left: 8 };
+
+/**
+ * BarChart Component
+ * Minimal SVG bar chart - no charting library needed for a handful of bars
+ *
+ * Key Concepts Demonstrated:
+ * 1. Rendering data as SVG elements with computed coordinates
+ * 2. Scaling values to the drawing area, including negative values below a zero line
+ * 3. Accessible charts - a title per bar and an aria-label for the whole chart
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Bars as { label, value } (value is a plain number)
+ * @param {Function} props.formatValue - Formats a value for tooltips and labels
+ * @param {string} props.label - Accessible description of the chart
+ * @param {string} props.color - Bar fill colour (negative bars are drawn in red)
+ */
+const BarChart = ({ data, formatValue = String, label, color = '#0d6efd' }) => {
+  if (data.length === 0) {
+    return <p className="text-muted text-center my-4">No data for this range.</p>;
+  }
+
+  // Value range always includes 0 so bars start at the zero line
+  const max = Math.max(0, ...data.map(bar => bar.value));
+  const min = Math.min(0, ...data.map(bar => bar.value));
+  const span = max - min || 1;
+
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = (WIDTH - PADDING.left - PADDING.right) / data.length;
+  const barWidth = Math.min(slot * 0.7, 80);
+  const y = (value) => PADDING.top + ((max - value) / span) * plotHeight;
+  const zeroY = y(0);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-100" role="img" aria-label={label}>
+      {data.map((bar, index) => {
+        const x = PADDING.left + slot * index + (slot - barWidth) / 2;
+        const top = Math.min(y(bar.value), zeroY);
+        const height = Math.max(Math.abs(y(bar.value) - zeroY), bar.value === 0 ? 0 : 1);
+        return (
+          <g key={bar.label}>
+            <rect x={x} y={top} width={barWidth} height={height} fill={bar.value < 0 ? '#dc3545' : color} rx="2">
+              <title>{`${bar.label}: ${formatValue(bar.value)}`}</title>
+            </rect>
+            <text x={x + barWidth / 2} y={HEIGHT - 10} textAnchor="middle" fontSize="11" fill="#6c757d">
+              {bar.label}
+            </text>
+          </g>
+        );
+      })}
+      {/* Zero line */}
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={zeroY} y2={zeroY} stroke="#adb5bd" />
+    </svg>
+  );
+};
+
+// Export component as default export
+export default BarChart;
@@ -0,0 +1,36 @@
+// Import React library for creating components
+import React from 'react';
+// Import the supported currency list
+import { CURRENCIES } from '../utils/money';
+
+/**
+ * CurrencySelect Component
+ * Dropdown of supported currencies shared by the cart and billing pages
+ *
+ * Key Concepts Demonstrated:
+ * 1. Controlled select driven by a value/onChange pair
+ * 2. Options generated from a configuration object
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected currency code
+ * @param {Function} props.onChange - Called with the new currency code
+ * @param {boolean} props.disabled - Disables the select (e.g. for sent invoices)
+ * @param {string} props.id - Optional id for an associated label
+ */
+const CurrencySelect = ({ value, onChange, disabled = false, id }) => (
+  <select
+    id={id}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className="form-select form-select-sm w-auto"
+    title="Currency"
+  >
+    {Object.entries(CURRENCIES).map(([code, { name }]) => (
+      <option key={code} value={code}>{code} - {name}</option>
+    ))}
+  </select>
+);
+
+// Export component as default export
+export default CurrencySelect;
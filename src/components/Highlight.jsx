@@ -0,0 +1,30 @@
+// Import React library and useMemo to split the text only when it changes
+import React, { useMemo } from 'react';
+// Import the match splitter from the search index
+import { highlightSegments } from '../utils/search';
+
+/**
+ * Highlight Component
+ * Shows text with the words matching a search query marked
+ *
+ * Key Concepts Demonstrated:
+ * 1. Highlighting without HTML strings - matches are wrapped in <mark> elements
+ * 2. useMemo - the text is only re-split when the text or query changes
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to show
+ * @param {string} props.query - Search text whose words are marked
+ */
+const Highlight = ({ text, query }) => {
+  const segments = useMemo(() => highlightSegments(text, query), [text, query]);
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? <mark key={index} className="px-0">{segment.text}</mark> : segment.text
+      )}
+    </>
+  );
+};
+
+// Export component as default export
+export default Highlight;
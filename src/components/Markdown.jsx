@@ -0,0 +1,123 @@
+// Import React library and useMemo to parse only when the source changes
+import React, { useMemo } from 'react';
+// Import the Markdown parser and the code highlighter
+import { parseMarkdown } from '../utils/markdown';
+import { highlight } from '../utils/highlight';
+// Import heading, code and quote styles
+import './Markdown.css';
+
+/**
+ * Render inline nodes as React elements
+ *
+ * @param {Array} nodes - Inline nodes from the parser
+ * @returns {Array} - React children
+ */
+const renderInline = (nodes) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'del':
+        return <del key={index}>{renderInline(node.children)}</del>;
+      case 'code':
+        return <code key={index}>{node.text}</code>;
+      case 'break':
+        return <br key={index} />;
+      case 'image':
+        return <img key={index} src={node.src} alt={node.alt} loading="lazy" className="img-fluid" />;
+      case 'link': {
+        // Links leaving the site open in a new tab without access to this page
+        const external = /^(https?:)?\/\//i.test(node.href);
+        return (
+          <a
+            key={index}
+            href={node.href}
+            {...(external ? { target: '_blank', rel: 'noopener noreferrer nofollow' } : {})}
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+
+/**
+ * Render block nodes as React elements
+ *
+ * @param {Array} blocks - Block nodes from the parser
+ * @param {string} idPrefix - Prefix keeping heading IDs unique on the page
+ * @param {boolean} tight - Render single paragraphs without <p> (list items of tight lists)
+ * @returns {Array} - React children
+ */
+const renderBlocks = (blocks, idPrefix, tight = false) =>
+  blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Heading = `h${block.level}`;
+        const id = `${idPrefix}${block.id}`;
+        return (
+          <Heading key={index} id={id}>
+            {renderInline(block.children)}
+            <a href={`#${id}`} className="markdown-anchor" aria-label="Link to this section">#</a>
+          </Heading>
+        );
+      }
+      case 'paragraph':
+        return tight ? <React.Fragment key={index}>{renderInline(block.children)}</React.Fragment> : <p key={index}>{renderInline(block.children)}</p>;
+      case 'code':
+        return (
+          <pre key={index} className="markdown-code">
+            <code className={block.lang ? `language-${block.lang}` : undefined}>
+              {highlight(block.text, block.lang).map((token, tokenIndex) =>
+                token.type === 'plain' ? token.text : <span key={tokenIndex} className={`hl-${token.type}`}>{token.text}</span>
+              )}
+            </code>
+          </pre>
+        );
+      case 'blockquote':
+        return <blockquote key={index}>{renderBlocks(block.children, idPrefix)}</blockquote>;
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={index} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex}>{renderBlocks(item, idPrefix, !block.loose)}</li>
+            ))}
+          </List>
+        );
+      }
+      case 'hr':
+        return <hr key={index} />;
+      default:
+        return null;
+    }
+  });
+
+/**
+ * Markdown Component
+ * Renders Markdown text as formatted content
+ *
+ * Key Concepts Demonstrated:
+ * 1. Rendering a syntax tree as React elements - no dangerouslySetInnerHTML,
+ *    so HTML typed into a post is displayed, never executed
+ * 2. useMemo - parsing only reruns when the source changes
+ * 3. Polymorphic elements - heading and list tags chosen from the tree
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.source - Markdown text
+ * @param {string} props.idPrefix - Prefix for heading anchor IDs, e.g. 'post-1-'
+ * @param {string} props.className - Extra classes for the wrapper
+ */
+const Markdown = ({ source, idPrefix = '', className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  return <div className={`markdown-body ${className}`.trim()}>{renderBlocks(blocks, idPrefix)}</div>;
+};
+
+// Export component as default export
+export default Markdown;
@@ -0,0 +1,27 @@
+// Import React library for creating components
+import React from 'react';
+// Import useSelector hook for reading the rehydration flag
+import { useSelector } from 'react-redux';
+
+/**
+ * PersistGate Component
+ * Delays rendering of the application until saved state has been restored
+ *
+ * Key Concepts Demonstrated:
+ * 1. Gate/guard component pattern - Conditionally render children
+ * 2. useSelector for reading a status flag from Redux
+ * 3. Avoiding a "flash of empty state" before storage is read
+ *
+ * @param {Object} props - Component props
+ * @param {ReactNode} props.children - Application to render once rehydrated
+ * @param {ReactNode} props.loading - Optional element shown while waiting
+ */
+const PersistGate = ({ children, loading = null }) => {
+  // True once persistStore has dispatched the rehydrate action
+  const rehydrated = useSelector((state) => state.persist.rehydrated);
+
+  return rehydrated ? children : loading;
+};
+
+// Export component as default export
+export default PersistGate;
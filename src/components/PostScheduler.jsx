@@ -0,0 +1,53 @@
+// Import hooks for the timer effect and for re-arming it
+import { useEffect, useState } from 'react';
+// Import Redux hooks for the leadership flag, the next publish time and dispatching
+import { useDispatch, useSelector } from 'react-redux';
+// Import the thunk that publishes due posts and the next-publish-time selector
+import { publishDuePosts, selectNextScheduledAt } from '../store/blogSlice';
+// Import custom notification context hook for announcing published posts
+import { useNotification } from '../context/NotificationContext';
+
+// Longest delay setTimeout supports (about 24.8 days); later posts re-arm the timer
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * PostScheduler Component
+ * Publishes scheduled blog posts when their publish time arrives
+ *
+ * Key Concepts Demonstrated:
+ * 1. Renderless component - runs an effect and renders nothing
+ * 2. A single timer aimed at the next publish time instead of polling
+ * 3. Catching up - posts that fell due while the app was closed are published on open
+ * 4. Leader-only work - only the tab that owns storage publishes; the others
+ *    receive the change through cross-tab sync
+ */
+const PostScheduler = () => {
+  const isLeader = useSelector((state) => state.sync.isLeader);
+  const nextScheduledAt = useSelector(selectNextScheduledAt);
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+
+  // Bumped by the timer so the effect runs again when it fires
+  const [wakeUps, setWakeUps] = useState(0);
+
+  // Publish what is due, then sleep until the next scheduled post
+  // Reruns when leadership changes, a post is (un)scheduled or the timer fires
+  useEffect(() => {
+    if (!isLeader) return undefined;
+
+    const published = reduxDispatch(publishDuePosts());
+    if (published > 0) {
+      showNotification(`${published} scheduled post${published > 1 ? 's' : ''} published`);
+    }
+
+    if (!nextScheduledAt) return undefined;
+    const delay = Math.min(Math.max(new Date(nextScheduledAt) - Date.now(), 0), MAX_TIMER_DELAY);
+    const timer = setTimeout(() => setWakeUps(count => count + 1), delay);
+    return () => clearTimeout(timer);
+  }, [isLeader, nextScheduledAt, wakeUps, reduxDispatch, showNotification]);
+
+  return null;
+};
+
+// Export component as default export
+export default PostScheduler;
@@ -0,0 +1,119 @@
+// Import React library and useState hook for the category filter
+import React, { useState } from 'react';
+// Import catalog hook that loads products from the mock API
+import { useCatalog } from '../hooks/useCatalog';
+// Import money formatter for catalog prices
+import { formatMoney } from '../utils/money';
+// Import currency conversion for showing prices in the cart's currency
+import { convert } from '../utils/currency';
+
+/**
+ * ProductGrid Component
+ * Data-driven product catalog shared by every shopping cart implementation
+ *
+ * Key Concepts Demonstrated:
+ * 1. Reusable presentational component with callback props
+ * 2. Custom hook for data loading (useCatalog)
+ * 3. Loading, error and empty states
+ * 4. Derived UI state (stock remaining) computed from props
+ *
+ * The grid only reads catalog data - cart state stays with the caller,
+ * so the same grid works with useState, useReducer and Redux carts.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onAdd - Called with the product when "Add to Cart" is clicked
+ * @param {Array} props.cartItems - Current cart items, used to enforce stock limits
+ * @param {string} props.currency - Currency to show prices in (defaults to the catalog's own)
+ */
+const ProductGrid = ({ onAdd, cartItems = [], currency }) => {
+  // Catalog data from Redux (fetched on first mount)
+  const { products, categories, loading, error, retry } = useCatalog();
+
+  // Selected category filter - 'all' shows every product
+  const [activeCategory, setActiveCategory] = useState('all');
+
+  // Look up how many units of a product are already in the cart
+  const qtyInCart = (productId) => cartItems.find(item => item.id === productId)?.qty || 0;
+
+  // Apply category filter
+  const visibleProducts = activeCategory === 'all'
+    ? products
+    : products.filter(product => product.categoryId === activeCategory);
+
+  // Loading State
+  if (loading && products.length === 0) {
+    return (
+      <div className="text-center text-muted py-5">
+        <div className="spinner-border mb-2" role="status" />
+        <p>Loading products...</p>
+      </div>
+    );
+  }
+
+  // Error State
+  if (error) {
+    return (
+      <div className="alert alert-danger d-flex justify-content-between align-items-center">
+        <span>{error}</span>
+        <button onClick={retry} className="btn btn-outline-danger btn-sm">Retry</button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {/* Category Filter Pills */}
+      <ul className="nav nav-pills mb-3">
+        {[{ id: 'all', name: 'All' }, ...categories].map(category => (
+          <li className="nav-item" key={category.id}>
+            <button
+              onClick={() => setActiveCategory(category.id)}
+              className={`nav-link ${activeCategory === category.id ? 'active' : ''}`}
+            >
+              {category.name}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Bootstrap Grid System for Responsive Product Cards */}
+      <div className="row row-cols-1 row-cols-md-2 row-cols-xl-3 g-4">
+        {visibleProducts.map(product => {
+          // Remaining stock once cart contents are accounted for
+          const remaining = product.stock - qtyInCart(product.id);
+
+          return (
+            <div className="col" key={product.id}>
+              <div className="card h-100 text-center">
+                <img src={product.image} alt={product.name} className="card-img-top bg-light" />
+                <div className="card-body d-flex flex-column justify-content-between">
+                  {/* Product Information */}
+                  <div>
+                    <h5 className="card-title">{product.name}</h5>
+                    <p className="small text-muted mb-1">SKU: {product.sku}</p>
+                    <p className="card-text fw-bold">{formatMoney(currency ? convert(product.price, currency) : product.price)}</p>
+                    <p className={`small ${product.stock > 0 ? 'text-success' : 'text-danger'}`}>
+                      {product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'}
+                    </p>
+                  </div>
+
+                  {/* Add to Cart Button - disabled once stock is exhausted */}
+                  <button
+                    onClick={() => onAdd(product)}
+                    className="btn btn-primary"
+                    disabled={remaining <= 0}
+                  >
+                    Add to Cart
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+};
+
+// Export component as default export
+export default ProductGrid;
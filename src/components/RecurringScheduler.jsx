@@ -0,0 +1,38 @@
+// Import useEffect hook for running the scheduler after render
+import { useEffect } from 'react';
+// Import Redux hooks for the leadership flag and dispatching the scheduler
+import { useDispatch, useSelector } from 'react-redux';
+// Import the thunk that generates due recurring invoices
+import { runRecurringSchedules } from '../store/billingSlice';
+// Import custom notification context hook for announcing generated invoices
+import { useNotification } from '../context/NotificationContext';
+
+/**
+ * RecurringScheduler Component
+ * Generates the draft invoices of recurring templates when the app opens
+ *
+ * Key Concepts Demonstrated:
+ * 1. Renderless component - runs an effect and renders nothing
+ * 2. Dispatching a thunk that reads state before deciding what to dispatch
+ * 3. Leader-only work - only the tab that owns storage generates invoices; the
+ *    others receive them through cross-tab sync, so no period is billed twice
+ */
+const RecurringScheduler = () => {
+  const isLeader = useSelector((state) => state.sync.isLeader);
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+
+  // Runs once this tab is elected leader - on opening the app, or when the leader tab closes
+  useEffect(() => {
+    if (!isLeader) return;
+    const generated = reduxDispatch(runRecurringSchedules());
+    if (generated > 0) {
+      showNotification(`${generated} recurring invoice${generated > 1 ? 's' : ''} generated as draft${generated > 1 ? 's' : ''}`);
+    }
+  }, [isLeader, reduxDispatch, showNotification]);
+
+  return null;
+};
+
+// Export component as default export
+export default RecurringScheduler;
@@ -0,0 +1,48 @@
+// Import React library and hooks for reacting to new conflicts
+import React, { useEffect, useRef } from 'react';
+// Import useSelector hook for reading sync status from Redux
+import { useSelector } from 'react-redux';
+// Import custom notification context hook for conflict messages
+import { useNotification } from '../context/NotificationContext';
+
+/**
+ * SyncStatus Component
+ * Navbar badge showing cross-tab synchronisation status
+ *
+ * Key Concepts Demonstrated:
+ * 1. Reading middleware-maintained state with useSelector
+ * 2. useEffect + useRef to react only to newly added conflicts
+ * 3. Combining Redux state with Context API notifications
+ */
+const SyncStatus = () => {
+  const { isLeader, peerCount, conflicts } = useSelector((state) => state.sync);
+  const showNotification = useNotification();
+
+  // Timestamp of the newest conflict already announced
+  const lastAnnounced = useRef(conflicts[0]?.at);
+
+  // Announce conflicts resolved since the last render
+  useEffect(() => {
+    const latest = conflicts[0];
+    if (latest && latest.at !== lastAnnounced.current) {
+      lastAnnounced.current = latest.at;
+      showNotification(
+        latest.winner === 'local'
+          ? 'Another tab edited the same item - your change was kept'
+          : 'Another tab edited the same item - their change was applied'
+      );
+    }
+  }, [conflicts, showNotification]);
+
+  return (
+    <span
+      className={`badge ${isLeader ? 'bg-success' : 'bg-secondary'}`}
+      title={isLeader ? 'This tab saves data to storage' : 'Another tab saves data to storage'}
+    >
+      {peerCount > 0 ? `Synced with ${peerCount} other tab${peerCount > 1 ? 's' : ''}` : 'Single tab'}
+    </span>
+  );
+};
+
+// Export component as default export
+export default SyncStatus;
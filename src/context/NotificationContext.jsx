@@ -1,5 +1,5 @@
 // Import React hooks and context API for creating global state
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 
 /**
  * Notification Context - Global State Management for User Notifications
@@ -10,6 +10,8 @@ import React, { createContext, useState, useContext, useEffect } from 'react';
  * 3. Provider pattern - Component that provides context value to children
  * 4. Custom hooks - Encapsulating context logic for reusability
  * 5. useEffect - Managing side effects (auto-hide notifications)
+ * 6. useCallback - showNotification keeps the same identity on every render, so
+ *    effects that list it as a dependency (e.g. the schedulers) do not re-run
  * 
  * Context API Benefits:
  * - Avoid prop drilling (passing props through multiple levels)
@@ -80,9 +82,9 @@ export const NotificationProvider = ({ children }) => {
    * 
    * @param {string} message - Message to display in notification
    */
-  const showNotification = (message) => {
+  const showNotification = useCallback((message) => {
     setNotification(message);
-  };
+  }, []);
 
   return (
     // Provider component makes showNotification function available to all children
@@ -0,0 +1,38 @@
+// Import React's useEffect hook for triggering the initial fetch
+import { useEffect } from 'react';
+// Import Redux hooks for reading catalog state and dispatching the fetch
+import { useSelector, useDispatch } from 'react-redux';
+// Import the catalog thunk and selectors from the products slice
+import { fetchProducts, selectAllProducts } from '../store/productsSlice';
+
+/**
+ * useCatalog Custom Hook
+ * Loads the product catalog into Redux and returns it to the caller
+ *
+ * Key Concepts Demonstrated:
+ * 1. Custom hooks - Reusable data-loading logic shared by many components
+ * 2. useEffect - Dispatching an async thunk when a component mounts
+ * 3. useSelector - Reading normalised data through adapter selectors
+ *
+ * Because the thunk skips itself once data is loaded, any number of
+ * components can call this hook without triggering duplicate requests.
+ *
+ * @returns {{products: Array, categories: Array, loading: boolean, error: string|null, retry: Function}}
+ */
+export const useCatalog = () => {
+  const dispatch = useDispatch();
+  const products = useSelector(selectAllProducts);
+  const categories = useSelector((state) => state.products.categories);
+  const loading = useSelector((state) => state.products.loading);
+  const error = useSelector((state) => state.products.error);
+
+  // Request the catalog once on mount (no-op if already loaded)
+  useEffect(() => {
+    dispatch(fetchProducts());
+  }, [dispatch]);
+
+  // Allow callers to retry after a failed request
+  const retry = () => dispatch(fetchProducts());
+
+  return { products, categories, loading, error, retry };
+};
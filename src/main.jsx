@@ -8,6 +8,8 @@ import './index.css'
 import { Provider } from 'react-redux';
 // Import configured Redux store
 import { store } from './store/store';
+// Import PersistGate to wait for saved state before rendering
+import PersistGate from './components/PersistGate';
 // Import Bootstrap CSS for styling and responsive design
 import 'bootstrap/dist/css/bootstrap.min.css';
 // Import main App component
@@ -22,13 +24,15 @@ import App from './App';
  * 3. Redux Provider - Makes Redux store available to all components
  * 4. Provider Pattern - Higher-order component pattern for dependency injection
  * 5. CSS Imports - Global styling with Bootstrap integration
+ * 6. PersistGate - Holds rendering until saved Redux state is restored
  * 
  * Provider Hierarchy:
  * StrictMode (Development checks)
  *   └── Redux Provider (Global state)
- *       └── NotificationProvider (Inside App.jsx)
- *           └── BrowserRouter (Inside App.jsx)
- *               └── Application Components
+ *       └── PersistGate (Waits for rehydration)
+ *           └── NotificationProvider (Inside App.jsx)
+ *               └── BrowserRouter (Inside App.jsx)
+ *                   └── Application Components
  */
 
 // Create React root using React 18's new createRoot API
@@ -42,8 +46,11 @@ createRoot(document.getElementById('root')).render(
     {/* Redux Provider makes store available to all child components */}
     {/* Any component can now use useSelector and useDispatch hooks */}
     <Provider store={store}>
-      {/* Main App component - contains all application logic and routing */}
-      <App />
+      {/* PersistGate renders App only after saved state has been restored */}
+      <PersistGate loading={<div className="text-center text-muted p-5">Loading saved data...</div>}>
+        {/* Main App component - contains all application logic and routing */}
+        <App />
+      </PersistGate>
     </Provider>
   </StrictMode>,
 )
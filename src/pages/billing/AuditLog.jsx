@@ -0,0 +1,201 @@
+// Import React library and useState hook for filters and the expanded entry
+import React, { useState } from 'react';
+// Import useSelector hook for reading the log and invoice numbers
+import { useSelector } from 'react-redux';
+// Import the audit log selector
+import { selectAuditEntries } from '../../store/auditSlice';
+// Import value formatting for before/after columns
+import { formatDiffValue } from '../../utils/diff';
+
+// Entries shown before "Show more" is clicked, and how many more each click shows
+const PAGE_SIZE = 25;
+
+// Values of the filter inputs when nothing is filtered
+const NO_FILTERS = {
+  type: 'all',
+  invoiceId: 'all',
+  actor: 'all',
+  search: '',
+};
+
+/**
+ * AuditLog Component
+ * Viewer for the billing audit trail recorded by the audit middleware
+ *
+ * Key Concepts Demonstrated:
+ * 1. Reading state written by middleware rather than by components
+ * 2. Filter options derived from the data being filtered
+ * 3. Combining several filters in one pass during render
+ * 4. Expand/collapse detail rows held in local state
+ */
+const AuditLog = () => {
+  const entries = useSelector(selectAuditEntries);
+  const invoices = useSelector((state) => state.billing.entities);
+
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [expandedId, setExpandedId] = useState(null);
+  const [shown, setShown] = useState(PAGE_SIZE);
+
+  // Filter options - only values that appear in the log
+  const types = [...new Set(entries.map(entry => entry.type))].sort();
+  const actors = [...new Set(entries.map(entry => entry.actor))].sort();
+  const invoiceIds = [...new Set(entries.flatMap(entry => entry.invoiceIds))];
+
+  // Invoice number for an ID, e.g. '1' -> 'INV-0001'
+  const invoiceLabel = (id) => invoices[id]?.number || `#${id}`;
+
+  // Newest first, matching every filter
+  const search = filters.search.trim().toLowerCase();
+  const matching = entries
+    .filter(entry =>
+      (filters.type === 'all' || entry.type === filters.type) &&
+      (filters.invoiceId === 'all' || entry.invoiceIds.includes(filters.invoiceId)) &&
+      (filters.actor === 'all' || entry.actor === filters.actor) &&
+      (!search || entry.changes.some(change => change.path.toLowerCase().includes(search)))
+    )
+    .reverse();
+
+  /**
+   * Update one filter from a named input and start again from the first page
+   *
+   * @param {Event} e - Change event
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(current => ({ ...current, [name]: value }));
+    setShown(PAGE_SIZE);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mt-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Audit Trail</h5>
+        <small className="text-muted">{entries.length} billing actions recorded</small>
+      </div>
+      <div className="card-body">
+        {/* Filters */}
+        <div className="row g-2 mb-3">
+          <div className="col-sm-3">
+            <select name="type" value={filters.type} onChange={handleFilterChange}
+              className="form-select form-select-sm" aria-label="Filter by action">
+              <option value="all">All actions</option>
+              {types.map(type => (
+                <option key={type} value={type}>{type.replace('billing/', '')}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-3">
+            <select name="invoiceId" value={filters.invoiceId} onChange={handleFilterChange}
+              className="form-select form-select-sm" aria-label="Filter by invoice">
+              <option value="all">All invoices</option>
+              {invoiceIds.map(id => (
+                <option key={id} value={id}>{invoiceLabel(id)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-3">
+            <select name="actor" value={filters.actor} onChange={handleFilterChange}
+              className="form-select form-select-sm" aria-label="Filter by actor">
+              <option value="all">All actors</option>
+              {actors.map(actor => (
+                <option key={actor} value={actor}>{actor}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-3">
+            <input name="search" value={filters.search} onChange={handleFilterChange}
+              className="form-control form-control-sm" placeholder="Changed field, e.g. qty" />
+          </div>
+        </div>
+
+        {/* Entries - newest first */}
+        {matching.length === 0 ? (
+          <p className="text-muted text-center mb-0">
+            {entries.length === 0 ? 'No billing actions recorded yet.' : 'No entries match these filters.'}
+          </p>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Action</th>
+                  <th>Actor</th>
+                  <th>Invoice</th>
+                  <th className="text-end">Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {matching.slice(0, shown).map(entry => (
+                  <React.Fragment key={entry.id}>
+                    <tr
+                      onClick={() => setExpandedId(current => (current === entry.id ? null : entry.id))}
+                      style={{ cursor: 'pointer' }}
+                      className={expandedId === entry.id ? 'table-active' : ''}
+                    >
+                      <td className="text-nowrap small">{new Date(entry.at).toLocaleString()}</td>
+                      <td><code>{entry.type.replace('billing/', '')}</code></td>
+                      <td className="small">
+                        {entry.actor}
+                        {entry.remote && <span className="badge bg-info text-dark ms-1">Other tab</span>}
+                      </td>
+                      <td className="small">{entry.invoiceIds.map(invoiceLabel).join(', ') || '—'}</td>
+                      <td className="text-end">
+                        {entry.changes.length > 0
+                          ? entry.changes.length
+                          : <span className="badge bg-secondary">Rejected</span>}
+                      </td>
+                    </tr>
+
+                    {/* Entry Detail - before/after of every changed field and the payload */}
+                    {expandedId === entry.id && (
+                      <tr>
+                        <td colSpan="5" className="bg-light">
+                          {entry.changes.length > 0 ? (
+                            <table className="table table-sm table-borderless small mb-2">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  <th>Before</th>
+                                  <th>After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {entry.changes.map(change => (
+                                  <tr key={change.path}>
+                                    <td><code>{change.path}</code></td>
+                                    <td className="text-danger text-break">{formatDiffValue(change.before)}</td>
+                                    <td className="text-success text-break">{formatDiffValue(change.after)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <p className="small text-muted mb-2">
+                              Nothing changed - the billing reducers rejected this action.
+                            </p>
+                          )}
+                          <pre className="small mb-0">{JSON.stringify(entry.payload, null, 2)}</pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {matching.length > shown && (
+          <button onClick={() => setShown(current => current + PAGE_SIZE)} className="btn btn-link btn-sm mt-2">
+            Show {Math.min(PAGE_SIZE, matching.length - shown)} more of {matching.length - shown}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default AuditLog;
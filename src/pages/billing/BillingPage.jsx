@@ -1,11 +1,15 @@
 // Import React library for creating components
 import React from 'react';
 // Import React Router components for nested routing and navigation
-import { Routes, Route, NavLink, useLocation } from 'react-router-dom';
+import { Routes, Route, NavLink, useLocation, useParams } from 'react-router-dom';
 // Import billing components demonstrating different state management approaches
 import BillingUseState from './BillingUseState';
 import BillingUseReducer from './BillingUseReducer';
 import BillingRedux from './BillingRedux';
+import InvoiceList from './InvoiceList';
+import TaxSettings from './TaxSettings';
+import InvoiceDocumentPage from './InvoiceDocumentPage';
+import BillingReports from './BillingReports';
 
 /**
  * ProjectMethodLayout Component
@@ -34,9 +38,9 @@ const ProjectMethodLayout = ({ title, subtitle, methods, basePath, children }) =
     // This hook provides access to location object with pathname, search, hash, etc.
     const location = useLocation();
     
-    // Extract current path segment to determine active tab
-    // pathname example: "/billing/useState" -> currentPath: "useState"
-    const currentPath = location.pathname.split('/').pop();
+    // Extract the method segment to determine active tab
+    // pathname example: "/billing/redux/invoices/42" -> currentPath: "redux"
+    const currentPath = location.pathname.split('/')[2];
     
     // JSX Return - Layout Structure
     return (
@@ -69,6 +73,18 @@ const ProjectMethodLayout = ({ title, subtitle, methods, basePath, children }) =
     );
 };
 
+/**
+ * InvoiceDetail Component
+ * Reads the invoice ID from the URL and opens it in the Redux billing editor
+ * 
+ * Key Concepts Demonstrated:
+ * 1. useParams hook for reading dynamic route segments
+ */
+const InvoiceDetail = () => {
+    const { id } = useParams();
+    return <BillingRedux invoiceId={id} />;
+};
+
 /**
  * BillingPage Component
  * Main routing component for billing system demonstrations
@@ -87,7 +103,12 @@ const ProjectMethodLayout = ({ title, subtitle, methods, basePath, children }) =
  * Routing Structure:
  * /billing/useState    -> BillingUseState component
  * /billing/useReducer  -> BillingUseReducer component  
- * /billing/redux       -> BillingRedux component
+ * /billing/redux       -> BillingRedux component (current invoice)
+ * /billing/redux/invoices     -> InvoiceList component
+ * /billing/redux/invoices/:id -> BillingRedux component for one invoice
+ * /billing/redux/invoices/:id/document -> InvoiceDocumentPage (print / PDF)
+ * /billing/tax         -> TaxSettings component (shared by cart and billing)
+ * /billing/reports     -> BillingReports component (revenue, aging, top customers)
  */
 const BillingPage = () => {
     // Methods configuration - maps route paths to display names
@@ -95,7 +116,9 @@ const BillingPage = () => {
     const methods = { 
         useState: 'useState',       // Simple state management
         useReducer: 'useReducer',   // Complex state logic
-        redux: 'Redux'              // Global state management
+        redux: 'Redux',             // Global state management
+        tax: 'Tax Settings',        // Shared tax configuration
+        reports: 'Reports'          // Aggregate billing reports
     };
     
     // JSX Return - Page Structure
@@ -126,6 +149,36 @@ const BillingPage = () => {
                     path="redux" 
                     element={<BillingRedux />} 
                 />
+                
+                {/* Invoice List Route - All Redux invoices with filters */}
+                <Route 
+                    path="redux/invoices" 
+                    element={<InvoiceList />} 
+                />
+                
+                {/* Invoice Detail Route - Edit a single invoice by ID */}
+                <Route 
+                    path="redux/invoices/:id" 
+                    element={<InvoiceDetail />} 
+                />
+                
+                {/* Invoice Document Route - Printable view and PDF export */}
+                <Route 
+                    path="redux/invoices/:id/document" 
+                    element={<InvoiceDocumentPage />} 
+                />
+                
+                {/* Tax Settings Route - Rates used by every cart and billing page */}
+                <Route 
+                    path="tax" 
+                    element={<TaxSettings />} 
+                />
+                
+                {/* Reports Route - Revenue, receivables aging and top customers */}
+                <Route 
+                    path="reports" 
+                    element={<BillingReports />} 
+                />
             </Routes>
         </ProjectMethodLayout>
     );
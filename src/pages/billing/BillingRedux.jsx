@@ -2,10 +2,47 @@
 import React, { useState } from 'react';
 // Import Redux hooks for connecting component to global state
 import { useSelector, useDispatch } from 'react-redux';
-// Import action creators from billing slice for dispatching actions
-import { addItem, removeItem, clearItems, applyDiscount } from '../../store/billingSlice';
+// Import Link for navigating back to the invoice list
+import { Link } from 'react-router-dom';
+// Import action creators and selectors from billing slice
+import {
+  addItem,
+  removeItem,
+  updateItem,
+  clearItems,
+  selectInvoiceById,
+  selectCurrentInvoice,
+  calculateInvoiceTotals,
+  invoiceTaxConfig,
+  formatStatus,
+} from '../../store/billingSlice';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
+// Import rate formatter from the shared tax engine
+import { formatRate } from '../../utils/tax';
+// Import exact money helpers for parsing and display
+import { fromMajor, formatMoney } from '../../utils/money';
+// Import quantity parsing and units of measure
+import { parseQuantity, UNITS, DEFAULT_UNIT } from '../../utils/lineItems';
+// Import invoice header (number, customer, dates, status)
+import InvoiceHeader from './InvoiceHeader';
+// Import sub-navigation between current invoice and invoice list
+import InvoiceNav from './InvoiceNav';
+// Import CSV/JSON import and export of the invoice's items
+import ItemImportExport from './ItemImportExport';
+// Import inline quantity editor and item editor
+import QuantityInput from './QuantityInput';
+import ItemEditor from './ItemEditor';
+// Import the invoice's discount rules editor
+import DiscountRules from './DiscountRules';
+// Import the invoice's payments and refunds
+import PaymentsLedger from './PaymentsLedger';
+// Import credit notes reversing lines of the issued invoice
+import CreditNotes from './CreditNotes';
+// Import the audit trail viewer
+import AuditLog from './AuditLog';
+// Import ledger helpers for the balance due
+import { ledgerTotals, balanceDue, customerCredit } from '../../utils/payments';
 
 /**
  * BillingRedux Component
@@ -17,18 +54,40 @@ import { useNotification } from '../../context/NotificationContext';
  * 3. Action creators from Redux Toolkit slices
  * 4. Combining Redux (global state) with useState (local form state)
  * 5. Complex business logic handled by Redux reducers
+ * 6. Invoice status machine - items are read-only once an invoice is sent
+ * 7. Route parameters - the same editor serves /billing/redux and
+ *    /billing/redux/invoices/:id
+ * 8. Bulk updates - imported items are saved with a single setItems action
+ * 9. Inline editing - quantity changes and the row editor dispatch updateItem
+ * 10. Derived breakdown - discount rules and taxes are applied to items during render
+ * 11. Payments ledger - balance due is derived from recorded payments and refunds
+ * 12. Credit notes - issued invoices are reversed, never edited or erased
+ * 13. Audit trail - middleware logs every billing action with a before/after diff
  * 
  * Redux Benefits for Billing:
- * - Persist billing data across component unmounts
+ * - Persist billing data across component unmounts and page reloads
  * - Share billing state with other components (e.g., summary view)
  * - Centralized business logic for complex calculations
  * - Time-travel debugging for financial operations
  * - Audit trail of all billing actions
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.invoiceId - Invoice to edit (defaults to the current invoice)
  */
-const BillingRedux = () => {
-  // useSelector Hook - Extract billing items from Redux store
+const BillingRedux = ({ invoiceId }) => {
+  // useSelector Hook - Extract the invoice being edited from Redux store
   // This subscribes component to Redux store updates
-  const items = useSelector((state) => state.billing.items);
+  const invoice = useSelector((state) =>
+    invoiceId ? selectInvoiceById(state, invoiceId) : selectCurrentInvoice(state)
+  );
+  const items = invoice?.items || [];
+  const invoiceStatus = invoice?.status;
+  
+  // Tax configuration shared with the cart pages
+  const taxConfig = useSelector((state) => state.tax);
+  
+  // Items can only be changed while the invoice is a draft
+  const editable = invoiceStatus === 'draft';
   
   // useDispatch Hook - Get dispatch function for sending actions
   const reduxDispatch = useDispatch();
@@ -37,6 +96,16 @@ const BillingRedux = () => {
   // Form data doesn't need to be global, so useState is appropriate
   const [name, setName] = useState('');
   const [price, setPrice] = useState('');
+  const [qty, setQty] = useState('1');
+  const [unit, setUnit] = useState(DEFAULT_UNIT);
+  const [category, setCategory] = useState('general');
+  const [taxable, setTaxable] = useState(true);
+  
+  // ID of the item being edited inline (null when no row is open)
+  const [editingItemId, setEditingItemId] = useState(null);
+  
+  // Categories with their own tax rates, plus the default 'general'
+  const categories = ['general', ...Object.keys(taxConfig.categoryRates)];
   
   // Get notification function from context
   const showNotification = useNotification();
@@ -48,30 +117,39 @@ const BillingRedux = () => {
   const handleAddItem = () => { 
     // Input validation
     const itemName = name.trim();
-    const itemPrice = parseFloat(price);
+    const itemPrice = fromMajor(price, invoice.currency); // Exact minor units, or null if not a number
+    const itemQty = parseQuantity(qty); // Positive number, or null if not valid
     
-    if (itemName && itemPrice > 0) { 
+    if (itemName && itemPrice?.amount > 0 && itemQty) { 
       // Dispatch 'addItem' action to Redux store
       reduxDispatch(addItem({ 
+        invoiceId: invoice.id,
         id: Date.now(),
         name: itemName, 
         price: itemPrice,
+        qty: itemQty,
+        unit,
         addedAt: new Date().toISOString(),
-        category: 'general'
+        category,
+        taxable
       })); 
       
       // Show success notification
-      showNotification(`${itemName} added to bill - $${itemPrice.toFixed(2)}`); 
+      showNotification(`${itemName} added to bill - ${itemQty} × ${formatMoney(itemPrice)}`); 
       
       // Clear form inputs
       setName(''); 
       setPrice(''); 
+      setQty('1');
+      setTaxable(true);
     } else {
       // Show validation error
       if (!itemName) {
         showNotification('Please enter an item name!');
-      } else if (itemPrice <= 0) {
+      } else if (!itemPrice || itemPrice.amount <= 0) {
         showNotification('Please enter a valid price greater than 0!');
+      } else {
+        showNotification('Please enter a quantity greater than 0 (up to 3 decimals)!');
       }
     }
   };
@@ -81,33 +159,47 @@ const BillingRedux = () => {
    * Dispatches removeItem action to Redux store
    */
   const handleRemoveItem = (itemId) => {
-    reduxDispatch(removeItem({ id: itemId }));
+    reduxDispatch(removeItem({ invoiceId: invoice.id, id: itemId }));
     showNotification('Item removed from bill');
   };
   
+  /**
+   * Function to change an item's quantity
+   * Dispatches updateItem so the line total and invoice totals are recalculated
+   * 
+   * @param {number} itemId - Item to change
+   * @param {number} newQty - Validated quantity from QuantityInput
+   */
+  const handleQuantityChange = (itemId, newQty) => {
+    reduxDispatch(updateItem({ invoiceId: invoice.id, id: itemId, updates: { qty: newQty } }));
+  };
+  
+  /**
+   * Function to save an inline item edit
+   * Dispatches updateItem with the changed fields; the reducer stamps updatedAt
+   * 
+   * @param {Object} item - Item being edited
+   * @param {Object} updates - Changed fields from ItemEditor
+   */
+  const handleSaveItem = (item, updates) => {
+    if (Object.keys(updates).length > 0) {
+      reduxDispatch(updateItem({ invoiceId: invoice.id, id: item.id, updates }));
+      showNotification(`${updates.name || item.name} updated`);
+    }
+    setEditingItemId(null);
+  };
+  
   /**
    * Function to clear all billing items
    * Dispatches clearItems action to Redux store
    */
   const handleClearAllItems = () => {
     if (items.length > 0) {
-      reduxDispatch(clearItems());
+      reduxDispatch(clearItems({ invoiceId: invoice.id }));
       showNotification('All items cleared from bill');
     }
   };
   
-  /**
-   * Function to apply discount to item
-   * Dispatches applyDiscount action with business logic handled by Redux
-   */
-  const handleApplyDiscount = (itemId, discountPercent) => {
-    reduxDispatch(applyDiscount({ 
-      id: itemId, 
-      discount: discountPercent / 100 
-    }));
-    showNotification(`${discountPercent}% discount applied`);
-  };
-  
   /**
    * Handle Enter key press for form submission
    */
@@ -118,19 +210,53 @@ const BillingRedux = () => {
   };
   
   // Calculate billing totals - data comes from Redux store
-  const subtotal = items.reduce((sum, item) => sum + item.price, 0);
-  const tax = subtotal * 0.08; // 8% tax
-  const grandTotal = subtotal + tax;
+  // Discount rules come off first, then the tax engine honours each item's category and taxable flag
+  // Issued invoices are priced with the tax configuration frozen when they left draft
+  const {
+    itemsTotal,
+    discounts,
+    lines,
+    subtotal,
+    taxes,
+    total: grandTotal,
+  } = calculateInvoiceTotals(items, invoiceTaxConfig(invoice, taxConfig), invoice?.currency, invoice?.discounts);
+  
+  // Discounted lines by item ID - gross amount and the rules applied to each
+  const lineById = Object.fromEntries(lines.map(line => [line.id, line]));
+  
+  // Payments, refunds and credit notes recorded against the invoice
+  const ledger = ledgerTotals(invoice?.payments, invoice?.currency);
+  
+  // Unknown invoice ID in the URL
+  if (!invoice) {
+    return (
+      <div className="container-fluid">
+        <InvoiceNav />
+        <div className="alert alert-warning">
+          Invoice not found. <Link to="/billing/redux/invoices">Back to all invoices</Link>
+        </div>
+      </div>
+    );
+  }
   
   // JSX Return - Component Rendering
   return (
     <div className="container-fluid">
+      {/* Sub-navigation - current invoice / all invoices */}
+      <InvoiceNav />
+      
+      {/* Invoice Header - number, customer, dates and status */}
+      <InvoiceHeader invoice={invoice} />
+      
+      {/* Import / Export - CSV and JSON files of the invoice's items */}
+      <ItemImportExport invoice={invoice} />
+      
       {/* Form Section - Add New Item */}
       <div className="card mb-4">
         <div className="card-header d-flex justify-content-between align-items-center">
           <h4 className="mb-0">Add Billing Item (Redux)</h4>
           {/* Clear All Button */}
-          {items.length > 0 && (
+          {editable && items.length > 0 && (
             <button 
               onClick={handleClearAllItems}
               className="btn btn-outline-danger btn-sm"
@@ -140,6 +266,13 @@ const BillingRedux = () => {
           )}
         </div>
         <div className="card-body">
+          {/* Read-only notice for issued invoices */}
+          {!editable && (
+            <div className="alert alert-info py-2">
+              This invoice is {formatStatus(invoiceStatus)} - its items can no longer be changed.
+            </div>
+          )}
+          
           {/* Bootstrap Row for Form Layout */}
           <div className="row g-3 mb-3">
             {/* Item Name Input */}
@@ -151,6 +284,7 @@ const BillingRedux = () => {
                 placeholder="Item name..." 
                 className="form-control"
                 type="text"
+                disabled={!editable}
               />
             </div>
             
@@ -163,17 +297,78 @@ const BillingRedux = () => {
                 type="number" 
                 step="0.01"
                 min="0"
-                placeholder="Price ($)" 
+                placeholder={`Unit price (${invoice.currency})`} 
+                className="form-control"
+                disabled={!editable}
+              />
+            </div>
+            
+            {/* Quantity Input */}
+            <div className="col-sm-2">
+              <input 
+                value={qty}
+                onChange={(e) => setQty(e.target.value)}
+                onKeyPress={handleKeyPress}
+                type="number" 
+                step="any"
+                min="0"
+                placeholder="Qty" 
+                aria-label="Quantity"
                 className="form-control"
+                disabled={!editable}
               />
             </div>
             
+            {/* Unit of Measure Select */}
+            <div className="col-sm-2">
+              <select 
+                value={unit}
+                onChange={(e) => setUnit(e.target.value)}
+                aria-label="Unit"
+                className="form-select"
+                disabled={!editable}
+              >
+                {UNITS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </div>
+            
+            {/* Tax Category Select */}
+            <div className="col-sm">
+              <select 
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className="form-select text-capitalize"
+                disabled={!editable}
+              >
+                {categories.map(cat => (
+                  <option key={cat} value={cat}>{cat}</option>
+                ))}
+              </select>
+            </div>
+            
+            {/* Taxable Checkbox */}
+            <div className="col-sm-auto d-flex align-items-center">
+              <div className="form-check">
+                <input 
+                  id="taxable-redux"
+                  type="checkbox"
+                  checked={taxable}
+                  onChange={(e) => setTaxable(e.target.checked)}
+                  className="form-check-input"
+                  disabled={!editable}
+                />
+                <label htmlFor="taxable-redux" className="form-check-label">Taxable</label>
+              </div>
+            </div>
+            
             {/* Add Button */}
             <div className="col-sm-auto">
               <button 
                 onClick={handleAddItem} 
                 className="btn btn-primary"
-                disabled={!name.trim() || !price || parseFloat(price) <= 0}
+                disabled={!editable || !name.trim() || !price || parseFloat(price) <= 0 || !parseQuantity(qty)}
               >
                 Add Item
               </button>
@@ -182,6 +377,15 @@ const BillingRedux = () => {
         </div>
       </div>
       
+      {/* Discount Rules - percentage, fixed, buy X get Y and volume tiers */}
+      <DiscountRules invoice={invoice} />
+      
+      {/* Payments Ledger - payments and refunds against the total */}
+      <PaymentsLedger invoice={invoice} total={grandTotal} />
+      
+      {/* Credit Notes - reversals of an issued invoice's lines */}
+      <CreditNotes invoice={invoice} />
+      
       {/* Bill Display Section */}
       <div className="card bg-light">
         <div className="card-body">
@@ -189,7 +393,7 @@ const BillingRedux = () => {
             Current Bill ({items.length} items)
           </h5>
           <small className="text-muted">
-            Data managed by Redux store - persists across component re-mounts
+            Data managed by Redux store - persists across page reloads
           </small>
           
           {/* Items List - Data comes from Redux store */}
@@ -201,51 +405,83 @@ const BillingRedux = () => {
                   key={item.id} 
                   className="list-group-item bg-transparent"
                 >
-                  <div className="d-flex justify-content-between align-items-center">
-                    <div>
-                      {/* Item Name */}
-                      <span className="fw-medium">{item.name}</span>
+                  {/* Inline Editor - replaces the row while it is being edited */}
+                  {editable && editingItemId === item.id ? (
+                    <ItemEditor
+                      item={item}
+                      price={item.price}
+                      categories={categories}
+                      onSave={(updates) => handleSaveItem(item, updates)}
+                      onCancel={() => setEditingItemId(null)}
+                      onError={showNotification}
+                    />
+                  ) : (
+                    <div className="d-flex justify-content-between align-items-center">
+                      <div>
+                        {/* Item Name */}
+                        <span className="fw-medium">{item.name}</span>
                       
-                      {/* Item Metadata */}
-                      <div className="small text-muted">
-                        Added: {new Date(item.addedAt).toLocaleTimeString()}
-                        {item.originalPrice && (
-                          <span className="ms-2 text-success">
-                            (Discounted from ${item.originalPrice.toFixed(2)})
-                          </span>
-                        )}
+                        {/* Item Metadata */}
+                        <div className="small text-muted">
+                          Added: {new Date(item.addedAt).toLocaleTimeString()}
+                          {item.updatedAt && (
+                            <span className="badge bg-info text-dark ms-2" title={`Last edited ${new Date(item.updatedAt).toLocaleString()}`}>
+                              Edited
+                            </span>
+                          )}
+                          <span className="badge bg-light text-dark ms-2 text-capitalize">{item.category}</span>
+                          {item.taxable === false && (
+                            <span className="badge bg-warning text-dark ms-1">Tax exempt</span>
+                          )}
+                        </div>
+                      
+                        {/* Discounts applied to this line */}
+                        {lineById[item.id].discounts.filter(discount => discount.scope === 'item').map(discount => (
+                          <div key={discount.ruleId} className="small text-success">
+                            {discount.label}: -{formatMoney(discount.amount)}
+                          </div>
+                        ))}
                       </div>
-                    </div>
                     
-                    <div className="d-flex align-items-center">
-                      {/* Item Price */}
-                      <span className="me-2 fw-bold">
-                        ${item.price.toFixed(2)}
-                      </span>
+                      <div className="d-flex align-items-center">
+                        {/* Quantity x Unit Price */}
+                        <QuantityInput
+                          value={item.qty}
+                          onChange={(newQty) => handleQuantityChange(item.id, newQty)}
+                          disabled={!editable}
+                          label={`Quantity of ${item.name}`}
+                        />
+                        <span className="ms-1 me-3 small text-muted text-nowrap">
+                          {item.unit} × {formatMoney(item.price)}
+                        </span>
+                      
+                        {/* Line Total - before discounts */}
+                        <span className="me-2 fw-bold">
+                          {formatMoney(lineById[item.id].gross)}
+                        </span>
                       
-                      {/* Action Buttons */}
-                      <div className="btn-group btn-group-sm">
-                        {/* Apply 10% Discount */}
-                        <button
-                          onClick={() => handleApplyDiscount(item.id, 10)}
-                          className="btn btn-outline-success"
-                          title="Apply 10% discount"
-                          disabled={!!item.originalPrice}
-                        >
-                          -10%
-                        </button>
-                        
-                        {/* Remove Button */}
-                        <button
-                          onClick={() => handleRemoveItem(item.id)}
-                          className="btn btn-outline-danger"
-                          title="Remove item"
-                        >
-                          ✕
-                        </button>
+                        {/* Edit and Remove Buttons */}
+                        <div className="btn-group btn-group-sm">
+                          <button
+                            onClick={() => setEditingItemId(item.id)}
+                            className="btn btn-outline-secondary"
+                            title="Edit item"
+                            disabled={!editable}
+                          >
+                            ✎
+                          </button>
+                          <button
+                            onClick={() => handleRemoveItem(item.id)}
+                            className="btn btn-outline-danger"
+                            title="Remove item"
+                            disabled={!editable}
+                          >
+                            ✕
+                          </button>
+                        </div>
                       </div>
                     </div>
-                  </div>
+                  )}
                 </li>
               ))
             ) : (
@@ -263,31 +499,84 @@ const BillingRedux = () => {
               <hr />
               <div className="row">
                 <div className="col-md-6 offset-md-6">
+                  {/* Items total and every discount rule that applied */}
+                  {discounts.length > 0 && (
+                    <>
+                      <div className="d-flex justify-content-between">
+                        <span>Items:</span>
+                        <span>{formatMoney(itemsTotal)}</span>
+                      </div>
+                      {discounts.map(discount => (
+                        <div key={discount.ruleId} className="d-flex justify-content-between text-success">
+                          <span>
+                            {discount.label}
+                            {discount.scope === 'invoice' && <span className="badge bg-light text-dark ms-1">Invoice</span>}:
+                          </span>
+                          <span>-{formatMoney(discount.amount)}</span>
+                        </div>
+                      ))}
+                    </>
+                  )}
+                  
                   {/* Subtotal */}
                   <div className="d-flex justify-content-between">
                     <span>Subtotal:</span>
-                    <span>${subtotal.toFixed(2)}</span>
+                    <span>{formatMoney(subtotal)}</span>
                   </div>
                   
-                  {/* Tax */}
-                  <div className="d-flex justify-content-between text-muted">
-                    <span>Tax (8%):</span>
-                    <span>${tax.toFixed(2)}</span>
-                  </div>
+                  {/* Taxes - one line per named rate */}
+                  {taxes.map(tax => (
+                    <div key={tax.id} className="d-flex justify-content-between text-muted">
+                      <span>{tax.label} ({formatRate(tax.rate)}):</span>
+                      <span>{formatMoney(tax.amount)}</span>
+                    </div>
+                  ))}
+                  {taxConfig.pricesIncludeTax && (
+                    <div className="small text-muted text-end">Prices include tax</div>
+                  )}
                   
                   <hr />
                   
                   {/* Grand Total */}
                   <div className="d-flex justify-content-between fs-5 fw-bold">
                     <span>Total:</span>
-                    <span>${grandTotal.toFixed(2)}</span>
+                    <span>{formatMoney(grandTotal)}</span>
                   </div>
+                  
+                  {/* Amount Paid, Credited and Balance Due - once the ledger has entries */}
+                  {invoice.payments.length > 0 && (
+                    <>
+                      <div className="d-flex justify-content-between text-muted">
+                        <span>Paid:</span>
+                        <span>-{formatMoney(ledger.netPaid)}</span>
+                      </div>
+                      {ledger.credited.amount > 0 && (
+                        <div className="d-flex justify-content-between text-muted">
+                          <span>Credited:</span>
+                          <span>-{formatMoney(ledger.credited)}</span>
+                        </div>
+                      )}
+                      <div className="d-flex justify-content-between fw-bold">
+                        <span>Balance Due:</span>
+                        <span>{formatMoney(balanceDue(grandTotal, invoice.payments))}</span>
+                      </div>
+                      {customerCredit(grandTotal, invoice.payments).amount > 0 && (
+                        <div className="d-flex justify-content-between text-danger">
+                          <span>Owed to Customer:</span>
+                          <span>{formatMoney(customerCredit(grandTotal, invoice.payments))}</span>
+                        </div>
+                      )}
+                    </>
+                  )}
                 </div>
               </div>
             </>
           )}
         </div>
       </div>
+      
+      {/* Audit Trail - every billing action, recorded by the audit middleware */}
+      <AuditLog />
     </div>
   );
 };
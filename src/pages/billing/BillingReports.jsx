@@ -0,0 +1,275 @@
+// Import React library and useState hook for the report filters
+import React, { useState } from 'react';
+// Import useSelector hook for reading invoices and credit notes
+import { useSelector } from 'react-redux';
+// Import invoice and credit note selectors
+import { selectAllInvoices, selectAllCreditNotes } from '../../store/billingSlice';
+// Import report builders, periods and CSV writer
+import { buildBillingReport, reportToCsv, REPORT_PERIODS, TOP_CUSTOMER_COUNT } from '../../utils/reports';
+// Import money helpers for formatting and CSV amounts
+import { money, formatMoney, toDecimalString, DEFAULT_CURRENCY } from '../../utils/money';
+// Import file download helper for CSV exports
+import { downloadBlob } from '../../utils/download';
+// Import shared currency dropdown and SVG bar chart
+import CurrencySelect from '../../components/CurrencySelect';
+import BarChart from '../../components/BarChart';
+
+// Values of the filter inputs before the user changes anything
+const DEFAULT_FILTERS = {
+  from: '',
+  to: '',
+  period: 'month',
+  currency: DEFAULT_CURRENCY,
+};
+
+/**
+ * BillingReports Component
+ * Dashboard of revenue, receivables aging and top customers across all invoices
+ *
+ * Key Concepts Demonstrated:
+ * 1. Aggregating normalised Redux data during render - nothing derived is stored
+ * 2. One filter object driving every report on the page
+ * 3. SVG charts and tables rendered from the same report rows
+ * 4. Client-side CSV generation and download for each report
+ */
+const BillingReports = () => {
+  const invoices = useSelector(selectAllInvoices);
+  const creditNotes = useSelector(selectAllCreditNotes);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+
+  const report = buildBillingReport(invoices, creditNotes, filters);
+  const { currency } = filters;
+
+  // Chart values are minor units; tooltips format them back to money
+  const formatAmount = (amount) => formatMoney(money(amount, currency));
+  const largestCategory = Math.max(1, ...report.byCategory.map(row => Math.abs(row.amount.amount)));
+
+  /**
+   * Update one filter from a named input
+   *
+   * @param {Event} e - Change event
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(current => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Download report rows as a CSV file named after the report and date range
+   *
+   * @param {string} name - Report name used in the file name
+   * @param {Array} columns - CSV columns for reportToCsv
+   * @param {Array} rows - Report rows
+   */
+  const handleDownload = (name, columns, rows) => {
+    const range = `${filters.from || 'start'}-to-${filters.to || 'today'}`;
+    downloadBlob(new Blob([reportToCsv(columns, rows)], { type: 'text/csv' }), `${name}-${range}.csv`);
+  };
+
+  // CSV download button shared by the report cards
+  const downloadButton = (name, columns, rows) => (
+    <button onClick={() => handleDownload(name, columns, rows)} className="btn btn-outline-secondary btn-sm" disabled={rows.length === 0}>
+      Download CSV
+    </button>
+  );
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="container-fluid">
+      {/* Filters */}
+      <div className="row g-2 align-items-end mb-3">
+        <div className="col-sm-3">
+          <label className="form-label small mb-0">From</label>
+          <input name="from" type="date" value={filters.from} onChange={handleFilterChange} className="form-control form-control-sm" />
+        </div>
+        <div className="col-sm-3">
+          <label className="form-label small mb-0">To</label>
+          <input name="to" type="date" value={filters.to} onChange={handleFilterChange} className="form-control form-control-sm" />
+        </div>
+        <div className="col-sm-2">
+          <label className="form-label small mb-0">Group by</label>
+          <select name="period" value={filters.period} onChange={handleFilterChange} className="form-select form-select-sm">
+            {Object.entries(REPORT_PERIODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-sm-2">
+          <label className="form-label small mb-0 d-block">Currency</label>
+          <CurrencySelect value={currency} onChange={(code) => setFilters(current => ({ ...current, currency: code }))} />
+        </div>
+        <div className="col-sm-2">
+          <button onClick={() => setFilters(DEFAULT_FILTERS)} className="btn btn-outline-secondary btn-sm w-100">
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="row g-3 mb-3">
+        <div className="col-md-4">
+          <div className="card text-center">
+            <div className="card-body">
+              <div className="text-muted small">Net Revenue</div>
+              <div className="fs-4 fw-bold">{formatMoney(report.totals.revenue)}</div>
+            </div>
+          </div>
+        </div>
+        <div className="col-md-4">
+          <div className="card text-center">
+            <div className="card-body">
+              <div className="text-muted small">Outstanding</div>
+              <div className="fs-4 fw-bold">{formatMoney(report.totals.outstanding)}</div>
+            </div>
+          </div>
+        </div>
+        <div className="col-md-4">
+          <div className="card text-center">
+            <div className="card-body">
+              <div className="text-muted small">Invoices Issued</div>
+              <div className="fs-4 fw-bold">{report.totals.invoiceCount}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+      <p className="small text-muted">
+        Revenue is after discounts and before tax, less credit notes. Drafts and void invoices are left out.
+        Amounts in other currencies are converted to {currency}.
+      </p>
+
+      {/* Revenue by Period */}
+      <div className="card mb-3">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Revenue by {REPORT_PERIODS[filters.period]}</h5>
+          {downloadButton('revenue-by-period', [
+            { label: 'period', value: row => row.period },
+            { label: `revenue (${currency})`, value: row => toDecimalString(row.amount) },
+          ], report.byPeriod)}
+        </div>
+        <div className="card-body">
+          <BarChart
+            data={report.byPeriod.map(row => ({ label: row.period, value: row.amount.amount }))}
+            formatValue={formatAmount}
+            label={`Revenue by ${filters.period}`}
+          />
+        </div>
+      </div>
+
+      <div className="row g-3">
+        {/* Revenue by Category */}
+        <div className="col-lg-6">
+          <div className="card h-100">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Revenue by Category</h5>
+              {downloadButton('revenue-by-category', [
+                { label: 'category', value: row => row.category },
+                { label: `revenue (${currency})`, value: row => toDecimalString(row.amount) },
+              ], report.byCategory)}
+            </div>
+            <div className="card-body">
+              {report.byCategory.length > 0 ? (
+                <table className="table table-sm align-middle mb-0">
+                  <tbody>
+                    {report.byCategory.map(row => (
+                      <tr key={row.category}>
+                        <td className="text-capitalize" style={{ width: '30%' }}>{row.category}</td>
+                        <td>
+                          <div className="progress" style={{ height: '0.75rem' }}>
+                            <div
+                              className="progress-bar"
+                              style={{ width: `${(Math.abs(row.amount.amount) / largestCategory) * 100}%` }}
+                            />
+                          </div>
+                        </td>
+                        <td className="text-end text-nowrap">{formatMoney(row.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-muted text-center my-4">No data for this range.</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Receivables Aging */}
+        <div className="col-lg-6">
+          <div className="card h-100">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Receivables Aging</h5>
+              {downloadButton('receivables-aging', [
+                { label: 'days past due', value: row => row.key },
+                { label: 'invoices', value: row => row.count },
+                { label: `outstanding (${currency})`, value: row => toDecimalString(row.amount) },
+              ], report.aging)}
+            </div>
+            <div className="card-body">
+              <BarChart
+                data={report.aging.map(bucket => ({ label: bucket.label, value: bucket.amount.amount }))}
+                formatValue={formatAmount}
+                label="Outstanding balances by days past due"
+                color="#fd7e14"
+              />
+              <table className="table table-sm mb-0">
+                <tbody>
+                  {report.aging.map(bucket => (
+                    <tr key={bucket.key}>
+                      <td>{bucket.label}</td>
+                      <td className="text-end text-muted">{bucket.count} invoice{bucket.count === 1 ? '' : 's'}</td>
+                      <td className="text-end">{formatMoney(bucket.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Top Customers */}
+      <div className="card mt-3">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Top {TOP_CUSTOMER_COUNT} Customers</h5>
+          {downloadButton('top-customers', [
+            { label: 'customer', value: row => row.name },
+            { label: 'invoices', value: row => row.invoiceCount },
+            { label: `revenue (${currency})`, value: row => toDecimalString(row.revenue) },
+            { label: `outstanding (${currency})`, value: row => toDecimalString(row.outstanding) },
+          ], report.topCustomers)}
+        </div>
+        <div className="card-body">
+          {report.topCustomers.length > 0 ? (
+            <div className="table-responsive">
+              <table className="table table-sm align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Customer</th>
+                    <th className="text-end">Invoices</th>
+                    <th className="text-end">Revenue</th>
+                    <th className="text-end">Outstanding</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.topCustomers.map(customer => (
+                    <tr key={customer.name}>
+                      <td>{customer.name}</td>
+                      <td className="text-end">{customer.invoiceCount}</td>
+                      <td className="text-end">{formatMoney(customer.revenue)}</td>
+                      <td className="text-end">{formatMoney(customer.outstanding)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-muted text-center my-4">No data for this range.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default BillingReports;
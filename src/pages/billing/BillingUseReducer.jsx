@@ -2,6 +2,21 @@
 import React, { useReducer, useState } from 'react';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
+// Import useSelector to read the shared tax configuration from Redux
+import { useSelector } from 'react-redux';
+// Import the shared tax engine
+import { calculateTotals, formatRate } from '../../utils/tax';
+// Import exact money helpers for parsing, discounts and display
+import { fromMajor, formatMoney, discountBy, DEFAULT_CURRENCY } from '../../utils/money';
+// Import currency conversion for switching the bill's currency
+import { convert } from '../../utils/currency';
+// Import quantity parsing, units and line totals
+import { parseQuantity, lineTotal, toTaxLines, UNITS, DEFAULT_UNIT } from '../../utils/lineItems';
+// Import shared currency picker
+import CurrencySelect from '../../components/CurrencySelect';
+// Import inline quantity editor and item editor
+import QuantityInput from './QuantityInput';
+import ItemEditor from './ItemEditor';
 
 /**
  * Billing Reducer Function
@@ -28,18 +43,33 @@ const billingReducer = (state, action) => {
         case 'REMOVE_ITEM':
             return state.filter(item => item.id !== action.payload.id);
         
-        // UPDATE_ITEM action: Updates existing item
+        // UPDATE_ITEM action: Updates existing item and stamps when it was edited
+        // A new price on a discounted item replaces the original price and is discounted again
         case 'UPDATE_ITEM':
-            return state.map(item => 
-                item.id === action.payload.id 
-                    ? { ...item, ...action.payload.updates }
-                    : item
-            );
+            return state.map(item => {
+                if (item.id !== action.payload.id) return item;
+                const { updates } = action.payload;
+                const repriced = item.originalPrice && updates.price
+                    ? { originalPrice: updates.price, price: discountBy(updates.price, item.discountApplied) }
+                    : {};
+                return { ...item, ...updates, ...repriced, updatedAt: new Date().toISOString() };
+            });
         
         // CLEAR_ITEMS action: Removes all items
         case 'CLEAR_ITEMS':
             return [];
         
+        // CONVERT_CURRENCY action: Re-prices every item in another currency
+        case 'CONVERT_CURRENCY':
+            return state.map(item => {
+                if (!item.originalPrice) {
+                    return { ...item, price: convert(item.price, action.payload.currency) };
+                }
+                // Re-apply the discount so price and original price stay consistent
+                const originalPrice = convert(item.originalPrice, action.payload.currency);
+                return { ...item, originalPrice, price: discountBy(originalPrice, item.discountApplied) };
+            });
+        
         // APPLY_DISCOUNT action: Applies discount to specific item
         case 'APPLY_DISCOUNT':
             return state.map(item =>
@@ -47,7 +77,8 @@ const billingReducer = (state, action) => {
                     ? { 
                         ...item, 
                         originalPrice: item.originalPrice || item.price,
-                        price: (item.originalPrice || item.price) * (1 - action.payload.discount)
+                        price: discountBy(item.originalPrice || item.price, action.payload.discount),
+                        discountApplied: action.payload.discount
                       }
                     : item
             );
@@ -68,6 +99,7 @@ const billingReducer = (state, action) => {
  * 3. Combining useReducer with useState for form inputs
  * 4. Complex business logic handled by reducer
  * 5. Multiple action types for different operations
+ * 6. Inline quantity and row edits dispatched as UPDATE_ITEM
  * 
  * useReducer Benefits:
  * - Better for complex state logic
@@ -84,6 +116,22 @@ const BillingUseReducer = () => {
     // useState for form inputs - simple state that doesn't need reducer
     const [name, setName] = useState('');
     const [price, setPrice] = useState('');
+    const [qty, setQty] = useState('1');
+    const [unit, setUnit] = useState(DEFAULT_UNIT);
+    const [category, setCategory] = useState('general');
+    const [taxable, setTaxable] = useState(true);
+    
+    // ID of the item being edited inline (null when no row is open)
+    const [editingItemId, setEditingItemId] = useState(null);
+    
+    // Currency for the bill - the reducer converts item prices when it changes
+    const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+    
+    // Tax configuration shared with the cart pages and Redux billing
+    const taxConfig = useSelector((state) => state.tax);
+    
+    // Categories with their own tax rates, plus the default 'general'
+    const categories = ['general', ...Object.keys(taxConfig.categoryRates)];
     
     // Get notification function from context
     const showNotification = useNotification();
@@ -95,33 +143,41 @@ const BillingUseReducer = () => {
     const addItem = () => { 
         // Input validation
         const itemName = name.trim();
-        const itemPrice = parseFloat(price);
+        const itemPrice = fromMajor(price, currency); // Exact minor units, or null if not a number
+        const itemQty = parseQuantity(qty); // Positive number, or null if not valid
         
-        if (itemName && itemPrice > 0) { 
+        if (itemName && itemPrice?.amount > 0 && itemQty) { 
             // Dispatch action to reducer
             dispatch({ 
                 type: 'ADD_ITEM', 
                 payload: { 
                     id: Date.now(),
                     name: itemName, 
-                    price: itemPrice,
+                    price: itemPrice, // Per unit
+                    qty: itemQty,
+                    unit,
                     addedAt: new Date().toISOString(),
-                    category: 'general' // Additional metadata
+                    category, // Selects the tax rates
+                    taxable   // false = tax exempt
                 } 
             }); 
             
             // Show success notification
-            showNotification(`${itemName} added to bill - $${itemPrice.toFixed(2)}`); 
+            showNotification(`${itemName} added to bill - ${itemQty} × ${formatMoney(itemPrice)}`); 
             
             // Clear form inputs
             setName(''); 
             setPrice(''); 
+            setQty('1');
+            setTaxable(true);
         } else {
             // Show validation error
             if (!itemName) {
                 showNotification('Please enter an item name!');
-            } else if (itemPrice <= 0) {
+            } else if (!itemPrice || itemPrice.amount <= 0) {
                 showNotification('Please enter a valid price greater than 0!');
+            } else {
+                showNotification('Please enter a quantity greater than 0 (up to 3 decimals)!');
             }
         }
     };
@@ -138,6 +194,38 @@ const BillingUseReducer = () => {
         showNotification('Item removed from bill');
     };
     
+    /**
+     * Function to change an item's quantity
+     * Dispatches UPDATE_ITEM with just the changed field
+     * 
+     * @param {number} itemId - Item to change
+     * @param {number} newQty - Validated quantity from QuantityInput
+     */
+    const changeQuantity = (itemId, newQty) => {
+        dispatch({
+            type: 'UPDATE_ITEM',
+            payload: { id: itemId, updates: { qty: newQty } }
+        });
+    };
+    
+    /**
+     * Function to save an inline item edit
+     * Dispatches UPDATE_ITEM with the changed fields
+     * 
+     * @param {Object} item - Item being edited
+     * @param {Object} updates - Changed fields from ItemEditor
+     */
+    const saveItem = (item, updates) => {
+        if (Object.keys(updates).length > 0) {
+            dispatch({
+                type: 'UPDATE_ITEM',
+                payload: { id: item.id, updates }
+            });
+            showNotification(`${updates.name || item.name} updated`);
+        }
+        setEditingItemId(null);
+    };
+    
     /**
      * Function to clear all billing items
      * Dispatches CLEAR_ITEMS action
@@ -149,6 +237,17 @@ const BillingUseReducer = () => {
         }
     };
     
+    /**
+     * Function to switch the bill to another currency
+     * Dispatches CONVERT_CURRENCY so existing items are re-priced
+     * 
+     * @param {string} newCurrency - Currency code to switch to
+     */
+    const changeCurrency = (newCurrency) => {
+        dispatch({ type: 'CONVERT_CURRENCY', payload: { currency: newCurrency } });
+        setCurrency(newCurrency);
+    };
+    
     /**
      * Function to apply discount to item
      * Demonstrates complex business logic in reducer
@@ -173,10 +272,9 @@ const BillingUseReducer = () => {
         }
     };
     
-    // Calculate billing totals using reduce
-    const subtotal = items.reduce((sum, item) => sum + item.price, 0);
-    const tax = subtotal * 0.08; // 8% tax
-    const grandTotal = subtotal + tax;
+    // Calculate billing totals through the shared tax engine
+    // Each item's category selects its rates; taxable: false items are exempt
+    const { subtotal, taxes, total: grandTotal } = calculateTotals(toTaxLines(items), taxConfig, currency);
     
     // JSX Return - Component Rendering
     return (
@@ -185,15 +283,19 @@ const BillingUseReducer = () => {
             <div className="card mb-4">
                 <div className="card-header d-flex justify-content-between align-items-center">
                     <h4 className="mb-0">Add Billing Item (useReducer)</h4>
-                    {/* Clear All Button */}
-                    {items.length > 0 && (
-                        <button 
-                            onClick={clearAllItems}
-                            className="btn btn-outline-danger btn-sm"
-                        >
-                            Clear All
-                        </button>
-                    )}
+                    <div className="d-flex gap-2">
+                        {/* Currency Picker - converts existing items */}
+                        <CurrencySelect value={currency} onChange={changeCurrency} />
+                        {/* Clear All Button */}
+                        {items.length > 0 && (
+                            <button 
+                                onClick={clearAllItems}
+                                className="btn btn-outline-danger btn-sm"
+                            >
+                                Clear All
+                            </button>
+                        )}
+                    </div>
                 </div>
                 <div className="card-body">
                     {/* Bootstrap Row for Form Layout */}
@@ -219,17 +321,73 @@ const BillingUseReducer = () => {
                                 type="number" 
                                 step="0.01"
                                 min="0"
-                                placeholder="Price ($)" 
+                                placeholder={`Unit price (${currency})`} 
                                 className="form-control"
                             />
                         </div>
                         
+                        {/* Quantity Input */}
+                        <div className="col-sm-2">
+                            <input 
+                                value={qty}
+                                onChange={(e) => setQty(e.target.value)}
+                                onKeyPress={handleKeyPress}
+                                type="number" 
+                                step="any"
+                                min="0"
+                                placeholder="Qty" 
+                                aria-label="Quantity"
+                                className="form-control"
+                            />
+                        </div>
+                        
+                        {/* Unit of Measure Select */}
+                        <div className="col-sm-2">
+                            <select 
+                                value={unit}
+                                onChange={(e) => setUnit(e.target.value)}
+                                aria-label="Unit"
+                                className="form-select"
+                            >
+                                {UNITS.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        {/* Tax Category Select */}
+                        <div className="col-sm">
+                            <select 
+                                value={category}
+                                onChange={(e) => setCategory(e.target.value)}
+                                className="form-select text-capitalize"
+                            >
+                                {categories.map(cat => (
+                                    <option key={cat} value={cat}>{cat}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        {/* Taxable Checkbox */}
+                        <div className="col-sm-auto d-flex align-items-center">
+                            <div className="form-check">
+                                <input 
+                                    id="taxable-reducer"
+                                    type="checkbox"
+                                    checked={taxable}
+                                    onChange={(e) => setTaxable(e.target.checked)}
+                                    className="form-check-input"
+                                />
+                                <label htmlFor="taxable-reducer" className="form-check-label">Taxable</label>
+                            </div>
+                        </div>
+                        
                         {/* Add Button */}
                         <div className="col-sm-auto">
                             <button 
                                 onClick={addItem} 
                                 className="btn btn-primary"
-                                disabled={!name.trim() || !price || parseFloat(price) <= 0}
+                                disabled={!name.trim() || !price || parseFloat(price) <= 0 || !parseQuantity(qty)}
                             >
                                 Add Item
                             </button>
@@ -254,51 +412,91 @@ const BillingUseReducer = () => {
                                     key={item.id} 
                                     className="list-group-item bg-transparent"
                                 >
-                                    <div className="d-flex justify-content-between align-items-center">
-                                        <div>
-                                            {/* Item Name */}
-                                            <span className="fw-medium">{item.name}</span>
+                                    {/* Inline Editor - replaces the row while it is being edited */}
+                                    {editingItemId === item.id ? (
+                                        <ItemEditor
+                                            item={item}
+                                            price={item.originalPrice || item.price}
+                                            categories={categories}
+                                            onSave={(updates) => saveItem(item, updates)}
+                                            onCancel={() => setEditingItemId(null)}
+                                            onError={showNotification}
+                                        />
+                                    ) : (
+                                        <div className="d-flex justify-content-between align-items-center">
+                                            <div>
+                                                {/* Item Name */}
+                                                <span className="fw-medium">{item.name}</span>
                                             
-                                            {/* Item Metadata */}
-                                            <div className="small text-muted">
-                                                Added: {new Date(item.addedAt).toLocaleTimeString()}
-                                                {item.originalPrice && (
-                                                    <span className="ms-2 text-success">
-                                                        (Discounted from ${item.originalPrice.toFixed(2)})
-                                                    </span>
-                                                )}
+                                                {/* Item Metadata */}
+                                                <div className="small text-muted">
+                                                    Added: {new Date(item.addedAt).toLocaleTimeString()}
+                                                    {item.updatedAt && (
+                                                        <span className="badge bg-info text-dark ms-2" title={`Last edited ${new Date(item.updatedAt).toLocaleString()}`}>
+                                                            Edited
+                                                        </span>
+                                                    )}
+                                                    <span className="badge bg-light text-dark ms-2 text-capitalize">{item.category}</span>
+                                                    {item.taxable === false && (
+                                                        <span className="badge bg-warning text-dark ms-1">Tax exempt</span>
+                                                    )}
+                                                    {item.originalPrice && (
+                                                        <span className="ms-2 text-success">
+                                                            (Discounted from {formatMoney(item.originalPrice)})
+                                                        </span>
+                                                    )}
+                                                </div>
                                             </div>
-                                        </div>
                                         
-                                        <div className="d-flex align-items-center">
-                                            {/* Item Price */}
-                                            <span className="me-2 fw-bold">
-                                                ${item.price.toFixed(2)}
-                                            </span>
+                                            <div className="d-flex align-items-center">
+                                                {/* Quantity x Unit Price */}
+                                                <QuantityInput
+                                                    value={item.qty}
+                                                    onChange={(newQty) => changeQuantity(item.id, newQty)}
+                                                    label={`Quantity of ${item.name}`}
+                                                />
+                                                <span className="ms-1 me-3 small text-muted text-nowrap">
+                                                    {item.unit} × {formatMoney(item.price)}
+                                                </span>
+                                            
+                                                {/* Line Total */}
+                                                <span className="me-2 fw-bold">
+                                                    {formatMoney(lineTotal(item))}
+                                                </span>
                                             
-                                            {/* Action Buttons */}
-                                            <div className="btn-group btn-group-sm">
-                                                {/* Apply 10% Discount */}
-                                                <button
-                                                    onClick={() => applyDiscount(item.id, 10)}
-                                                    className="btn btn-outline-success"
-                                                    title="Apply 10% discount"
-                                                    disabled={!!item.originalPrice}
-                                                >
-                                                    -10%
-                                                </button>
+                                                {/* Action Buttons */}
+                                                <div className="btn-group btn-group-sm">
+                                                    {/* Apply 10% Discount */}
+                                                    <button
+                                                        onClick={() => applyDiscount(item.id, 10)}
+                                                        className="btn btn-outline-success"
+                                                        title="Apply 10% discount"
+                                                        disabled={!!item.originalPrice}
+                                                    >
+                                                        -10%
+                                                    </button>
+                                                
+                                                    {/* Edit Button */}
+                                                    <button
+                                                        onClick={() => setEditingItemId(item.id)}
+                                                        className="btn btn-outline-secondary"
+                                                        title="Edit item"
+                                                    >
+                                                        ✎
+                                                    </button>
                                                 
-                                                {/* Remove Button */}
-                                                <button
-                                                    onClick={() => removeItem(item.id)}
-                                                    className="btn btn-outline-danger"
-                                                    title="Remove item"
-                                                >
-                                                    ✕
-                                                </button>
+                                                    {/* Remove Button */}
+                                                    <button
+                                                        onClick={() => removeItem(item.id)}
+                                                        className="btn btn-outline-danger"
+                                                        title="Remove item"
+                                                    >
+                                                        ✕
+                                                    </button>
+                                                </div>
                                             </div>
                                         </div>
-                                    </div>
+                                    )}
                                 </li>
                             ))
                         ) : (
@@ -318,21 +516,26 @@ const BillingUseReducer = () => {
                                     {/* Subtotal */}
                                     <div className="d-flex justify-content-between">
                                         <span>Subtotal:</span>
-                                        <span>${subtotal.toFixed(2)}</span>
+                                        <span>{formatMoney(subtotal)}</span>
                                     </div>
                                     
-                                    {/* Tax */}
-                                    <div className="d-flex justify-content-between text-muted">
-                                        <span>Tax (8%):</span>
-                                        <span>${tax.toFixed(2)}</span>
-                                    </div>
+                                    {/* Taxes - one line per named rate */}
+                                    {taxes.map(tax => (
+                                        <div key={tax.id} className="d-flex justify-content-between text-muted">
+                                            <span>{tax.label} ({formatRate(tax.rate)}):</span>
+                                            <span>{formatMoney(tax.amount)}</span>
+                                        </div>
+                                    ))}
+                                    {taxConfig.pricesIncludeTax && (
+                                        <div className="small text-muted text-end">Prices include tax</div>
+                                    )}
                                     
                                     <hr />
                                     
                                     {/* Grand Total */}
                                     <div className="d-flex justify-content-between fs-5 fw-bold">
                                         <span>Total:</span>
-                                        <span>${grandTotal.toFixed(2)}</span>
+                                        <span>{formatMoney(grandTotal)}</span>
                                     </div>
                                 </div>
                             </div>
@@ -2,6 +2,20 @@
 import React, { useState } from 'react';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
+// Import useSelector to read the shared tax configuration from Redux
+import { useSelector } from 'react-redux';
+// Import the shared tax engine
+import { calculateTotals, formatRate } from '../../utils/tax';
+// Import exact money helpers for parsing and display
+import { fromMajor, formatMoney, DEFAULT_CURRENCY } from '../../utils/money';
+// Import currency conversion for switching the bill's currency
+import { convert } from '../../utils/currency';
+// Import quantity parsing, units and line totals
+import { parseQuantity, lineTotal, toTaxLines, UNITS, DEFAULT_UNIT } from '../../utils/lineItems';
+// Import shared currency picker
+import CurrencySelect from '../../components/CurrencySelect';
+// Import inline quantity editor
+import QuantityInput from './QuantityInput';
 
 /**
  * BillingUseState Component
@@ -14,9 +28,10 @@ import { useNotification } from '../../context/NotificationContext';
  * 4. Array state updates with spread operator
  * 5. Calculated values (total) derived from state
  * 6. Input validation and error handling
+ * 7. Updating one array element immutably with map (inline quantity edits)
  * 
  * Business Logic:
- * - Add billing items with name and price
+ * - Add billing items with name, unit price, quantity and unit
  * - Calculate running total automatically
  * - Validate inputs before adding items
  * - Clear form after successful submission
@@ -28,6 +43,19 @@ const BillingUseState = () => {
     // useState for form inputs - controlled components
     const [name, setName] = useState('');
     const [price, setPrice] = useState('');
+    const [qty, setQty] = useState('1');
+    const [unit, setUnit] = useState(DEFAULT_UNIT);
+    const [category, setCategory] = useState('general');
+    const [taxable, setTaxable] = useState(true);
+    
+    // useState for the bill's currency - every item price is in this currency
+    const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+    
+    // Tax configuration shared with the cart pages and Redux billing
+    const taxConfig = useSelector((state) => state.tax);
+    
+    // Categories with their own tax rates, plus the default 'general'
+    const categories = ['general', ...Object.keys(taxConfig.categoryRates)];
     
     // Get notification function from context
     const showNotification = useNotification();
@@ -39,33 +67,42 @@ const BillingUseState = () => {
     const addItem = () => { 
         // Input validation
         const itemName = name.trim();
-        const itemPrice = parseFloat(price);
+        const itemPrice = fromMajor(price, currency); // Exact minor units, or null if not a number
+        const itemQty = parseQuantity(qty); // Positive number, or null if not valid
         
         // Check if name is provided and price is valid positive number
-        if (itemName && itemPrice > 0) { 
+        if (itemName && itemPrice?.amount > 0 && itemQty) { 
             // Update items array using functional state update
             setItems(currentItems => [
                 ...currentItems, 
                 { 
                     id: Date.now(), // Simple ID generation
                     name: itemName, 
-                    price: itemPrice,
-                    addedAt: new Date().toISOString() // Add timestamp
+                    price: itemPrice, // Per unit
+                    qty: itemQty,
+                    unit,
+                    addedAt: new Date().toISOString(), // Add timestamp
+                    category, // Selects the tax rates
+                    taxable   // false = tax exempt
                 }
             ]); 
             
             // Show success notification
-            showNotification(`${itemName} added to bill - $${itemPrice.toFixed(2)}`); 
+            showNotification(`${itemName} added to bill - ${itemQty} × ${formatMoney(itemPrice)}`); 
             
             // Clear form inputs
             setName(''); 
             setPrice(''); 
+            setQty('1');
+            setTaxable(true);
         } else {
             // Show validation error
             if (!itemName) {
                 showNotification('Please enter an item name!');
-            } else if (itemPrice <= 0) {
+            } else if (!itemPrice || itemPrice.amount <= 0) {
                 showNotification('Please enter a valid price greater than 0!');
+            } else {
+                showNotification('Please enter a quantity greater than 0 (up to 3 decimals)!');
             }
         }
     };
@@ -81,6 +118,19 @@ const BillingUseState = () => {
         showNotification('Item removed from bill');
     };
     
+    /**
+     * Function to change an item's quantity
+     * Replaces just that item in the array with map
+     * 
+     * @param {number} itemId - Item to change
+     * @param {number} newQty - Validated quantity from QuantityInput
+     */
+    const changeQuantity = (itemId, newQty) => {
+        setItems(currentItems => currentItems.map(item =>
+            item.id === itemId ? { ...item, qty: newQty } : item
+        ));
+    };
+    
     /**
      * Function to clear entire bill
      * Resets items array to empty state
@@ -92,6 +142,20 @@ const BillingUseState = () => {
         }
     };
     
+    /**
+     * Function to switch the bill to another currency
+     * Converts every item price with the local exchange-rate table
+     * 
+     * @param {string} newCurrency - Currency code to switch to
+     */
+    const changeCurrency = (newCurrency) => {
+        setItems(currentItems => currentItems.map(item => ({
+            ...item,
+            price: convert(item.price, newCurrency)
+        })));
+        setCurrency(newCurrency);
+    };
+    
     /**
      * Handle Enter key press for form submission
      * Allows users to add items by pressing Enter
@@ -102,14 +166,9 @@ const BillingUseState = () => {
         }
     };
     
-    // Calculated value - total bill amount
-    // Uses reduce to sum all item prices
-    const total = items.reduce((accumulator, item) => accumulator + item.price, 0);
-    
-    // Calculate additional billing details
-    const subtotal = total;
-    const tax = total * 0.08; // 8% tax
-    const grandTotal = subtotal + tax;
+    // Calculated values - derived from items through the shared tax engine
+    // Each item's category selects its rates; taxable: false items are exempt
+    const { subtotal, taxes, total: grandTotal } = calculateTotals(toTaxLines(items), taxConfig, currency);
     
     // JSX Return - Component Rendering
     return (
@@ -118,15 +177,19 @@ const BillingUseState = () => {
             <div className="card mb-4">
                 <div className="card-header d-flex justify-content-between align-items-center">
                     <h4 className="mb-0">Add Billing Item (useState)</h4>
-                    {/* Clear All Button */}
-                    {items.length > 0 && (
-                        <button 
-                            onClick={clearBill}
-                            className="btn btn-outline-danger btn-sm"
-                        >
-                            Clear Bill
-                        </button>
-                    )}
+                    <div className="d-flex gap-2">
+                        {/* Currency Picker - converts existing items */}
+                        <CurrencySelect value={currency} onChange={changeCurrency} />
+                        {/* Clear All Button */}
+                        {items.length > 0 && (
+                            <button 
+                                onClick={clearBill}
+                                className="btn btn-outline-danger btn-sm"
+                            >
+                                Clear Bill
+                            </button>
+                        )}
+                    </div>
                 </div>
                 <div className="card-body">
                     {/* Bootstrap Row for Form Layout */}
@@ -152,17 +215,73 @@ const BillingUseState = () => {
                                 type="number" 
                                 step="0.01"
                                 min="0"
-                                placeholder="Price ($)" 
+                                placeholder={`Unit price (${currency})`} 
+                                className="form-control"
+                            />
+                        </div>
+                        
+                        {/* Quantity Input */}
+                        <div className="col-sm-2">
+                            <input 
+                                value={qty}
+                                onChange={(e) => setQty(e.target.value)}
+                                onKeyPress={handleKeyPress}
+                                type="number" 
+                                step="any"
+                                min="0"
+                                placeholder="Qty" 
+                                aria-label="Quantity"
                                 className="form-control"
                             />
                         </div>
                         
+                        {/* Unit of Measure Select */}
+                        <div className="col-sm-2">
+                            <select 
+                                value={unit}
+                                onChange={(e) => setUnit(e.target.value)}
+                                aria-label="Unit"
+                                className="form-select"
+                            >
+                                {UNITS.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        {/* Tax Category Select */}
+                        <div className="col-sm">
+                            <select 
+                                value={category}
+                                onChange={(e) => setCategory(e.target.value)}
+                                className="form-select text-capitalize"
+                            >
+                                {categories.map(cat => (
+                                    <option key={cat} value={cat}>{cat}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
+                        {/* Taxable Checkbox */}
+                        <div className="col-sm-auto d-flex align-items-center">
+                            <div className="form-check">
+                                <input 
+                                    id="taxable-state"
+                                    type="checkbox"
+                                    checked={taxable}
+                                    onChange={(e) => setTaxable(e.target.checked)}
+                                    className="form-check-input"
+                                />
+                                <label htmlFor="taxable-state" className="form-check-label">Taxable</label>
+                            </div>
+                        </div>
+                        
                         {/* Add Button */}
                         <div className="col-sm-auto">
                             <button 
                                 onClick={addItem} 
                                 className="btn btn-primary"
-                                disabled={!name.trim() || !price || parseFloat(price) <= 0}
+                                disabled={!name.trim() || !price || parseFloat(price) <= 0 || !parseQuantity(qty)}
                             >
                                 Add Item
                             </button>
@@ -193,12 +312,26 @@ const BillingUseState = () => {
                                         {/* Item Metadata */}
                                         <div className="small text-muted">
                                             Added: {new Date(item.addedAt).toLocaleTimeString()}
+                                            <span className="badge bg-light text-dark ms-2 text-capitalize">{item.category}</span>
+                                            {item.taxable === false && (
+                                                <span className="badge bg-warning text-dark ms-1">Tax exempt</span>
+                                            )}
                                         </div>
                                     </div>
                                     
                                     <div className="d-flex align-items-center">
-                                        {/* Item Price */}
-                                        <span className="me-2">${item.price.toFixed(2)}</span>
+                                        {/* Quantity x Unit Price */}
+                                        <QuantityInput
+                                            value={item.qty}
+                                            onChange={(newQty) => changeQuantity(item.id, newQty)}
+                                            label={`Quantity of ${item.name}`}
+                                        />
+                                        <span className="ms-1 me-3 small text-muted text-nowrap">
+                                            {item.unit} × {formatMoney(item.price)}
+                                        </span>
+                                        
+                                        {/* Line Total */}
+                                        <span className="me-2 fw-bold">{formatMoney(lineTotal(item))}</span>
                                         
                                         {/* Remove Button */}
                                         <button
@@ -228,21 +361,26 @@ const BillingUseState = () => {
                                     {/* Subtotal */}
                                     <div className="d-flex justify-content-between">
                                         <span>Subtotal:</span>
-                                        <span>${subtotal.toFixed(2)}</span>
+                                        <span>{formatMoney(subtotal)}</span>
                                     </div>
                                     
-                                    {/* Tax */}
-                                    <div className="d-flex justify-content-between text-muted">
-                                        <span>Tax (8%):</span>
-                                        <span>${tax.toFixed(2)}</span>
-                                    </div>
+                                    {/* Taxes - one line per named rate */}
+                                    {taxes.map(tax => (
+                                        <div key={tax.id} className="d-flex justify-content-between text-muted">
+                                            <span>{tax.label} ({formatRate(tax.rate)}):</span>
+                                            <span>{formatMoney(tax.amount)}</span>
+                                        </div>
+                                    ))}
+                                    {taxConfig.pricesIncludeTax && (
+                                        <div className="small text-muted text-end">Prices include tax</div>
+                                    )}
                                     
                                     <hr />
                                     
                                     {/* Grand Total */}
                                     <div className="d-flex justify-content-between fs-5 fw-bold">
                                         <span>Total:</span>
-                                        <span>${grandTotal.toFixed(2)}</span>
+                                        <span>{formatMoney(grandTotal)}</span>
                                     </div>
                                 </div>
                             </div>
@@ -0,0 +1,173 @@
+// Import React library and useState hook for the new credit note form
+import React, { useState } from 'react';
+// Import Redux hooks for reading and issuing credit notes
+import { useDispatch, useSelector } from 'react-redux';
+// Import credit note action, selector and the statuses that can be credited
+import { issueCreditNote, selectAllCreditNotes, CREDITABLE_STATUSES } from '../../store/billingSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import credit note helpers for remaining quantities, lines, validation and totals
+import { creditableLines, buildCreditLines, validateCreditNote, creditNoteTotal } from '../../utils/creditNotes';
+// Import quantity parsing shared with the billing forms
+import { parseQuantity } from '../../utils/lineItems';
+// Import money formatting
+import { formatMoney } from '../../utils/money';
+
+/**
+ * CreditNotes Component
+ * Lists the credit notes issued against an invoice and issues new ones
+ *
+ * Key Concepts Demonstrated:
+ * 1. Reversing financial data instead of deleting it
+ * 2. Keyed object state - one quantity input per invoice line
+ * 3. Live preview of derived values (credit lines and totals) before dispatching
+ * 4. Reading a second collection (credit notes) that references the first by ID
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice being credited
+ */
+const CreditNotes = ({ invoice }) => {
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+  const creditNotes = useSelector(selectAllCreditNotes).filter(note => note.invoiceId === invoice.id);
+
+  // Quantity to credit per item ID (as typed) and the reason for the credit
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+
+  const creditable = CREDITABLE_STATUSES.includes(invoice.status);
+  const rows = creditableLines(invoice, creditNotes);
+
+  // Drafts are edited directly; void invoices were never credited
+  if (!creditable && creditNotes.length === 0) return null;
+
+  // Typed quantities that are not valid numbers
+  const invalidIds = Object.keys(quantities).filter(id => quantities[id] !== '' && !parseQuantity(quantities[id]));
+
+  // Preview of the credit note being prepared
+  const parsedQuantities = Object.fromEntries(
+    Object.entries(quantities).map(([id, value]) => [id, parseQuantity(value) || 0])
+  );
+  const lines = buildCreditLines(invoice, parsedQuantities, creditNotes);
+  // Credited at the rates the invoice was issued with, as the reducer does
+  const previewTotal = creditNoteTotal(lines, creditNotes, invoice.taxConfig, invoice.currency);
+
+  /**
+   * Fill every line with the quantity that can still be credited
+   */
+  const handleCreditAll = () => {
+    setQuantities(Object.fromEntries(rows.map(row => [row.item.id, String(row.remainingQty)])));
+  };
+
+  /**
+   * Validate and issue the credit note
+   */
+  const handleIssue = () => {
+    if (invalidIds.length > 0) {
+      showNotification('Please enter quantities greater than 0 (up to 3 decimals)!');
+      return;
+    }
+    const errors = validateCreditNote(invoice, { lines, reason }, creditNotes);
+    if (errors.length > 0) {
+      showNotification(errors[0]);
+      return;
+    }
+    reduxDispatch(issueCreditNote({ invoiceId: invoice.id, reason, lines }));
+    showNotification(`Credit note of ${formatMoney(previewTotal)} issued against ${invoice.number}`);
+    setQuantities({});
+    setReason('');
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="mb-0">Credit Notes</h5>
+        <small className="text-muted">
+          Issued invoices are never changed - lines are reversed with a credit note instead.
+        </small>
+      </div>
+      <div className="card-body">
+        {/* Issued Credit Notes */}
+        {creditNotes.map(note => (
+          <div key={note.id} className="border rounded p-2 mb-2">
+            <div className="d-flex justify-content-between">
+              <span className="fw-bold">{note.number}</span>
+              <span className="text-danger fw-bold">-{formatMoney(note.total)}</span>
+            </div>
+            <div className="small text-muted">{note.issueDate} · {note.reason}</div>
+            <ul className="small mb-0 ps-3">
+              {note.lines.map(line => (
+                <li key={line.itemId}>
+                  {line.qty} {line.unit} × {line.description}: -{formatMoney(line.amount)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        {/* New Credit Note Form */}
+        {creditable && (
+          <>
+            <div className="table-responsive">
+              <table className="table table-sm align-middle mb-2">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th className="text-end">Invoiced</th>
+                    <th className="text-end">Credited</th>
+                    <th style={{ width: '8rem' }}>Credit Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ item, creditedQty, remainingQty }) => (
+                    <tr key={item.id} className={remainingQty === 0 ? 'text-muted' : ''}>
+                      <td>{item.name}</td>
+                      <td className="text-end">{item.qty ?? 1} {item.unit}</td>
+                      <td className="text-end">{creditedQty}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          max={remainingQty}
+                          step="any"
+                          value={quantities[item.id] ?? ''}
+                          onChange={(e) => setQuantities(current => ({ ...current, [item.id]: e.target.value }))}
+                          placeholder="0"
+                          aria-label={`Quantity of ${item.name} to credit`}
+                          className={`form-control form-control-sm ${invalidIds.includes(String(item.id)) ? 'is-invalid' : ''}`}
+                          disabled={remainingQty === 0}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="row g-2 align-items-end">
+              <div className="col-sm">
+                <label className="form-label small mb-0">Reason</label>
+                <input value={reason} onChange={(e) => setReason(e.target.value)}
+                  className="form-control form-control-sm" placeholder="e.g. Returned damaged goods" />
+              </div>
+              <div className="col-sm-auto">
+                <button onClick={handleCreditAll} className="btn btn-outline-secondary btn-sm">
+                  Credit Everything Left
+                </button>
+              </div>
+              <div className="col-sm-auto">
+                <button onClick={handleIssue} className="btn btn-warning btn-sm" disabled={lines.length === 0}>
+                  Issue Credit Note{lines.length > 0 && ` (-${formatMoney(previewTotal)})`}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default CreditNotes;
@@ -0,0 +1,346 @@
+// Import React library and useState hook for the new-rule form
+import React, { useState } from 'react';
+// Import Redux hooks for reading tax categories and dispatching rule actions
+import { useDispatch, useSelector } from 'react-redux';
+// Import discount rule action creators from billing slice
+import { addDiscountRule, updateDiscountRule, removeDiscountRule } from '../../store/billingSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import discount engine helpers for describing, ordering and validating rules
+import { DISCOUNT_TYPES, describeRule, orderRules, parseTiers, validateRule } from '../../utils/discounts';
+// Import money parsing for fixed-amount discounts
+import { fromMajor } from '../../utils/money';
+
+// Values of the new-rule form after adding a rule
+const EMPTY_FORM = {
+  label: '',
+  type: 'percentage',
+  scope: 'item',
+  percent: '',
+  amount: '',
+  buy: '2',
+  get: '1',
+  tiers: '',
+  target: 'all',
+  priority: '1',
+  stackable: true,
+};
+
+/**
+ * DiscountRules Component
+ * Lists an invoice's discount rules and adds new ones
+ *
+ * Key Concepts Demonstrated:
+ * 1. Building a structured rule object from a form, then validating it as a whole
+ * 2. Conditional form fields that depend on the selected rule type
+ * 3. Showing rules in the order the engine applies them
+ * 4. Inline toggles dispatching small updates (enabled, stackable, priority)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice whose rules are shown
+ */
+const DiscountRules = ({ invoice }) => {
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+  const taxConfig = useSelector((state) => state.tax);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  // Rules can only change while the invoice is a draft
+  const editable = invoice.status === 'draft';
+  const categories = ['general', ...Object.keys(taxConfig.categoryRates)];
+  const scopes = DISCOUNT_TYPES[form.type].scopes;
+
+  /**
+   * Update one form field from a named input
+   *
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(current => {
+      const next = { ...current, [name]: type === 'checkbox' ? checked : value };
+      // Some types only work on items - fall back to item scope
+      if (!DISCOUNT_TYPES[next.type].scopes.includes(next.scope)) next.scope = 'item';
+      return next;
+    });
+  };
+
+  /**
+   * Turn the "applies to" choice into a rule target
+   * 'all', 'category:<name>' or 'item:<id>'
+   *
+   * @returns {Object} - { category, itemIds }
+   */
+  const buildTarget = () => {
+    const [kind, value] = form.target.split(/:(.*)/);
+    if (kind === 'category') return { category: value, itemIds: [] };
+    if (kind === 'item') {
+      const item = invoice.items.find(candidate => String(candidate.id) === value);
+      return { category: null, itemIds: item ? [item.id] : [] };
+    }
+    return { category: null, itemIds: [] };
+  };
+
+  /**
+   * Validate the form as a rule and add it to the invoice
+   */
+  const handleAddRule = () => {
+    const percent = Number(form.percent);
+    const rule = {
+      label: form.label.trim(),
+      type: form.type,
+      scope: form.scope,
+      priority: Number(form.priority),
+      stackable: form.stackable,
+      ...(form.type === 'percentage' && { rate: form.percent === '' ? NaN : percent / 100 }),
+      ...(form.type === 'fixed' && { amount: fromMajor(form.amount, invoice.currency) }),
+      ...(form.type === 'buyXGetY' && { buy: Number(form.buy), get: Number(form.get) }),
+      ...(form.type === 'tiered' && { tiers: parseTiers(form.tiers) }),
+      ...(form.scope === 'item' && { target: buildTarget() }),
+    };
+
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+      showNotification(errors[0]);
+      return;
+    }
+    reduxDispatch(addDiscountRule({ invoiceId: invoice.id, rule }));
+    showNotification(`Discount added: ${rule.label || describeRule(rule)}`);
+    setForm(EMPTY_FORM);
+  };
+
+  /**
+   * Describe who a rule applies to
+   *
+   * @param {Object} rule - Discount rule
+   * @returns {string} - e.g. 'Whole invoice', 'Category: books', 'Widget'
+   */
+  const describeTarget = (rule) => {
+    if (rule.scope === 'invoice') return 'Whole invoice';
+    const { category, itemIds = [] } = rule.target || {};
+    if (itemIds.length > 0) {
+      return invoice.items.filter(item => itemIds.includes(item.id)).map(item => item.name).join(', ');
+    }
+    return category ? `Category: ${category}` : 'All items';
+  };
+
+  /**
+   * Dispatch a change to one rule
+   *
+   * @param {string} id - Rule ID
+   * @param {Object} updates - Fields to change
+   */
+  const updateRule = (id, updates) => {
+    reduxDispatch(updateDiscountRule({ invoiceId: invoice.id, id, updates }));
+  };
+
+  /**
+   * Save a typed priority once it is a whole number
+   *
+   * @param {string} id - Rule ID
+   * @param {string} value - Input value
+   */
+  const handlePriorityChange = (id, value) => {
+    if (value !== '' && Number.isInteger(Number(value))) {
+      updateRule(id, { priority: Number(value) });
+    }
+  };
+
+  // Rules in the order the engine applies them; disabled rules are listed last
+  const orderedRules = [...orderRules(invoice.discounts), ...invoice.discounts.filter(rule => rule.enabled === false)];
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="mb-0">Discounts</h5>
+        <small className="text-muted">
+          Item discounts apply before invoice discounts; lower priority numbers apply first.
+          Non-stackable rules never combine with other discounts.
+        </small>
+      </div>
+      <div className="card-body">
+        {/* Existing Rules */}
+        {orderedRules.length > 0 ? (
+          <div className="table-responsive mb-3">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Discount</th>
+                  <th>Applies To</th>
+                  <th style={{ width: '6rem' }}>Priority</th>
+                  <th>Stackable</th>
+                  <th>Enabled</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {orderedRules.map(rule => (
+                  <tr key={rule.id} className={rule.enabled === false ? 'text-muted' : ''}>
+                    <td>
+                      {rule.label || describeRule(rule)}
+                      {rule.label && <div className="small text-muted">{describeRule(rule)}</div>}
+                    </td>
+                    <td className="text-capitalize">{describeTarget(rule)}</td>
+                    <td>
+                      <input
+                        type="number"
+                        step="1"
+                        value={rule.priority}
+                        onChange={(e) => handlePriorityChange(rule.id, e.target.value)}
+                        aria-label="Priority"
+                        className="form-control form-control-sm"
+                        disabled={!editable}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={rule.stackable}
+                        onChange={(e) => updateRule(rule.id, { stackable: e.target.checked })}
+                        aria-label="Stackable"
+                        className="form-check-input"
+                        disabled={!editable}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled !== false}
+                        onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                        aria-label="Enabled"
+                        className="form-check-input"
+                        disabled={!editable}
+                      />
+                    </td>
+                    <td className="text-end">
+                      <button
+                        onClick={() => reduxDispatch(removeDiscountRule({ invoiceId: invoice.id, id: rule.id }))}
+                        className="btn btn-outline-danger btn-sm"
+                        title="Remove discount"
+                        disabled={!editable}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-muted">No discounts on this invoice.</p>
+        )}
+
+        {/* New Rule Form */}
+        {editable && (
+          <div className="row g-2 align-items-end">
+            <div className="col-sm-3">
+              <label className="form-label small mb-0">Type</label>
+              <select name="type" value={form.type} onChange={handleChange} className="form-select form-select-sm">
+                {Object.entries(DISCOUNT_TYPES).map(([type, { label }]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Type-specific value fields */}
+            {form.type === 'percentage' && (
+              <div className="col-sm-2">
+                <label className="form-label small mb-0">Percent</label>
+                <input name="percent" type="number" min="0" max="100" step="any" value={form.percent}
+                  onChange={handleChange} className="form-control form-control-sm" placeholder="10" />
+              </div>
+            )}
+            {form.type === 'fixed' && (
+              <div className="col-sm-2">
+                <label className="form-label small mb-0">
+                  Amount ({invoice.currency}){form.scope === 'item' && ' per unit'}
+                </label>
+                <input name="amount" type="number" min="0" step="0.01" value={form.amount}
+                  onChange={handleChange} className="form-control form-control-sm" placeholder="5.00" />
+              </div>
+            )}
+            {form.type === 'buyXGetY' && (
+              <>
+                <div className="col-sm-1">
+                  <label className="form-label small mb-0">Buy</label>
+                  <input name="buy" type="number" min="1" step="1" value={form.buy}
+                    onChange={handleChange} className="form-control form-control-sm" />
+                </div>
+                <div className="col-sm-1">
+                  <label className="form-label small mb-0">Get free</label>
+                  <input name="get" type="number" min="1" step="1" value={form.get}
+                    onChange={handleChange} className="form-control form-control-sm" />
+                </div>
+              </>
+            )}
+            {form.type === 'tiered' && (
+              <div className="col-sm-3">
+                <label className="form-label small mb-0">Tiers (qty:percent)</label>
+                <input name="tiers" value={form.tiers} onChange={handleChange}
+                  className="form-control form-control-sm" placeholder="10:5, 50:10" />
+              </div>
+            )}
+
+            <div className="col-sm-2">
+              <label className="form-label small mb-0">Scope</label>
+              <select name="scope" value={form.scope} onChange={handleChange} className="form-select form-select-sm">
+                <option value="item">Items</option>
+                {scopes.includes('invoice') && <option value="invoice">Whole invoice</option>}
+              </select>
+            </div>
+
+            {form.scope === 'item' && (
+              <div className="col-sm-3">
+                <label className="form-label small mb-0">Applies to</label>
+                <select name="target" value={form.target} onChange={handleChange} className="form-select form-select-sm">
+                  <option value="all">All items</option>
+                  <optgroup label="Category">
+                    {categories.map(category => (
+                      <option key={category} value={`category:${category}`}>{category}</option>
+                    ))}
+                  </optgroup>
+                  {invoice.items.length > 0 && (
+                    <optgroup label="Item">
+                      {invoice.items.map(item => (
+                        <option key={item.id} value={`item:${item.id}`}>{item.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+            )}
+
+            <div className="col-sm-3">
+              <label className="form-label small mb-0">Label (optional)</label>
+              <input name="label" value={form.label} onChange={handleChange}
+                className="form-control form-control-sm" placeholder="e.g. Spring sale" />
+            </div>
+
+            <div className="col-sm-1">
+              <label className="form-label small mb-0">Priority</label>
+              <input name="priority" type="number" step="1" value={form.priority}
+                onChange={handleChange} className="form-control form-control-sm" />
+            </div>
+
+            <div className="col-sm-auto">
+              <div className="form-check mb-1">
+                <input id="discount-stackable" name="stackable" type="checkbox" checked={form.stackable}
+                  onChange={handleChange} className="form-check-input" />
+                <label htmlFor="discount-stackable" className="form-check-label small">Stackable</label>
+              </div>
+            </div>
+
+            <div className="col-sm-auto">
+              <button onClick={handleAddRule} className="btn btn-primary btn-sm">Add Discount</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default DiscountRules;
@@ -0,0 +1,142 @@
+// Import React library for creating components
+import React from 'react';
+// Import screen and print styles for the document
+import './InvoiceDocument.css';
+
+/**
+ * InvoiceDocument Component
+ * Customer-facing invoice laid out like a printed A4 page
+ *
+ * Key Concepts Demonstrated:
+ * 1. Presentational component driven entirely by a view model prop
+ * 2. Print stylesheet (@media print) so the browser prints only the document
+ * 3. Same view model as the PDF export, so both outputs always agree
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.document - View model from buildInvoiceDocument()
+ */
+const InvoiceDocument = ({ document: doc }) => (
+  <article className="invoice-document border shadow-sm">
+    {/* Company Header and Invoice Title */}
+    <header className="d-flex justify-content-between mb-4">
+      <div>
+        <h4 className="mb-1">{doc.company.name}</h4>
+        <div className="small text-muted">
+          {doc.company.address.map(line => <div key={line}>{line}</div>)}
+          <div>{doc.company.email} · {doc.company.phone}</div>
+          <div>{doc.company.taxId}</div>
+        </div>
+      </div>
+      <div className="text-end">
+        <h2 className="mb-1">INVOICE</h2>
+        <div className="fw-bold">{doc.number}</div>
+        <div className="small">Issued: {doc.issueDate}</div>
+        <div className="small">Due: {doc.dueDate}</div>
+        {doc.stamp && (
+          <div className="invoice-stamp d-inline-block mt-2 text-uppercase text-secondary fw-bold">
+            {doc.stamp}
+          </div>
+        )}
+      </div>
+    </header>
+
+    {/* Customer Blocks */}
+    <section className="row mb-4">
+      <div className="col-6">
+        <div className="small text-uppercase text-muted fw-bold">Bill To</div>
+        <div className="fw-bold">{doc.billTo.name || '—'}</div>
+        {doc.billTo.email && <div>{doc.billTo.email}</div>}
+        <div style={{ whiteSpace: 'pre-line' }}>{doc.billTo.address}</div>
+      </div>
+      <div className="col-6">
+        <div className="small text-uppercase text-muted fw-bold">Ship To</div>
+        <div className="fw-bold">{doc.shipTo.name || doc.billTo.name || '—'}</div>
+        <div style={{ whiteSpace: 'pre-line' }}>{doc.shipTo.address || doc.billTo.address}</div>
+      </div>
+    </section>
+
+    {/* Line Items */}
+    <table className="table table-sm">
+      <thead className="table-light">
+        <tr>
+          <th>Description</th>
+          <th className="text-end">Qty</th>
+          <th className="text-end">Unit Price</th>
+          <th className="text-end">Discount</th>
+          <th className="text-end">Amount</th>
+        </tr>
+      </thead>
+      <tbody>
+        {doc.lines.map(line => (
+          <tr key={line.id}>
+            <td>
+              {line.description}
+              <div className="small text-muted text-capitalize">
+                {line.category}{line.taxExempt && ' · tax exempt'}
+              </div>
+              {line.discounts.map(discount => (
+                <div key={discount.id} className="small text-muted">
+                  {discount.label}: -{discount.amount}
+                </div>
+              ))}
+            </td>
+            <td className="text-end">{line.quantity}</td>
+            <td className="text-end">{line.unitPrice}</td>
+            <td className="text-end">{line.discount && `-${line.discount}`}</td>
+            <td className="text-end">{line.amount}</td>
+          </tr>
+        ))}
+        {doc.lines.length === 0 && (
+          <tr>
+            <td colSpan="5" className="text-center text-muted">No items</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+
+    {/* Totals */}
+    <section className="invoice-totals row">
+      <div className="col-6 offset-6">
+        {doc.invoiceDiscounts.length > 0 && (
+          <>
+            <div className="d-flex justify-content-between">
+              <span>Items</span>
+              <span>{doc.itemsTotal}</span>
+            </div>
+            {doc.invoiceDiscounts.map(discount => (
+              <div key={discount.id} className="d-flex justify-content-between">
+                <span>{discount.label}</span>
+                <span>-{discount.amount}</span>
+              </div>
+            ))}
+          </>
+        )}
+        <div className="d-flex justify-content-between">
+          <span>Subtotal</span>
+          <span>{doc.subtotal}</span>
+        </div>
+        {doc.taxes.map(tax => (
+          <div key={tax.id} className="d-flex justify-content-between text-muted">
+            <span>{tax.label}</span>
+            <span>{tax.amount}</span>
+          </div>
+        ))}
+        <div className="d-flex justify-content-between fw-bold fs-5 border-top mt-1 pt-1">
+          <span>Total ({doc.currency})</span>
+          <span>{doc.total}</span>
+        </div>
+        {doc.pricesIncludeTax && <div className="small text-muted text-end">Prices include tax</div>}
+      </div>
+    </section>
+
+    {/* Payment Terms */}
+    <footer className="mt-4 pt-3 border-top small">
+      <div className="fw-bold">Payment Terms</div>
+      <div>{doc.paymentTerms}</div>
+      <div className="text-muted">Please quote {doc.number} with your payment. Thank you for your business!</div>
+    </footer>
+  </article>
+);
+
+// Export component as default export
+export default InvoiceDocument;
@@ -0,0 +1,80 @@
+// Import React library for creating components
+import React from 'react';
+// Import useSelector hook for reading the invoice and tax settings
+import { useSelector } from 'react-redux';
+// Import router helpers for the invoice ID and the back link
+import { Link, useParams } from 'react-router-dom';
+// Import invoice selector and the tax configuration it is priced with from billing slice
+import { selectInvoiceById, invoiceTaxConfig } from '../../store/billingSlice';
+// Import document view model and PDF renderer
+import { buildInvoiceDocument, invoiceToPdf } from '../../utils/invoiceDocument';
+// Import file download helper
+import { downloadBlob } from '../../utils/download';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import the printable invoice layout
+import InvoiceDocument from './InvoiceDocument';
+
+/**
+ * InvoiceDocumentPage Component
+ * Print preview of one invoice with print and PDF download actions
+ *
+ * Key Concepts Demonstrated:
+ * 1. useParams for reading the invoice ID from the URL
+ * 2. Deriving a view model from Redux state during render
+ * 3. Browser printing with window.print() and a print stylesheet
+ * 4. Client-side file generation and download (PDF Blob)
+ */
+const InvoiceDocumentPage = () => {
+  const { id } = useParams();
+  const invoice = useSelector((state) => selectInvoiceById(state, id));
+  const liveTaxConfig = useSelector((state) => state.tax);
+  const showNotification = useNotification();
+
+  // Unknown invoice ID in the URL
+  if (!invoice) {
+    return (
+      <div className="alert alert-warning">
+        Invoice not found. <Link to="/billing/redux/invoices">Back to all invoices</Link>
+      </div>
+    );
+  }
+
+  // Issued invoices are printed with the tax configuration frozen when they left draft
+  const taxConfig = invoiceTaxConfig(invoice, liveTaxConfig);
+
+  /**
+   * Generate the PDF and save it as <invoice number>.pdf
+   * Amounts use currency codes because the PDF fonts have no ₹ glyph
+   */
+  const handleDownloadPdf = () => {
+    downloadBlob(invoiceToPdf(buildInvoiceDocument(invoice, taxConfig, 'code')), `${invoice.number}.pdf`);
+    showNotification(`${invoice.number}.pdf downloaded`);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="container-fluid">
+      {/* Toolbar - hidden when printing */}
+      <div className="d-flex justify-content-between align-items-center mb-3 d-print-none">
+        <Link to={`/billing/redux/invoices/${invoice.id}`} className="btn btn-outline-secondary btn-sm">
+          ← Back to Invoice
+        </Link>
+        <div className="btn-group btn-group-sm">
+          <button onClick={() => window.print()} className="btn btn-outline-primary">
+            Print
+          </button>
+          <button onClick={handleDownloadPdf} className="btn btn-primary">
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      {/* Printable Document */}
+      <InvoiceDocument document={buildInvoiceDocument(invoice, taxConfig)} />
+    </div>
+  );
+};
+
+// Export component as default export
+export default InvoiceDocumentPage;
@@ -0,0 +1,367 @@
+// Import React library and useState hook for the void confirmation
+import React, { useState } from 'react';
+// Import Redux hooks for sending actions and reading the customer directory
+import { useDispatch, useSelector } from 'react-redux';
+// Import router helpers for opening new invoices and the printable document
+import { Link, useNavigate } from 'react-router-dom';
+// Import invoice action creators and status machine helpers
+import {
+  updateInvoiceDetails,
+  updateCustomer,
+  setInvoiceCustomer,
+  setInvoiceStatus,
+  voidInvoice,
+  newInvoice,
+  setInvoiceCurrency,
+  canTransition,
+  formatStatus,
+} from '../../store/billingSlice';
+// Import customer directory selector and address formatter for the bill-to picker
+import { selectAllCustomers } from '../../store/customersSlice';
+import { formatCustomerAddress } from '../../utils/customers';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import shared currency picker
+import CurrencySelect from '../../components/CurrencySelect';
+// Import status badge shared with the invoice list
+import InvoiceStatusBadge from './InvoiceStatusBadge';
+
+// Buttons offered for moving the invoice to another status
+// Paid and partially paid come from recording payments, not from a button;
+// Void asks for a reason first (see handleVoid)
+const STATUS_ACTIONS = [
+  { status: 'sent', label: 'Mark as Sent', className: 'btn-outline-primary' },
+];
+
+/**
+ * InvoiceHeader Component
+ * Invoice number, customer, dates and status controls for BillingRedux
+ *
+ * Key Concepts Demonstrated:
+ * 1. Controlled inputs bound directly to Redux state
+ * 2. State machine guarded both in the UI and in the reducer
+ * 3. Business-rule validation before dispatching actions
+ * 4. Read-only rendering once an invoice leaves draft status
+ * 5. Two-step confirmation - voiding needs a reason and is never undone
+ * 6. Reading another slice - the bill-to customer can be picked from the directory,
+ *    and the tax settings are passed along to be frozen when the invoice is issued
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice being displayed
+ */
+const InvoiceHeader = ({ invoice }) => {
+  const reduxDispatch = useDispatch();
+  const navigate = useNavigate();
+  const showNotification = useNotification();
+  const customers = useSelector(selectAllCustomers);
+  // Current tax settings - frozen onto the invoice when it leaves draft
+  const taxConfig = useSelector((state) => state.tax);
+  const invoiceId = invoice.id;
+
+  // Void confirmation - null while closed, otherwise the reason being typed
+  const [voidReason, setVoidReason] = useState(null);
+
+  // Header fields can only be edited while the invoice is a draft
+  const editable = invoice.status === 'draft';
+  const { billTo, shipTo } = invoice.customer;
+
+  // Directory customer the invoice is linked to - issued invoices keep the link
+  // after the customer is deleted, so it may no longer exist
+  const linkedCustomer = customers.find(customer => customer.id === invoice.customerId);
+
+  /**
+   * Update a bill-to or ship-to field
+   *
+   * @param {string} party - 'billTo' or 'shipTo'
+   * @param {Event} e - Change event from a named input
+   */
+  const handleCustomerChange = (party, e) => {
+    reduxDispatch(updateCustomer({ invoiceId, party, updates: { [e.target.name]: e.target.value } }));
+  };
+
+  /**
+   * Copy a directory customer into bill-to, or unlink the invoice from the directory
+   *
+   * @param {Event} e - Change event from the customer picker
+   */
+  const handlePickCustomer = (e) => {
+    const customer = customers.find(entry => entry.id === e.target.value);
+    if (!customer) {
+      reduxDispatch(setInvoiceCustomer({ invoiceId, customerId: null }));
+      return;
+    }
+    reduxDispatch(setInvoiceCustomer({
+      invoiceId,
+      customerId: customer.id,
+      billTo: { name: customer.name, email: customer.email, address: formatCustomerAddress(customer) },
+    }));
+    showNotification(`Billing ${customer.name}`);
+  };
+
+  /**
+   * Update issue or due date, rejecting a due date before the issue date
+   *
+   * @param {Event} e - Change event from a date input
+   */
+  const handleDateChange = (e) => {
+    const dates = { issueDate: invoice.issueDate, dueDate: invoice.dueDate, [e.target.name]: e.target.value };
+    if (dates.dueDate < dates.issueDate) {
+      showNotification('Due date cannot be before the issue date!');
+      return;
+    }
+    reduxDispatch(updateInvoiceDetails({ invoiceId, [e.target.name]: e.target.value }));
+  };
+
+  /**
+   * Switch the invoice to another currency, converting its item prices
+   *
+   * @param {string} currency - New currency code
+   */
+  const handleCurrencyChange = (currency) => {
+    reduxDispatch(setInvoiceCurrency({ invoiceId, currency }));
+    showNotification(`Invoice ${invoice.number} converted to ${currency}`);
+  };
+
+  /**
+   * Copy bill-to name and address into ship-to
+   */
+  const handleSameAsBillTo = () => {
+    reduxDispatch(updateCustomer({
+      invoiceId,
+      party: 'shipTo',
+      updates: { name: billTo.name, address: billTo.address },
+    }));
+  };
+
+  /**
+   * Move the invoice to a new status
+   * Rejects transitions the status machine does not allow
+   *
+   * @param {string} status - Requested status
+   */
+  const handleStatusChange = (status) => {
+    if (!canTransition(invoice.status, status)) {
+      showNotification(`Cannot move invoice from ${formatStatus(invoice.status)} to ${status}`);
+      return;
+    }
+    if (status === 'sent' && (!billTo.name.trim() || invoice.items.length === 0)) {
+      showNotification('An invoice needs a bill-to name and at least one item before it is sent!');
+      return;
+    }
+    reduxDispatch(setInvoiceStatus({ invoiceId, status, taxConfig }));
+    showNotification(`Invoice ${invoice.number} marked as ${status}`);
+  };
+
+  /**
+   * Void the invoice once a reason has been given
+   * The invoice is kept, read-only, with its items, payments and history
+   */
+  const handleVoid = () => {
+    if (!voidReason?.trim()) {
+      showNotification('Please give a reason for voiding this invoice!');
+      return;
+    }
+    reduxDispatch(voidInvoice({ invoiceId, reason: voidReason, taxConfig }));
+    showNotification(`Invoice ${invoice.number} voided`);
+    setVoidReason(null);
+  };
+
+  /**
+   * Start the next sequentially numbered invoice and open it
+   */
+  const handleNewInvoice = () => {
+    const { payload } = reduxDispatch(newInvoice());
+    showNotification('New draft invoice started');
+    navigate(`/billing/redux/invoices/${payload.id}`);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h4 className="mb-0">
+          Invoice {invoice.number}
+          <InvoiceStatusBadge status={invoice.status} className="ms-2 fs-6" />
+        </h4>
+        <div className="d-flex gap-2">
+          <Link to={`/billing/redux/invoices/${invoiceId}/document`} className="btn btn-outline-secondary btn-sm">
+            Print / PDF
+          </Link>
+          <button onClick={handleNewInvoice} className="btn btn-outline-primary btn-sm">
+            New Invoice
+          </button>
+        </div>
+      </div>
+      <div className="card-body">
+        {/* Dates and Currency */}
+        <div className="row g-3 mb-3">
+          <div className="col-sm-4">
+            <label htmlFor="issueDate" className="form-label">Issue Date</label>
+            <input
+              id="issueDate"
+              name="issueDate"
+              type="date"
+              value={invoice.issueDate}
+              onChange={handleDateChange}
+              disabled={!editable}
+              className="form-control"
+            />
+          </div>
+          <div className="col-sm-4">
+            <label htmlFor="dueDate" className="form-label">Due Date</label>
+            <input
+              id="dueDate"
+              name="dueDate"
+              type="date"
+              value={invoice.dueDate}
+              onChange={handleDateChange}
+              disabled={!editable}
+              className="form-control"
+            />
+          </div>
+          <div className="col-sm-4">
+            <label htmlFor="invoiceCurrency" className="form-label d-block">Currency</label>
+            <CurrencySelect
+              id="invoiceCurrency"
+              value={invoice.currency}
+              onChange={handleCurrencyChange}
+              disabled={!editable}
+            />
+          </div>
+        </div>
+
+        {/* Customer - Bill To / Ship To */}
+        <div className="row g-3">
+          <div className="col-md-6">
+            <div className="d-flex justify-content-between align-items-center">
+              <h6>Bill To</h6>
+              <Link to="/customers" className="small mb-2">Customers</Link>
+            </div>
+            {editable ? (
+              <select
+                value={linkedCustomer?.id ?? ''}
+                onChange={handlePickCustomer}
+                aria-label="Choose a customer from the directory"
+                className="form-select form-select-sm mb-2"
+              >
+                <option value="">{customers.length > 0 ? 'Choose from directory…' : 'No customers in the directory yet'}</option>
+                {customers.map(customer => (
+                  <option key={customer.id} value={customer.id}>
+                    {customer.name} ({customer.email})
+                  </option>
+                ))}
+              </select>
+            ) : linkedCustomer && (
+              <Link to={`/customers/${linkedCustomer.id}`} className="d-block small mb-2">View customer</Link>
+            )}
+            <input
+              name="name"
+              value={billTo.name}
+              onChange={(e) => handleCustomerChange('billTo', e)}
+              disabled={!editable}
+              placeholder="Customer name"
+              className="form-control mb-2"
+            />
+            <input
+              name="email"
+              type="email"
+              value={billTo.email}
+              onChange={(e) => handleCustomerChange('billTo', e)}
+              disabled={!editable}
+              placeholder="Email"
+              className="form-control mb-2"
+            />
+            <textarea
+              name="address"
+              value={billTo.address}
+              onChange={(e) => handleCustomerChange('billTo', e)}
+              disabled={!editable}
+              placeholder="Billing address"
+              className="form-control"
+              rows="2"
+            />
+          </div>
+          <div className="col-md-6">
+            <div className="d-flex justify-content-between align-items-center">
+              <h6>Ship To</h6>
+              {editable && (
+                <button onClick={handleSameAsBillTo} className="btn btn-link btn-sm p-0 mb-2">
+                  Same as bill-to
+                </button>
+              )}
+            </div>
+            <input
+              name="name"
+              value={shipTo.name}
+              onChange={(e) => handleCustomerChange('shipTo', e)}
+              disabled={!editable}
+              placeholder="Recipient name"
+              className="form-control mb-2"
+            />
+            <textarea
+              name="address"
+              value={shipTo.address}
+              onChange={(e) => handleCustomerChange('shipTo', e)}
+              disabled={!editable}
+              placeholder="Shipping address"
+              className="form-control"
+              rows="2"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Status Transitions - illegal moves are disabled and rejected */}
+      <div className="card-footer d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <div className="btn-group btn-group-sm">
+          {STATUS_ACTIONS.map(({ status, label, className }) => (
+            <button
+              key={status}
+              onClick={() => handleStatusChange(status)}
+              className={`btn ${className}`}
+              disabled={!canTransition(invoice.status, status)}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            onClick={() => setVoidReason('')}
+            className="btn btn-outline-dark"
+            disabled={!canTransition(invoice.status, 'void') || voidReason !== null}
+          >
+            Void
+          </button>
+        </div>
+
+        {/* Void Confirmation - a reason is kept with the invoice */}
+        {voidReason !== null && (
+          <div className="input-group input-group-sm w-auto flex-grow-1">
+            <input
+              value={voidReason}
+              onChange={(e) => setVoidReason(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleVoid()}
+              placeholder="Reason for voiding"
+              aria-label="Reason for voiding"
+              className="form-control"
+              autoFocus
+            />
+            <button onClick={handleVoid} className="btn btn-dark">Confirm Void</button>
+            <button onClick={() => setVoidReason(null)} className="btn btn-outline-secondary">Cancel</button>
+          </div>
+        )}
+        {invoice.status === 'void' && invoice.voidReason && (
+          <small className="text-muted">Voided: {invoice.voidReason}</small>
+        )}
+        {invoice.statusHistory.length > 0 && (
+          <small className="text-muted">
+            Last change: {formatStatus(invoice.statusHistory.at(-1).from)} → {formatStatus(invoice.statusHistory.at(-1).to)} on{' '}
+            {new Date(invoice.statusHistory.at(-1).at).toLocaleString()}
+          </small>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default InvoiceHeader;
@@ -0,0 +1,185 @@
+// Import React library and useState hook for filter state
+import React, { useState } from 'react';
+// Import Redux hooks for connecting component to global state
+import { useSelector, useDispatch } from 'react-redux';
+// Import router helpers for links and navigation
+import { Link, useNavigate } from 'react-router-dom';
+// Import invoice selectors, actions and helpers
+import {
+  selectAllInvoices,
+  newInvoice,
+  calculateInvoiceTotals,
+  invoiceTaxConfig,
+  INVOICE_TRANSITIONS,
+  formatStatus,
+} from '../../store/billingSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import money formatter for invoice totals
+import { formatMoney } from '../../utils/money';
+// Import balance due from the payments ledger
+import { balanceDue } from '../../utils/payments';
+// Import sub-navigation and status badge
+import InvoiceNav from './InvoiceNav';
+import InvoiceStatusBadge from './InvoiceStatusBadge';
+// Import recurring schedules shown below the list
+import RecurringInvoices from './RecurringInvoices';
+
+// Filter values shown before the user changes anything
+const EMPTY_FILTERS = { status: 'all', customer: '', from: '', to: '' };
+
+/**
+ * InvoiceList Component
+ * Lists every invoice in the billing slice with status, customer and date filters
+ *
+ * Key Concepts Demonstrated:
+ * 1. Deriving filtered and sorted data from Redux state during render
+ * 2. Object state for a group of related filter inputs
+ * 3. Link-based navigation to a parameterised detail route
+ * 4. useNavigate for navigating after dispatching an action
+ * 5. Recurring schedules that add invoices to this list every period
+ */
+const InvoiceList = () => {
+  const invoices = useSelector(selectAllInvoices);
+  const taxConfig = useSelector((state) => state.tax);
+  const reduxDispatch = useDispatch();
+  const navigate = useNavigate();
+  const showNotification = useNotification();
+
+  // Filter form state - grouped because the fields are always used together
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  /**
+   * Generic change handler for filter inputs
+   *
+   * @param {Event} e - Change event from a named input
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(currentFilters => ({ ...currentFilters, [name]: value }));
+  };
+
+  /**
+   * Create a new draft invoice and open it
+   */
+  const handleNewInvoice = () => {
+    const { payload } = reduxDispatch(newInvoice());
+    showNotification('New draft invoice started');
+    navigate(`/billing/redux/invoices/${payload.id}`);
+  };
+
+  // Apply filters - dates are 'YYYY-MM-DD' strings, so string comparison works
+  const customerQuery = filters.customer.trim().toLowerCase();
+  const visibleInvoices = invoices
+    .filter(invoice => filters.status === 'all' || invoice.status === filters.status)
+    .filter(invoice => !customerQuery || invoice.customer.billTo.name.toLowerCase().includes(customerQuery))
+    .filter(invoice => !filters.from || invoice.issueDate >= filters.from)
+    .filter(invoice => !filters.to || invoice.issueDate <= filters.to)
+    .sort((a, b) => b.number.localeCompare(a.number));
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="container-fluid">
+      {/* Sub-navigation - current invoice / all invoices */}
+      <InvoiceNav />
+
+      <div className="card">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h4 className="mb-0">Invoices ({visibleInvoices.length} of {invoices.length})</h4>
+          <button onClick={handleNewInvoice} className="btn btn-primary btn-sm">
+            New Invoice
+          </button>
+        </div>
+        <div className="card-body">
+          {/* Filters */}
+          <div className="row g-2 mb-3">
+            <div className="col-sm-3">
+              <select name="status" value={filters.status} onChange={handleFilterChange} className="form-select">
+                <option value="all">All statuses</option>
+                {Object.keys(INVOICE_TRANSITIONS).map(status => (
+                  <option key={status} value={status}>{formatStatus(status)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-sm-3">
+              <input
+                name="customer"
+                value={filters.customer}
+                onChange={handleFilterChange}
+                placeholder="Customer..."
+                className="form-control"
+              />
+            </div>
+            <div className="col-sm-2">
+              <input name="from" type="date" value={filters.from} onChange={handleFilterChange} className="form-control" title="Issued from" />
+            </div>
+            <div className="col-sm-2">
+              <input name="to" type="date" value={filters.to} onChange={handleFilterChange} className="form-control" title="Issued to" />
+            </div>
+            <div className="col-sm-2">
+              <button onClick={() => setFilters(EMPTY_FILTERS)} className="btn btn-outline-secondary w-100">
+                Reset
+              </button>
+            </div>
+          </div>
+
+          {/* Invoice Table */}
+          {visibleInvoices.length > 0 ? (
+            <div className="table-responsive">
+              <table className="table table-hover align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Number</th>
+                    <th>Customer</th>
+                    <th>Issued</th>
+                    <th>Due</th>
+                    <th>Status</th>
+                    <th className="text-end">Items</th>
+                    <th className="text-end">Total</th>
+                    <th className="text-end">Balance Due</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleInvoices.map(invoice => {
+                    const { total } = calculateInvoiceTotals(
+                      invoice.items,
+                      invoiceTaxConfig(invoice, taxConfig),
+                      invoice.currency,
+                      invoice.discounts
+                    );
+                    return (
+                      <tr key={invoice.id}>
+                        <td>
+                          <Link to={`/billing/redux/invoices/${invoice.id}`}>{invoice.number}</Link>
+                          {invoice.recurringTemplateId && <span className="badge bg-light text-dark ms-1">Recurring</span>}
+                        </td>
+                        <td>{invoice.customer.billTo.name || <span className="text-muted">—</span>}</td>
+                        <td>{invoice.issueDate}</td>
+                        <td>{invoice.dueDate}</td>
+                        <td><InvoiceStatusBadge status={invoice.status} /></td>
+                        <td className="text-end">{invoice.items.length}</td>
+                        <td className="text-end">{formatMoney(total)}</td>
+                        <td className="text-end">{invoice.status === 'void' ? '—' : formatMoney(balanceDue(total, invoice.payments))}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            /* Empty State */
+            <div className="text-center text-muted py-4">
+              <p>No invoices match these filters.</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Recurring Schedules - templates that generate draft invoices */}
+      <RecurringInvoices />
+    </div>
+  );
+};
+
+// Export component as default export
+export default InvoiceList;
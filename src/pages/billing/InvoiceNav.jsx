@@ -0,0 +1,30 @@
+// Import React library for creating components
+import React from 'react';
+// Import NavLink for navigation with active styling
+import { NavLink } from 'react-router-dom';
+
+/**
+ * InvoiceNav Component
+ * Sub-navigation between the current invoice and the invoice list
+ *
+ * Key Concepts Demonstrated:
+ * 1. NavLink className callback for active styling
+ * 2. The `end` prop for exact path matching
+ */
+const InvoiceNav = () => (
+  <ul className="nav nav-pills mb-3">
+    <li className="nav-item">
+      <NavLink to="/billing/redux" end className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}>
+        Current Invoice
+      </NavLink>
+    </li>
+    <li className="nav-item">
+      <NavLink to="/billing/redux/invoices" className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}>
+        All Invoices
+      </NavLink>
+    </li>
+  </ul>
+);
+
+// Export component as default export
+export default InvoiceNav;
@@ -0,0 +1,31 @@
+// Import React library for creating components
+import React from 'react';
+// Import status formatter, e.g. 'partiallyPaid' -> 'partially paid'
+import { formatStatus } from '../../store/billingSlice';
+
+// Bootstrap badge colour for each invoice status
+const STATUS_BADGES = {
+  draft: 'bg-secondary',
+  sent: 'bg-primary',
+  partiallyPaid: 'bg-info text-dark',
+  paid: 'bg-success',
+  credited: 'bg-warning text-dark',
+  void: 'bg-dark',
+};
+
+/**
+ * InvoiceStatusBadge Component
+ * Coloured badge showing an invoice's status
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - Invoice status (draft, sent, partiallyPaid, paid, credited, void)
+ * @param {string} props.className - Extra classes for sizing/spacing
+ */
+const InvoiceStatusBadge = ({ status, className = '' }) => (
+  <span className={`badge text-capitalize ${STATUS_BADGES[status] || 'bg-light text-dark'} ${className}`}>
+    {formatStatus(status)}
+  </span>
+);
+
+// Export component as default export
+export default InvoiceStatusBadge;
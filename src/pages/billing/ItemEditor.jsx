@@ -0,0 +1,139 @@
+// Import React library and useState hook for the fields being edited
+import React, { useState } from 'react';
+// Import exact money helpers for parsing the price and showing it for editing
+import { fromMajor, toDecimalString } from '../../utils/money';
+
+/**
+ * ItemEditor Component
+ * Inline editor replacing a billing line while it is being edited
+ *
+ * Key Concepts Demonstrated:
+ * 1. Draft state - the fields are copied from the item and only saved together
+ * 2. Validation before the parent is told - the same rules as the add-item forms
+ * 3. Keyboard support - Enter saves, Escape cancels
+ * 4. Only changed fields are sent, so an unchanged save does not mark the item as edited
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Billing item being edited
+ * @param {Object} props.price - Editable unit price (money value) - the item's price before any discount
+ * @param {Array} props.categories - Tax categories to choose from
+ * @param {Function} props.onSave - Called with the changed fields, e.g. { name, price }
+ * @param {Function} props.onCancel - Called when editing is abandoned
+ * @param {Function} props.onError - Called with a validation message
+ */
+const ItemEditor = ({ item, price, categories, onSave, onCancel, onError }) => {
+  const [fields, setFields] = useState(() => ({
+    name: item.name,
+    price: toDecimalString(price),
+    category: item.category || 'general',
+    taxable: item.taxable !== false,
+  }));
+
+  // Keep the item's own category selectable even if its tax rate has since been removed
+  const categoryOptions = categories.includes(fields.category) ? categories : [...categories, fields.category];
+
+  /**
+   * Generic change handler for named inputs, including the checkbox
+   *
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFields(current => ({ ...current, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  /**
+   * Validate the fields and send the ones that changed to the parent
+   */
+  const handleSave = () => {
+    const itemName = fields.name.trim();
+    const itemPrice = fromMajor(fields.price, price.currency);
+    if (!itemName) {
+      onError('Please enter an item name!');
+      return;
+    }
+    if (!itemPrice || itemPrice.amount <= 0) {
+      onError('Please enter a valid price greater than 0!');
+      return;
+    }
+
+    const updates = {};
+    if (itemName !== item.name) updates.name = itemName;
+    if (itemPrice.amount !== price.amount) updates.price = itemPrice;
+    if (fields.category !== (item.category || 'general')) updates.category = fields.category;
+    if (fields.taxable !== (item.taxable !== false)) updates.taxable = fields.taxable;
+    onSave(updates);
+  };
+
+  /**
+   * Enter saves, Escape cancels - from any field of the editor
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleSave();
+    } else if (e.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  return (
+    <div className="row g-2 align-items-center" onKeyDown={handleKeyDown}>
+      <div className="col-sm">
+        <input
+          name="name"
+          value={fields.name}
+          onChange={handleChange}
+          aria-label="Item name"
+          className={`form-control form-control-sm ${fields.name.trim() ? '' : 'is-invalid'}`}
+          autoFocus
+        />
+      </div>
+      <div className="col-sm-2">
+        <input
+          name="price"
+          value={fields.price}
+          onChange={handleChange}
+          type="number"
+          step="0.01"
+          min="0"
+          aria-label={`Unit price (${price.currency})`}
+          className="form-control form-control-sm text-end"
+        />
+      </div>
+      <div className="col-sm-3">
+        <select
+          name="category"
+          value={fields.category}
+          onChange={handleChange}
+          aria-label="Tax category"
+          className="form-select form-select-sm text-capitalize"
+        >
+          {categoryOptions.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+      </div>
+      <div className="col-sm-auto">
+        <div className="form-check mb-0">
+          <input
+            id={`taxable-edit-${item.id}`}
+            name="taxable"
+            type="checkbox"
+            checked={fields.taxable}
+            onChange={handleChange}
+            className="form-check-input"
+          />
+          <label htmlFor={`taxable-edit-${item.id}`} className="form-check-label small">Taxable</label>
+        </div>
+      </div>
+      <div className="col-sm-auto btn-group btn-group-sm">
+        <button onClick={handleSave} className="btn btn-primary" title="Save (Enter)">Save</button>
+        <button onClick={onCancel} className="btn btn-outline-secondary" title="Cancel (Esc)">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default ItemEditor;
@@ -0,0 +1,203 @@
+// Import React library and useState hook for the import preview
+import React, { useState } from 'react';
+// Import useDispatch and useSelector hooks for saving items and reading tax categories
+import { useDispatch, useSelector } from 'react-redux';
+// Import setItems action creator from billing slice
+import { setItems } from '../../store/billingSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import CSV/JSON writers and the validating importer
+import { itemsToCsv, itemsToJson, parseItemsFile } from '../../utils/billingItemsFile';
+// Import file download helper
+import { downloadBlob } from '../../utils/download';
+// Import money formatting for the preview table
+import { formatMoney } from '../../utils/money';
+
+/**
+ * ItemImportExport Component
+ * Exports an invoice's items as CSV/JSON and imports items from such files
+ *
+ * Key Concepts Demonstrated:
+ * 1. Reading files in the browser with File.text()
+ * 2. Validate first, save later - a preview lists every row's errors
+ * 3. Replacing or appending items with a single setItems dispatch
+ * 4. Client-side file generation and download (Blob)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice whose items are exported or replaced
+ */
+const ItemImportExport = ({ invoice }) => {
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+  const taxConfig = useSelector((state) => state.tax);
+
+  // Parsed rows waiting for confirmation, and the file they came from
+  const [preview, setPreview] = useState(null);
+
+  // Imports change items, so they are only allowed on drafts
+  const editable = invoice.status === 'draft';
+  const categories = ['general', ...Object.keys(taxConfig.categoryRates)];
+
+  const validItems = preview ? preview.rows.filter(row => row.item).map(row => row.item) : [];
+  const errorCount = preview ? preview.rows.length - validItems.length : 0;
+
+  /**
+   * Download the invoice's items in the chosen format
+   *
+   * @param {string} format - 'csv' or 'json'
+   */
+  const handleExport = (format) => {
+    const fileName = `${invoice.number}-items.${format}`;
+    const blob = format === 'csv'
+      ? new Blob([itemsToCsv(invoice.items)], { type: 'text/csv' })
+      : new Blob([itemsToJson(invoice.items, invoice)], { type: 'application/json' });
+    downloadBlob(blob, fileName);
+    showNotification(`${fileName} downloaded`);
+  };
+
+  /**
+   * Read and validate the chosen file, then show the preview
+   *
+   * @param {Event} e - Change event from the file input
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Reset the input so choosing the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const rows = parseItemsFile(await file.text(), file.name, { currency: invoice.currency, categories });
+      if (rows.length === 0) {
+        showNotification(`${file.name} contains no items`);
+        return;
+      }
+      setPreview({ fileName: file.name, rows });
+    } catch (error) {
+      showNotification(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Save the valid rows, either replacing or following the existing items
+   *
+   * @param {boolean} append - Keep existing items and add the imported ones after them
+   */
+  const handleCommit = (append) => {
+    const items = append ? [...invoice.items, ...validItems] : validItems;
+    reduxDispatch(setItems({ invoiceId: invoice.id, items }));
+    showNotification(`${validItems.length} item(s) imported${errorCount > 0 ? `, ${errorCount} row(s) skipped` : ''}`);
+    setPreview(null);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <h5 className="mb-0">Import / Export Items</h5>
+        <div className="d-flex gap-2">
+          {/* Export buttons */}
+          <div className="btn-group btn-group-sm">
+            <button
+              onClick={() => handleExport('csv')}
+              className="btn btn-outline-secondary"
+              disabled={invoice.items.length === 0}
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              className="btn btn-outline-secondary"
+              disabled={invoice.items.length === 0}
+            >
+              Export JSON
+            </button>
+          </div>
+
+          {/* Import file picker */}
+          <label className={`btn btn-outline-primary btn-sm mb-0 ${editable ? '' : 'disabled'}`}>
+            Import File...
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              className="d-none"
+              disabled={!editable}
+            />
+          </label>
+        </div>
+      </div>
+
+      {/* Import Preview - every row with its validation result */}
+      {preview && (
+        <div className="card-body">
+          <p className="mb-2">
+            <strong>{preview.fileName}</strong>: {validItems.length} valid row(s)
+            {errorCount > 0 && <span className="text-danger">, {errorCount} row(s) with errors will be skipped</span>}
+          </p>
+
+          <div className="table-responsive">
+            <table className="table table-sm align-middle">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Name</th>
+                  <th className="text-end">Qty</th>
+                  <th className="text-end">Unit Price</th>
+                  <th>Category</th>
+                  <th>Taxable</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(({ row, raw, item, errors }) => (
+                  <tr key={row} className={item ? '' : 'table-danger'}>
+                    <td>{row}</td>
+                    <td>{item ? item.name : raw.name}</td>
+                    <td className="text-end">{item ? `${item.qty} ${item.unit}` : [raw.qty, raw.unit].filter(Boolean).join(' ')}</td>
+                    <td className="text-end">{item ? formatMoney(item.price) : raw.price}</td>
+                    <td className="text-capitalize">{item ? item.category : raw.category}</td>
+                    <td>{item ? (item.taxable ? 'Yes' : 'No') : raw.taxable}</td>
+                    <td>
+                      {item ? (
+                        <span className="badge bg-success">OK</span>
+                      ) : (
+                        <ul className="mb-0 ps-3 small text-danger">
+                          {errors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Commit actions */}
+          <div className="d-flex gap-2">
+            <button
+              onClick={() => handleCommit(false)}
+              className="btn btn-primary btn-sm"
+              disabled={validItems.length === 0}
+            >
+              Replace Items
+            </button>
+            <button
+              onClick={() => handleCommit(true)}
+              className="btn btn-outline-primary btn-sm"
+              disabled={validItems.length === 0}
+            >
+              Append Items
+            </button>
+            <button onClick={() => setPreview(null)} className="btn btn-outline-secondary btn-sm">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Export component as default export for use in other parts of the application
+export default ItemImportExport;
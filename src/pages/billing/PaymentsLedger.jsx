@@ -0,0 +1,202 @@
+// Import React library and useState hook for the new-entry form
+import React, { useState } from 'react';
+// Import useDispatch hook for recording ledger entries
+import { useDispatch } from 'react-redux';
+// Import the record action and the statuses that accept payments
+import { recordPayment, PAYABLE_STATUSES, formatStatus } from '../../store/billingSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import ledger helpers for totals, balance and validation
+import { PAYMENT_METHODS, ledgerTotals, balanceDue, customerCredit, validateLedgerEntry } from '../../utils/payments';
+// Import money parsing and formatting
+import { fromMajor, formatMoney, toDecimalString } from '../../utils/money';
+// Import today's date for new entries
+import { toISODate } from '../../utils/dates';
+
+// Ledger entry types as shown in the table
+const ENTRY_LABELS = { payment: 'Payment', refund: 'Refund', credit: 'Credit note' };
+
+// Values of the new-entry form after recording an entry
+const EMPTY_FORM = {
+  type: 'payment',
+  amount: '',
+  method: PAYMENT_METHODS[0],
+  date: '',
+  reference: '',
+};
+
+/**
+ * PaymentsLedger Component
+ * Lists an invoice's payments and refunds and records new ones
+ *
+ * Key Concepts Demonstrated:
+ * 1. Append-only ledger - entries are added, never edited or deleted
+ * 2. Derived values - paid, refunded and balance due are summed during render
+ * 3. Validating an entry against the current balance before dispatching
+ * 4. Status driven by data - the reducer moves the invoice to partially paid or paid
+ * 5. Credit notes appear in the ledger but are issued from the Credit Notes card
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.invoice - Invoice whose ledger is shown
+ * @param {Object} props.total - Invoice total (money value, priced with its frozen tax configuration)
+ */
+const PaymentsLedger = ({ invoice, total }) => {
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const payments = invoice.payments;
+  const { paid, refunded, netPaid, credited } = ledgerTotals(payments, invoice.currency);
+  const balance = balanceDue(total, payments);
+  const owed = customerCredit(total, payments);
+  const payable = PAYABLE_STATUSES.includes(invoice.status);
+
+  /**
+   * Update one form field from a named input
+   *
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Validate the form as a ledger entry and record it
+   * An empty amount means "the full balance" for payments and "everything paid" for refunds
+   */
+  const handleRecord = () => {
+    const fallback = form.type === 'payment' ? balance : netPaid;
+    const entry = {
+      type: form.type,
+      amount: form.amount === '' ? fallback : fromMajor(form.amount, invoice.currency),
+      method: form.method,
+      date: form.date || toISODate(),
+      reference: form.reference.trim(),
+    };
+
+    const errors = validateLedgerEntry(entry, { total, payments });
+    if (errors.length > 0) {
+      showNotification(errors[0]);
+      return;
+    }
+    reduxDispatch(recordPayment({ invoiceId: invoice.id, entry }));
+    showNotification(`${entry.type === 'payment' ? 'Payment' : 'Refund'} of ${formatMoney(entry.amount)} recorded`);
+    setForm(EMPTY_FORM);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Payments</h5>
+        <span className={balance.amount > 0 ? 'fw-bold' : 'fw-bold text-success'}>
+          Balance due: {formatMoney(balance)}
+          {owed.amount > 0 && <span className="text-danger ms-2">Owed to customer: {formatMoney(owed)}</span>}
+        </span>
+      </div>
+      <div className="card-body">
+        {!payable && (
+          <p className="text-muted">
+            {invoice.status === 'draft'
+              ? 'Payments can be recorded once the invoice has been sent.'
+              : `This invoice is ${formatStatus(invoice.status)} - no further payments can be recorded.`}
+          </p>
+        )}
+
+        {/* Ledger Entries - oldest first */}
+        {payments.length > 0 && (
+          <div className="table-responsive mb-3">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Method</th>
+                  <th>Reference</th>
+                  <th className="text-end">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payments.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{entry.date}</td>
+                    <td>{ENTRY_LABELS[entry.type]}</td>
+                    <td className="text-capitalize">{entry.method}</td>
+                    <td>{entry.reference || <span className="text-muted">—</span>}</td>
+                    <td className={`text-end ${entry.type === 'refund' ? 'text-danger' : ''}`}>
+                      {entry.type === 'refund' && '-'}{formatMoney(entry.amount)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="4" className="text-end">Paid:</td>
+                  <td className="text-end">{formatMoney(paid)}</td>
+                </tr>
+                {refunded.amount > 0 && (
+                  <tr>
+                    <td colSpan="4" className="text-end">Refunded:</td>
+                    <td className="text-end text-danger">-{formatMoney(refunded)}</td>
+                  </tr>
+                )}
+                {credited.amount > 0 && (
+                  <tr>
+                    <td colSpan="4" className="text-end">Credited:</td>
+                    <td className="text-end">{formatMoney(credited)}</td>
+                  </tr>
+                )}
+              </tfoot>
+            </table>
+          </div>
+        )}
+
+        {/* New Entry Form */}
+        {payable && (
+          <div className="row g-2 align-items-end">
+            <div className="col-sm-2">
+              <label className="form-label small mb-0">Type</label>
+              <select name="type" value={form.type} onChange={handleChange} className="form-select form-select-sm">
+                <option value="payment">Payment</option>
+                <option value="refund" disabled={netPaid.amount <= 0}>Refund</option>
+              </select>
+            </div>
+            <div className="col-sm-2">
+              <label className="form-label small mb-0">Amount ({invoice.currency})</label>
+              <input name="amount" type="number" min="0" step="0.01" value={form.amount}
+                onChange={handleChange} className="form-control form-control-sm"
+                placeholder={toDecimalString(form.type === 'payment' ? balance : netPaid)} />
+            </div>
+            <div className="col-sm-2">
+              <label className="form-label small mb-0">Method</label>
+              <select name="method" value={form.method} onChange={handleChange} className="form-select form-select-sm text-capitalize">
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-sm-2">
+              <label className="form-label small mb-0">Date</label>
+              <input name="date" type="date" value={form.date || toISODate()}
+                onChange={handleChange} className="form-control form-control-sm" />
+            </div>
+            <div className="col-sm-2">
+              <label className="form-label small mb-0">Reference</label>
+              <input name="reference" value={form.reference} onChange={handleChange}
+                className="form-control form-control-sm" placeholder="e.g. TX-1234" />
+            </div>
+            <div className="col-sm-2">
+              <button onClick={handleRecord} className="btn btn-success btn-sm w-100">
+                Record {form.type === 'payment' ? 'Payment' : 'Refund'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default PaymentsLedger;
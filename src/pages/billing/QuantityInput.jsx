@@ -0,0 +1,68 @@
+// Import React library and useState hook for the text being typed
+import React, { useState } from 'react';
+// Import quantity parser shared with the add-item forms
+import { parseQuantity } from '../../utils/lineItems';
+
+/**
+ * QuantityInput Component
+ * Inline quantity editor for a billing line
+ *
+ * Key Concepts Demonstrated:
+ * 1. Draft state - typing is kept locally so the field can be briefly empty or invalid
+ * 2. Commit on blur or Enter - only valid quantities reach the parent
+ * 3. Escape cancels the edit and shows the saved value again
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.value - Saved quantity
+ * @param {Function} props.onChange - Called with the new quantity (a number)
+ * @param {boolean} props.disabled - Read-only when true
+ * @param {string} props.label - Accessible label, e.g. 'Quantity of Widget'
+ */
+const QuantityInput = ({ value, onChange, disabled, label }) => {
+  // null while not editing - the saved value is shown
+  const [draft, setDraft] = useState(null);
+
+  /**
+   * Send a valid, changed quantity to the parent and leave edit mode
+   */
+  const commit = () => {
+    const qty = parseQuantity(draft);
+    if (draft !== null && qty !== null && qty !== value) {
+      onChange(qty);
+    }
+    setDraft(null);
+  };
+
+  /**
+   * Enter commits, Escape cancels
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commit();
+    } else if (e.key === 'Escape') {
+      setDraft(null);
+    }
+  };
+
+  const invalid = draft !== null && parseQuantity(draft) === null;
+
+  return (
+    <input
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={handleKeyDown}
+      type="number"
+      min="0"
+      step="any"
+      aria-label={label}
+      title={invalid ? 'Enter a quantity greater than 0' : label}
+      className={`form-control form-control-sm text-end ${invalid ? 'is-invalid' : ''}`}
+      style={{ width: '5.5rem' }}
+      disabled={disabled}
+    />
+  );
+};
+
+// Export component as default export
+export default QuantityInput;
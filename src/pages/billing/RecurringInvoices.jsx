@@ -0,0 +1,233 @@
+// Import React library and useState hook for the new-schedule form
+import React, { useState } from 'react';
+// Import Redux hooks for reading templates and dispatching schedule actions
+import { useDispatch, useSelector } from 'react-redux';
+// Import Link for opening generated invoices
+import { Link } from 'react-router-dom';
+// Import recurring template actions, selectors and the scheduler thunk
+import {
+  selectAllInvoices,
+  selectAllRecurringTemplates,
+  addRecurringTemplate,
+  setRecurringTemplateActive,
+  removeRecurringTemplate,
+  runRecurringSchedules,
+  calculateInvoiceTotals,
+} from '../../store/billingSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import schedule helpers for intervals, upcoming dates and validation
+import { RECURRING_INTERVALS, upcomingRuns, validateSchedule } from '../../utils/recurring';
+// Import money formatting for template totals
+import { formatMoney } from '../../utils/money';
+// Import today's date for new schedules
+import { toISODate } from '../../utils/dates';
+
+// Upcoming run dates listed per template
+const UPCOMING_COUNT = 3;
+
+// Values of the new-schedule form after creating a schedule
+const EMPTY_FORM = {
+  invoiceId: '',
+  name: '',
+  interval: 'monthly',
+  startDate: '',
+  endDate: '',
+};
+
+/**
+ * RecurringInvoices Component
+ * Creates recurring templates from invoices and lists their upcoming runs
+ *
+ * Key Concepts Demonstrated:
+ * 1. Copying an existing entity into a template through a single action
+ * 2. Dispatching a thunk right after an action, so a schedule starting today bills today
+ * 3. Derived schedule data - next and upcoming run dates are computed during render
+ * 4. Pausing instead of deleting - paused schedules skip the periods they missed
+ */
+const RecurringInvoices = () => {
+  const templates = useSelector(selectAllRecurringTemplates);
+  const invoices = useSelector(selectAllInvoices);
+  const taxConfig = useSelector((state) => state.tax);
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  // Only invoices with items make useful templates
+  const sources = invoices.filter(invoice => invoice.items.length > 0);
+
+  /**
+   * Update one form field from a named input
+   *
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Validate the form, create the template and generate any run already due
+   */
+  const handleCreate = () => {
+    const schedule = { ...form, startDate: form.startDate || toISODate() };
+    if (!schedule.invoiceId) {
+      showNotification('Please choose the invoice to repeat');
+      return;
+    }
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      showNotification(errors[0]);
+      return;
+    }
+    reduxDispatch(addRecurringTemplate(schedule));
+    const generated = reduxDispatch(runRecurringSchedules());
+    showNotification(
+      generated > 0
+        ? `Schedule "${schedule.name.trim()}" created - ${generated} draft invoice${generated > 1 ? 's' : ''} generated`
+        : `Schedule "${schedule.name.trim()}" created`
+    );
+    setForm(EMPTY_FORM);
+  };
+
+  /**
+   * Delete a template after confirmation - generated invoices are kept
+   *
+   * @param {Object} template - Template to delete
+   */
+  const handleRemove = (template) => {
+    if (window.confirm(`Delete the schedule "${template.name}"? Invoices it already generated are kept.`)) {
+      reduxDispatch(removeRecurringTemplate({ id: template.id }));
+      showNotification(`Schedule "${template.name}" deleted`);
+    }
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="card mt-4">
+      <div className="card-header">
+        <h5 className="mb-0">Recurring Invoices</h5>
+        <small className="text-muted">
+          Draft invoices are generated from these schedules when the app opens, including any missed periods.
+        </small>
+      </div>
+      <div className="card-body">
+        {/* Schedules */}
+        {templates.length > 0 ? (
+          <div className="table-responsive mb-3">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Schedule</th>
+                  <th>Every</th>
+                  <th className="text-end">Amount</th>
+                  <th>Next Runs</th>
+                  <th>Generated</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {templates.map(template => {
+                  const { total } = calculateInvoiceTotals(template.items, taxConfig, template.currency, template.discounts);
+                  const upcoming = upcomingRuns(template, UPCOMING_COUNT);
+                  const lastInvoice = invoices.find(invoice => invoice.id === template.invoiceIds.at(-1));
+                  return (
+                    <tr key={template.id} className={template.active ? '' : 'text-muted'}>
+                      <td>
+                        <div className="fw-medium">{template.name}</div>
+                        <small className="text-muted">{template.customer.billTo.name || 'No customer'}</small>
+                      </td>
+                      <td>
+                        {RECURRING_INTERVALS[template.interval].label}
+                        <div className="small text-muted">
+                          from {template.startDate}{template.endDate && ` to ${template.endDate}`}
+                        </div>
+                      </td>
+                      <td className="text-end">{formatMoney(total)}</td>
+                      <td className="small">
+                        {!template.active ? (
+                          <span className="badge bg-secondary">Paused</span>
+                        ) : upcoming.length > 0 ? (
+                          upcoming.join(', ')
+                        ) : (
+                          <span className="badge bg-light text-dark">Ended</span>
+                        )}
+                      </td>
+                      <td className="small">
+                        {template.invoiceIds.length}
+                        {lastInvoice && (
+                          <> (last: <Link to={`/billing/redux/invoices/${lastInvoice.id}`}>{lastInvoice.number}</Link>)</>
+                        )}
+                      </td>
+                      <td className="text-end text-nowrap">
+                        {template.nextRunDate && (
+                          <button
+                            onClick={() => reduxDispatch(setRecurringTemplateActive({ id: template.id, active: !template.active }))}
+                            className="btn btn-outline-secondary btn-sm me-1"
+                          >
+                            {template.active ? 'Pause' : 'Resume'}
+                          </button>
+                        )}
+                        <button onClick={() => handleRemove(template)} className="btn btn-outline-danger btn-sm">
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-muted">No recurring schedules yet.</p>
+        )}
+
+        {/* New Schedule Form */}
+        <div className="row g-2 align-items-end">
+          <div className="col-sm-3">
+            <label className="form-label small mb-0">Repeat invoice</label>
+            <select name="invoiceId" value={form.invoiceId} onChange={handleChange} className="form-select form-select-sm">
+              <option value="">Choose...</option>
+              {sources.map(invoice => (
+                <option key={invoice.id} value={invoice.id}>
+                  {invoice.number}{invoice.customer.billTo.name && ` - ${invoice.customer.billTo.name}`}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-2">
+            <label className="form-label small mb-0">Name</label>
+            <input name="name" value={form.name} onChange={handleChange}
+              className="form-control form-control-sm" placeholder="e.g. Monthly hosting" />
+          </div>
+          <div className="col-sm-2">
+            <label className="form-label small mb-0">Every</label>
+            <select name="interval" value={form.interval} onChange={handleChange} className="form-select form-select-sm">
+              {Object.entries(RECURRING_INTERVALS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-2">
+            <label className="form-label small mb-0">Starts</label>
+            <input name="startDate" type="date" value={form.startDate || toISODate()}
+              onChange={handleChange} className="form-control form-control-sm" />
+          </div>
+          <div className="col-sm-2">
+            <label className="form-label small mb-0">Ends (optional)</label>
+            <input name="endDate" type="date" value={form.endDate}
+              onChange={handleChange} className="form-control form-control-sm" />
+          </div>
+          <div className="col-sm-1">
+            <button onClick={handleCreate} className="btn btn-primary btn-sm w-100" disabled={sources.length === 0}>
+              Create
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default RecurringInvoices;
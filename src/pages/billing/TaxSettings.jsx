@@ -0,0 +1,335 @@
+// Import React library and useState hook for the add-rate and add-category forms
+import React, { useState } from 'react';
+// Import Redux hooks for connecting component to global state
+import { useSelector, useDispatch } from 'react-redux';
+// Import tax configuration action creators
+import {
+  setPricesIncludeTax,
+  saveRate,
+  removeRate,
+  setDefaultRates,
+  setCategoryRates,
+  removeCategoryRates,
+  resetTaxConfig,
+} from '../../store/taxSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+
+// Empty add-rate form
+const EMPTY_RATE = { id: '', label: '', percent: '', compound: false };
+
+/**
+ * Convert a stored fraction to a percentage for inputs, e.g. 0.075 -> 7.5
+ *
+ * @param {number} rate - Rate as a fraction
+ * @returns {number} - Rate as a percentage
+ */
+const toPercent = (rate) => Math.round(rate * 10000) / 100;
+
+/**
+ * Toggle an ID in a list of rate IDs
+ *
+ * @param {Array} rateIds - Current rate IDs
+ * @param {string} id - Rate ID to add or remove
+ * @returns {Array} - New list of rate IDs
+ */
+const toggleRateId = (rateIds, id) => (
+  rateIds.includes(id) ? rateIds.filter(rateId => rateId !== id) : [...rateIds, id]
+);
+
+/**
+ * TaxSettings Component
+ * Edits the tax configuration shared by every cart and billing page
+ *
+ * Key Concepts Demonstrated:
+ * 1. One Redux slice read by many unrelated pages
+ * 2. Editing keyed objects and ID lists in Redux state
+ * 3. Local state for draft form values before they are saved
+ * 4. Unit conversion at the UI boundary (percentages in, fractions stored)
+ */
+const TaxSettings = () => {
+  const taxConfig = useSelector((state) => state.tax);
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+
+  // Draft values for the add-rate and add-category forms
+  const [newRate, setNewRate] = useState(EMPTY_RATE);
+  const [newCategory, setNewCategory] = useState('');
+
+  const rateEntries = Object.entries(taxConfig.rates);
+
+  /**
+   * Update one field of an existing rate
+   *
+   * @param {string} id - Rate ID
+   * @param {Object} updates - Fields to change (label, rate, compound)
+   */
+  const handleRateChange = (id, updates) => {
+    reduxDispatch(saveRate({ id, ...taxConfig.rates[id], ...updates }));
+  };
+
+  /**
+   * Validate and add a new rate
+   */
+  const handleAddRate = () => {
+    const id = newRate.id.trim().toLowerCase();
+    const percent = parseFloat(newRate.percent);
+
+    if (!id || !newRate.label.trim() || isNaN(percent) || percent < 0) {
+      showNotification('Please enter an ID, a label and a rate of 0% or more!');
+      return;
+    }
+    if (taxConfig.rates[id]) {
+      showNotification(`A rate with ID "${id}" already exists`);
+      return;
+    }
+
+    reduxDispatch(saveRate({ id, label: newRate.label.trim(), rate: percent / 100, compound: newRate.compound }));
+    setNewRate(EMPTY_RATE);
+    showNotification(`${newRate.label.trim()} added`);
+  };
+
+  /**
+   * Remove a rate from the configuration and from every assignment
+   *
+   * @param {string} id - Rate ID
+   */
+  const handleRemoveRate = (id) => {
+    reduxDispatch(removeRate({ id }));
+    showNotification(`${taxConfig.rates[id].label} removed`);
+  };
+
+  /**
+   * Give a category its own (initially empty) rate list
+   */
+  const handleAddCategory = () => {
+    const category = newCategory.trim().toLowerCase();
+    if (!category || taxConfig.categoryRates[category]) {
+      showNotification('Please enter a category that has no rates yet!');
+      return;
+    }
+    reduxDispatch(setCategoryRates({ category, rateIds: [] }));
+    setNewCategory('');
+  };
+
+  /**
+   * Restore the default configuration
+   */
+  const handleReset = () => {
+    reduxDispatch(resetTaxConfig());
+    showNotification('Tax settings reset to defaults');
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="container-fluid">
+      {/* Pricing Mode */}
+      <div className="card mb-4">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h4 className="mb-0">Tax Settings</h4>
+          <button onClick={handleReset} className="btn btn-outline-secondary btn-sm">
+            Reset to Defaults
+          </button>
+        </div>
+        <div className="card-body">
+          <div className="form-check form-switch">
+            <input
+              id="pricesIncludeTax"
+              type="checkbox"
+              checked={taxConfig.pricesIncludeTax}
+              onChange={(e) => reduxDispatch(setPricesIncludeTax(e.target.checked))}
+              className="form-check-input"
+            />
+            <label htmlFor="pricesIncludeTax" className="form-check-label">
+              Prices include tax
+            </label>
+          </div>
+          <small className="text-muted">
+            When on, tax is extracted from each price instead of being added on top.
+          </small>
+        </div>
+      </div>
+
+      {/* Named Rates */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h5 className="mb-0">Rates</h5>
+        </div>
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table align-middle">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Label</th>
+                  <th style={{ width: '8rem' }}>Rate (%)</th>
+                  <th>Compound</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rateEntries.map(([id, rate]) => (
+                  <tr key={id}>
+                    <td><code>{id}</code></td>
+                    <td>
+                      <input
+                        value={rate.label}
+                        onChange={(e) => handleRateChange(id, { label: e.target.value })}
+                        className="form-control form-control-sm"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={toPercent(rate.rate)}
+                        onChange={(e) => handleRateChange(id, { rate: (parseFloat(e.target.value) || 0) / 100 })}
+                        className="form-control form-control-sm"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={rate.compound}
+                        onChange={(e) => handleRateChange(id, { compound: e.target.checked })}
+                        className="form-check-input"
+                        title="Charged on the price plus non-compound taxes"
+                      />
+                    </td>
+                    <td className="text-end">
+                      <button onClick={() => handleRemoveRate(id)} className="btn btn-outline-danger btn-sm">
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Add Rate Form */}
+          <div className="row g-2">
+            <div className="col-sm-2">
+              <input
+                value={newRate.id}
+                onChange={(e) => setNewRate({ ...newRate, id: e.target.value })}
+                placeholder="ID"
+                className="form-control"
+              />
+            </div>
+            <div className="col-sm">
+              <input
+                value={newRate.label}
+                onChange={(e) => setNewRate({ ...newRate, label: e.target.value })}
+                placeholder="Label"
+                className="form-control"
+              />
+            </div>
+            <div className="col-sm-2">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={newRate.percent}
+                onChange={(e) => setNewRate({ ...newRate, percent: e.target.value })}
+                placeholder="Rate (%)"
+                className="form-control"
+              />
+            </div>
+            <div className="col-sm-auto d-flex align-items-center">
+              <div className="form-check">
+                <input
+                  id="newRateCompound"
+                  type="checkbox"
+                  checked={newRate.compound}
+                  onChange={(e) => setNewRate({ ...newRate, compound: e.target.checked })}
+                  className="form-check-input"
+                />
+                <label htmlFor="newRateCompound" className="form-check-label">Compound</label>
+              </div>
+            </div>
+            <div className="col-sm-auto">
+              <button onClick={handleAddRate} className="btn btn-primary">Add Rate</button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Rate Assignments */}
+      <div className="card">
+        <div className="card-header">
+          <h5 className="mb-0">Category Rates</h5>
+        </div>
+        <div className="card-body">
+          <ul className="list-group mb-3">
+            {/* Default rates - used by every category without its own entry */}
+            <li className="list-group-item">
+              <strong>Default</strong>
+              <small className="text-muted ms-2">(any other category)</small>
+              <div className="mt-1">
+                {rateEntries.map(([id, rate]) => (
+                  <label key={id} className="form-check form-check-inline">
+                    <input
+                      type="checkbox"
+                      checked={taxConfig.defaultRateIds.includes(id)}
+                      onChange={() => reduxDispatch(setDefaultRates(toggleRateId(taxConfig.defaultRateIds, id)))}
+                      className="form-check-input"
+                    />
+                    <span className="form-check-label">{rate.label}</span>
+                  </label>
+                ))}
+              </div>
+            </li>
+
+            {/* Per-category overrides - an empty list makes the category zero-rated */}
+            {Object.entries(taxConfig.categoryRates).map(([category, rateIds]) => (
+              <li key={category} className="list-group-item">
+                <div className="d-flex justify-content-between align-items-center">
+                  <strong className="text-capitalize">{category}</strong>
+                  <button
+                    onClick={() => reduxDispatch(removeCategoryRates({ category }))}
+                    className="btn btn-link btn-sm text-danger p-0"
+                  >
+                    Use default
+                  </button>
+                </div>
+                <div className="mt-1">
+                  {rateEntries.map(([id, rate]) => (
+                    <label key={id} className="form-check form-check-inline">
+                      <input
+                        type="checkbox"
+                        checked={rateIds.includes(id)}
+                        onChange={() => reduxDispatch(setCategoryRates({ category, rateIds: toggleRateId(rateIds, id) }))}
+                        className="form-check-input"
+                      />
+                      <span className="form-check-label">{rate.label}</span>
+                    </label>
+                  ))}
+                  {rateIds.length === 0 && <span className="badge bg-light text-dark">Zero-rated</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {/* Add Category Form */}
+          <div className="input-group">
+            <input
+              value={newCategory}
+              onChange={(e) => setNewCategory(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAddCategory()}
+              placeholder="Category (e.g. audio)"
+              className="form-control"
+            />
+            <button onClick={handleAddCategory} className="btn btn-outline-primary">
+              Add Category
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default TaxSettings;
@@ -3,10 +3,12 @@ import { Routes, Route, NavLink, useLocation } from 'react-router-dom';
 import BlogUseState from './BlogUseState';
 import BlogUseReducer from './BlogUseReducer';
 import BlogRedux from './BlogRedux';
+import PostDetail from './PostDetail';
 
 const ProjectMethodLayout = ({ title, subtitle, methods, basePath, children }) => {
     const location = useLocation();
-    const currentPath = location.pathname.split('/').pop();
+    // "/blog/redux/posts/hello-world" -> "redux"
+    const currentPath = location.pathname.split('/')[2];
     
     return (
         <div className="card shadow-sm">
@@ -34,6 +36,7 @@ const BlogPage = () => {
                 <Route path="useState" element={<BlogUseState />} />
                 <Route path="useReducer" element={<BlogUseReducer />} />
                 <Route path="redux" element={<BlogRedux />} />
+                <Route path="redux/posts/:slug" element={<PostDetail />} />
             </Routes>
         </ProjectMethodLayout>
     );
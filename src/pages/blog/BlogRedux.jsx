@@ -1,11 +1,30 @@
-// Import React library and useState hook for local form state
-import React, { useState } from 'react';
+// Import React library, useState hook for local form state and useMemo for the search index
+import React, { useState, useMemo } from 'react';
 // Import Redux hooks for connecting component to global state
 import { useSelector, useDispatch } from 'react-redux';
+// Import Link for opening a post at its own URL, useSearchParams for filters kept in the URL
+import { Link, useSearchParams } from 'react-router-dom';
 // Import action creators from blog slice for dispatching actions
-import { addPost, deletePost, clearPosts } from '../../store/blogSlice';
+import { addPost, deletePost, updatePost, clearPosts, POST_STATUSES, POST_STATUS_LABELS } from '../../store/blogSlice';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
+// Import edit mode and Markdown editor shared by the three blog pages
+import PostEditor from './PostEditor';
+import MarkdownEditor from './MarkdownEditor';
+// Import status badge and workflow buttons for the publishing workflow
+import PostStatusBadge from './PostStatusBadge';
+import PostStatusActions from './PostStatusActions';
+// Import search box, category facets and sort order
+import PostFilters from './PostFilters';
+// Import the Markdown renderer for post content and the search match highlighter
+import Markdown from '../../components/Markdown';
+import Highlight from '../../components/Highlight';
+// Import plain-text conversion for indexing and excerpts
+import { markdownText } from '../../utils/markdown';
+// Import the client-side search index
+import { buildSearchIndex, searchIndex, excerpt } from '../../utils/search';
+// Import filter state <-> query string helpers
+import { readPostFilters, postFilterParams, applyPostFilters } from '../../utils/postFilters';
 
 /**
  * BlogRedux Component
@@ -17,6 +36,12 @@ import { useNotification } from '../../context/NotificationContext';
  * 3. Action creators from Redux Toolkit slices
  * 4. Combining Redux (global state) with useState (local form state)
  * 5. Separation of concerns - state logic in slice, UI logic in component
+ * 6. Edit mode - changed fields are dispatched with updatePost, which stamps updatedAt
+ * 7. Markdown posts - written with a live preview, rendered without injecting HTML
+ * 8. Shareable URLs - each title links to /blog/redux/posts/:slug
+ * 9. Publishing workflow - new posts are drafts; tabs filter the list by status
+ * 10. Search and facets - a full-text index with highlighted matches, category
+ *     facets and sorting, all kept in the query string so views can be bookmarked
  * 
  * Redux Benefits:
  * - Global state accessible from any component
@@ -40,6 +65,25 @@ const BlogRedux = () => {
   const [content, setContent] = useState('');
   const [category, setCategory] = useState('');
   
+  // ID of the post in edit mode (null when no post is being edited)
+  const [editingPostId, setEditingPostId] = useState(null);
+  
+  // Filters live in the query string, e.g. ?q=redux&category=Business&status=draft&sort=title
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readPostFilters(searchParams);
+  // Status tab being shown - unknown statuses in the URL show every post
+  if (!POST_STATUSES.includes(filters.status)) filters.status = 'all';
+  
+  /**
+   * Update some filters, keeping the rest
+   * 
+   * @param {Object} updates - Changed filters, e.g. { q: 'redux' }
+   * @param {Object} options - { replace: true } to update the current history entry
+   */
+  const handleFiltersChange = (updates, { replace = false } = {}) => {
+    setSearchParams(postFilterParams({ ...filters, ...updates }), { replace });
+  };
+  
   // Available categories for the dropdown
   const categories = ['Technology', 'Lifestyle', 'Business', 'Health', 'Education', 'Entertainment'];
   
@@ -63,8 +107,9 @@ const BlogRedux = () => {
         createdAt: new Date().toISOString() // Add timestamp
       })); 
       
-      // Show success notification
-      showNotification('Post added successfully!'); 
+      // Show success notification - new posts start as drafts
+      showNotification('Post saved as a draft! Submit it for review when it is ready.'); 
+      if (filters.status !== 'all') handleFiltersChange({ status: 'draft' });
       
       // Clear local form state
       setTitle('');
@@ -84,6 +129,19 @@ const BlogRedux = () => {
     showNotification('Post deleted successfully!');
   };
   
+  /**
+   * Function to save an edited blog post
+   * Dispatches updatePost action with only the changed fields
+   * 
+   * @param {number} postId - Post being edited
+   * @param {Object} updates - Changed fields from PostEditor
+   */
+  const handleUpdatePost = (postId, updates) => {
+    reduxDispatch(updatePost({ id: postId, updates }));
+    setEditingPostId(null);
+    showNotification('Post updated successfully!');
+  };
+  
   /**
    * Function to clear all posts
    * Dispatches clearPosts action to Redux store
@@ -104,6 +162,20 @@ const BlogRedux = () => {
     }
   };
   
+  // Plain text of each post and the search index - rebuilt only when posts change
+  const plainTexts = useMemo(() => new Map(posts.map(post => [post.id, markdownText(post.content)])), [posts]);
+  const searchIndexForPosts = useMemo(() => buildSearchIndex(posts, [
+    { text: (post) => post.title, weight: 3 },
+    { text: (post) => plainTexts.get(post.id), weight: 1 },
+  ]), [posts, plainTexts]);
+  
+  // Posts matching the search, facets and status tab, in the chosen order
+  const scores = searchIndex(searchIndexForPosts, filters.q);
+  const { posts: visiblePosts, statusCounts, categoryCounts } = applyPostFilters(posts, filters, scores);
+  
+  // Only one post is edited at a time (a post deleted or filtered out mid-edit closes its editor)
+  const editing = visiblePosts.some(post => post.id === editingPostId);
+  
   // JSX Return - Component Rendering
   return (
     <div className="container-fluid">
@@ -152,16 +224,14 @@ const BlogRedux = () => {
             </select>
           </div>
 
-          {/* Content Textarea */}
+          {/* Content - Markdown source with live preview */}
           <div className="mb-3">
             <label htmlFor="content" className="form-label">Content</label>
-            <textarea 
+            <MarkdownEditor
               id="content"
               value={content}
               onChange={(e) => setContent(e.target.value)}
-              placeholder="Enter post content..."
-              className="form-control"
-              rows="4"
+              placeholder="Enter post content in Markdown..."
             />
           </div>
 
@@ -171,7 +241,7 @@ const BlogRedux = () => {
             className="btn btn-primary w-100"
             disabled={!title.trim() || !content.trim() || !category}
           >
-            Add Post
+            Save Draft
           </button>
         </div>
       </div>
@@ -181,43 +251,113 @@ const BlogRedux = () => {
         <div className="card-header">
           <h4 className="mb-0">Blog Posts ({posts.length})</h4>
           <small className="text-muted">
-            Data managed by Redux store - persists across component re-mounts
+            Data managed by Redux store - persists across page reloads
           </small>
         </div>
         <div className="card-body">
+          {/* Search, Category Facets and Sort */}
+          <PostFilters
+            filters={filters}
+            categories={categories}
+            categoryCounts={categoryCounts}
+            onChange={handleFiltersChange}
+          />
+          
+          {/* Status Tabs - one per workflow status */}
+          <ul className="nav nav-pills mb-3">
+            {['all', ...POST_STATUSES].map(status => (
+              <li className="nav-item" key={status}>
+                <button
+                  onClick={() => handleFiltersChange({ status })}
+                  className={`nav-link ${filters.status === status ? 'active' : ''}`}
+                >
+                  {status === 'all' ? 'All' : POST_STATUS_LABELS[status]}
+                  <span className="badge bg-light text-dark ms-1">
+                    {statusCounts[status] || 0}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          
           {/* Conditional Rendering - data comes from Redux store */}
-          {posts.length > 0 ? (
+          {visiblePosts.length > 0 ? (
             <div className="row">
-              {/* Map through posts from Redux store */}
-              {posts.map(post => (
-                <div key={post.id} className="col-md-6 mb-3">
+              {/* Map through the posts matching the filters */}
+              {visiblePosts.map(post => (
+                <div key={post.id} className={`${editingPostId === post.id ? 'col-12' : 'col-md-6'} mb-3`}>
                   <div className="card h-100">
-                    <div className="card-header d-flex justify-content-between align-items-center">
-                      <h5 className="card-title mb-0">{post.title}</h5>
-                      <div>
-                        <span className="badge bg-primary me-2">{post.category}</span>
-                        <button
-                          onClick={() => handleDeletePost(post.id)}
-                          className="btn btn-outline-danger btn-sm"
-                          title="Delete post"
-                        >
-                          ✕
-                        </button>
-                      </div>
-                    </div>
-                    <div className="card-body">
-                      <p className="card-text">{post.content}</p>
-                    </div>
-                    <div className="card-footer">
-                      <small className="text-muted">
-                        ID: {post.id}
-                        {post.createdAt && (
-                          <span className="ms-2">
-                            Created: {new Date(post.createdAt).toLocaleString()}
-                          </span>
-                        )}
-                      </small>
-                    </div>
+                    {/* Edit Mode - replaces the post while it is being edited */}
+                    {editingPostId === post.id ? (
+                      <PostEditor
+                        post={post}
+                        categories={categories}
+                        onSave={(updates) => handleUpdatePost(post.id, updates)}
+                        onCancel={() => setEditingPostId(null)}
+                      />
+                    ) : (
+                      <>
+                        <div className="card-header d-flex justify-content-between align-items-center">
+                          <h5 className="card-title mb-0">
+                            <Link to={`/blog/redux/posts/${post.slug}`} className="text-reset">
+                              <Highlight text={post.title} query={filters.q} />
+                            </Link>
+                          </h5>
+                          <div className="d-flex align-items-center">
+                            <PostStatusBadge status={post.status} className="me-1" />
+                            <span className="badge bg-primary me-2">{post.category}</span>
+                            <div className="btn-group btn-group-sm">
+                              <button
+                                onClick={() => setEditingPostId(post.id)}
+                                className="btn btn-outline-secondary"
+                                title="Edit post"
+                                disabled={editing}
+                              >
+                                ✎
+                              </button>
+                              <button
+                                onClick={() => handleDeletePost(post.id)}
+                                className="btn btn-outline-danger"
+                                title="Delete post"
+                              >
+                                ✕
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+                        <div className="card-body">
+                          {/* Search results show the matching part of the post instead of all of it */}
+                          {scores ? (
+                            <p className="card-text">
+                              <Highlight text={excerpt(plainTexts.get(post.id), filters.q)} query={filters.q} />
+                            </p>
+                          ) : (
+                            <Markdown source={post.content} idPrefix={`post-${post.id}-`} className="card-text" />
+                          )}
+                        </div>
+                        <div className="card-footer">
+                          <PostStatusActions post={post} disabled={editing} />
+                          <small className="text-muted d-block mt-2">
+                            ID: {post.id}
+                            {post.createdAt && (
+                              <span className="ms-2">
+                                Created: {new Date(post.createdAt).toLocaleString()}
+                              </span>
+                            )}
+                            {post.updatedAt && (
+                              <span className="ms-2">
+                                Updated: {new Date(post.updatedAt).toLocaleString()}
+                              </span>
+                            )}
+                            {post.publishAt && (
+                              <span className="ms-2">
+                                {post.status === 'scheduled' ? 'Publishes' : 'Published'}: {new Date(post.publishAt).toLocaleString()}
+                              </span>
+                            )}
+                          </small>
+                        </div>
+                      </>
+                    )}
                   </div>
                 </div>
               ))}
@@ -225,7 +365,11 @@ const BlogRedux = () => {
           ) : (
             /* Empty State */
             <div className="text-center text-muted py-4">
-              <p>No blog posts yet. Add your first post above!</p>
+              <p>
+                {posts.length > 0
+                  ? 'No posts match these filters.'
+                  : 'No blog posts yet. Add your first post above!'}
+              </p>
               <small>This data is managed by Redux store</small>
             </div>
           )}
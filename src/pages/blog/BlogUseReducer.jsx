@@ -2,6 +2,11 @@
 import React, { useReducer, useState } from 'react';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
+// Import edit mode and Markdown editor shared by the three blog pages
+import PostEditor from './PostEditor';
+import MarkdownEditor from './MarkdownEditor';
+// Import the Markdown renderer for post content
+import Markdown from '../../components/Markdown';
 
 /**
  * Blog Reducer Function
@@ -29,11 +34,11 @@ const blogReducer = (state, action) => {
         case 'DELETE_POST':
             return state.filter(post => post.id !== action.payload.id);
 
-        // UPDATE_POST action: Updates existing post
+        // UPDATE_POST action: Updates existing post and stamps when it was edited
         case 'UPDATE_POST':
             return state.map(post =>
                 post.id === action.payload.id
-                    ? { ...post, ...action.payload.updates }
+                    ? { ...post, ...action.payload.updates, updatedAt: new Date().toISOString() }
                     : post
             );
 
@@ -57,6 +62,8 @@ const blogReducer = (state, action) => {
  * 3. Combining useReducer with useState
  * 4. Reducer pattern for predictable state changes
  * 5. Separation of state logic and UI logic
+ * 6. Edit mode - changed fields are dispatched as UPDATE_POST
+ * 7. Markdown posts - written with a live preview, rendered without injecting HTML
  * 
  * useReducer vs useState:
  * - useReducer: Complex state logic, multiple related updates
@@ -84,6 +91,9 @@ const BlogUseReducer = () => {
     const [content, setContent] = useState('');
     const [category, setCategory] = useState('');
 
+    // ID of the post in edit mode (null when no post is being edited)
+    const [editingPostId, setEditingPostId] = useState(null);
+
     // Available categories for the dropdown
     const categories = ['Technology', 'Lifestyle', 'Business', 'Health', 'Education', 'Entertainment'];
 
@@ -133,6 +143,22 @@ const BlogUseReducer = () => {
         showNotification('Post deleted successfully!');
     };
 
+    /**
+     * Function to save an edited blog post
+     * Demonstrates UPDATE_POST action with only the changed fields
+     * 
+     * @param {number} postId - Post being edited
+     * @param {Object} updates - Changed fields from PostEditor
+     */
+    const handleUpdatePost = (postId, updates) => {
+        dispatch({
+            type: 'UPDATE_POST',
+            payload: { id: postId, updates }
+        });
+        setEditingPostId(null);
+        showNotification('Post updated successfully!');
+    };
+
     /**
      * Function to clear all posts
      * Demonstrates CLEAR_POSTS action
@@ -153,6 +179,9 @@ const BlogUseReducer = () => {
         }
     };
 
+    // Only one post is edited at a time (a post deleted mid-edit closes its editor)
+    const editing = posts.some(post => post.id === editingPostId);
+
     // JSX Return - Component Rendering
     return (
         <div className="container-fluid">
@@ -201,16 +230,14 @@ const BlogUseReducer = () => {
                         </select>
                     </div>
 
-                    {/* Content Textarea */}
+                    {/* Content - Markdown source with live preview */}
                     <div className="mb-3">
                         <label htmlFor="content" className="form-label">Content</label>
-                        <textarea
+                        <MarkdownEditor
                             id="content"
                             value={content}
                             onChange={(e) => setContent(e.target.value)}
-                            placeholder="Enter post content..."
-                            className="form-control"
-                            rows="4"
+                            placeholder="Enter post content in Markdown..."
                         />
                     </div>
 
@@ -236,34 +263,61 @@ const BlogUseReducer = () => {
                         <div className="row">
                             {/* Map through posts to render each one */}
                             {posts.map(post => (
-                                <div key={post.id} className="col-md-6 mb-3">
+                                <div key={post.id} className={`${editingPostId === post.id ? 'col-12' : 'col-md-6'} mb-3`}>
                                     <div className="card h-100">
-                                        <div className="card-header d-flex justify-content-between align-items-center">
-                                            <h5 className="card-title mb-0">{post.title}</h5>
-                                            <div>
-                                                <span className="badge bg-primary me-2">{post.category}</span>
-                                                <button
-                                                    onClick={() => handleDeletePost(post.id)}
-                                                    className="btn btn-outline-danger btn-sm"
-                                                    title="Delete post"
-                                                >
-                                                    ✕
-                                                </button>
-                                            </div>
-                                        </div>
-                                        <div className="card-body">
-                                            <p className="card-text">{post.content}</p>
-                                        </div>
-                                        <div className="card-footer">
-                                            <small className="text-muted">
-                                                ID: {post.id}
-                                                {post.createdAt && (
-                                                    <span className="ms-2">
-                                                        Created: {new Date(post.createdAt).toLocaleString()}
-                                                    </span>
-                                                )}
-                                            </small>
-                                        </div>
+                                        {/* Edit Mode - replaces the post while it is being edited */}
+                                        {editingPostId === post.id ? (
+                                            <PostEditor
+                                                post={post}
+                                                categories={categories}
+                                                onSave={(updates) => handleUpdatePost(post.id, updates)}
+                                                onCancel={() => setEditingPostId(null)}
+                                            />
+                                        ) : (
+                                            <>
+                                                <div className="card-header d-flex justify-content-between align-items-center">
+                                                    <h5 className="card-title mb-0">{post.title}</h5>
+                                                    <div className="d-flex align-items-center">
+                                                        <span className="badge bg-primary me-2">{post.category}</span>
+                                                        <div className="btn-group btn-group-sm">
+                                                            <button
+                                                                onClick={() => setEditingPostId(post.id)}
+                                                                className="btn btn-outline-secondary"
+                                                                title="Edit post"
+                                                                disabled={editing}
+                                                            >
+                                                                ✎
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleDeletePost(post.id)}
+                                                                className="btn btn-outline-danger"
+                                                                title="Delete post"
+                                                            >
+                                                                ✕
+                                                            </button>
+                                                        </div>
+                                                    </div>
+                                                </div>
+                                                <div className="card-body">
+                                                    <Markdown source={post.content} idPrefix={`post-${post.id}-`} className="card-text" />
+                                                </div>
+                                                <div className="card-footer">
+                                                    <small className="text-muted">
+                                                        ID: {post.id}
+                                                        {post.createdAt && (
+                                                            <span className="ms-2">
+                                                                Created: {new Date(post.createdAt).toLocaleString()}
+                                                            </span>
+                                                        )}
+                                                        {post.updatedAt && (
+                                                            <span className="ms-2">
+                                                                Updated: {new Date(post.updatedAt).toLocaleString()}
+                                                            </span>
+                                                        )}
+                                                    </small>
+                                                </div>
+                                            </>
+                                        )}
                                     </div>
                                 </div>
                             ))}
@@ -2,6 +2,11 @@
 import React, { useState } from 'react';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
+// Import edit mode and Markdown editor shared by the three blog pages
+import PostEditor from './PostEditor';
+import MarkdownEditor from './MarkdownEditor';
+// Import the Markdown renderer for post content
+import Markdown from '../../components/Markdown';
 
 /**
  * BlogUseState Component
@@ -13,6 +18,8 @@ import { useNotification } from '../../context/NotificationContext';
  * 3. Array state updates with spread operator
  * 4. Input validation and user feedback
  * 5. Dynamic list rendering with map()
+ * 6. Edit mode - updating one post in the array with map()
+ * 7. Markdown posts - written with a live preview, rendered without injecting HTML
  * 
  * State Management Pattern:
  * - posts: Array of blog posts (complex state)
@@ -32,6 +39,9 @@ const BlogUseState = () => {
     const [content, setContent] = useState('');
     const [category, setCategory] = useState('');
     
+    // ID of the post in edit mode (null when no post is being edited)
+    const [editingPostId, setEditingPostId] = useState(null);
+    
     // Available categories for the dropdown
     const categories = ['Technology', 'Lifestyle', 'Business', 'Health', 'Education', 'Entertainment'];
     
@@ -70,6 +80,23 @@ const BlogUseState = () => {
         }
     };
     
+    /**
+     * Function to save an edited blog post
+     * Replaces the post with a copy holding the changed fields and an updatedAt stamp
+     * 
+     * @param {number} postId - Post being edited
+     * @param {Object} updates - Changed fields from PostEditor
+     */
+    const handleUpdatePost = (postId, updates) => {
+        setPosts(currentPosts => currentPosts.map(post =>
+            post.id === postId
+                ? { ...post, ...updates, updatedAt: new Date().toISOString() }
+                : post
+        ));
+        setEditingPostId(null);
+        showNotification('Post updated successfully!');
+    };
+    
     /**
      * Handle Enter key press for better UX
      * Allows users to submit form by pressing Enter
@@ -80,6 +107,9 @@ const BlogUseState = () => {
         }
     };
     
+    // Only one post is edited at a time
+    const editing = posts.some(post => post.id === editingPostId);
+    
     // JSX Return - Component Rendering
     return (
         <div className="container-fluid">
@@ -119,16 +149,14 @@ const BlogUseState = () => {
                         </select>
                     </div>
 
-                    {/* Content Textarea */}
+                    {/* Content - Markdown source with live preview */}
                     <div className="mb-3">
                         <label htmlFor="content" className="form-label">Content</label>
-                        <textarea 
+                        <MarkdownEditor
                             id="content"
                             value={content}
                             onChange={(e) => setContent(e.target.value)}
-                            placeholder="Enter post content..."
-                            className="form-control"
-                            rows="4"
+                            placeholder="Enter post content in Markdown..."
                         />
                     </div>
 
@@ -155,18 +183,47 @@ const BlogUseState = () => {
                         <div className="row">
                             {/* Map through posts array to render each post */}
                             {posts.map(post => (
-                                <div key={post.id} className="col-md-6 mb-3">
+                                <div key={post.id} className={`${editingPostId === post.id ? 'col-12' : 'col-md-6'} mb-3`}>
                                     <div className="card h-100">
-                                        <div className="card-header d-flex justify-content-between align-items-center">
-                                            <h5 className="card-title mb-0">{post.title}</h5>
-                                            <span className="badge bg-primary">{post.category}</span>
-                                        </div>
-                                        <div className="card-body">
-                                            <p className="card-text">{post.content}</p>
-                                        </div>
-                                        <div className="card-footer">
-                                            <small className="text-muted">ID: {post.id}</small>
-                                        </div>
+                                        {/* Edit Mode - replaces the post while it is being edited */}
+                                        {editingPostId === post.id ? (
+                                            <PostEditor
+                                                post={post}
+                                                categories={categories}
+                                                onSave={(updates) => handleUpdatePost(post.id, updates)}
+                                                onCancel={() => setEditingPostId(null)}
+                                            />
+                                        ) : (
+                                            <>
+                                                <div className="card-header d-flex justify-content-between align-items-center">
+                                                    <h5 className="card-title mb-0">{post.title}</h5>
+                                                    <div className="d-flex align-items-center">
+                                                        <span className="badge bg-primary me-2">{post.category}</span>
+                                                        <button
+                                                            onClick={() => setEditingPostId(post.id)}
+                                                            className="btn btn-outline-secondary btn-sm"
+                                                            title="Edit post"
+                                                            disabled={editing}
+                                                        >
+                                                            ✎
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                                <div className="card-body">
+                                                    <Markdown source={post.content} idPrefix={`post-${post.id}-`} className="card-text" />
+                                                </div>
+                                                <div className="card-footer">
+                                                    <small className="text-muted">
+                                                        ID: {post.id}
+                                                        {post.updatedAt && (
+                                                            <span className="ms-2">
+                                                                Updated: {new Date(post.updatedAt).toLocaleString()}
+                                                            </span>
+                                                        )}
+                                                    </small>
+                                                </div>
+                                            </>
+                                        )}
                                     </div>
                                 </div>
                             ))}
@@ -0,0 +1,58 @@
+// Import React library for creating components
+import React from 'react';
+// Import the Markdown renderer used for posts
+import Markdown from '../../components/Markdown';
+
+/**
+ * MarkdownEditor Component
+ * Split-pane post editor - Markdown source on the left, live preview on the right
+ *
+ * Key Concepts Demonstrated:
+ * 1. Controlled textarea - the parent owns the text, so it works with useState,
+ *    useReducer and Redux forms alike
+ * 2. Live preview - the same Markdown component renders the preview and the saved post
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID of the textarea, for its label
+ * @param {string} props.value - Markdown text
+ * @param {Function} props.onChange - Called with the change event
+ * @param {string} props.name - Input name, for forms with a generic change handler
+ * @param {boolean} props.invalid - Show the textarea as invalid
+ * @param {string} props.placeholder - Textarea placeholder
+ */
+const MarkdownEditor = ({ id, value, onChange, name, invalid = false, placeholder = 'Write your post in Markdown...' }) => {
+  return (
+    <div className="row g-2">
+      {/* Source */}
+      <div className="col-md-6">
+        <textarea
+          id={id}
+          name={name}
+          value={value}
+          onChange={onChange}
+          placeholder={placeholder}
+          className={`form-control font-monospace h-100 ${invalid ? 'is-invalid' : ''}`}
+          rows="8"
+        />
+      </div>
+
+      {/* Live Preview - heading anchors get their own prefix so they never clash with saved posts */}
+      <div className="col-md-6">
+        <div className="border rounded p-2 h-100 bg-white overflow-auto" style={{ minHeight: '10rem', maxHeight: '24rem' }} aria-label="Preview">
+          {value.trim() ? (
+            <Markdown source={value} idPrefix={`${id}-preview-`} />
+          ) : (
+            <span className="text-muted small">Preview appears here</span>
+          )}
+        </div>
+      </div>
+
+      <div className="col-12 form-text mt-1">
+        Markdown: **bold**, *italic*, `code`, # headings, - lists, &gt; quotes, [links](https://...) and ```js code blocks.
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default MarkdownEditor;
@@ -0,0 +1,182 @@
+// Import React library and useState for edit mode
+import React, { useState } from 'react';
+// Import Redux hooks for reading and updating posts
+import { useSelector, useDispatch } from 'react-redux';
+// Import router helpers for the slug, redirects and navigation links
+import { Link, Navigate, useLocation, useParams } from 'react-router-dom';
+// Import update action and slug selector from blog slice
+import { updatePost, selectPostBySlug } from '../../store/blogSlice';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import edit mode shared by the blog pages
+import PostEditor from './PostEditor';
+// Import status badge and workflow buttons
+import PostStatusBadge from './PostStatusBadge';
+import PostStatusActions from './PostStatusActions';
+// Import the Markdown renderer for post content
+import Markdown from '../../components/Markdown';
+
+// Available categories for the edit dropdown (same as the Redux blog page)
+const categories = ['Technology', 'Lifestyle', 'Business', 'Health', 'Education', 'Entertainment'];
+
+// Notice shown above posts that are not live (scheduled posts show their publish time)
+const UNPUBLISHED_NOTICES = {
+  draft: 'This post is a draft and not yet public.',
+  review: 'This post is waiting for review and not yet public.',
+  archived: 'This post has been archived and is no longer public.',
+};
+
+/**
+ * PostDetail Component
+ * One Redux blog post at a shareable URL: /blog/redux/posts/:slug
+ *
+ * Key Concepts Demonstrated:
+ * 1. useParams for reading the post slug from the URL
+ * 2. <Navigate replace> - links to a renamed post's old slug redirect to its
+ *    current URL without leaving the old one in history
+ * 3. Previous/next navigation derived from the post's position in the list,
+ *    among posts with the same status (published posts link to published posts)
+ * 4. Clipboard API for copying the post's link
+ */
+const PostDetail = () => {
+  const { slug } = useParams();
+  const location = useLocation();
+  const posts = useSelector((state) => state.blog.posts);
+  const post = useSelector((state) => selectPostBySlug(state, slug));
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+
+  // ID of the post in edit mode - an ID rather than a flag, so moving to
+  // the previous or next post (same component, new slug) leaves edit mode
+  const [editingPostId, setEditingPostId] = useState(null);
+
+  // Unknown slug in the URL
+  if (!post) {
+    return (
+      <div className="alert alert-warning">
+        Post not found. <Link to="/blog/redux">Back to all posts</Link>
+      </div>
+    );
+  }
+
+  // Old slug from before a rename - move to the current URL, keeping any #heading
+  if (post.slug !== slug) {
+    return <Navigate to={`/blog/redux/posts/${post.slug}${location.hash}`} replace />;
+  }
+
+  const editing = editingPostId === post.id;
+
+  // Neighbouring posts with the same status, in list order (oldest first)
+  const siblings = posts.filter(other => other.status === post.status);
+  const index = siblings.indexOf(post);
+  const previousPost = siblings[index - 1];
+  const nextPost = siblings[index + 1];
+
+  /**
+   * Save the edited fields; a new title changes the slug, and the
+   * redirect above then moves the page to the new URL
+   *
+   * @param {Object} updates - Changed fields from PostEditor
+   */
+  const handleUpdatePost = (updates) => {
+    reduxDispatch(updatePost({ id: post.id, updates }));
+    setEditingPostId(null);
+    showNotification('Post updated successfully!');
+  };
+
+  /**
+   * Copy the address of this post (without any #heading) for sharing
+   */
+  const handleCopyLink = async () => {
+    const url = `${window.location.origin}/blog/redux/posts/${post.slug}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      showNotification('Link copied to clipboard!');
+    } catch {
+      showNotification(`Could not copy the link: ${url}`);
+    }
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="container-fluid">
+      {/* Toolbar */}
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <Link to="/blog/redux" className="btn btn-outline-secondary btn-sm">
+          ← All Posts
+        </Link>
+        <div className="btn-group btn-group-sm">
+          <button onClick={handleCopyLink} className="btn btn-outline-primary">
+            Copy Link
+          </button>
+          <button onClick={() => setEditingPostId(post.id)} className="btn btn-outline-secondary" disabled={editing}>
+            Edit
+          </button>
+        </div>
+      </div>
+
+      {/* Unpublished Notice - drafts and posts in review are shared with reviewers by link */}
+      {post.status !== 'published' && (
+        <div className="alert alert-info py-2">
+          {post.status === 'scheduled'
+            ? `This post is scheduled and goes live ${new Date(post.publishAt).toLocaleString()}.`
+            : UNPUBLISHED_NOTICES[post.status]}
+        </div>
+      )}
+
+      {/* Post */}
+      <article className="card mb-3">
+        {editing ? (
+          <PostEditor
+            post={post}
+            categories={categories}
+            onSave={handleUpdatePost}
+            onCancel={() => setEditingPostId(null)}
+          />
+        ) : (
+          <>
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h3 className="card-title mb-0">{post.title}</h3>
+              <div>
+                <PostStatusBadge status={post.status} className="me-1" />
+                <span className="badge bg-primary">{post.category}</span>
+              </div>
+            </div>
+            <div className="card-body">
+              <Markdown source={post.content} idPrefix={`post-${post.id}-`} />
+            </div>
+            <div className="card-footer">
+              <PostStatusActions key={post.id} post={post} />
+              <small className="text-muted d-block mt-2">
+                {post.createdAt && <span>Created: {new Date(post.createdAt).toLocaleString()}</span>}
+                {post.updatedAt && (
+                  <span className="ms-2">Updated: {new Date(post.updatedAt).toLocaleString()}</span>
+                )}
+                {post.status === 'published' && post.publishAt && (
+                  <span className="ms-2">Published: {new Date(post.publishAt).toLocaleString()}</span>
+                )}
+              </small>
+            </div>
+          </>
+        )}
+      </article>
+
+      {/* Previous / Next */}
+      <nav className="d-flex justify-content-between gap-2" aria-label="Post navigation">
+        {previousPost ? (
+          <Link to={`/blog/redux/posts/${previousPost.slug}`} className="btn btn-link text-start px-0">
+            ← {previousPost.title}
+          </Link>
+        ) : <span />}
+        {nextPost && (
+          <Link to={`/blog/redux/posts/${nextPost.slug}`} className="btn btn-link text-end px-0">
+            {nextPost.title} →
+          </Link>
+        )}
+      </nav>
+    </div>
+  );
+};
+
+// Export component as default export
+export default PostDetail;
@@ -0,0 +1,129 @@
+// Import React library with useState for the draft and useEffect for the unload warning
+import React, { useState, useEffect } from 'react';
+// Import split-pane Markdown editor for the post content
+import MarkdownEditor from './MarkdownEditor';
+
+// Post fields the editor can change
+const EDITABLE_FIELDS = ['title', 'category', 'content'];
+
+/**
+ * PostEditor Component
+ * Edit mode for one blog post, shared by the useState, useReducer and Redux blog pages
+ *
+ * Key Concepts Demonstrated:
+ * 1. Draft state - edits stay local until they are saved
+ * 2. Dirty-state tracking - the draft is compared with the saved post on every render
+ * 3. Confirming before unsaved changes are thrown away (Cancel or closing the tab)
+ * 4. Only changed fields are sent to the parent's update action
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Saved post being edited
+ * @param {Array} props.categories - Categories to choose from
+ * @param {Function} props.onSave - Called with the changed fields, e.g. { title }
+ * @param {Function} props.onCancel - Called when editing ends without saving
+ */
+const PostEditor = ({ post, categories, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => ({
+    title: post.title,
+    category: post.category,
+    content: post.content,
+  }));
+
+  // Fields whose trimmed value differs from the saved post
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS
+      .filter(field => draft[field].trim() !== post[field])
+      .map(field => [field, draft[field].trim()])
+  );
+  const dirty = Object.keys(changes).length > 0;
+  const valid = draft.title.trim() && draft.content.trim() && draft.category;
+
+  // Warn before the tab is closed or reloaded with unsaved changes
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  /**
+   * Generic change handler for named inputs
+   *
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(current => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Leave edit mode, confirming first if there are unsaved changes
+   */
+  const handleCancel = () => {
+    if (!dirty || window.confirm('Discard your unsaved changes to this post?')) {
+      onCancel();
+    }
+  };
+
+  /**
+   * Save the changed fields
+   *
+   * @param {Event} e - Submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (valid && dirty) onSave(changes);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <form onSubmit={handleSubmit} onKeyDown={(e) => e.key === 'Escape' && handleCancel()}>
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="card-title mb-0">Edit Post</h5>
+        {dirty && <span className="badge bg-warning text-dark">Unsaved changes</span>}
+      </div>
+      <div className="card-body">
+        <input
+          name="title"
+          value={draft.title}
+          onChange={handleChange}
+          aria-label="Post title"
+          className={`form-control mb-2 ${draft.title.trim() ? '' : 'is-invalid'}`}
+          autoFocus
+        />
+        <select
+          name="category"
+          value={draft.category}
+          onChange={handleChange}
+          aria-label="Category"
+          className="form-select mb-2"
+        >
+          {categories.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+        <MarkdownEditor
+          id={`post-${post.id}-content`}
+          name="content"
+          value={draft.content}
+          onChange={handleChange}
+          invalid={!draft.content.trim()}
+        />
+      </div>
+      <div className="card-footer d-flex justify-content-end gap-2">
+        <button type="button" onClick={handleCancel} className="btn btn-outline-secondary btn-sm">
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={!valid || !dirty}>
+          Save Changes
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Export component as default export
+export default PostEditor;
@@ -0,0 +1,101 @@
+// Import React library for creating components
+import React from 'react';
+// Import sort options and the default sort for a query
+import { POST_SORTS, defaultPostSort } from '../../utils/postFilters';
+
+/**
+ * PostFilters Component
+ * Search box, category facets and sort order for the Redux blog list
+ *
+ * Key Concepts Demonstrated:
+ * 1. Controlled inputs backed by the URL - the parent reads and writes the query string
+ * 2. Faceted filtering - categories toggle on and off and show how many posts they match
+ * 3. Options that depend on other state - 'Best match' is only offered while searching
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - { q, categories, status, sort }
+ * @param {Array} props.categories - Every category, in display order
+ * @param {Object} props.categoryCounts - Matching posts per category
+ * @param {Function} props.onChange - Called with the changed filters and { replace }
+ *   (replace: true while typing, so each keystroke is not a history entry)
+ */
+const PostFilters = ({ filters, categories, categoryCounts, onChange }) => {
+  const filtered = filters.q.trim() || filters.categories.length > 0 || filters.sort !== defaultPostSort(filters.q);
+
+  /**
+   * Turn a category facet on or off
+   *
+   * @param {string} category - Category clicked
+   */
+  const toggleCategory = (category) => {
+    onChange({
+      categories: filters.categories.includes(category)
+        ? filters.categories.filter(selected => selected !== category)
+        : [...filters.categories, category],
+    });
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="mb-3">
+      <div className="row g-2 mb-2">
+        {/* Full-text Search - titles and content */}
+        <div className="col-md-8">
+          <input
+            type="search"
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value }, { replace: true })}
+            placeholder="Search titles and content..."
+            aria-label="Search posts"
+            className="form-control"
+          />
+        </div>
+
+        {/* Sort Order */}
+        <div className="col-md-4">
+          <select
+            value={filters.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            aria-label="Sort posts"
+            className="form-select"
+          >
+            {Object.entries(POST_SORTS)
+              .filter(([sort]) => sort !== 'relevance' || filters.q.trim())
+              .map(([sort, label]) => (
+                <option key={sort} value={sort}>{label}</option>
+              ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Category Facets */}
+      <div className="d-flex flex-wrap align-items-center gap-1">
+        {categories.map(category => {
+          const selected = filters.categories.includes(category);
+          return (
+            <button
+              key={category}
+              onClick={() => toggleCategory(category)}
+              className={`btn btn-sm ${selected ? 'btn-primary' : 'btn-outline-primary'}`}
+              aria-pressed={selected}
+              disabled={!selected && !categoryCounts[category]}
+            >
+              {category} <span className="badge bg-light text-dark">{categoryCounts[category] || 0}</span>
+            </button>
+          );
+        })}
+        {filtered && (
+          <button
+            onClick={() => onChange({ q: '', categories: [], sort: null })}
+            className="btn btn-sm btn-link"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default PostFilters;
@@ -0,0 +1,111 @@
+// Import React library and useState for the schedule picker
+import React, { useState } from 'react';
+// Import useDispatch hook for moving the post through its workflow
+import { useDispatch } from 'react-redux';
+// Import status action, status machine and display names from blog slice
+import { setPostStatus, POST_TRANSITIONS, POST_STATUS_LABELS } from '../../store/blogSlice';
+// Import datetime-local formatter for the default publish time
+import { toLocalDateTime } from '../../utils/dates';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+
+// Button label for each move, by current status then new status
+const ACTION_LABELS = {
+  draft: { review: 'Submit for Review' },
+  review: { draft: 'Request Changes', scheduled: 'Schedule…', published: 'Publish Now' },
+  scheduled: { review: 'Unschedule', published: 'Publish Now' },
+  published: { archived: 'Archive' },
+  archived: { draft: 'Restore as Draft' },
+};
+
+// One hour in milliseconds - the schedule picker starts an hour from now
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * PostStatusActions Component
+ * Workflow buttons for one blog post - only the moves its status allows are shown
+ *
+ * Key Concepts Demonstrated:
+ * 1. UI driven by the slice's status machine (POST_TRANSITIONS)
+ * 2. Inline confirmation step - scheduling asks for a publish time first
+ * 3. datetime-local input - a local time converted to an ISO timestamp for the store
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Post to act on
+ * @param {boolean} props.disabled - Disable the buttons, e.g. while the post is edited
+ */
+const PostStatusActions = ({ post, disabled = false }) => {
+  const reduxDispatch = useDispatch();
+  const showNotification = useNotification();
+
+  // Publish time being picked, as 'YYYY-MM-DDTHH:mm' (null when the picker is closed)
+  const [scheduleAt, setScheduleAt] = useState(null);
+
+  /**
+   * Move the post to a new status
+   * Scheduling opens the publish time picker instead
+   *
+   * @param {string} status - Requested status
+   */
+  const handleStatusChange = (status) => {
+    if (status === 'scheduled') {
+      setScheduleAt(toLocalDateTime(new Date(Date.now() + HOUR)));
+      return;
+    }
+    reduxDispatch(setPostStatus({ id: post.id, status }));
+    showNotification(`"${post.title}" moved to ${POST_STATUS_LABELS[status]}`);
+  };
+
+  /**
+   * Schedule the post once a future publish time has been picked
+   */
+  const handleSchedule = () => {
+    const publishAt = new Date(scheduleAt);
+    if (!scheduleAt || Number.isNaN(publishAt.getTime()) || publishAt <= new Date()) {
+      showNotification('Please pick a publish time in the future!');
+      return;
+    }
+    reduxDispatch(setPostStatus({ id: post.id, status: 'scheduled', publishAt: publishAt.toISOString() }));
+    showNotification(`"${post.title}" scheduled for ${publishAt.toLocaleString()}`);
+    setScheduleAt(null);
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2">
+      <div className="btn-group btn-group-sm">
+        {POST_TRANSITIONS[post.status].map(status => (
+          <button
+            key={status}
+            onClick={() => handleStatusChange(status)}
+            className={`btn ${status === 'published' ? 'btn-success' : 'btn-outline-secondary'}`}
+            disabled={disabled || scheduleAt !== null}
+          >
+            {ACTION_LABELS[post.status][status]}
+          </button>
+        ))}
+      </div>
+
+      {/* Schedule Picker - the post is published when this time arrives */}
+      {scheduleAt !== null && (
+        <div className="input-group input-group-sm w-auto">
+          <input
+            type="datetime-local"
+            value={scheduleAt}
+            min={toLocalDateTime()}
+            onChange={(e) => setScheduleAt(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSchedule()}
+            aria-label="Publish time"
+            className="form-control"
+            autoFocus
+          />
+          <button onClick={handleSchedule} className="btn btn-info">Schedule</button>
+          <button onClick={() => setScheduleAt(null)} className="btn btn-outline-secondary">Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Export component as default export
+export default PostStatusActions;
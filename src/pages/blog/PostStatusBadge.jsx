@@ -0,0 +1,30 @@
+// Import React library for creating components
+import React from 'react';
+// Import status display names from blog slice
+import { POST_STATUS_LABELS } from '../../store/blogSlice';
+
+// Bootstrap badge colour for each post status
+const STATUS_BADGES = {
+  draft: 'bg-secondary',
+  review: 'bg-warning text-dark',
+  scheduled: 'bg-info text-dark',
+  published: 'bg-success',
+  archived: 'bg-dark',
+};
+
+/**
+ * PostStatusBadge Component
+ * Coloured badge showing a blog post's status
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.status - Post status (draft, review, scheduled, published, archived)
+ * @param {string} props.className - Extra classes for sizing/spacing
+ */
+const PostStatusBadge = ({ status, className = '' }) => (
+  <span className={`badge ${STATUS_BADGES[status] || 'bg-light text-dark'} ${className}`}>
+    {POST_STATUS_LABELS[status] || status}
+  </span>
+);
+
+// Export component as default export
+export default PostStatusBadge;
@@ -3,15 +3,25 @@ import React from 'react';
 // Import Redux hooks for connecting component to global state
 import { useSelector, useDispatch } from 'react-redux';
 // Import action creators from cart slice for dispatching actions
-import { add, updateQty } from '../../store/cartSlice';
+import { add, updateQty, setCurrency, applyCoupon, removeCoupon, checkout } from '../../store/cartSlice';
+// Import catalog selector for naming the products a coupon applies to
+import { selectAllProducts } from '../../store/productsSlice';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
-
-// Static product data - In real application, this would come from API/database
-const products = [
-  { id: 1, name: 'Laptop', price: 1200 }, 
-  { id: 2, name: 'Mouse', price: 25 }
-];
+// Import shared product catalog grid
+import ProductGrid from '../../components/ProductGrid';
+// Import rate formatting for the tax lines
+import { formatRate } from '../../utils/tax';
+// Import coupon validation and cart totals with the coupon taken off before tax
+import { validateCoupon, calculateCartTotals } from '../../utils/coupons';
+// Import exact money arithmetic for line totals
+import { multiply, formatMoney } from '../../utils/money';
+// Import currency conversion from catalog prices to the cart's currency
+import { convert } from '../../utils/currency';
+// Import shared currency picker
+import CurrencySelect from '../../components/CurrencySelect';
+// Import coupon code entry for the cart summary
+import CouponForm from './CouponForm';
 
 /**
  * CartRedux Component
@@ -23,6 +33,7 @@ const products = [
  * 3. useDispatch hook for dispatching actions to Redux store
  * 4. Action creators from Redux Toolkit slices
  * 5. Separation of concerns (state logic in slice, UI in component)
+ * 6. Coupons validated in the component, stored in the slice and re-checked on every render
  * 
  * Redux Benefits:
  * - Centralized state management
@@ -37,6 +48,13 @@ const CartRedux = () => {
   // This hook subscribes component to Redux store updates
   // When state changes, component re-renders automatically
   const cart = useSelector((state) => state.cart.items);
+  const currency = useSelector((state) => state.cart.currency);
+  // Tax configuration shared with billing
+  const taxConfig = useSelector((state) => state.tax);
+  // Applied coupon code and this customer's past coupon uses
+  const couponCode = useSelector((state) => state.cart.coupon);
+  const couponRedemptions = useSelector((state) => state.cart.couponRedemptions);
+  const products = useSelector(selectAllProducts);
   
   // useDispatch Hook - Get dispatch function to send actions to Redux store
   // dispatch is used to trigger state changes via actions
@@ -74,9 +92,39 @@ const CartRedux = () => {
     reduxDispatch(updateQty({ id, amount })); 
   };
   
-  // Calculate total price using reduce method
-  // Data comes from Redux store, not local component state
-  const total = cart.reduce((accumulator, item) => accumulator + (item.price * item.qty), 0);
+  // Unit prices converted from the catalog currency to the cart's currency
+  // Converting before multiplying keeps "unit x qty" equal to the line total
+  const unitPrice = (item) => convert(item.price, currency);
+  
+  // Everything a coupon is checked against
+  const couponContext = { items: cart, currency, redemptions: couponRedemptions, products };
+  
+  // Re-check the applied coupon - the cart may have changed since it was applied
+  const couponCheck = couponCode ? validateCoupon(couponCode, couponContext) : null;
+  const coupon = couponCheck?.coupon ?? null;
+  
+  // Calculate totals through the shared tax engine, with the coupon taken off first
+  // Each product's category selects the tax rates applied to its line
+  const { itemsTotal, couponDiscount, subtotal, taxes, total } = calculateCartTotals(cart, coupon, taxConfig, currency);
+  
+  /**
+   * Function to apply a validated coupon
+   * 
+   * @param {Object} validCoupon - Coupon returned by validateCoupon
+   */
+  const handleApplyCoupon = (validCoupon) => {
+    reduxDispatch(applyCoupon(validCoupon.code));
+    showNotification(`Coupon ${validCoupon.code} applied!`);
+  };
+  
+  /**
+   * Function to place the order
+   * Only a coupon that still applies is counted as used
+   */
+  const placeOrder = () => {
+    reduxDispatch(checkout({ couponCode: coupon?.code ?? null }));
+    showNotification(`Order placed - ${formatMoney(total)}`);
+  };
   
   // JSX Return - Component Rendering
   return (
@@ -85,37 +133,18 @@ const CartRedux = () => {
       <div className="col-lg-8">
         <h3>Available Products</h3>
         
-        {/* Bootstrap Grid System for Responsive Product Cards */}
-        <div className="row row-cols-1 row-cols-md-2 g-4">
-          {/* Map through products array to render each product */}
-          {products.map(product => (
-            <div className="col" key={product.id}>
-              {/* Bootstrap Card Component for Product Display */}
-              <div className="card h-100 text-center">
-                <div className="card-body d-flex flex-column justify-content-between">
-                  {/* Product Information */}
-                  <h5 className="card-title">{product.name}</h5>
-                  <p className="card-text text-muted">${product.price}</p>
-                  
-                  {/* Add to Cart Button with onClick Event Handler */}
-                  <button 
-                    onClick={() => addToCart(product)} 
-                    className="btn btn-primary"
-                  >
-                    Add to Cart
-                  </button>
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
+        {/* Shared catalog grid - product data comes from the products slice */}
+        <ProductGrid onAdd={addToCart} cartItems={cart} currency={currency} />
       </div>
       
       {/* Right Column - Shopping Cart Display */}
       <div className="col-lg-4">
         <div className="card bg-light">
           <div className="card-body">
-            <h3 className="card-title">Shopping Cart</h3>
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <h3 className="card-title mb-0">Shopping Cart</h3>
+              <CurrencySelect value={currency} onChange={(code) => reduxDispatch(setCurrency(code))} />
+            </div>
             
             {/* Cart Items List - Data comes from Redux store */}
             <ul className="list-group list-group-flush">
@@ -125,12 +154,12 @@ const CartRedux = () => {
                   {/* Item Name and Total Price */}
                   <div className="d-flex justify-content-between fw-bold">
                     <span>{item.name}</span>
-                    <span>${(item.price * item.qty).toFixed(2)}</span>
+                    <span>{formatMoney(multiply(unitPrice(item), item.qty))}</span>
                   </div>
                   
                   {/* Item Details and Quantity Controls */}
                   <div className="d-flex justify-content-between align-items-center text-muted small">
-                    <span>${item.price} x {item.qty}</span>
+                    <span>{formatMoney(unitPrice(item))} x {item.qty}</span>
                     
                     {/* Quantity Control Buttons */}
                     <div className="btn-group btn-group-sm">
@@ -146,6 +175,7 @@ const CartRedux = () => {
                       <button 
                         onClick={() => updateQuantity(item.id, 1)} 
                         className="btn btn-outline-secondary"
+                        disabled={item.qty >= item.stock}
                       >
                         +
                       </button>
@@ -162,25 +192,59 @@ const CartRedux = () => {
             
             {/* Cart Summary Section */}
             <hr />
+            
+            {/* Coupon Entry - rejected codes explain why */}
+            <CouponForm
+              appliedCode={couponCode}
+              appliedError={couponCheck?.error ?? null}
+              context={couponContext}
+              onApply={handleApplyCoupon}
+              onRemove={() => reduxDispatch(removeCoupon())}
+            />
+            
             <ul className="list-unstyled mb-0">
+              {/* Items Total and Coupon Discount - only when a coupon applies */}
+              {coupon && (
+                <>
+                  <li className="d-flex justify-content-between">
+                    <span>Items:</span> 
+                    <span>{formatMoney(itemsTotal)}</span>
+                  </li>
+                  <li className="d-flex justify-content-between text-success">
+                    <span>Coupon {coupon.code}:</span> 
+                    <span>-{formatMoney(couponDiscount)}</span>
+                  </li>
+                </>
+              )}
+              
               {/* Subtotal Calculation */}
               <li className="d-flex justify-content-between">
                 <span>Subtotal:</span> 
-                <span>${total.toFixed(2)}</span>
+                <span>{formatMoney(subtotal)}</span>
               </li>
               
-              {/* Tax Calculation (10% of subtotal) */}
-              <li className="d-flex justify-content-between">
-                <span>Tax (10%):</span> 
-                <span>${(total * 0.1).toFixed(2)}</span>
-              </li>
+              {/* Tax Calculation - one line per rate used by the cart's categories */}
+              {taxes.map(tax => (
+                <li key={tax.id} className="d-flex justify-content-between">
+                  <span>{tax.label} ({formatRate(tax.rate)}):</span> 
+                  <span>{formatMoney(tax.amount)}</span>
+                </li>
+              ))}
               
               {/* Final Total (Subtotal + Tax) */}
               <li className="d-flex justify-content-between fw-bold fs-5 mt-2">
                 <span>Total:</span> 
-                <span>${(total * 1.1).toFixed(2)}</span>
+                <span>{formatMoney(total)}</span>
               </li>
+              {taxConfig.pricesIncludeTax && (
+                <li className="small text-muted text-end">Prices include tax</li>
+              )}
             </ul>
+            
+            {/* Checkout - counts the coupon as used */}
+            <button onClick={placeOrder} className="btn btn-success w-100 mt-3" disabled={cart.length === 0}>
+              Place Order
+            </button>
           </div>
         </div>
       </div>
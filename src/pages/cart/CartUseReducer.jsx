@@ -1,13 +1,19 @@
 // Import React library and useReducer hook for state management
-import React, { useReducer } from 'react';
+import React, { useReducer, useState } from 'react';
 // Import custom notification context hook for showing user feedback
 import { useNotification } from '../../context/NotificationContext';
-
-// Static product data - In real application, this would come from API/database
-const products = [
-  { id: 1, name: 'Laptop', price: 1200 }, 
-  { id: 2, name: 'Mouse', price: 25 }
-];
+// Import shared product catalog grid
+import ProductGrid from '../../components/ProductGrid';
+// Import useSelector to read the shared tax configuration from Redux
+import { useSelector } from 'react-redux';
+// Import the shared tax engine
+import { calculateTotals, formatRate } from '../../utils/tax';
+// Import exact money arithmetic for line totals
+import { multiply, formatMoney, DEFAULT_CURRENCY } from '../../utils/money';
+// Import currency conversion from catalog prices to the cart's currency
+import { convert } from '../../utils/currency';
+// Import shared currency picker
+import CurrencySelect from '../../components/CurrencySelect';
 
 /**
  * Reducer function for managing cart state
@@ -74,6 +80,9 @@ const CartUseReducer = () => {
   // dispatch: Function to trigger state changes by sending actions
   const [cart, dispatch] = useReducer(cartReducer, []);
   
+  // Currency is independent of the cart items, so plain useState is enough
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  
   // Get notification function from context
   // This demonstrates Context API usage for cross-component communication
   const showNotification = useNotification();
@@ -102,9 +111,20 @@ const CartUseReducer = () => {
     dispatch({ type: 'UPDATE_QTY', id, amount }); 
   };
   
-  // Calculate total price using reduce method
-  // reduce() is a functional programming concept for aggregating array values
-  const total = cart.reduce((accumulator, item) => accumulator + (item.price * item.qty), 0);
+  // Tax configuration shared with billing - lives in Redux so every page uses the same rules
+  const taxConfig = useSelector((state) => state.tax);
+  
+  // Unit prices converted from the catalog currency to the cart's currency
+  // Converting before multiplying keeps "unit x qty" equal to the line total
+  const unitPrice = (item) => convert(item.price, currency);
+  
+  // Calculate totals through the shared tax engine
+  // Each product's category selects the tax rates applied to its line
+  const { subtotal, taxes, total } = calculateTotals(
+    cart.map(item => ({ amount: multiply(unitPrice(item), item.qty), category: item.categoryId })),
+    taxConfig,
+    currency
+  );
   
   // JSX Return - Component Rendering
   return (
@@ -113,37 +133,18 @@ const CartUseReducer = () => {
       <div className="col-lg-8">
         <h3>Available Products</h3>
         
-        {/* Bootstrap Grid System for Responsive Product Cards */}
-        <div className="row row-cols-1 row-cols-md-2 g-4">
-          {/* Map through products array to render each product */}
-          {products.map(product => (
-            <div className="col" key={product.id}>
-              {/* Bootstrap Card Component for Product Display */}
-              <div className="card h-100 text-center">
-                <div className="card-body d-flex flex-column justify-content-between">
-                  {/* Product Information */}
-                  <h5 className="card-title">{product.name}</h5>
-                  <p className="card-text text-muted">${product.price}</p>
-                  
-                  {/* Add to Cart Button with onClick Event Handler */}
-                  <button 
-                    onClick={() => addToCart(product)} 
-                    className="btn btn-primary"
-                  >
-                    Add to Cart
-                  </button>
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
+        {/* Shared catalog grid - product data comes from the products slice */}
+        <ProductGrid onAdd={addToCart} cartItems={cart} currency={currency} />
       </div>
       
       {/* Right Column - Shopping Cart Display */}
       <div className="col-lg-4">
         <div className="card bg-light">
           <div className="card-body">
-            <h3 className="card-title">Shopping Cart</h3>
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <h3 className="card-title mb-0">Shopping Cart</h3>
+              <CurrencySelect value={currency} onChange={setCurrency} />
+            </div>
             
             {/* Cart Items List */}
             <ul className="list-group list-group-flush">
@@ -153,12 +154,12 @@ const CartUseReducer = () => {
                   {/* Item Name and Total Price */}
                   <div className="d-flex justify-content-between fw-bold">
                     <span>{item.name}</span>
-                    <span>${(item.price * item.qty).toFixed(2)}</span>
+                    <span>{formatMoney(multiply(unitPrice(item), item.qty))}</span>
                   </div>
                   
                   {/* Item Details and Quantity Controls */}
                   <div className="d-flex justify-content-between align-items-center text-muted small">
-                    <span>${item.price} x {item.qty}</span>
+                    <span>{formatMoney(unitPrice(item))} x {item.qty}</span>
                     
                     {/* Quantity Control Buttons */}
                     <div className="btn-group btn-group-sm">
@@ -174,6 +175,7 @@ const CartUseReducer = () => {
                       <button 
                         onClick={() => updateQuantity(item.id, 1)} 
                         className="btn btn-outline-secondary"
+                        disabled={item.qty >= item.stock}
                       >
                         +
                       </button>
@@ -194,20 +196,25 @@ const CartUseReducer = () => {
               {/* Subtotal Calculation */}
               <li className="d-flex justify-content-between">
                 <span>Subtotal:</span> 
-                <span>${total.toFixed(2)}</span>
+                <span>{formatMoney(subtotal)}</span>
               </li>
               
-              {/* Tax Calculation (10% of subtotal) */}
-              <li className="d-flex justify-content-between">
-                <span>Tax (10%):</span> 
-                <span>${(total * 0.1).toFixed(2)}</span>
-              </li>
+              {/* Tax Calculation - one line per rate used by the cart's categories */}
+              {taxes.map(tax => (
+                <li key={tax.id} className="d-flex justify-content-between">
+                  <span>{tax.label} ({formatRate(tax.rate)}):</span> 
+                  <span>{formatMoney(tax.amount)}</span>
+                </li>
+              ))}
               
               {/* Final Total (Subtotal + Tax) */}
               <li className="d-flex justify-content-between fw-bold fs-5 mt-2">
                 <span>Total:</span> 
-                <span>${(total * 1.1).toFixed(2)}</span>
+                <span>{formatMoney(total)}</span>
               </li>
+              {taxConfig.pricesIncludeTax && (
+                <li className="small text-muted text-end">Prices include tax</li>
+              )}
             </ul>
           </div>
         </div>
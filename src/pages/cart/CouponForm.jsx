@@ -0,0 +1,86 @@
+// Import React library and useState hook for the code input
+import React, { useState } from 'react';
+// Import coupon validation and description helpers
+import { validateCoupon, describeCoupon, findCoupon } from '../../utils/coupons';
+
+/**
+ * CouponForm Component
+ * Coupon code entry for the cart summary
+ *
+ * Key Concepts Demonstrated:
+ * 1. Validating input before it reaches the store
+ * 2. Showing the reason a value was rejected next to the field
+ * 3. Presentational component with callback props - the caller owns the cart state
+ * 4. Re-checking an applied coupon as the cart changes (appliedError)
+ *
+ * @param {Object} props - Component props
+ * @param {string|null} props.appliedCode - Code currently applied to the cart
+ * @param {string|null} props.appliedError - Why the applied code no longer applies, if it doesn't
+ * @param {Object} props.context - Cart context passed to validateCoupon
+ * @param {Function} props.onApply - Called with the coupon once its code is valid
+ * @param {Function} props.onRemove - Called when the applied coupon is removed
+ */
+const CouponForm = ({ appliedCode, appliedError, context, onApply, onRemove }) => {
+  // Code being typed and the reason the last attempt was rejected
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+
+  /**
+   * Validate the typed code and apply it if the cart qualifies
+   */
+  const handleApply = () => {
+    const result = validateCoupon(code, context);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    onApply(result.coupon);
+    setCode('');
+    setError(null);
+  };
+
+  // Applied Coupon
+  if (appliedCode) {
+    const coupon = findCoupon(appliedCode);
+    return (
+      <div className="mb-2">
+        <div className="d-flex justify-content-between align-items-center">
+          <span>
+            <span className="badge bg-success me-2">{appliedCode}</span>
+            {coupon && <small className="text-muted">{describeCoupon(coupon, context.currency)}</small>}
+          </span>
+          <button onClick={onRemove} className="btn btn-link btn-sm p-0">Remove</button>
+        </div>
+        {appliedError && (
+          <div className="small text-warning-emphasis mt-1">Coupon not applied: {appliedError}</div>
+        )}
+      </div>
+    );
+  }
+
+  // Code Entry
+  return (
+    <div className="mb-2">
+      <div className="input-group input-group-sm has-validation">
+        <input
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value);
+            setError(null);
+          }}
+          onKeyDown={(e) => e.key === 'Enter' && handleApply()}
+          placeholder="Coupon code"
+          aria-label="Coupon code"
+          className={`form-control text-uppercase ${error ? 'is-invalid' : ''}`}
+        />
+        <button onClick={handleApply} className="btn btn-outline-primary" disabled={!code.trim()}>
+          Apply
+        </button>
+        {error && <div className="invalid-feedback">{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default CouponForm;
@@ -0,0 +1,159 @@
+// Import React library for creating components
+import React from 'react';
+// Import Redux hooks for reading the customer and their invoices
+import { useSelector, useDispatch } from 'react-redux';
+// Import router helpers for the customer ID and navigation after deleting
+import { Link, useNavigate, useParams } from 'react-router-dom';
+// Import customer selector and delete action
+import { selectCustomerById, deleteCustomer } from '../../store/customersSlice';
+// Import invoice selector and totals calculator
+import { selectAllInvoices, calculateInvoiceTotals, invoiceTaxConfig } from '../../store/billingSlice';
+// Import address formatter
+import { formatCustomerAddress } from '../../utils/customers';
+// Import money formatter and balance due from the payments ledger
+import { formatMoney } from '../../utils/money';
+import { balanceDue } from '../../utils/payments';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+// Import status badge shared with the invoice list
+import InvoiceStatusBadge from '../billing/InvoiceStatusBadge';
+
+/**
+ * CustomerDetail Component
+ * Contact details of one customer and every invoice billed to them
+ *
+ * Key Concepts Demonstrated:
+ * 1. useParams for reading the customer ID from the URL
+ * 2. Joining two slices during render - invoices are matched by customerId
+ * 3. Confirming a destructive action before dispatching it
+ */
+const CustomerDetail = () => {
+  const { id } = useParams();
+  const customer = useSelector((state) => selectCustomerById(state, id));
+  const invoices = useSelector(selectAllInvoices);
+  const taxConfig = useSelector((state) => state.tax);
+  const reduxDispatch = useDispatch();
+  const navigate = useNavigate();
+  const showNotification = useNotification();
+
+  // Unknown customer ID in the URL
+  if (!customer) {
+    return (
+      <div className="alert alert-warning">
+        Customer not found. <Link to="/customers">Back to all customers</Link>
+      </div>
+    );
+  }
+
+  const customerInvoices = invoices
+    .filter(invoice => invoice.customerId === customer.id)
+    .sort((a, b) => b.number.localeCompare(a.number));
+  const address = formatCustomerAddress(customer);
+
+  /**
+   * Delete the customer after confirmation
+   * Invoices keep the bill-to details they copied
+   */
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${customer.name}? Invoices billed to them are kept.`)) {
+      reduxDispatch(deleteCustomer({ id: customer.id }));
+      showNotification(`${customer.name} deleted`);
+      navigate('/customers');
+    }
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <Link to="/customers" className="btn btn-outline-secondary btn-sm">
+          ← All Customers
+        </Link>
+        <div className="d-flex gap-2">
+          <Link to={`/customers/${customer.id}/edit`} className="btn btn-outline-primary btn-sm">
+            Edit
+          </Link>
+          <button onClick={handleDelete} className="btn btn-outline-danger btn-sm">
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {/* Contact Details */}
+      <div className="card mb-3">
+        <div className="card-body">
+          <h4 className="card-title">
+            {customer.name}
+            {customer.source === 'registration' && <span className="badge bg-info text-dark ms-2 fs-6">Registered</span>}
+          </h4>
+          <dl className="row mb-0">
+            <dt className="col-sm-3">Email</dt>
+            <dd className="col-sm-9"><a href={`mailto:${customer.email}`}>{customer.email}</a></dd>
+            <dt className="col-sm-3">Phone</dt>
+            <dd className="col-sm-9">{customer.phone || '—'}</dd>
+            <dt className="col-sm-3">Address</dt>
+            <dd className="col-sm-9" style={{ whiteSpace: 'pre-line' }}>{address || '—'}</dd>
+            {customer.notes && (
+              <>
+                <dt className="col-sm-3">Notes</dt>
+                <dd className="col-sm-9" style={{ whiteSpace: 'pre-line' }}>{customer.notes}</dd>
+              </>
+            )}
+            <dt className="col-sm-3">Customer since</dt>
+            <dd className="col-sm-9">{new Date(customer.createdAt).toLocaleDateString()}</dd>
+          </dl>
+        </div>
+      </div>
+
+      {/* Invoices billed to this customer */}
+      <div className="card">
+        <div className="card-header">
+          <h5 className="mb-0">Invoices ({customerInvoices.length})</h5>
+        </div>
+        <div className="card-body">
+          {customerInvoices.length > 0 ? (
+            <div className="table-responsive">
+              <table className="table table-hover align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Number</th>
+                    <th>Issued</th>
+                    <th>Status</th>
+                    <th className="text-end">Total</th>
+                    <th className="text-end">Balance Due</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {customerInvoices.map(invoice => {
+                    const { total } = calculateInvoiceTotals(
+                      invoice.items,
+                      invoiceTaxConfig(invoice, taxConfig),
+                      invoice.currency,
+                      invoice.discounts
+                    );
+                    return (
+                      <tr key={invoice.id}>
+                        <td><Link to={`/billing/redux/invoices/${invoice.id}`}>{invoice.number}</Link></td>
+                        <td>{invoice.issueDate}</td>
+                        <td><InvoiceStatusBadge status={invoice.status} /></td>
+                        <td className="text-end">{formatMoney(total)}</td>
+                        <td className="text-end">{invoice.status === 'void' ? '—' : formatMoney(balanceDue(total, invoice.payments))}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-muted text-center my-3">
+              No invoices yet. Pick this customer in an invoice's Bill To section.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export
+export default CustomerDetail;
@@ -0,0 +1,135 @@
+// Import React library and useState hook for the form fields
+import React, { useState } from 'react';
+// Import Redux hooks for reading the directory and saving the customer
+import { useSelector, useDispatch } from 'react-redux';
+// Import router helpers for the customer ID and navigation after saving
+import { Link, useNavigate, useParams } from 'react-router-dom';
+// Import customer selectors and actions
+import { selectAllCustomers, selectCustomerById, addCustomer, editCustomer } from '../../store/customersSlice';
+// Import customer field defaults and validation
+import { EMPTY_CUSTOMER, validateCustomer } from '../../utils/customers';
+// Import custom notification context hook for showing user feedback
+import { useNotification } from '../../context/NotificationContext';
+
+// Form layout - field name, label, input type and Bootstrap column
+const FIELDS = [
+  { name: 'name', label: 'Name *', col: 'col-md-6' },
+  { name: 'email', label: 'Email *', type: 'email', col: 'col-md-6' },
+  { name: 'phone', label: 'Phone', type: 'tel', col: 'col-md-6' },
+  { name: 'company', label: 'Company', col: 'col-md-6' },
+  { name: 'address', label: 'Street Address', col: 'col-12' },
+  { name: 'city', label: 'City', col: 'col-md-4' },
+  { name: 'state', label: 'State', col: 'col-md-4' },
+  { name: 'zipCode', label: 'Zip Code', col: 'col-md-4' },
+];
+
+/**
+ * CustomerForm Component
+ * Creates a customer, or edits the one in the URL
+ *
+ * Key Concepts Demonstrated:
+ * 1. One controlled form for create and edit, chosen by the route
+ * 2. Validation shared with the reducer, so the form and the store agree
+ * 3. Reading the result of a dispatched action to navigate to the new record
+ */
+const CustomerForm = () => {
+  const { id } = useParams();
+  const customers = useSelector(selectAllCustomers);
+  const existing = useSelector((state) => (id ? selectCustomerById(state, id) : undefined));
+  const reduxDispatch = useDispatch();
+  const navigate = useNavigate();
+  const showNotification = useNotification();
+
+  // Form state starts from the customer being edited, or empty
+  const [fields, setFields] = useState(() => ({ ...EMPTY_CUSTOMER, ...existing }));
+
+  // Unknown customer ID in the URL
+  if (id && !existing) {
+    return (
+      <div className="alert alert-warning">
+        Customer not found. <Link to="/customers">Back to all customers</Link>
+      </div>
+    );
+  }
+
+  /**
+   * Generic change handler for named inputs
+   *
+   * @param {Event} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFields(current => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Validate and save the customer, then open its detail page
+   *
+   * @param {Event} e - Submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const errors = validateCustomer({ ...fields, id }, customers);
+    if (errors.length > 0) {
+      showNotification(errors[0], 'error');
+      return;
+    }
+
+    if (existing) {
+      reduxDispatch(editCustomer({ ...fields, id }));
+      showNotification(`${fields.name.trim()} updated`, 'success');
+      navigate(`/customers/${id}`);
+    } else {
+      const { payload } = reduxDispatch(addCustomer(fields));
+      showNotification(`${fields.name.trim()} added`, 'success');
+      navigate(`/customers/${payload.customer.id}`);
+    }
+  };
+
+  // JSX Return - Component Rendering
+  return (
+    <form onSubmit={handleSubmit} className="row g-3">
+      <div className="col-12">
+        <h4 className="mb-0">{existing ? `Edit ${existing.name}` : 'New Customer'}</h4>
+      </div>
+
+      {FIELDS.map(({ name, label, type = 'text', col }) => (
+        <div key={name} className={col}>
+          <label htmlFor={`customer-${name}`} className="form-label">{label}</label>
+          <input
+            id={`customer-${name}`}
+            name={name}
+            type={type}
+            value={fields[name]}
+            onChange={handleChange}
+            className="form-control"
+          />
+        </div>
+      ))}
+
+      <div className="col-12">
+        <label htmlFor="customer-notes" className="form-label">Notes</label>
+        <textarea
+          id="customer-notes"
+          name="notes"
+          value={fields.notes}
+          onChange={handleChange}
+          className="form-control"
+          rows="3"
+        />
+      </div>
+
+      <div className="col-12 d-flex gap-2">
+        <button type="submit" className="btn btn-primary">
+          {existing ? 'Save Changes' : 'Add Customer'}
+        </button>
+        <Link to={existing ? `/customers/${id}` : '/customers'} className="btn btn-outline-secondary">
+          Cancel
+        </Link>
+      </div>
+    </form>
+  );
+};
+
+// Export component as default export
+export default CustomerForm;
@@ -0,0 +1,92 @@
+// Import React library and useState hook for the search box
+import React, { useState } from 'react';
+// Import useSelector hook for reading the customer directory
+import { useSelector } from 'react-redux';
+// Import Link for navigating to customer pages
+import { Link } from 'react-router-dom';
+// Import customer directory selector
+import { selectAllCustomers } from '../../store/customersSlice';
+// Import search matcher
+import { customerMatches } from '../../utils/customers';
+
+/**
+ * CustomerList Component
+ * Searchable table of every customer in the directory
+ *
+ * Key Concepts Demonstrated:
+ * 1. Deriving filtered data from Redux state during render
+ * 2. Entity adapter sorting - the selector already returns customers by name
+ * 3. Link-based navigation to a parameterised detail route
+ */
+const CustomerList = () => {
+  const customers = useSelector(selectAllCustomers);
+  const [query, setQuery] = useState('');
+
+  const visibleCustomers = customers.filter(customer => customerMatches(customer, query));
+
+  // JSX Return - Component Rendering
+  return (
+    <div>
+      <div className="d-flex gap-2 mb-3">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name, email, company, phone or city..."
+          aria-label="Search customers"
+          className="form-control"
+        />
+        <Link to="/customers/new" className="btn btn-primary text-nowrap">
+          New Customer
+        </Link>
+      </div>
+
+      {visibleCustomers.length > 0 ? (
+        <div className="table-responsive">
+          <table className="table table-hover align-middle mb-0">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Phone</th>
+                <th>Company</th>
+                <th>City</th>
+                <th>Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleCustomers.map(customer => (
+                <tr key={customer.id}>
+                  <td><Link to={`/customers/${customer.id}`}>{customer.name}</Link></td>
+                  <td>{customer.email}</td>
+                  <td>{customer.phone || <span className="text-muted">—</span>}</td>
+                  <td>{customer.company || <span className="text-muted">—</span>}</td>
+                  <td>{customer.city || <span className="text-muted">—</span>}</td>
+                  <td>
+                    <span className={`badge ${customer.source === 'registration' ? 'bg-info text-dark' : 'bg-light text-dark'}`}>
+                      {customer.source === 'registration' ? 'Registered' : 'Added'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        /* Empty State */
+        <div className="text-center text-muted py-4">
+          {customers.length > 0 ? (
+            <p>No customers match "{query}".</p>
+          ) : (
+            <p>
+              No customers yet. Add one here or submit the <Link to="/registration">registration form</Link>.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Export component as default export
+export default CustomerList;
@@ -0,0 +1,48 @@
+// Import React library for creating components
+import React from 'react';
+// Import React Router components for nested routing
+import { Routes, Route } from 'react-router-dom';
+// Import customer directory pages
+import CustomerList from './CustomerList';
+import CustomerDetail from './CustomerDetail';
+import CustomerForm from './CustomerForm';
+
+/**
+ * CustomersPage Component
+ * Routing component for the customer directory shared by registration and billing
+ *
+ * Key Concepts Demonstrated:
+ * 1. Nested routing with React Router
+ * 2. One form component reused for creating and editing
+ *
+ * Routing Structure:
+ * /customers          -> CustomerList component (search)
+ * /customers/new      -> CustomerForm component (create)
+ * /customers/:id      -> CustomerDetail component (details and invoices)
+ * /customers/:id/edit -> CustomerForm component (edit)
+ */
+const CustomersPage = () => {
+  // JSX Return - Page Structure
+  return (
+    <div className="card shadow-sm">
+      <div className="card-body">
+        {/* Section Header */}
+        <h2 className="card-title">Customers</h2>
+        <p className="card-subtitle mb-3 text-muted">
+          Everyone who registered or was added by hand, ready to be billed.
+        </p>
+
+        {/* Nested Routes */}
+        <Routes>
+          <Route index element={<CustomerList />} />
+          <Route path="new" element={<CustomerForm />} />
+          <Route path=":id" element={<CustomerDetail />} />
+          <Route path=":id/edit" element={<CustomerForm />} />
+        </Routes>
+      </div>
+    </div>
+  );
+};
+
+// Export component as default export for use in main App routing
+export default CustomersPage;
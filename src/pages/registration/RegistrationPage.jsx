@@ -1,7 +1,15 @@
 // Import React library and useState hook for state management
 import React, { useState } from 'react';
+// Import Redux hooks for saving the registration to the customer directory
+import { useSelector, useDispatch } from 'react-redux';
+// Import Link for the customer directory note
+import { Link } from 'react-router-dom';
 // Import custom notification hook from context
 import { useNotification } from '../../context/NotificationContext';
+// Import customer directory selector and action
+import { selectAllCustomers, addCustomer } from '../../store/customersSlice';
+// Import email lookup to tell new and returning registrations apart
+import { findCustomerByEmail } from '../../utils/customers';
 
 /**
  * RegistrationPage Component
@@ -15,11 +23,13 @@ import { useNotification } from '../../context/NotificationContext';
  * 5. Object State Updates - Using spread operator for immutable updates
  * 6. Form Validation - HTML5 validation with required attributes
  * 7. Context Consumer - Using context without prop drilling
+ * 8. Redux dispatch from a local-state form - submissions are saved to the customer directory
  * 
  * State Management Pattern: useState (Local State)
- * - Simple form state with two fields
+ * - Form state with every registration field
  * - Direct state updates using setState
  * - Form reset after submission
+ * - Submitted users become customers in the Redux customers slice
  * 
  * Educational Value:
  * - Shows how to handle form data in React
@@ -57,6 +67,10 @@ const RegistrationPage = () => {
   // showNotification is a function that displays toast notifications
   const showNotification = useNotification();
   
+  // Redux: the directory is read to spot returning users by email
+  const customers = useSelector(selectAllCustomers);
+  const reduxDispatch = useDispatch();
+  
   /**
    * Handle Input Changes
    * Generic change handler for all form inputs including checkboxes and multi-select
@@ -106,6 +120,7 @@ const RegistrationPage = () => {
    * Key Concepts:
    * - Preventing default form submission behavior
    * - Context API usage for cross-component communication
+   * - Saving the user to the customer directory (same email updates the existing customer)
    * - Form state reset after successful submission
    * - User feedback through notifications
    * - Basic form validation
@@ -122,12 +137,17 @@ const RegistrationPage = () => {
       return;
     }
     
+    // Save to the customer directory - the fields billing needs are kept,
+    // and a returning email updates that customer instead of adding a duplicate
+    const returning = findCustomerByEmail(customers, user.email);
+    reduxDispatch(addCustomer({ ...user, source: 'registration' }));
+    
     // Show success notification using context
     // Template literal for dynamic message content
-    showNotification(`User Registered Successfully: ${user.name}`, 'success');
-    
-    // Log the complete user data (in real app, this would be sent to server)
-    console.log('Registration Data:', user);
+    showNotification(
+      returning ? `Welcome back, ${user.name}! Your details were updated.` : `User Registered Successfully: ${user.name}`,
+      'success'
+    );
     
     // Reset form state to initial empty values
     // This clears the form after successful submission
@@ -406,6 +426,7 @@ const RegistrationPage = () => {
           <small className="text-muted">
             <strong>Note:</strong> This comprehensive registration form demonstrates advanced React form handling 
             with useState for complex state management, multiple input types, and Context API for notifications.
+            Registered users are added to the <Link to="/customers">customer directory</Link>, where they can be billed.
             Fields marked with * are required.
           </small>
         </div>
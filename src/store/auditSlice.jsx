@@ -0,0 +1,63 @@
+// Import createSlice from Redux Toolkit for creating Redux slice
+// nanoid generates IDs for log entries
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+
+// Entries kept in the log - the oldest roll off so the saved log stays within localStorage limits
+export const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Audit Slice - Redux Toolkit Slice for the Billing Audit Trail
+ *
+ * Redux Slice Concepts Demonstrated:
+ * 1. State written by middleware rather than by components (see auditTrail.jsx)
+ * 2. Append-only log - there is no action to edit or delete an entry
+ * 3. Prepare callback - IDs are generated when the entry is recorded
+ *
+ * Entry shape:
+ * {
+ *   id, type: 'billing/addItem', at: ISO timestamp, actor: 'Tab 1a2b3c',
+ *   remote: true if the action came from another tab,
+ *   payload,                               // the action's payload as dispatched
+ *   invoiceIds: ['1'],                     // invoices the action changed
+ *   changes: [{ path, before, after }],    // empty when the reducer rejected the action
+ * }
+ */
+const auditSlice = createSlice({
+  // Slice name - creates action types like 'audit/entryRecorded'
+  name: 'audit',
+
+  // Initial state - nothing recorded yet
+  initialState: {
+    entries: [],
+  },
+
+  reducers: {
+    /**
+     * Entry recorded reducer
+     * Appends an entry to the log, dropping the oldest once the log is full
+     *
+     * @param {Object} state - Current audit state
+     * @param {Object} action - Action object with payload: entry without an ID
+     */
+    entryRecorded: {
+      reducer: (state, action) => {
+        state.entries.push(action.payload);
+        if (state.entries.length > MAX_AUDIT_ENTRIES) {
+          state.entries.splice(0, state.entries.length - MAX_AUDIT_ENTRIES);
+        }
+      },
+      prepare: (entry) => ({
+        payload: { ...entry, id: nanoid() },
+      }),
+    },
+  },
+});
+
+// Export action creators
+export const { entryRecorded } = auditSlice.actions;
+
+// Selector for the log, oldest entry first
+export const selectAuditEntries = (state) => state.audit.entries;
+
+// Export reducer function for store configuration
+export default auditSlice.reducer;
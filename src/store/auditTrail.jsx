@@ -0,0 +1,78 @@
+// Import the action that appends an entry to the audit log
+import { entryRecorded } from './auditSlice';
+// Import the state diff used for the before/after of each entry
+import { diff } from '../utils/diff';
+
+/**
+ * Audit Trail - Records every billing action in an append-only log
+ *
+ * Audit Concepts Demonstrated:
+ * 1. Redux middleware - Reading state before and after an action reaches the reducers
+ * 2. Action meta - The actor is stamped on the action, so it travels with
+ *    the action to other tabs and their logs name the tab that made the change
+ * 3. Diffing Immer state - Unchanged branches are skipped by reference
+ *
+ * Flow:
+ * billing action -> stamp meta.actor -> reducers -> diff before/after -> entryRecorded()
+ * Actions the reducers reject are still logged, with no changes.
+ */
+
+/**
+ * Default audit options
+ * - slice: slice whose actions are recorded (action types '<slice>/...')
+ */
+export const auditConfig = {
+  slice: 'billing',
+};
+
+/**
+ * Invoice IDs touched by a set of changes, e.g. 'entities.3.items[id=42].qty' -> '3'
+ *
+ * @param {Array} changes - Changes from diff()
+ * @returns {Array} - Unique invoice IDs
+ */
+const changedInvoiceIds = (changes) => [
+  ...new Set(changes.filter(change => change.path.startsWith('entities.')).map(change => change.path.split('.')[1])),
+];
+
+/**
+ * Create the audit trail middleware
+ *
+ * @param {Object} options - Overrides for auditConfig plus:
+ * @param {Function} options.getActor - Returns the name recorded for actions dispatched in this tab
+ * @returns {{middleware: Function}} - Middleware to install in the store
+ */
+export const createAuditTrail = (options = {}) => {
+  const config = { ...auditConfig, ...options };
+  const getActor = config.getActor || (() => 'unknown');
+
+  // Only actions of the audited slice are recorded
+  const isAudited = (action) => typeof action.type === 'string' && action.type.startsWith(`${config.slice}/`);
+
+  /**
+   * Redux middleware - records audited actions with a diff of the slice
+   */
+  const middleware = ({ getState, dispatch }) => (next) => (action) => {
+    if (!isAudited(action)) return next(action);
+
+    // Actions from other tabs already carry the actor that made them
+    const stamped = action.meta?.actor ? action : { ...action, meta: { ...action.meta, actor: getActor() } };
+    const before = getState()[config.slice];
+    const result = next(stamped);
+    const changes = diff(before, getState()[config.slice]);
+
+    dispatch(entryRecorded({
+      type: stamped.type,
+      at: new Date().toISOString(),
+      actor: stamped.meta.actor,
+      remote: Boolean(stamped.meta.remote),
+      payload: stamped.payload,
+      invoiceIds: changedInvoiceIds(changes),
+      changes,
+    }));
+
+    return result;
+  };
+
+  return { middleware };
+};
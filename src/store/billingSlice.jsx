@@ -1,5 +1,200 @@
 // Import createSlice from Redux Toolkit for creating Redux slice
-import { createSlice } from '@reduxjs/toolkit';
+// createEntityAdapter normalises the invoice collection, nanoid generates IDs
+import { createSlice, createEntityAdapter, nanoid } from '@reduxjs/toolkit';
+// Import calendar date helpers for invoice issue and due dates
+import { toISODate, addDays } from '../utils/dates';
+// Import the default currency for new invoices
+import { DEFAULT_CURRENCY } from '../utils/money';
+// Import currency conversion for changing an invoice's currency
+import { convert } from '../utils/currency';
+// Import the default unit of measure for new items
+import { DEFAULT_UNIT } from '../utils/lineItems';
+// Import the discount engine - discounts are applied before tax
+import { calculateDiscountedTotals } from '../utils/discounts';
+// Import the payments ledger - payments move an issued invoice between sent, partially paid and paid
+import { ledgerTotals, paymentStatus, validateLedgerEntry } from '../utils/payments';
+// Import credit note helpers - credit notes reverse lines of issued invoices
+import { formatCreditNoteNumber, validateCreditNote, creditNoteTotal, creditedQuantities, buildCreditLines } from '../utils/creditNotes';
+// Import recurring schedule helpers - templates generate draft invoices every period
+import { dueRuns, nextRunAfter, skipRunsBefore, validateSchedule } from '../utils/recurring';
+// Import the customer delete action - drafts and templates billed to a deleted customer are unlinked
+import { deleteCustomer } from './customersSlice';
+
+// Days between issue date and due date for new invoices (Net 30)
+export const PAYMENT_TERMS_DAYS = 30;
+
+/**
+ * Invoice status machine
+ * Maps each status to the statuses it may be moved to by hand
+ * - draft: being prepared, items and header can be edited
+ * - sent: issued to the customer, read-only, nothing paid yet
+ * - partiallyPaid: some of the total has been paid
+ * - paid: settled in full
+ * - credited: reversed in full by credit notes
+ * - void: cancelled before anything was paid, kept read-only, final
+ * sent, partiallyPaid, paid and credited are never set by hand - they follow the payments
+ * ledger (see recordPayment and issueCreditNote), so a refund can move a paid invoice
+ * back to partiallyPaid or sent. Voiding goes through voidInvoice, which records a reason.
+ */
+export const INVOICE_TRANSITIONS = {
+  draft: ['sent', 'void'],
+  sent: ['void'],
+  partiallyPaid: [],
+  paid: [],
+  credited: [],
+  void: [],
+};
+
+// Statuses in which payments and refunds can be recorded
+export const PAYABLE_STATUSES = ['sent', 'partiallyPaid', 'paid', 'credited'];
+
+// Statuses in which credit notes can be issued - a draft is simply edited instead
+export const CREDITABLE_STATUSES = ['sent', 'partiallyPaid', 'paid'];
+
+/**
+ * Check whether an invoice may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export const canTransition = (from, to) => (INVOICE_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Format a status for display, e.g. 'partiallyPaid' -> 'partially paid'
+ *
+ * @param {string} status - Invoice status
+ * @returns {string} - Lower-case words
+ */
+export const formatStatus = (status) => status.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+
+/**
+ * Format a sequence number as an invoice number, e.g. 7 -> 'INV-0007'
+ *
+ * @param {number} sequence - Sequential invoice counter
+ * @returns {string} - Display invoice number
+ */
+export const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(4, '0')}`;
+
+/**
+ * Create a blank draft invoice
+ *
+ * @param {string} id - Unique invoice ID
+ * @param {number} sequence - Sequential invoice counter
+ * @param {string} issueDate - Issue date as 'YYYY-MM-DD'
+ * @param {string} currency - Currency code for every amount on the invoice
+ * @returns {Object} - Invoice object with header fields, no items, discount rules or payments
+ */
+export const createInvoice = (id, sequence, issueDate, currency = DEFAULT_CURRENCY) => ({
+  id,
+  number: formatInvoiceNumber(sequence),
+  status: 'draft',
+  currency,
+  // Directory customer the bill-to details were copied from (null when typed in by hand)
+  customerId: null,
+  customer: {
+    billTo: { name: '', email: '', address: '' },
+    shipTo: { name: '', address: '' },
+  },
+  issueDate,
+  dueDate: addDays(issueDate, PAYMENT_TERMS_DAYS),
+  statusHistory: [],
+  // Tax configuration frozen when the invoice leaves draft (null while a draft)
+  taxConfig: null,
+  items: [],
+  discounts: [],
+  payments: [],
+});
+
+// Entity adapter - invoices stored as { ids: [...], entities: { [id]: invoice } }
+const invoicesAdapter = createEntityAdapter();
+
+// Entity adapter for credit notes - stored alongside invoices in state.billing.creditNotes
+const creditNotesAdapter = createEntityAdapter();
+
+// Entity adapter for recurring invoice templates - stored in state.billing.recurring
+const recurringAdapter = createEntityAdapter();
+
+// The first invoice exists from the start so the billing page is never empty
+const firstInvoice = createInvoice(nanoid(), 1, toISODate());
+
+/**
+ * Look up the invoice an action targets
+ * Actions carry an invoiceId; without one they target the current invoice
+ *
+ * @param {Object} state - Current billing state
+ * @param {Object} payload - Action payload
+ * @returns {Object|undefined} - Invoice draft object
+ */
+const targetInvoice = (state, payload) =>
+  state.entities[payload?.invoiceId ?? state.currentInvoiceId];
+
+/**
+ * Look up the targeted invoice only if it may still be edited
+ * Items and header may only change while the invoice is a draft
+ *
+ * @param {Object} state - Current billing state
+ * @param {Object} payload - Action payload
+ * @returns {Object|null} - Editable invoice or null
+ */
+const editableInvoice = (state, payload) => {
+  const invoice = targetInvoice(state, payload);
+  return invoice && invoice.status === 'draft' ? invoice : null;
+};
+
+/**
+ * Total of an issued invoice, priced with the tax configuration frozen when it left draft
+ * Payments and credit notes settle against this, never against the live tax settings
+ *
+ * @param {Object} invoice - Issued invoice
+ * @returns {Object} - Money total
+ */
+const issuedTotal = (invoice) =>
+  calculateDiscountedTotals(invoice.items, invoice.discounts, invoice.taxConfig, invoice.currency).total;
+
+/**
+ * Freeze the tax configuration onto a draft that is being issued or voided
+ * Issued invoices keep these rates even if the tax settings change later
+ *
+ * @param {Object} invoice - Invoice draft object
+ * @param {Object} taxConfig - Tax configuration at the time of the change (state.tax)
+ */
+const freezeTaxConfig = (invoice, taxConfig) => {
+  if (invoice.status === 'draft') invoice.taxConfig = taxConfig;
+};
+
+/**
+ * Move an issued invoice to the status matching its ledger
+ * Records the change in the status history
+ *
+ * @param {Object} invoice - Invoice draft object
+ * @param {Object} total - Invoice total
+ * @param {string} at - ISO timestamp of the ledger entry that caused the change
+ */
+const settleInvoice = (invoice, total, at) => {
+  const status = paymentStatus(total, invoice.payments);
+  if (status !== invoice.status) {
+    invoice.statusHistory.push({ from: invoice.status, to: status, at });
+    invoice.status = status;
+  }
+};
+
+/**
+ * Keep discount rules in step with the invoice's items
+ * Rules aimed at specific items lose targets that were removed,
+ * and are dropped once none of their items are left
+ *
+ * @param {Object} invoice - Invoice draft object
+ */
+const pruneDiscountTargets = (invoice) => {
+  const itemIds = invoice.items.map(item => item.id);
+  invoice.discounts = invoice.discounts.filter(rule => {
+    const targetIds = rule.target?.itemIds || [];
+    if (targetIds.length === 0) return true;
+    rule.target.itemIds = targetIds.filter(id => itemIds.includes(id));
+    return rule.target.itemIds.length > 0;
+  });
+};
 
 /**
  * Billing Slice - Redux Toolkit Slice for Billing/Invoice State Management
@@ -10,12 +205,28 @@ import { createSlice } from '@reduxjs/toolkit';
  * 3. Auto-generated action creators for billing operations
  * 4. Business logic encapsulation within reducers
  * 5. Financial calculations and data transformations
+ * 6. Prepare callbacks - IDs, dates and timestamps are made when the action is created,
+ *    never in a reducer, so a tab replaying the action (crossTabSync.jsx) gets identical data
  * 
  * Billing-Specific Features:
+ * - Collection of invoices, each with its own items
+ * - Invoice header with sequential number, customer, issue and due dates
+ * - Draft/sent/void status machine that rejects illegal moves
+ * - Tax rates frozen onto an invoice when it leaves draft - payments, credit notes and
+ *   balances use the rates it was issued with, not the current tax settings
+ * - Payments ledger per invoice - payments and refunds set sent/partially paid/paid
+ * - Credit notes that reverse some or all lines of an issued invoice - issued
+ *   invoices are never edited or erased, only reversed or voided
+ * - Recurring templates that generate a draft invoice every week, month, quarter or year
+ * - Deleting a directory customer unlinks the drafts and templates billed to them (extraReducers)
  * - Item management (add, remove, update)
- * - Discount application with original price tracking
+ * - Quantities and units of measure - price is per unit, line total = price x qty
+ * - Discount rules per invoice - percentage, fixed amount, buy X get Y and volume
+ *   tiers, on items or the whole invoice, with priority and stacking
+ * - Prices stored as money values ({ amount: cents, currency }) - no float drift
+ * - Per-invoice currency with conversion through the local exchange-rate table
  * - Complex business logic for financial operations
- * - Audit trail capabilities for billing changes
+ * - Audit trail - every billing action is logged by the audit middleware (auditTrail.jsx)
  */
 const billingSlice = createSlice({
   // Slice name - used to identify this slice in the Redux store
@@ -23,15 +234,21 @@ const billingSlice = createSlice({
   name: 'billing',
   
   // Initial state for billing slice
-  // Structure: { items: [] } where items is array of billing item objects
-  initialState: { 
-    items: [],
-    // Additional billing metadata could be added here:
-    // invoiceNumber: null,
-    // customerInfo: {},
-    // totalDiscount: 0,
-    // taxRate: 0.08
-  },
+  // Structure: { ids: [], entities: {}, currentInvoiceId, nextSequence, creditNotes, nextCreditNoteSequence, recurring }
+  // - ids/entities: normalised invoices, each with header fields and items
+  // - currentInvoiceId: invoice shown on /billing/redux (the newest one)
+  // - nextSequence: counter used to number the next invoice
+  // - creditNotes: normalised credit notes, each referencing an invoice by invoiceId
+  // - nextCreditNoteSequence: counter used to number the next credit note
+  // - recurring: normalised recurring templates (see utils/recurring.jsx)
+  // Every item action accepts an optional invoiceId in its payload
+  initialState: invoicesAdapter.getInitialState({
+    currentInvoiceId: firstInvoice.id,
+    nextSequence: 2,
+    creditNotes: creditNotesAdapter.getInitialState(),
+    nextCreditNoteSequence: 1,
+    recurring: recurringAdapter.getInitialState(),
+  }, [firstInvoice]),
   
   // Reducer functions - define how billing state updates in response to actions
   reducers: {
@@ -40,18 +257,32 @@ const billingSlice = createSlice({
      * Adds new item to the billing items array
      * 
      * @param {Object} state - Current billing state
-     * @param {Object} action - Action object with payload containing new billing item
+     * @param {Object} action - Action object with payload containing new billing item (and optional invoiceId)
+     *   The item's price is a per-unit money value, e.g. { amount: 1999, currency: 'USD' }
+     *   qty defaults to 1 and unit to 'each'; addedAt defaults to when the action was created
      */
-    addItem: (state, action) => {
-      // Immer allows direct mutation syntax (actually creates immutable update)
-      // Add item with additional billing metadata
-      state.items.push({
-        ...action.payload,
-        // Add billing-specific fields
-        addedAt: action.payload.addedAt || new Date().toISOString(),
-        category: action.payload.category || 'general',
-        taxable: action.payload.taxable !== false, // Default to taxable
-      });
+    addItem: {
+      reducer: (state, action) => {
+        const invoice = editableInvoice(state, action.payload);
+        if (!invoice) return;
+        // Separate the target invoice from the item fields
+        const { invoiceId: _invoiceId, ...item } = action.payload;
+        // Immer allows direct mutation syntax (actually creates immutable update)
+        // Add item with additional billing metadata
+        invoice.items.push({
+          ...item,
+          // Prices are always held in the invoice's currency
+          price: convert(item.price, invoice.currency),
+          // Add billing-specific fields
+          qty: action.payload.qty ?? 1,
+          unit: action.payload.unit || DEFAULT_UNIT,
+          category: action.payload.category || 'general',
+          taxable: action.payload.taxable !== false, // Default to taxable
+        });
+      },
+      prepare: (item) => ({
+        payload: { ...item, addedAt: item.addedAt || new Date().toISOString() },
+      }),
     },
     
     /**
@@ -62,124 +293,465 @@ const billingSlice = createSlice({
      * @param {Object} action - Action object with payload containing item ID to remove
      */
     removeItem: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
       // Filter out the item with matching ID
-      state.items = state.items.filter(item => item.id !== action.payload.id);
+      invoice.items = invoice.items.filter(item => item.id !== action.payload.id);
+      pruneDiscountTargets(invoice);
     },
     
     /**
      * Update billing item reducer
-     * Updates existing billing item with new data
+     * Updates existing billing item with new data, e.g. { qty: 5 } from the inline quantity editor
+     * or { name, price, category, taxable } from the row editor; updatedAt marks the item as edited
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId?, id, updates, updatedAt }
+     */
+    updateItem: {
+      reducer: (state, action) => {
+        const invoice = editableInvoice(state, action.payload);
+        if (!invoice) return;
+        const itemIndex = invoice.items.findIndex(item => item.id === action.payload.id);
+        if (itemIndex !== -1) {
+          // Merge existing item data with updates
+          invoice.items[itemIndex] = { 
+            ...invoice.items[itemIndex], 
+            ...action.payload.updates,
+            updatedAt: action.payload.updatedAt
+          };
+        }
+      },
+      prepare: ({ invoiceId, id, updates }) => ({
+        payload: { invoiceId, id, updates, updatedAt: new Date().toISOString() },
+      }),
+    },
+    
+    /**
+     * Clear all items reducer
+     * Removes all billing items from the array
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with optional payload: { invoiceId }
+     */
+    clearItems: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      // Reset items array to empty
+      invoice.items = [];
+      pruneDiscountTargets(invoice);
+    },
+    
+    /**
+     * Set items reducer
+     * Replaces entire items array (useful for loading from saved invoice)
      * 
      * @param {Object} state - Current billing state
-     * @param {Object} action - Action object with payload: { id, updates }
+     * @param {Object} action - Action object with payload: { invoiceId?, items }
      */
-    updateItem: (state, action) => {
-      const itemIndex = state.items.findIndex(item => item.id === action.payload.id);
-      if (itemIndex !== -1) {
-        // Merge existing item data with updates
-        state.items[itemIndex] = { 
-          ...state.items[itemIndex], 
-          ...action.payload.updates,
-          updatedAt: new Date().toISOString()
-        };
+    setItems: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      invoice.items = action.payload.items;
+      pruneDiscountTargets(invoice);
+    },
+    
+    /**
+     * Add discount rule reducer
+     * Adds a rule to the invoice's discount rules (draft only)
+     * See utils/discounts.jsx for the rule shape
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId?, rule }
+     */
+    addDiscountRule: {
+      reducer: (state, action) => {
+        const invoice = editableInvoice(state, action.payload);
+        if (!invoice) return;
+        invoice.discounts.push(action.payload.rule);
+      },
+      prepare: ({ invoiceId, rule }) => ({
+        payload: { invoiceId, rule: { stackable: true, enabled: true, ...rule, id: nanoid() } },
+      }),
+    },
+    
+    /**
+     * Update discount rule reducer
+     * Changes rule settings such as priority, stacking or enabled (draft only)
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId?, id, updates }
+     */
+    updateDiscountRule: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      const rule = invoice?.discounts.find(candidate => candidate.id === action.payload.id);
+      if (rule) {
+        Object.assign(rule, action.payload.updates);
       }
     },
     
     /**
-     * Apply discount reducer
-     * Applies percentage discount to specific billing item
-     * Preserves original price for audit purposes
+     * Remove discount rule reducer
      * 
      * @param {Object} state - Current billing state
-     * @param {Object} action - Action object with payload: { id, discount }
+     * @param {Object} action - Action object with payload: { invoiceId?, id }
      */
-    applyDiscount: (state, action) => {
-      const itemIndex = state.items.findIndex(item => item.id === action.payload.id);
-      if (itemIndex !== -1) {
-        const item = state.items[itemIndex];
-        
-        // Store original price if not already stored
-        if (!item.originalPrice) {
-          item.originalPrice = item.price;
-        }
-        
-        // Apply discount to current price (use original price as base)
-        const basePrice = item.originalPrice || item.price;
-        item.price = basePrice * (1 - action.payload.discount);
-        
-        // Add discount metadata
-        item.discountApplied = action.payload.discount;
-        item.discountedAt = new Date().toISOString();
+    removeDiscountRule: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      invoice.discounts = invoice.discounts.filter(rule => rule.id !== action.payload.id);
+    },
+    
+    /**
+     * Update invoice details reducer
+     * Changes header fields such as issue date and due date (draft only)
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId?, issueDate?, dueDate? }
+     */
+    updateInvoiceDetails: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      const { issueDate, dueDate } = action.payload;
+      if (issueDate !== undefined) invoice.issueDate = issueDate;
+      if (dueDate !== undefined) invoice.dueDate = dueDate;
+    },
+    
+    /**
+     * Update customer reducer
+     * Merges fields into the bill-to or ship-to party (draft only)
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId?, party: 'billTo' | 'shipTo', updates }
+     */
+    updateCustomer: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      const { party, updates } = action.payload;
+      if (invoice.customer[party]) {
+        Object.assign(invoice.customer[party], updates);
       }
     },
     
     /**
-     * Remove discount reducer
-     * Restores item to original price before discount
+     * Set invoice customer reducer
+     * Picks the bill-to customer from the customer directory (draft only)
+     * The details are copied, so later edits in the directory do not change the invoice
      * 
      * @param {Object} state - Current billing state
-     * @param {Object} action - Action object with payload containing item ID
+     * @param {Object} action - Action object with payload: { invoiceId?, customerId, billTo }
+     *   customerId: directory ID, or null to unlink; billTo: { name, email, address } to copy
      */
-    removeDiscount: (state, action) => {
-      const itemIndex = state.items.findIndex(item => item.id === action.payload.id);
-      if (itemIndex !== -1) {
-        const item = state.items[itemIndex];
+    setInvoiceCustomer: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      const { customerId, billTo } = action.payload;
+      invoice.customerId = customerId;
+      if (billTo) Object.assign(invoice.customer.billTo, billTo);
+    },
+    
+    /**
+     * Set invoice currency reducer
+     * Converts every item price and fixed discount on a draft invoice to the new currency
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId?, currency }
+     */
+    setInvoiceCurrency: (state, action) => {
+      const invoice = editableInvoice(state, action.payload);
+      if (!invoice) return;
+      const { currency } = action.payload;
+      invoice.items.forEach(item => {
+        item.price = convert(item.price, currency);
+      });
+      invoice.discounts.forEach(rule => {
+        if (rule.amount) rule.amount = convert(rule.amount, currency);
+      });
+      invoice.currency = currency;
+    },
+    
+    /**
+     * Set invoice status reducer
+     * Moves the invoice through the status machine
+     * Illegal transitions (e.g. paid -> draft) leave state unchanged; voiding uses voidInvoice
+     * Sending a draft freezes the tax configuration onto it
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId, status, taxConfig, at }
+     *   taxConfig: the current tax settings (state.tax) - kept by the invoice from now on
+     */
+    setInvoiceStatus: {
+      reducer: (state, action) => {
+        const { status, taxConfig, at } = action.payload;
+        const invoice = targetInvoice(state, action.payload);
+        if (!invoice || status === 'void' || !canTransition(invoice.status, status)) return;
+        if (invoice.status === 'draft' && !taxConfig) return;
+        freezeTaxConfig(invoice, taxConfig);
+        invoice.statusHistory.push({ from: invoice.status, to: status, at });
+        invoice.status = status;
+      },
+      prepare: ({ invoiceId, status, taxConfig }) => ({
+        payload: { invoiceId, status, taxConfig, at: new Date().toISOString() },
+      }),
+    },
+    
+    /**
+     * Record payment reducer
+     * Appends a payment or refund to the invoice's ledger, then moves the invoice to
+     * sent, partiallyPaid or paid to match what has been paid
+     * Entries that overpay, or refund more than was paid, leave state unchanged
+     * The total is worked out from the invoice's frozen tax configuration
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId, entry }
+     *   entry: { type: 'payment' | 'refund', amount, method, date, reference } (see utils/payments.jsx)
+     */
+    recordPayment: {
+      reducer: (state, action) => {
+        const { entry } = action.payload;
+        const invoice = targetInvoice(state, action.payload);
+        if (!invoice || !PAYABLE_STATUSES.includes(invoice.status)) return;
+        const total = issuedTotal(invoice);
+        if (validateLedgerEntry(entry, { total, payments: invoice.payments }).length > 0) return;
+        invoice.payments.push(entry);
+        settleInvoice(invoice, total, entry.recordedAt);
+      },
+      prepare: ({ invoiceId, entry }) => ({
+        payload: { invoiceId, entry: { ...entry, id: nanoid(), recordedAt: new Date().toISOString() } },
+      }),
+    },
+    
+    /**
+     * Issue credit note reducer
+     * Adds a numbered credit note reversing lines of an issued invoice and posts its
+     * total to the invoice's ledger, which may move the invoice to paid or credited
+     * The invoice itself is left untouched. Credit notes that credit more of a line
+     * than is left, or target drafts and void invoices, leave state unchanged
+     * Both totals are worked out from the invoice's frozen tax configuration
+     * Only the item IDs and quantities of the lines are used - amounts, categories and
+     * taxability are rebuilt from the invoice, so an action cannot credit more than was charged
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { creditNote, entryId }
+     *   creditNote: { invoiceId, reason, lines } (lines from buildCreditLines in utils/creditNotes.jsx)
+     *   entryId: ID of the ledger entry that posts the credit note to the invoice
+     */
+    issueCreditNote: {
+      reducer: (state, action) => {
+        const { creditNote, entryId } = action.payload;
+        const invoice = state.entities[creditNote.invoiceId];
+        if (!invoice || !CREDITABLE_STATUSES.includes(invoice.status)) return;
+        const issued = Object.values(state.creditNotes.entities).filter(note => note.invoiceId === invoice.id);
+        if (validateCreditNote(invoice, creditNote, issued).length > 0) return;
         
-        // Restore original price if discount was applied
-        if (item.originalPrice) {
-          item.price = item.originalPrice;
-          // Clean up discount-related fields
-          delete item.originalPrice;
-          delete item.discountApplied;
-          delete item.discountedAt;
-        }
-      }
+        const lines = buildCreditLines(invoice, creditedQuantities([creditNote]), issued);
+        const total = creditNoteTotal(lines, issued, invoice.taxConfig, invoice.currency);
+        const number = formatCreditNoteNumber(state.nextCreditNoteSequence);
+        creditNotesAdapter.addOne(state.creditNotes, { ...creditNote, lines, number, currency: invoice.currency, total });
+        state.nextCreditNoteSequence += 1;
+        invoice.payments.push({
+          id: entryId,
+          type: 'credit',
+          amount: total,
+          method: 'credit note',
+          date: creditNote.issueDate,
+          reference: number,
+          creditNoteId: creditNote.id,
+          recordedAt: creditNote.issuedAt,
+        });
+        settleInvoice(invoice, issuedTotal(invoice), creditNote.issuedAt);
+      },
+      prepare: ({ invoiceId, reason, lines }) => ({
+        payload: {
+          creditNote: {
+            id: nanoid(),
+            invoiceId,
+            reason: (reason ?? '').trim(),
+            lines,
+            issueDate: toISODate(),
+            issuedAt: new Date().toISOString(),
+          },
+          entryId: nanoid(),
+        },
+      }),
     },
     
     /**
-     * Clear all items reducer
-     * Removes all billing items from the array
+     * Void invoice reducer
+     * Cancels a draft or unpaid sent invoice. Nothing is erased: items, ledger and
+     * history are kept, the invoice just becomes read-only with the reason recorded
+     * Invoices with anything paid or credited cannot be voided - credit them instead
+     * Voiding a draft freezes the tax configuration onto it, as sending does
      * 
      * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { invoiceId, reason, taxConfig, at }
      */
-    clearItems: (state) => {
-      // Reset items array to empty
-      state.items = [];
+    voidInvoice: {
+      reducer: (state, action) => {
+        const { reason, taxConfig, at } = action.payload;
+        const invoice = targetInvoice(state, action.payload);
+        if (!invoice || !canTransition(invoice.status, 'void') || !reason) return;
+        if (invoice.status === 'draft' && !taxConfig) return;
+        const { netPaid, credited } = ledgerTotals(invoice.payments, invoice.currency);
+        if (netPaid.amount !== 0 || credited.amount !== 0) return;
+        freezeTaxConfig(invoice, taxConfig);
+        invoice.statusHistory.push({ from: invoice.status, to: 'void', at, reason });
+        invoice.status = 'void';
+        invoice.voidReason = reason;
+      },
+      prepare: ({ invoiceId, reason, taxConfig }) => ({
+        payload: { invoiceId, reason: reason.trim(), taxConfig, at: new Date().toISOString() },
+      }),
     },
     
     /**
-     * Set items reducer
-     * Replaces entire items array (useful for loading from saved invoice)
+     * New invoice reducer
+     * Adds the next sequentially numbered draft invoice and makes it current
+     * The new invoice uses the current invoice's currency
      * 
      * @param {Object} state - Current billing state
-     * @param {Object} action - Action object with payload containing new items array
+     * @param {Object} action - Action object with payload: { id, issueDate }
      */
-    setItems: (state, action) => {
-      state.items = action.payload;
+    newInvoice: {
+      reducer: (state, action) => {
+        const { id, issueDate } = action.payload;
+        const currency = state.entities[state.currentInvoiceId]?.currency;
+        invoicesAdapter.addOne(state, createInvoice(id, state.nextSequence, issueDate, currency));
+        state.nextSequence += 1;
+        state.currentInvoiceId = id;
+      },
+      // ID is generated in the action so callers can navigate to the new invoice
+      prepare: () => ({ payload: { id: nanoid(), issueDate: toISODate() } }),
     },
     
     /**
-     * Bulk discount reducer
-     * Applies discount to all items in the bill
+     * Add recurring template reducer
+     * Saves an invoice's customer, currency, items and discount rules as a template
+     * that generates a draft invoice every period from the start date
      * 
      * @param {Object} state - Current billing state
-     * @param {Object} action - Action object with payload containing discount percentage
+     * @param {Object} action - Action object with payload: { invoiceId, template, today }
+     *   template: { id, name, interval, startDate, endDate }
      */
-    applyBulkDiscount: (state, action) => {
-      state.items.forEach(item => {
-        // Store original price if not already stored
-        if (!item.originalPrice) {
-          item.originalPrice = item.price;
+    addRecurringTemplate: {
+      reducer: (state, action) => {
+        const { invoiceId, template, today } = action.payload;
+        const source = state.entities[invoiceId];
+        if (!source || source.items.length === 0 || validateSchedule(template, today).length > 0) return;
+        recurringAdapter.addOne(state.recurring, {
+          ...template,
+          active: true,
+          runCount: 0,
+          nextRunDate: nextRunAfter(template, 0),
+          currency: source.currency,
+          customerId: source.customerId ?? null,
+          customer: source.customer,
+          items: source.items,
+          discounts: source.discounts,
+          invoiceIds: [],
+        });
+      },
+      prepare: ({ invoiceId, name, interval, startDate, endDate }) => ({
+        payload: {
+          invoiceId,
+          template: { id: nanoid(), name: name.trim(), interval, startDate, endDate: endDate || null },
+          today: toISODate(),
+        },
+      }),
+    },
+    
+    /**
+     * Pause or resume a recurring template
+     * Resuming skips the periods that passed while paused instead of catching up on them
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { id, active, today }
+     */
+    setRecurringTemplateActive: {
+      reducer: (state, action) => {
+        const { id, active, today } = action.payload;
+        const template = state.recurring.entities[id];
+        if (!template || template.active === active) return;
+        template.active = active;
+        if (active) {
+          template.runCount = skipRunsBefore(template, today);
+          template.nextRunDate = nextRunAfter(template, template.runCount);
         }
-        
-        // Apply discount
-        const basePrice = item.originalPrice || item.price;
-        item.price = basePrice * (1 - action.payload.discount);
-        item.discountApplied = action.payload.discount;
-        item.discountedAt = new Date().toISOString();
-      });
+      },
+      prepare: ({ id, active }) => ({ payload: { id, active, today: toISODate() } }),
+    },
+    
+    /**
+     * Remove recurring template reducer
+     * Stops future invoices; invoices already generated are kept
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { id }
+     */
+    removeRecurringTemplate: (state, action) => {
+      recurringAdapter.removeOne(state.recurring, action.payload.id);
+    },
+    
+    /**
+     * Generate recurring invoices reducer
+     * Adds one draft invoice per due run, dated on the run date, and moves each
+     * template on to its next run date. A run whose date is no longer the template's
+     * next run date has already been generated (e.g. by another tab) and is skipped
+     * 
+     * @param {Object} state - Current billing state
+     * @param {Object} action - Action object with payload: { runs, at }
+     *   runs: [{ templateId, date, invoiceId }] from dueRuns in utils/recurring.jsx
+     */
+    generateRecurringInvoices: {
+      reducer: (state, action) => {
+        const { runs, at } = action.payload;
+        runs.forEach(({ templateId, date, invoiceId }) => {
+          const template = state.recurring.entities[templateId];
+          if (!template || !template.active || template.nextRunDate !== date) return;
+          
+          const invoice = createInvoice(invoiceId, state.nextSequence, date, template.currency);
+          invoice.customerId = template.customerId ?? null;
+          invoice.customer = template.customer;
+          invoice.items = template.items.map(item => ({ ...item, addedAt: at }));
+          invoice.discounts = template.discounts;
+          invoice.recurringTemplateId = template.id;
+          invoicesAdapter.addOne(state, invoice);
+          state.nextSequence += 1;
+          
+          template.runCount += 1;
+          template.nextRunDate = nextRunAfter(template, template.runCount);
+          template.invoiceIds.push(invoiceId);
+        });
+      },
+      // meta.actor names the scheduler in the audit trail instead of this tab
+      prepare: ({ runs }) => ({
+        payload: { runs: runs.map(run => ({ ...run, invoiceId: nanoid() })), at: new Date().toISOString() },
+        meta: { actor: 'Recurring scheduler' },
+      }),
     }
   },
+  
+  // Responses to actions defined in other slices
+  extraReducers: (builder) => {
+    /**
+     * A customer was deleted from the directory
+     * Drafts and recurring templates billed to them are unlinked but keep the copied
+     * bill-to details; issued invoices are never changed
+     */
+    builder.addCase(deleteCustomer, (state, action) => {
+      const { id } = action.payload;
+      Object.values(state.entities)
+        .filter(invoice => invoice.status === 'draft' && invoice.customerId === id)
+        .forEach(invoice => {
+          invoice.customerId = null;
+        });
+      Object.values(state.recurring.entities)
+        .filter(template => template.customerId === id)
+        .forEach(template => {
+          template.customerId = null;
+        });
+    });
+  },
 });
 
 // Export action creators
@@ -188,13 +760,92 @@ export const {
   addItem, 
   removeItem, 
   updateItem, 
-  applyDiscount, 
-  removeDiscount, 
   clearItems, 
   setItems, 
-  applyBulkDiscount 
+  addDiscountRule,
+  updateDiscountRule,
+  removeDiscountRule,
+  updateInvoiceDetails,
+  updateCustomer,
+  setInvoiceCustomer,
+  setInvoiceCurrency,
+  setInvoiceStatus,
+  recordPayment,
+  issueCreditNote,
+  voidInvoice,
+  newInvoice,
+  addRecurringTemplate,
+  setRecurringTemplateActive,
+  removeRecurringTemplate,
+  generateRecurringInvoices
 } = billingSlice.actions;
 
+// Export adapter selectors bound to the billing slice of the root state
+// Usage: useSelector(selectAllInvoices) or useSelector(state => selectInvoiceById(state, id))
+export const {
+  selectAll: selectAllInvoices,
+  selectById: selectInvoiceById,
+} = invoicesAdapter.getSelectors((state) => state.billing);
+
+// Credit note selectors bound to state.billing.creditNotes
+// Usage: useSelector(selectAllCreditNotes).filter(note => note.invoiceId === invoice.id)
+export const {
+  selectAll: selectAllCreditNotes,
+} = creditNotesAdapter.getSelectors((state) => state.billing.creditNotes);
+
+// Recurring template selectors bound to state.billing.recurring
+export const {
+  selectAll: selectAllRecurringTemplates,
+} = recurringAdapter.getSelectors((state) => state.billing.recurring);
+
+/**
+ * Generate the draft invoices of every recurring run that is due
+ * Dispatched when the app opens and after a template is created, so periods
+ * missed while the app was closed are caught up
+ *
+ * @param {string} today - Today as 'YYYY-MM-DD'
+ * @returns {Function} - Thunk returning the number of runs that were due
+ */
+export const runRecurringSchedules = (today = toISODate()) => (dispatch, getState) => {
+  const runs = dueRuns(selectAllRecurringTemplates(getState()), today);
+  if (runs.length > 0) dispatch(generateRecurringInvoices({ runs }));
+  return runs.length;
+};
+
+/**
+ * Select the invoice shown on /billing/redux
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {Object} - Current invoice
+ */
+export const selectCurrentInvoice = (state) => state.billing.entities[state.billing.currentInvoiceId];
+
+/**
+ * Calculate subtotal, discounts, taxes and total for a list of billing items
+ * Each line is unit price x quantity; discount rules come off before tax;
+ * items marked taxable: false are exempt; category selects the rates
+ *
+ * @param {Array} items - Billing items
+ * @param {Object} taxConfig - Tax configuration (state.tax)
+ * @param {string} currency - Invoice currency (used when there are no items)
+ * @param {Array} discountRules - The invoice's discount rules
+ * @returns {Object} - Money totals: itemsTotal, discounts, discountTotal, subtotal, taxes, taxTotal, total
+ *   plus per-item lines with the rules applied to each
+ */
+export const calculateInvoiceTotals = (items, taxConfig, currency, discountRules = []) =>
+  calculateDiscountedTotals(items, discountRules, taxConfig, currency);
+
+/**
+ * Tax configuration an invoice is priced with
+ * Drafts follow the current tax settings; every other invoice keeps the
+ * configuration frozen when it left draft
+ *
+ * @param {Object} invoice - Invoice (may be undefined while loading)
+ * @param {Object} taxConfig - Current tax settings (state.tax)
+ * @returns {Object} - Tax configuration
+ */
+export const invoiceTaxConfig = (invoice, taxConfig) => invoice?.taxConfig ?? taxConfig;
+
 // Export reducer function
 // This will be used in store configuration to combine with other reducers
 export default billingSlice.reducer;
\ No newline at end of file
@@ -0,0 +1,209 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the billing reducer, actions and helpers under test
+import billingReducer, {
+  addItem,
+  updateItem,
+  setInvoiceCustomer,
+  setInvoiceStatus,
+  addRecurringTemplate,
+  recordPayment,
+  issueCreditNote,
+  voidInvoice,
+  selectCurrentInvoice,
+  selectAllRecurringTemplates,
+  calculateInvoiceTotals,
+  invoiceTaxConfig,
+} from './billingSlice';
+// Import the customer delete action handled by the billing slice
+import { deleteCustomer } from './customersSlice';
+// Import the default tax configuration
+import { DEFAULT_TAX_CONFIG } from '../utils/tax';
+// Import money constructor for prices and payments
+import { money } from '../utils/money';
+// Import today's date for recurring schedules
+import { toISODate } from '../utils/dates';
+// Import credit line builder used by the Credit Notes card
+import { buildCreditLines } from '../utils/creditNotes';
+
+/**
+ * Billing Slice Tests
+ * Issued invoices settle against the tax configuration frozen when they left draft
+ */
+
+// Tax settings after the standard rate went up from 8% to 20%
+const RAISED_TAX_CONFIG = {
+  ...DEFAULT_TAX_CONFIG,
+  rates: { ...DEFAULT_TAX_CONFIG.rates, standard: { ...DEFAULT_TAX_CONFIG.rates.standard, rate: 0.2 } },
+};
+
+/**
+ * Reduce a list of actions from the initial billing state
+ *
+ * @param {Array} actions - Actions to apply in order
+ * @returns {Object} - Billing state
+ */
+const reduce = (actions) => actions.reduce(billingReducer, billingReducer(undefined, { type: '@@init' }));
+
+/**
+ * Current invoice of a billing state
+ *
+ * @param {Object} billing - Billing state
+ * @returns {Object} - Invoice
+ */
+const currentInvoice = (billing) => selectCurrentInvoice({ billing });
+
+// A $100.00 item at the standard rate: $108.00 with the default settings
+const item = addItem({ id: 1, name: 'Consulting', price: money(10000), category: 'services' });
+
+describe('issuing an invoice', () => {
+  it('freezes the tax configuration when the invoice is sent', () => {
+    const billing = reduce([item]);
+    const invoiceId = billing.currentInvoiceId;
+    expect(currentInvoice(billing).taxConfig).toBeNull();
+
+    const sent = billingReducer(billing, setInvoiceStatus({ invoiceId, status: 'sent', taxConfig: DEFAULT_TAX_CONFIG }));
+    expect(currentInvoice(sent).taxConfig).toEqual(DEFAULT_TAX_CONFIG);
+  });
+
+  it('refuses to send a draft without a tax configuration', () => {
+    const billing = reduce([item]);
+    const unchanged = billingReducer(billing, setInvoiceStatus({ invoiceId: billing.currentInvoiceId, status: 'sent' }));
+    expect(currentInvoice(unchanged).status).toBe('draft');
+  });
+
+  it('freezes the tax configuration when a draft is voided', () => {
+    const billing = reduce([item]);
+    const voided = billingReducer(billing, voidInvoice({
+      invoiceId: billing.currentInvoiceId,
+      reason: 'Duplicate',
+      taxConfig: DEFAULT_TAX_CONFIG,
+    }));
+    expect(currentInvoice(voided).status).toBe('void');
+    expect(currentInvoice(voided).taxConfig).toEqual(DEFAULT_TAX_CONFIG);
+  });
+});
+
+describe('settling an issued invoice', () => {
+  const billing = reduce([item]);
+  const invoiceId = billing.currentInvoiceId;
+  const sent = billingReducer(billing, setInvoiceStatus({ invoiceId, status: 'sent', taxConfig: DEFAULT_TAX_CONFIG }));
+
+  it('prices the invoice with its frozen rates, not the current settings', () => {
+    const invoice = currentInvoice(sent);
+    const { total } = calculateInvoiceTotals(
+      invoice.items,
+      invoiceTaxConfig(invoice, RAISED_TAX_CONFIG),
+      invoice.currency,
+      invoice.discounts
+    );
+    expect(total).toEqual(money(10800));
+  });
+
+  it('pays the invoice in full with the frozen total', () => {
+    const paid = billingReducer(sent, recordPayment({
+      invoiceId,
+      entry: { type: 'payment', amount: money(10800), method: 'card', date: '2024-01-01', reference: '' },
+    }));
+    expect(currentInvoice(paid).status).toBe('paid');
+  });
+
+  it('ignores a total sent with the payment', () => {
+    const overpaid = billingReducer(sent, recordPayment({
+      invoiceId,
+      total: money(12000),
+      entry: { type: 'payment', amount: money(12000), method: 'card', date: '2024-01-01', reference: '' },
+    }));
+    expect(currentInvoice(overpaid).payments).toEqual([]);
+    expect(currentInvoice(overpaid).status).toBe('sent');
+  });
+
+  it('credits the whole invoice at the frozen rates', () => {
+    const credited = billingReducer(sent, issueCreditNote({
+      invoiceId,
+      reason: 'Cancelled',
+      lines: buildCreditLines(currentInvoice(sent), { 1: 1 }, []),
+    }));
+    const note = Object.values(credited.creditNotes.entities)[0];
+    expect(note.total).toEqual(money(10800));
+    expect(currentInvoice(credited).status).toBe('credited');
+  });
+
+  it('posts the credit note to the ledger with the ID from the action', () => {
+    const action = issueCreditNote({ invoiceId, reason: 'Cancelled', lines: buildCreditLines(currentInvoice(sent), { 1: 1 }, []) });
+    const here = billingReducer(sent, action);
+    const there = billingReducer(structuredClone(sent), structuredClone(action));
+    expect(currentInvoice(here).payments[0].id).toBe(action.payload.entryId);
+    expect(there).toEqual(here);
+  });
+
+  it('rebuilds credited amounts from the invoice instead of trusting the action', () => {
+    const lines = buildCreditLines(currentInvoice(sent), { 1: 1 }, [])
+      .map(line => ({ ...line, amount: money(50000), category: 'groceries', taxable: false }));
+    const credited = billingReducer(sent, issueCreditNote({ invoiceId, reason: 'Cancelled', lines }));
+    const note = Object.values(credited.creditNotes.entities)[0];
+    expect(note.lines[0]).toMatchObject({ amount: money(10000), category: 'services', taxable: true });
+    expect(note.total).toEqual(money(10800));
+    expect(currentInvoice(credited).status).toBe('credited');
+  });
+
+  it('rejects a credit note without a reason', () => {
+    const action = issueCreditNote({ invoiceId, lines: buildCreditLines(currentInvoice(sent), { 1: 1 }, []) });
+    expect(action.payload.creditNote.reason).toBe('');
+    expect(billingReducer(sent, action)).toEqual(sent);
+  });
+});
+
+describe('replaying actions in another tab', () => {
+  it('gives every tab the same item timestamps', () => {
+    const billing = reduce([item]);
+    const update = updateItem({ id: 1, updates: { qty: 2 } });
+    const here = billingReducer(billing, update);
+    const there = billingReducer(structuredClone(billing), structuredClone(update));
+
+    expect(currentInvoice(here).items[0].addedAt).toBe(item.payload.addedAt);
+    expect(currentInvoice(here).items[0].updatedAt).toBe(update.payload.updatedAt);
+    expect(there).toEqual(here);
+  });
+});
+
+describe('deleting a customer', () => {
+  const billTo = { name: 'Acme', email: 'billing@acme.test', address: '' };
+
+  it('unlinks draft invoices but keeps their bill-to details', () => {
+    const billing = reduce([item, setInvoiceCustomer({ customerId: 'c1', billTo })]);
+    const after = billingReducer(billing, deleteCustomer({ id: 'c1' }));
+    expect(currentInvoice(after).customerId).toBeNull();
+    expect(currentInvoice(after).customer.billTo).toEqual(billTo);
+  });
+
+  it('unlinks recurring templates', () => {
+    const billing = reduce([item, setInvoiceCustomer({ customerId: 'c1', billTo })]);
+    const scheduled = billingReducer(billing, addRecurringTemplate({
+      invoiceId: billing.currentInvoiceId,
+      name: 'Retainer',
+      interval: 'monthly',
+      startDate: toISODate(),
+    }));
+    const after = billingReducer(scheduled, deleteCustomer({ id: 'c1' }));
+    expect(selectAllRecurringTemplates({ billing: scheduled })[0].customerId).toBe('c1');
+    expect(selectAllRecurringTemplates({ billing: after })[0].customerId).toBeNull();
+  });
+
+  it('leaves issued invoices unchanged', () => {
+    const billing = reduce([item, setInvoiceCustomer({ customerId: 'c1', billTo })]);
+    const sent = billingReducer(billing, setInvoiceStatus({
+      invoiceId: billing.currentInvoiceId,
+      status: 'sent',
+      taxConfig: DEFAULT_TAX_CONFIG,
+    }));
+    const after = billingReducer(sent, deleteCustomer({ id: 'c1' }));
+    expect(currentInvoice(after).customerId).toBe('c1');
+  });
+
+  it('ignores other customers', () => {
+    const billing = reduce([item, setInvoiceCustomer({ customerId: 'c1', billTo })]);
+    const after = billingReducer(billing, deleteCustomer({ id: 'c2' }));
+    expect(currentInvoice(after).customerId).toBe('c1');
+  });
+});
@@ -1,5 +1,105 @@
 // Import createSlice from Redux Toolkit for creating Redux slice
 import { createSlice } from '@reduxjs/toolkit';
+// Import slug helpers for post URLs
+import { slugify, uniqueSlug } from '../utils/slug';
+
+/**
+ * Post status machine
+ * Maps each status to the statuses it may be moved to by hand
+ * - draft: being written, only visible to authors
+ * - review: waiting for a reviewer, who publishes, schedules or sends it back
+ * - scheduled: approved, published by the scheduler once publishAt arrives
+ * - published: live
+ * - archived: taken down, kept for reference; restoring makes it a draft again
+ * Scheduled posts become published without a hand-made transition, through
+ * publishScheduledPosts (see publishDuePosts and PostScheduler)
+ */
+export const POST_TRANSITIONS = {
+  draft: ['review'],
+  review: ['draft', 'scheduled', 'published'],
+  scheduled: ['review', 'published'],
+  published: ['archived'],
+  archived: ['draft'],
+};
+
+// Post statuses in workflow order, for tabs and filters
+export const POST_STATUSES = Object.keys(POST_TRANSITIONS);
+
+// Display names of post statuses
+export const POST_STATUS_LABELS = {
+  draft: 'Draft',
+  review: 'In Review',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived',
+};
+
+/**
+ * Check whether a post may move from one status to another
+ * 
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export const canTransitionPost = (from, to) => (POST_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Slugs already used by other posts, including their old slugs
+ * Old slugs stay reserved so links to a renamed post keep redirecting to it
+ * 
+ * @param {Array} posts - All posts
+ * @param {number} exceptId - Post whose own slugs are not counted
+ * @returns {Set} - Slugs in use
+ */
+const takenSlugs = (posts, exceptId) =>
+  new Set(
+    posts
+      .filter(post => post.id !== exceptId)
+      .flatMap(post => [post.slug, ...(post.previousSlugs || [])])
+  );
+
+/**
+ * Unique slug for a post's title, e.g. 'Hello World' -> 'hello-world' or 'hello-world-2'
+ * Titles without letters or digits fall back to 'post-<id>'
+ * 
+ * @param {Object} post - Post with id and title
+ * @param {Array} posts - All posts
+ * @returns {string} - Slug
+ */
+const slugForPost = (post, posts) =>
+  uniqueSlug(slugify(post.title) || `post-${post.id}`, takenSlugs(posts, post.id));
+
+/**
+ * Give every post without a slug one, in list order
+ * Used for posts saved before slugs existed and for posts loaded with setPosts
+ * 
+ * @param {Array} posts - Posts
+ * @returns {Array} - Posts with slug and previousSlugs
+ */
+export const withSlugs = (posts) =>
+  posts.reduce((result, post) => [
+    ...result,
+    {
+      ...post,
+      slug: post.slug || slugForPost(post, [...result, ...posts.filter(other => other.slug)]),
+      previousSlugs: post.previousSlugs || [],
+    },
+  ], []);
+
+/**
+ * Give every post without a status the published status
+ * Used for posts saved before the status workflow, which were all live
+ * 
+ * @param {Array} posts - Posts
+ * @returns {Array} - Posts with status, publishAt and statusHistory
+ */
+export const withStatus = (posts) =>
+  posts.map(post => (post.status ? post : {
+    ...post,
+    status: 'published',
+    publishAt: post.createdAt || null,
+    statusHistory: [],
+  }));
 
 /**
  * Blog Slice - Redux Toolkit Slice for Blog Posts State Management
@@ -10,6 +110,12 @@ import { createSlice } from '@reduxjs/toolkit';
  * 3. Auto-generated action creators and action types
  * 4. Structured state management with initial state
  * 5. Multiple reducer functions for different operations
+ * 6. Derived fields in reducers - unique URL slugs are made from post titles,
+ *    and renamed posts keep their old slugs so shared links still resolve
+ * 7. Status machine - posts move from draft through review to scheduled or
+ *    published, and every change is kept in statusHistory
+ * 8. Prepare callbacks - edit and status timestamps travel in the action, so reducers
+ *    stay pure and other tabs replay exactly the same change
  * 
  * Slice Benefits:
  * - Reduces Redux boilerplate code significantly
@@ -25,13 +131,21 @@ const blogSlice = createSlice({
   
   // Initial state for blog slice
   // Structure: { posts: [] } where posts is array of blog post objects
+  // Post: { id, title, slug, previousSlugs, content, category, status, publishAt,
+  //         statusHistory, createdAt, updatedAt? }
+  // publishAt is when a scheduled post goes live, or when a published post went live
   initialState: { 
     posts: [
       { 
         id: 1, 
         title: 'First Post (from Redux)',
+        slug: 'first-post-from-redux',
+        previousSlugs: [],
         content: 'This is a sample blog post content using Redux.',
         category: 'Technology',
+        status: 'published',
+        publishAt: new Date().toISOString(),
+        statusHistory: [],
         createdAt: new Date().toISOString()
       }
     ]
@@ -42,7 +156,8 @@ const blogSlice = createSlice({
   reducers: {
     /**
      * Add post reducer
-     * Adds new blog post to the posts array
+     * Adds new blog post to the posts array with a unique slug made from its title
+     * New posts start as drafts
      * 
      * @param {Object} state - Current blog state
      * @param {Object} action - Action object with payload containing new post
@@ -50,7 +165,14 @@ const blogSlice = createSlice({
     addPost: (state, action) => {
       // Immer allows direct mutation syntax (actually creates immutable update)
       // This is equivalent to: return { ...state, posts: [...state.posts, action.payload] }
-      state.posts.push(action.payload);
+      state.posts.push({
+        ...action.payload,
+        slug: slugForPost(action.payload, state.posts),
+        previousSlugs: [],
+        status: 'draft',
+        publishAt: null,
+        statusHistory: [],
+      });
     },
     
     /**
@@ -68,22 +190,95 @@ const blogSlice = createSlice({
     
     /**
      * Update post reducer
-     * Updates existing blog post with new data
+     * Updates existing blog post with new data, e.g. the changed fields from PostEditor
+     * A new title gives the post a new slug; the old one is kept in previousSlugs
+     * so links to it redirect to the new URL
      * 
      * @param {Object} state - Current blog state
-     * @param {Object} action - Action object with payload: { id, updates }
+     * @param {Object} action - Action object with payload: { id, updates, updatedAt }
      */
-    updatePost: (state, action) => {
-      // Find post by ID and update it
-      const postIndex = state.posts.findIndex(post => post.id === action.payload.id);
-      if (postIndex !== -1) {
-        // Merge existing post data with updates
-        state.posts[postIndex] = { 
-          ...state.posts[postIndex], 
-          ...action.payload.updates,
-          updatedAt: new Date().toISOString()
-        };
-      }
+    updatePost: {
+      reducer: (state, action) => {
+        // Find post by ID and update it
+        const postIndex = state.posts.findIndex(post => post.id === action.payload.id);
+        if (postIndex !== -1) {
+          const post = state.posts[postIndex];
+          // Merge existing post data with updates
+          const updated = { 
+            ...post, 
+            ...action.payload.updates,
+            updatedAt: action.payload.updatedAt
+          };
+          
+          if (updated.title !== post.title) {
+            updated.slug = slugForPost(updated, state.posts);
+            if (updated.slug !== post.slug) {
+              // Renaming back to an old title reuses its slug instead of keeping it as a redirect
+              updated.previousSlugs = [
+                ...(post.previousSlugs || []).filter(slug => slug !== updated.slug),
+                post.slug,
+              ];
+            }
+          }
+          
+          state.posts[postIndex] = updated;
+        }
+      },
+      prepare: ({ id, updates }) => ({
+        payload: { id, updates, updatedAt: new Date().toISOString() },
+      }),
+    },
+    
+    /**
+     * Set post status reducer
+     * Moves the post through the status machine
+     * Illegal transitions (e.g. draft -> published) leave state unchanged;
+     * scheduling needs a publishAt time
+     * 
+     * @param {Object} state - Current blog state
+     * @param {Object} action - Action object with payload: { id, status, publishAt?, at }
+     */
+    setPostStatus: {
+      reducer: (state, action) => {
+        const { id, status, publishAt, at } = action.payload;
+        const post = state.posts.find(post => post.id === id);
+        if (!post || !canTransitionPost(post.status, status)) return;
+        if (status === 'scheduled' && !publishAt) return;
+        
+        post.statusHistory.push({ from: post.status, to: status, at });
+        post.status = status;
+        if (status === 'scheduled') post.publishAt = publishAt;
+        if (status === 'published') post.publishAt = at;
+        // Unscheduled and restored posts lose their publish time until they go live again
+        if (status === 'review' || status === 'draft') post.publishAt = null;
+      },
+      prepare: ({ id, status, publishAt = null }) => ({
+        payload: { id, status, publishAt, at: new Date().toISOString() },
+      }),
+    },
+    
+    /**
+     * Publish scheduled posts reducer
+     * Publishes the given scheduled posts, keeping their scheduled time as the
+     * publish date. Posts that are no longer scheduled (e.g. already published
+     * by another tab, or sent back to review) are skipped
+     * 
+     * @param {Object} state - Current blog state
+     * @param {Object} action - Action object with payload: { ids, at } - ids from publishDuePosts
+     */
+    publishScheduledPosts: {
+      reducer: (state, action) => {
+        const { ids, at } = action.payload;
+        state.posts
+          .filter(post => ids.includes(post.id) && post.status === 'scheduled')
+          .forEach(post => {
+            post.statusHistory.push({ from: 'scheduled', to: 'published', at });
+            post.status = 'published';
+          });
+      },
+      prepare: ({ ids }) => ({
+        payload: { ids, at: new Date().toISOString() },
+      }),
     },
     
     /**
@@ -100,16 +295,29 @@ const blogSlice = createSlice({
     /**
      * Set posts reducer
      * Replaces entire posts array (useful for loading data from API)
+     * Posts without a slug are given one; posts without a status are published
      * 
      * @param {Object} state - Current blog state
      * @param {Object} action - Action object with payload containing new posts array
      */
     setPosts: (state, action) => {
-      state.posts = action.payload;
+      state.posts = withStatus(withSlugs(action.payload));
     }
   },
 });
 
+/**
+ * Select the post at a URL slug - its current slug or one it had before a rename
+ * Compare the result's slug with the URL to tell whether to redirect
+ * 
+ * @param {Object} state - Root state
+ * @param {string} slug - Slug from the URL
+ * @returns {Object|undefined} - Post
+ */
+export const selectPostBySlug = (state, slug) =>
+  state.blog.posts.find(post => post.slug === slug) ||
+  state.blog.posts.find(post => post.previousSlugs?.includes(slug));
+
 // Export action creators
 // These are automatically generated by createSlice based on reducer names
 // Usage: dispatch(addPost(newPost)) or dispatch(deletePost({ id: 1 }))
@@ -117,10 +325,39 @@ export const {
   addPost, 
   deletePost, 
   updatePost, 
+  setPostStatus, 
+  publishScheduledPosts, 
   clearPosts, 
   setPosts 
 } = blogSlice.actions;
 
+/**
+ * Select the publish time of the next scheduled post
+ * 
+ * @param {Object} state - Root state
+ * @returns {string|null} - ISO timestamp, or null when nothing is scheduled
+ */
+export const selectNextScheduledAt = (state) =>
+  state.blog.posts
+    .filter(post => post.status === 'scheduled')
+    .map(post => post.publishAt)
+    .sort()[0] ?? null;
+
+/**
+ * Publish every scheduled post whose publish time has arrived
+ * Dispatched by PostScheduler when the app opens and whenever a publish time passes
+ * 
+ * @param {Date} now - Current time
+ * @returns {Function} - Thunk returning the number of posts that were due
+ */
+export const publishDuePosts = (now = new Date()) => (dispatch, getState) => {
+  const ids = getState().blog.posts
+    .filter(post => post.status === 'scheduled' && new Date(post.publishAt) <= now)
+    .map(post => post.id);
+  if (ids.length > 0) dispatch(publishScheduledPosts({ ids }));
+  return ids.length;
+};
+
 // Export reducer function
 // This will be used in store configuration to combine with other reducers
 // The reducer handles all actions defined in the reducers object above
@@ -2,6 +2,8 @@
 // createSlice is a function that accepts initial state, reducer functions, and slice name
 // It automatically generates action creators and action types based on reducer names
 import { createSlice } from '@reduxjs/toolkit';
+// Import default currency for new carts
+import { DEFAULT_CURRENCY } from '../utils/money';
 
 /**
  * Cart Slice - Redux Toolkit Slice for Shopping Cart State Management
@@ -25,9 +27,14 @@ const cartSlice = createSlice({
   name: 'cart',
   
   // Initial state for this slice
-  // Structure: { items: [] } where items is array of cart items
+  // Structure: { items: [], currency, coupon, couponRedemptions } where items is array of cart items
+  // Items keep their catalog price; totals are converted to the cart's currency
+  // coupon is the applied coupon code; couponRedemptions counts this customer's uses of each code
   initialState: { 
-    items: [] 
+    items: [],
+    currency: DEFAULT_CURRENCY,
+    coupon: null,
+    couponRedemptions: {}
   },
   
   // Reducer functions - define how state updates in response to actions
@@ -74,6 +81,60 @@ const cartSlice = createSlice({
       // Remove items with quantity 0 or less
       // Filter creates new array, but Immer handles immutability
       state.items = state.items.filter(item => item.qty > 0);
+      
+      // An empty cart has nothing left to discount
+      if (state.items.length === 0) {
+        state.coupon = null;
+      }
+    },
+    
+    /**
+     * Set currency reducer
+     * Changes the currency the cart is priced and totalled in
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload: currency code
+     */
+    setCurrency: (state, action) => {
+      state.currency = action.payload;
+    },
+    
+    /**
+     * Apply coupon reducer
+     * Stores the code only - the cart page validates it (see utils/coupons)
+     * and re-checks it as the cart changes
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload: coupon code
+     */
+    applyCoupon: (state, action) => {
+      state.coupon = action.payload;
+    },
+    
+    /**
+     * Remove coupon reducer
+     * 
+     * @param {Object} state - Current cart state
+     */
+    removeCoupon: (state) => {
+      state.coupon = null;
+    },
+    
+    /**
+     * Checkout reducer
+     * Places the order: empties the cart and counts the coupon as used
+     * 
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action object with payload: { couponCode } - the coupon
+     *   that was valid for the order, or null
+     */
+    checkout: (state, action) => {
+      const { couponCode } = action.payload;
+      if (couponCode) {
+        state.couponRedemptions[couponCode] = (state.couponRedemptions[couponCode] || 0) + 1;
+      }
+      state.items = [];
+      state.coupon = null;
     },
   },
 });
@@ -81,7 +142,7 @@ const cartSlice = createSlice({
 // Export action creators
 // These are automatically generated by createSlice based on reducer names
 // Usage: dispatch(add(product)) or dispatch(updateQty({ id: 1, amount: -1 }))
-export const { add, updateQty } = cartSlice.actions;
+export const { add, updateQty, setCurrency, applyCoupon, removeCoupon, checkout } = cartSlice.actions;
 
 // Export reducer function
 // This will be used in the store configuration to combine with other reducers
@@ -0,0 +1,253 @@
+// Import sync status actions written by the middleware
+import { leadershipChanged, peersChanged, conflictResolved } from './syncSlice';
+
+/**
+ * Cross-Tab Synchronisation - Shares Redux actions between browser tabs
+ *
+ * Synchronisation Concepts Demonstrated:
+ * 1. Redux middleware - Observing actions after they reach the reducers
+ * 2. BroadcastChannel messaging with a localStorage "storage" event fallback
+ * 3. Leader election by heartbeat - The oldest open tab owns persisted state
+ * 4. Lamport clocks - Ordering edits made concurrently in different tabs; every
+ *    message carries the sender's clock so idle tabs stay in step
+ * 5. Deterministic conflict resolution - Every tab picks the same winner
+ *
+ * Flow:
+ * local action -> reducers -> middleware broadcasts { action, clock }
+ * remote message -> conflict check -> dispatch({ ...action, meta: { remote: true } })
+ */
+
+/**
+ * Default synchronisation options
+ * - channelName: BroadcastChannel / storage key used for messages
+ * - slices: slice names whose actions are shared between tabs
+ * - conflictActions: edit actions (payload.id) that can conflict between tabs
+ * - heartbeatInterval: how often a tab announces itself (ms)
+ * - peerTimeout: how long a silent tab is still considered open (ms)
+ */
+export const syncConfig = {
+  channelName: 'react-state-showcase-sync',
+  slices: ['cart', 'billing', 'blog', 'tax', 'customers'],
+  conflictActions: [
+    'billing/updateItem',
+    'billing/updateDiscountRule',
+    'billing/removeDiscountRule',
+    'blog/updatePost',
+    'tax/saveRate',
+    'customers/editCustomer',
+  ],
+  heartbeatInterval: 1000,
+  peerTimeout: 3000,
+};
+
+// Delay before the first election so existing tabs can answer "hello"
+const ELECTION_DELAY = 300;
+
+// Tab IDs start with a zero-padded timestamp so older tabs sort first
+const createTabId = () =>
+  `${String(Date.now()).padStart(15, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Create a message channel shared by every tab of this origin
+ * Uses BroadcastChannel when available, otherwise writes messages to
+ * localStorage and listens for the "storage" event in other tabs
+ *
+ * @param {string} name - Channel name
+ * @returns {{post: Function, subscribe: Function, close: Function}} - Channel API
+ */
+export const createChannel = (name) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    return {
+      post: (message) => channel.postMessage(message),
+      subscribe: (listener) => {
+        channel.onmessage = (event) => listener(event.data);
+      },
+      close: () => channel.close(),
+    };
+  }
+
+  if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+    let handler = null;
+    return {
+      // A nonce makes every write unique so the storage event always fires
+      post: (message) =>
+        localStorage.setItem(name, JSON.stringify({ message, nonce: Math.random() })),
+      subscribe: (listener) => {
+        handler = (event) => {
+          if (event.key !== name || !event.newValue) return;
+          let parsed;
+          try {
+            parsed = JSON.parse(event.newValue);
+          } catch {
+            // Not written by this channel (or truncated) - ignore it
+            return;
+          }
+          listener(parsed?.message);
+        };
+        window.addEventListener('storage', handler);
+      },
+      close: () => window.removeEventListener('storage', handler),
+    };
+  }
+
+  // No multi-tab support (e.g. server-side rendering) - do nothing
+  return { post: () => {}, subscribe: () => {}, close: () => {} };
+};
+
+/**
+ * Create the cross-tab synchronisation middleware
+ *
+ * @param {Object} options - Overrides for syncConfig plus:
+ * @param {Function} options.onLeadershipChange - Called with true/false when this tab gains/loses leadership
+ * @returns {{middleware: Function, start: Function, tabId: string}} - Middleware, a function that connects
+ *   it to the store, and this tab's ID
+ */
+export const createCrossTabSync = (options = {}) => {
+  const config = { ...syncConfig, ...options };
+  const tabId = createTabId();
+
+  let channel = null;
+  let store = null;
+  let clock = 0;
+  let isLeader = null;
+  let peerCount = 0;
+  const peers = new Map();
+  const localEdits = new Map();
+
+  // Only actions belonging to synced slices travel between tabs
+  const isSynced = (action) => config.slices.includes(action.type.split('/')[0]);
+
+  // Entity key for conflict tracking, e.g. 'billing/updateItem' -> 'billing:42'
+  const conflictKey = (action) =>
+    config.conflictActions.includes(action.type) && action.payload?.id !== undefined
+      ? `${action.type.split('/')[0]}:${action.payload.id}`
+      : null;
+
+  /**
+   * Re-run the election: the tab with the smallest ID among this tab and
+   * all peers heard from recently becomes the leader
+   */
+  const electLeader = () => {
+    const now = Date.now();
+    peers.forEach((lastSeen, id) => {
+      if (now - lastSeen > config.peerTimeout) peers.delete(id);
+    });
+    if (peers.size !== peerCount) {
+      peerCount = peers.size;
+      store.dispatch(peersChanged(peerCount));
+    }
+
+    const leader = [tabId, ...peers.keys()].sort()[0] === tabId;
+    if (leader !== isLeader) {
+      isLeader = leader;
+      store.dispatch(leadershipChanged(leader));
+      config.onLeadershipChange?.(leader);
+    }
+  };
+
+  /**
+   * Post a message stamped with this tab's ID and clock
+   *
+   * @param {Object} message - Message fields, e.g. { kind: 'heartbeat' }
+   */
+  const post = (message) => channel.post({ ...message, tabId, clock });
+
+  /**
+   * Apply an action received from another tab, unless it lost a conflict
+   * against an edit this tab made concurrently to the same entity
+   */
+  const receiveAction = ({ action, clock: remoteClock, tabId: remoteTabId }) => {
+    const key = conflictKey(action);
+    const localClock = key ? localEdits.get(key) : undefined;
+    clock = Math.max(clock, remoteClock) + 1;
+
+    // A later clock means the remote tab had seen our edit - no conflict is possible any more
+    if (localClock !== undefined && remoteClock > localClock) localEdits.delete(key);
+
+    if (localClock !== undefined && remoteClock <= localClock) {
+      // The remote tab had not seen our edit - order by (clock, tabId)
+      const remoteWins = remoteClock === localClock && remoteTabId > tabId;
+      store.dispatch(conflictResolved({
+        actionType: action.type,
+        entityId: action.payload.id,
+        winner: remoteWins ? 'remote' : 'local',
+        at: new Date().toISOString(),
+      }));
+      if (!remoteWins) return;
+    }
+
+    store.dispatch({ ...action, meta: { ...action.meta, remote: true } });
+  };
+
+  // Route incoming channel messages
+  const handleMessage = (message) => {
+    if (!message || message.tabId === tabId) return;
+
+    switch (message.kind) {
+      case 'hello':
+        clock = Math.max(clock, message.clock ?? 0);
+        // A new tab joined - answer immediately so it can run its election
+        post({ kind: 'heartbeat' });
+        peers.set(message.tabId, Date.now());
+        break;
+      case 'heartbeat':
+        clock = Math.max(clock, message.clock ?? 0);
+        peers.set(message.tabId, Date.now());
+        // Wait for the first scheduled election before reacting to peers
+        if (isLeader !== null) electLeader();
+        break;
+      case 'goodbye':
+        peers.delete(message.tabId);
+        electLeader();
+        break;
+      case 'action':
+        peers.set(message.tabId, Date.now());
+        receiveAction(message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Redux middleware - broadcasts local actions of synced slices
+   */
+  const middleware = () => (next) => (action) => {
+    const result = next(action);
+
+    if (channel && typeof action.type === 'string' && isSynced(action) && !action.meta?.remote) {
+      clock += 1;
+      const key = conflictKey(action);
+      if (key) localEdits.set(key, clock);
+      post({ kind: 'action', action });
+    }
+
+    return result;
+  };
+
+  /**
+   * Connect to the channel and start heartbeats and elections
+   *
+   * @param {Object} reduxStore - Store the middleware was installed in
+   */
+  const start = (reduxStore) => {
+    store = reduxStore;
+    channel = createChannel(config.channelName);
+    channel.subscribe(handleMessage);
+    post({ kind: 'hello' });
+
+    setTimeout(electLeader, ELECTION_DELAY);
+    setInterval(() => {
+      post({ kind: 'heartbeat' });
+      electLeader();
+    }, config.heartbeatInterval);
+
+    // Tell other tabs to re-elect right away when this tab closes
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => post({ kind: 'goodbye' }));
+    }
+  };
+
+  return { middleware, start, tabId };
+};
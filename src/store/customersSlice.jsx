@@ -0,0 +1,118 @@
+// Import createSlice from Redux Toolkit for creating Redux slice
+// createEntityAdapter normalises the directory, nanoid generates IDs
+import { createSlice, createEntityAdapter, nanoid } from '@reduxjs/toolkit';
+// Import customer helpers for field defaults, validation and email matching
+import { EMPTY_CUSTOMER, findCustomerByEmail, validateCustomer } from '../utils/customers';
+
+// Entity adapter - customers stored as { ids: [...], entities: { [id]: customer } }, sorted by name
+const customersAdapter = createEntityAdapter({
+  sortComparer: (a, b) => a.name.localeCompare(b.name),
+});
+
+/**
+ * Keep only the editable customer fields, trimmed
+ *
+ * @param {Object} fields - Customer fields from a form or the registration page
+ * @returns {Object} - Fields listed in EMPTY_CUSTOMER
+ */
+const pickCustomerFields = (fields) =>
+  Object.fromEntries(Object.keys(EMPTY_CUSTOMER).map(key => [key, String(fields[key] ?? '').trim()]));
+
+/**
+ * Customers Slice - Redux Toolkit Slice for the Customer Directory
+ *
+ * Redux Slice Concepts Demonstrated:
+ * 1. createEntityAdapter with a sortComparer - the directory is always in name order
+ * 2. Prepare callbacks - IDs and timestamps are created in the action, so a customer
+ *    added in one tab has the same ID and dates in every other tab
+ * 3. Upsert by natural key - a second registration with the same email updates the customer
+ * 4. Validation in the reducer as well as the form, so no tab can store a duplicate email
+ *
+ * Customer-Specific Features:
+ * - Customers added by hand on /customers or by submitting the registration form
+ * - Invoices pick their bill-to customer from the directory (see setInvoiceCustomer
+ *   in billingSlice.jsx); deleting a customer unlinks draft invoices and recurring
+ *   templates, while issued invoices keep their link and every invoice keeps its copy of the details
+ */
+const customersSlice = createSlice({
+  // Slice name - creates action types like 'customers/addCustomer'
+  name: 'customers',
+
+  // Initial state - an empty directory
+  initialState: customersAdapter.getInitialState(),
+
+  reducers: {
+    /**
+     * Add customer reducer
+     * Adds a customer, or updates the existing customer with the same email
+     *
+     * @param {Object} state - Current customers state
+     * @param {Object} action - Action object with payload: { customer, at }
+     *   customer: { id, source, ...fields from EMPTY_CUSTOMER }
+     */
+    addCustomer: {
+      reducer: (state, action) => {
+        const { customer, at } = action.payload;
+        const existing = findCustomerByEmail(Object.values(state.entities), customer.email);
+        if (existing) {
+          // Only fill in fields that were given, so a short form never erases details
+          const updates = Object.fromEntries(Object.entries(customer).filter(([key, value]) => value && key !== 'id' && key !== 'source'));
+          customersAdapter.updateOne(state, { id: existing.id, changes: { ...updates, updatedAt: at } });
+          return;
+        }
+        if (validateCustomer(customer, Object.values(state.entities)).length > 0) return;
+        customersAdapter.addOne(state, { ...customer, createdAt: at, updatedAt: at });
+      },
+      prepare: ({ source = 'manual', ...fields }) => ({
+        payload: {
+          customer: { ...pickCustomerFields(fields), id: nanoid(), source },
+          at: new Date().toISOString(),
+        },
+      }),
+    },
+
+    /**
+     * Edit customer reducer
+     * Replaces a customer's editable fields; rejected if the email belongs to someone else
+     *
+     * @param {Object} state - Current customers state
+     * @param {Object} action - Action object with payload: { id, changes, at }
+     */
+    editCustomer: {
+      reducer: (state, action) => {
+        const { id, changes, at } = action.payload;
+        if (!state.entities[id]) return;
+        if (validateCustomer({ ...changes, id }, Object.values(state.entities)).length > 0) return;
+        customersAdapter.updateOne(state, { id, changes: { ...changes, updatedAt: at } });
+      },
+      prepare: ({ id, ...fields }) => ({
+        payload: { id, changes: pickCustomerFields(fields), at: new Date().toISOString() },
+      }),
+    },
+
+    /**
+     * Delete customer reducer
+     * Removes a customer from the directory; invoices keep their copy of the details
+     * The billing slice unlinks drafts and recurring templates in response (see its extraReducers)
+     *
+     * @param {Object} state - Current customers state
+     * @param {Object} action - Action object with payload: { id }
+     */
+    deleteCustomer: (state, action) => {
+      customersAdapter.removeOne(state, action.payload.id);
+    },
+  },
+});
+
+// Export action creators
+export const { addCustomer, editCustomer, deleteCustomer } = customersSlice.actions;
+
+// Export adapter selectors bound to the customers slice of the root state
+// Usage: useSelector(selectAllCustomers) or useSelector(state => selectCustomerById(state, id))
+export const {
+  selectAll: selectAllCustomers,
+  selectById: selectCustomerById,
+} = customersAdapter.getSelectors((state) => state.customers);
+
+// Export reducer function for store configuration
+export default customersSlice.reducer;
@@ -0,0 +1,439 @@
+// Import nanoid for IDs of invoices created during migration
+import { nanoid } from '@reduxjs/toolkit';
+// Import billing helpers used to rebuild old billing data
+import { createInvoice } from './billingSlice';
+// Import blog helpers that give old posts their URL slugs and status
+import { withSlugs, withStatus } from './blogSlice';
+// Import calendar date helper for invoices saved without an issue date
+import { toISODate } from '../utils/dates';
+// Import money helpers for converting float prices to minor units and exact division
+import { fromMajor, divideRounded } from '../utils/money';
+// Import the unit given to items saved before quantities existed
+import { DEFAULT_UNIT } from '../utils/lineItems';
+
+/**
+ * Convert a price saved as a float (e.g. 19.99) to a money value
+ * Values that are already money objects are returned unchanged
+ *
+ * @param {number|Object} price - Stored price
+ * @returns {Object} - Money value
+ */
+const toMoney = (price) => (typeof price === 'number' ? fromMajor(price) : price);
+
+/**
+ * Convert the price fields of a cart or billing item
+ *
+ * @param {Object} item - Stored item
+ * @returns {Object} - Item with money prices
+ */
+const migrateItemPrices = (item) => ({
+  ...item,
+  price: toMoney(item.price),
+  ...(item.originalPrice !== undefined && { originalPrice: toMoney(item.originalPrice) }),
+});
+
+/*
+ * Frozen invoice totals
+ *
+ * Migrations must keep producing the same result however the app changes, so
+ * the invoice total recorded by version 7 is worked out by the copies below of
+ * the discount and tax engines as they were at version 7, not by the live ones.
+ * They work on whole minor units and round half up, as those engines did.
+ */
+
+// Tax settings of state saved before versions 7 and 10 without a tax slice
+const SAVED_DEFAULT_TAX_CONFIG = {
+  pricesIncludeTax: false,
+  rates: {
+    standard: { label: 'Sales Tax', rate: 0.08, compound: false },
+    reduced: { label: 'Reduced Rate', rate: 0.05, compound: false },
+    ewaste: { label: 'E-Waste Levy', rate: 0.02, compound: true },
+  },
+  defaultRateIds: ['standard'],
+  categoryRates: {
+    stationery: ['reduced'],
+    computers: ['standard', 'ewaste'],
+    groceries: [],
+  },
+};
+
+/**
+ * Multiply minor units by a factor with 6 decimal places, rounding half up
+ *
+ * @param {number} amount - Minor units
+ * @param {number} factor - Quantity or rate
+ * @returns {number} - Minor units
+ */
+const multiplyV7 = (amount, factor) =>
+  Number.isInteger(factor) ? amount * factor : divideRounded(amount * Math.round(factor * 1e6), 1e6, 'halfUp');
+
+/**
+ * Discount an item-scope rule gave one line at version 7, before capping
+ *
+ * @param {Object} rule - Discount rule
+ * @param {Object} line - Working line { item, remaining }
+ * @returns {number} - Minor units
+ */
+const lineDiscountV7 = (rule, line) => {
+  const qty = line.item.qty ?? 1;
+  switch (rule.type) {
+    case 'percentage':
+      return multiplyV7(line.remaining, rule.rate);
+    case 'fixed':
+      return multiplyV7(rule.amount.amount, qty);
+    case 'buyXGetY': {
+      const freeUnits = Math.floor(Math.floor(qty) / (rule.buy + rule.get)) * rule.get;
+      return divideRounded(line.remaining * freeUnits * 1000, Math.round(qty * 1000), 'halfUp');
+    }
+    case 'tiered': {
+      const tier = [...rule.tiers].reverse().find(candidate => qty >= candidate.minQty);
+      return tier ? multiplyV7(line.remaining, tier.rate) : 0;
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Split an invoice discount across lines by largest remainder, as at version 7
+ *
+ * @param {number} total - Discount in minor units
+ * @param {Array} lines - Working lines with remaining minor units
+ * @returns {Array} - Share of each line in minor units
+ */
+const allocateV7 = (total, lines) => {
+  const base = lines.reduce((running, line) => running + line.remaining, 0);
+  const exact = lines.map(line => ({
+    share: Math.floor((total * line.remaining) / base),
+    remainder: (total * line.remaining) % base,
+  }));
+  let leftover = total - exact.reduce((running, part) => running + part.share, 0);
+  [...exact.keys()]
+    .sort((a, b) => exact[b].remainder - exact[a].remainder)
+    .forEach(index => {
+      if (leftover > 0) {
+        exact[index].share += 1;
+        leftover -= 1;
+      }
+    });
+  return exact.map(part => part.share);
+};
+
+/**
+ * Amount of each item after discount rules, as at version 7
+ *
+ * @param {Array} items - Billing items (price per unit, qty)
+ * @param {Array} rules - Discount rules of the invoice
+ * @returns {Array} - Discounted amount of each item in minor units
+ */
+const discountedAmountsV7 = (items, rules = []) => {
+  const lines = items.map(item => ({
+    item,
+    remaining: multiplyV7(item.price.amount, item.qty ?? 1),
+    discounted: false,
+    locked: false,
+  }));
+
+  rules
+    .filter(rule => rule.enabled !== false)
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) =>
+      (a.rule.scope === 'invoice') - (b.rule.scope === 'invoice') ||
+      a.rule.priority - b.rule.priority ||
+      a.index - b.index
+    )
+    .forEach(({ rule }) => {
+      const open = lines.filter(line => !line.locked && line.remaining > 0);
+      let eligible;
+      if (rule.scope === 'invoice') {
+        eligible = rule.stackable || lines.every(line => !line.discounted) ? open : [];
+      } else {
+        const { category = null, itemIds = [] } = rule.target || {};
+        eligible = open.filter(line =>
+          (itemIds.length === 0 || itemIds.includes(line.item.id)) &&
+          (!category || line.item.category === category) &&
+          (rule.stackable || !line.discounted)
+        );
+      }
+      if (eligible.length === 0) return;
+
+      let shares;
+      if (rule.scope === 'invoice') {
+        const base = eligible.reduce((running, line) => running + line.remaining, 0);
+        const wanted = rule.type === 'percentage' ? multiplyV7(base, rule.rate) : rule.amount.amount;
+        shares = allocateV7(Math.min(wanted, base), eligible);
+      } else {
+        shares = eligible.map(line => Math.min(lineDiscountV7(rule, line), line.remaining));
+      }
+
+      eligible.forEach((line, index) => {
+        if (shares[index] <= 0) return;
+        line.remaining -= shares[index];
+        line.discounted = true;
+        if (!rule.stackable) line.locked = true;
+      });
+    });
+
+  return lines.map(line => line.remaining);
+};
+
+/**
+ * Tax charged on one exclusive-priced line, as at version 7
+ * Simple rates are charged on the amount; each compound rate on everything before it
+ *
+ * @param {number} amount - Discounted line amount in minor units
+ * @param {Object} item - Billing item (category, taxable)
+ * @param {Object} config - Tax configuration
+ * @returns {number} - Tax in minor units
+ */
+const lineTaxV7 = (amount, item, config) => {
+  if (item.taxable === false) return 0;
+  const rates = (config.categoryRates[item.category] ?? config.defaultRateIds)
+    .map(id => config.rates[id])
+    .filter(Boolean);
+  let running = amount;
+  [...rates.filter(rate => !rate.compound), ...rates.filter(rate => rate.compound)].forEach(rate => {
+    running += multiplyV7(rate.compound ? running : amount, rate.rate);
+  });
+  return running - amount;
+};
+
+/**
+ * Invoice total including tax, as at version 7
+ * With tax-inclusive prices each line's net amount and taxes added up to the
+ * discounted line amount, so the total is just the discounted lines
+ *
+ * @param {Object} invoice - Stored invoice
+ * @param {Object} taxConfig - Tax configuration
+ * @returns {Object} - Money value in the invoice currency
+ */
+const invoiceTotalV7 = (invoice, taxConfig) => {
+  const amounts = discountedAmountsV7(invoice.items, invoice.discounts);
+  const total = amounts.reduce((running, amount, index) =>
+    running + amount + (taxConfig.pricesIncludeTax ? 0 : lineTaxV7(amount, invoice.items[index], taxConfig)), 0);
+  return { amount: total, currency: invoice.items[0]?.price.currency ?? invoice.currency };
+};
+
+/**
+ * Persisted State Migrations
+ *
+ * Each entry upgrades persisted state saved with the previous version
+ * to the version used as its key. persistStore runs every migration
+ * newer than the stored version, in order, before rehydrating.
+ *
+ * Migrations receive and return the object of whitelisted slices,
+ * e.g. { cart: {...}, billing: {...}, blog: {...} }.
+ */
+export const migrations = {
+  /**
+   * Version 2 - billing holds a collection of invoices
+   * Before: { items: [], invoice?: {...}, nextSequence?: n }
+   * After:  { ids: [id], entities: { [id]: { ...invoice, items } }, currentInvoiceId, nextSequence }
+   */
+  2: (state) => {
+    if (!state.billing || state.billing.ids) return state;
+
+    const { items = [], invoice, nextSequence = 2 } = state.billing;
+    const id = nanoid();
+    const migrated = {
+      ...createInvoice(id, nextSequence - 1, toISODate()),
+      ...invoice,
+      id,
+      items,
+    };
+
+    return {
+      ...state,
+      billing: {
+        ids: [id],
+        entities: { [id]: migrated },
+        currentInvoiceId: id,
+        nextSequence,
+      },
+    };
+  },
+
+  /**
+   * Version 3 - prices are money values in integer minor units
+   * Before: { price: 19.99, originalPrice?: 22.21 }
+   * After:  { price: { amount: 1999, currency: 'USD' }, originalPrice?: {...} }
+   */
+  3: (state) => ({
+    ...state,
+    ...(state.cart && {
+      cart: { ...state.cart, items: (state.cart.items || []).map(migrateItemPrices) },
+    }),
+    ...(state.billing?.entities && {
+      billing: {
+        ...state.billing,
+        entities: Object.fromEntries(
+          Object.entries(state.billing.entities).map(([id, invoice]) => [
+            id,
+            { ...invoice, items: invoice.items.map(migrateItemPrices) },
+          ])
+        ),
+      },
+    }),
+  }),
+
+  /**
+   * Version 4 - invoices have a currency
+   * Before: invoice without currency (all amounts in USD)
+   * After:  { ...invoice, currency: 'USD' }
+   */
+  4: (state) => {
+    if (!state.billing?.entities) return state;
+    return {
+      ...state,
+      billing: {
+        ...state.billing,
+        entities: Object.fromEntries(
+          Object.entries(state.billing.entities).map(([id, invoice]) => [
+            id,
+            { currency: 'USD', ...invoice },
+          ])
+        ),
+      },
+    };
+  },
+
+  /**
+   * Version 5 - billing items have a quantity and unit of measure
+   * Before: { name, price }
+   * After:  { name, price (per unit), qty: 1, unit: 'each' }
+   */
+  5: (state) => {
+    if (!state.billing?.entities) return state;
+    return {
+      ...state,
+      billing: {
+        ...state.billing,
+        entities: Object.fromEntries(
+          Object.entries(state.billing.entities).map(([id, invoice]) => [
+            id,
+            { ...invoice, items: invoice.items.map(item => ({ qty: 1, unit: DEFAULT_UNIT, ...item })) },
+          ])
+        ),
+      },
+    };
+  },
+
+  /**
+   * Version 6 - discounts are rules stored on the invoice
+   * Before: item { price: discounted, originalPrice, discountApplied: 0.1, discountedAt }
+   * After:  item { price: original } and invoice.discounts: [{ type: 'percentage', rate: 0.1,
+   *         scope: 'item', target: { itemIds: [item.id] } }]
+   */
+  6: (state) => {
+    if (!state.billing?.entities) return state;
+    return {
+      ...state,
+      billing: {
+        ...state.billing,
+        entities: Object.fromEntries(
+          Object.entries(state.billing.entities).map(([id, invoice]) => {
+            const discounts = [...(invoice.discounts || [])];
+            const items = invoice.items.map(item => {
+              if (!item.originalPrice) return item;
+              const { originalPrice, discountApplied, discountedAt: _discountedAt, ...rest } = item;
+              if (discountApplied) {
+                discounts.push({
+                  id: nanoid(),
+                  label: '',
+                  type: 'percentage',
+                  scope: 'item',
+                  rate: discountApplied,
+                  target: { category: null, itemIds: [item.id] },
+                  priority: 1,
+                  stackable: true,
+                  enabled: true,
+                });
+              }
+              return { ...rest, price: originalPrice };
+            });
+            return [id, { ...invoice, items, discounts }];
+          })
+        ),
+      },
+    };
+  },
+
+  /**
+   * Version 7 - invoices have a payments ledger
+   * Before: invoice without payments; 'paid' was set by hand
+   * After:  { ...invoice, payments: [] } - invoices already marked paid get one
+   *         payment for their total so their ledger balances
+   */
+  7: (state) => {
+    if (!state.billing?.entities) return state;
+    const taxConfig = state.tax || SAVED_DEFAULT_TAX_CONFIG;
+    return {
+      ...state,
+      billing: {
+        ...state.billing,
+        entities: Object.fromEntries(
+          Object.entries(state.billing.entities).map(([id, invoice]) => {
+            if (invoice.payments) return [id, invoice];
+            const payments = [];
+            if (invoice.status === 'paid') {
+              const paidAt = invoice.statusHistory?.findLast(change => change.to === 'paid')?.at;
+              payments.push({
+                id: nanoid(),
+                type: 'payment',
+                amount: invoiceTotalV7(invoice, taxConfig),
+                method: 'other',
+                date: paidAt ? toISODate(new Date(paidAt)) : invoice.issueDate,
+                reference: 'Marked as paid before the payments ledger',
+                recordedAt: paidAt || new Date().toISOString(),
+              });
+            }
+            return [id, { ...invoice, payments }];
+          })
+        ),
+      },
+    };
+  },
+
+  /**
+   * Version 8 - blog posts have URL slugs
+   * Before: { id, title, ... }
+   * After:  { id, title, slug: 'title-slug', previousSlugs: [], ... }
+   */
+  8: (state) => {
+    if (!state.blog?.posts) return state;
+    return { ...state, blog: { ...state.blog, posts: withSlugs(state.blog.posts) } };
+  },
+
+  /**
+   * Version 9 - blog posts have a publishing status
+   * Before: every post is live
+   * After:  { ...post, status: 'published', publishAt: createdAt, statusHistory: [] }
+   */
+  9: (state) => {
+    if (!state.blog?.posts) return state;
+    return { ...state, blog: { ...state.blog, posts: withStatus(state.blog.posts) } };
+  },
+
+  /**
+   * Version 10 - issued invoices keep the tax configuration they were issued with
+   * Before: every invoice was priced with the current tax settings
+   * After:  { ...invoice, taxConfig: null } for drafts; invoices already issued
+   *         or voided freeze the settings saved alongside them
+   */
+  10: (state) => {
+    if (!state.billing?.entities) return state;
+    const taxConfig = state.tax || SAVED_DEFAULT_TAX_CONFIG;
+    return {
+      ...state,
+      billing: {
+        ...state.billing,
+        entities: Object.fromEntries(
+          Object.entries(state.billing.entities).map(([id, invoice]) => [
+            id,
+            { ...invoice, taxConfig: invoice.taxConfig ?? (invoice.status === 'draft' ? null : taxConfig) },
+          ])
+        ),
+      },
+    };
+  },
+};
@@ -0,0 +1,76 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the migrations under test
+import { migrations } from './migrations';
+// Import the live invoice totals the frozen version 7 copy must still agree with
+import { calculateInvoiceTotals } from './billingSlice';
+// Import the default tax configuration
+import { DEFAULT_TAX_CONFIG } from '../utils/tax';
+// Import money constructor for prices
+import { money } from '../utils/money';
+
+/**
+ * Migration Tests
+ * Version 7 records the total of invoices already marked paid with its own frozen
+ * copy of the totals calculation, which must match the engines it was copied from
+ */
+
+// Items across standard, reduced, compound, zero-rated and exempt lines
+const ITEMS = [
+  { id: 1, name: 'Notebook', price: money(333), qty: 7, category: 'stationery' },
+  { id: 2, name: 'Laptop', price: money(89999), qty: 1.5, category: 'computers' },
+  { id: 3, name: 'Coffee', price: money(105), qty: 12, category: 'groceries' },
+  { id: 4, name: 'Manual', price: money(1249), qty: 2.75, category: 'books', taxable: false },
+  { id: 5, name: 'Consulting', price: money(12500), qty: 3, category: 'services' },
+];
+
+// One rule of every type and scope, including a non-stackable one
+const RULES = [
+  { id: 'a', type: 'percentage', scope: 'item', rate: 0.15, target: { category: 'computers', itemIds: [] }, priority: 1, stackable: true },
+  { id: 'b', type: 'fixed', scope: 'item', amount: money(40), target: { category: null, itemIds: [1] }, priority: 1, stackable: true },
+  { id: 'c', type: 'buyXGetY', scope: 'item', buy: 5, get: 1, target: { category: 'groceries', itemIds: [] }, priority: 2, stackable: false },
+  { id: 'd', type: 'tiered', scope: 'item', tiers: [{ minQty: 2, rate: 0.05 }, { minQty: 3, rate: 0.1 }], target: { category: null, itemIds: [] }, priority: 3, stackable: true },
+  { id: 'e', type: 'percentage', scope: 'invoice', rate: 0.07, priority: 1, stackable: true },
+  { id: 'f', type: 'fixed', scope: 'invoice', amount: money(999), priority: 2, stackable: true },
+];
+
+/**
+ * Run migration 7 on one paid invoice
+ *
+ * @param {Object} invoice - Invoice fields
+ * @param {Object} tax - Saved tax configuration (undefined for none)
+ * @returns {Object} - Migrated invoice
+ */
+const migratePaid = (invoice, tax) => {
+  const state = { billing: { entities: { x: { id: 'x', status: 'paid', issueDate: '2024-01-01', currency: 'USD', ...invoice } } }, tax };
+  return migrations[7](state).billing.entities.x;
+};
+
+describe('migration 7', () => {
+  [
+    ['without discounts', []],
+    ['with every kind of discount rule', RULES],
+  ].forEach(([name, discounts]) => {
+    [
+      ['exclusive', DEFAULT_TAX_CONFIG],
+      ['inclusive', { ...DEFAULT_TAX_CONFIG, pricesIncludeTax: true }],
+    ].forEach(([pricing, taxConfig]) => {
+      it(`records the total of a paid invoice ${name} and ${pricing} prices`, () => {
+        const migrated = migratePaid({ items: ITEMS, discounts }, taxConfig);
+        const { total } = calculateInvoiceTotals(ITEMS, taxConfig, 'USD', discounts);
+        expect(migrated.payments).toHaveLength(1);
+        expect(migrated.payments[0].amount).toEqual(total);
+      });
+    });
+  });
+
+  it('falls back to the default tax rates of the time', () => {
+    const migrated = migratePaid({ items: ITEMS, discounts: [] });
+    expect(migrated.payments[0].amount).toEqual(calculateInvoiceTotals(ITEMS, DEFAULT_TAX_CONFIG, 'USD').total);
+  });
+
+  it('gives unpaid invoices an empty ledger', () => {
+    const migrated = migratePaid({ status: 'sent', items: ITEMS, discounts: [] });
+    expect(migrated.payments).toEqual([]);
+  });
+});
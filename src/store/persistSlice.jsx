@@ -0,0 +1,36 @@
+// Import createSlice from Redux Toolkit for creating Redux slice
+import { createSlice } from '@reduxjs/toolkit';
+// Import the rehydrate action dispatched by persistStore
+import { rehydrate } from './persistence';
+
+/**
+ * Persist Slice - Tracks the status of state restoration from storage
+ *
+ * Redux Slice Concepts Demonstrated:
+ * 1. extraReducers - Responding to an action defined outside the slice
+ * 2. Status flags - Simple boolean state consumed by a gate component
+ *
+ * PersistGate reads `rehydrated` to hold back the UI until saved
+ * cart, billing and blog data has been restored.
+ */
+const persistSlice = createSlice({
+  // Slice name - becomes the `persist` key in the root state
+  name: 'persist',
+
+  // Initial state - nothing has been restored yet
+  initialState: {
+    rehydrated: false,
+  },
+
+  // No own reducers - status only changes in response to rehydrate()
+  reducers: {},
+
+  extraReducers: (builder) => {
+    builder.addCase(rehydrate, (state) => {
+      state.rehydrated = true;
+    });
+  },
+});
+
+// Export reducer function for store configuration
+export default persistSlice.reducer;
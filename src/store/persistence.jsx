@@ -0,0 +1,194 @@
+// Import createAction from Redux Toolkit for the rehydrate action
+import { createAction } from '@reduxjs/toolkit';
+// Import schema migrations for persisted state
+import { migrations } from './migrations';
+
+/**
+ * Store Persistence - Saves selected Redux slices to storage and restores them
+ *
+ * Persistence Concepts Demonstrated:
+ * 1. Higher-order reducer - Wraps the root reducer to merge restored state
+ * 2. Per-slice whitelisting - Only listed slices are written to storage
+ * 3. Schema versioning - Stored data carries a version number
+ * 4. Migrations - Functions that upgrade old stored data to the current shape
+ * 5. Rehydration flag - Lets the UI wait until storage has been read
+ *
+ * Flow:
+ * persistStore() reads storage -> runs migrations -> dispatches rehydrate()
+ * -> persistReducer merges the payload -> store.subscribe() saves changes
+ */
+
+/**
+ * Persistence configuration
+ * - key: storage key the state is saved under
+ * - version: current schema version of the persisted state
+ * - whitelist: slice names that are saved and restored
+ * - migrations: map of version -> function(state) upgrading to that version
+ */
+export const persistConfig = {
+  key: 'react-state-showcase',
+  version: 10,
+  whitelist: ['cart', 'billing', 'blog', 'tax', 'audit', 'customers'],
+  // Add an entry in migrations.jsx whenever a whitelisted slice changes shape
+  migrations,
+};
+
+// Delay between a state change and the write to storage
+const WRITE_DELAY = 250;
+
+/**
+ * Storage adapter backed by window.localStorage
+ * Exposes a Promise-based API so an async backend (e.g. IndexedDB)
+ * can be swapped in without changing persistStore
+ */
+export const localStorageAdapter = {
+  getItem: async (key) => (typeof localStorage === 'undefined' ? null : localStorage.getItem(key)),
+  setItem: async (key, value) => {
+    if (typeof localStorage !== 'undefined') localStorage.setItem(key, value);
+  },
+  removeItem: async (key) => {
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(key);
+  },
+};
+
+// Action dispatched once stored state has been read (payload may be null)
+export const rehydrate = createAction('persist/rehydrate');
+
+/**
+ * Run every migration newer than the stored version, in ascending order
+ *
+ * @param {Object} state - Stored state
+ * @param {number} storedVersion - Version the state was saved with
+ * @param {Object} config - Persistence configuration
+ * @returns {Object|null} - Migrated state, or null if it cannot be used
+ */
+export const migrate = (state, storedVersion, config = persistConfig) => {
+  // Data written by a newer build cannot be safely downgraded
+  if (storedVersion > config.version) {
+    return null;
+  }
+
+  return Object.keys(config.migrations)
+    .map(Number)
+    .filter(version => version > storedVersion && version <= config.version)
+    .sort((a, b) => a - b)
+    .reduce((migrated, version) => config.migrations[version](migrated), state);
+};
+
+/**
+ * Higher-order reducer that merges rehydrated slices into state
+ * Each slice is merged one level deep so fields added to a slice's
+ * initial state after the data was saved keep their defaults
+ *
+ * @param {Function} rootReducer - Combined reducer for the whole store
+ * @param {Object} config - Persistence configuration
+ * @returns {Function} - Reducer with rehydration support
+ */
+export const persistReducer = (rootReducer, config = persistConfig) => (state, action) => {
+  if (rehydrate.match(action) && action.payload && state) {
+    const restored = { ...state };
+    config.whitelist.forEach(key => {
+      if (action.payload[key]) {
+        restored[key] = { ...state[key], ...action.payload[key] };
+      }
+    });
+    return rootReducer(restored, action);
+  }
+  return rootReducer(state, action);
+};
+
+/**
+ * Pick the whitelisted slices out of the root state
+ *
+ * @param {Object} state - Root Redux state
+ * @param {Object} config - Persistence configuration
+ * @returns {Object} - Object containing only whitelisted slices
+ */
+const pickWhitelisted = (state, config) =>
+  config.whitelist.reduce((picked, key) => ({ ...picked, [key]: state[key] }), {});
+
+/**
+ * Connect a store to storage
+ * Reads saved state, migrates it, dispatches rehydrate() and then saves
+ * whitelisted slices (debounced) whenever they change
+ *
+ * @param {Object} store - Redux store
+ * @param {Object} config - Persistence configuration
+ * @param {Object} storage - Storage adapter with async getItem/setItem/removeItem
+ * @returns {{flush: Function, purge: Function, pause: Function, resume: Function}} - Persistor controls
+ */
+export const persistStore = (store, config = persistConfig, storage = localStorageAdapter) => {
+  let timer = null;
+  let lastSaved = null;
+  let ready = false;
+  let paused = false;
+
+  // Write whitelisted slices if any of them changed since the last write
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!ready || paused) return;
+    const picked = pickWhitelisted(store.getState(), config);
+    if (lastSaved && config.whitelist.every(key => picked[key] === lastSaved[key])) {
+      return;
+    }
+    lastSaved = picked;
+    storage
+      .setItem(config.key, JSON.stringify({ version: config.version, state: picked }))
+      .catch(error => console.warn('Failed to persist state:', error));
+  };
+
+  // Forget everything saved so far
+  const purge = () => {
+    clearTimeout(timer);
+    timer = null;
+    lastSaved = null;
+    return storage.removeItem(config.key);
+  };
+
+  // Stop writing (e.g. while another tab owns storage)
+  const pause = () => {
+    paused = true;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  // Start writing again and save anything that changed meanwhile
+  const resume = () => {
+    paused = false;
+    flush();
+  };
+
+  // Save changes after a short delay so bursts of actions cause one write
+  store.subscribe(() => {
+    if (ready && !paused && !timer) {
+      timer = setTimeout(flush, WRITE_DELAY);
+    }
+  });
+
+  // Make sure pending changes are written when the page is closed
+  if (typeof window !== 'undefined') {
+    window.addEventListener('beforeunload', flush);
+  }
+
+  // Read, migrate and restore saved state
+  storage
+    .getItem(config.key)
+    .then(raw => {
+      if (!raw) return null;
+      const saved = JSON.parse(raw);
+      return migrate(saved.state, saved.version ?? 0, config);
+    })
+    .catch(error => {
+      console.warn('Ignoring unreadable persisted state:', error);
+      return null;
+    })
+    .then(payload => {
+      store.dispatch(rehydrate(payload));
+      ready = true;
+      // Write back immediately so migrated data is saved in the new format
+      flush();
+    });
+
+  return { flush, purge, pause, resume };
+};
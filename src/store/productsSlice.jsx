@@ -0,0 +1,84 @@
+// Import Redux Toolkit helpers for async logic and normalised state
+import { createSlice, createAsyncThunk, createEntityAdapter } from '@reduxjs/toolkit';
+// Import the local mock API that serves catalog data
+import { fetchCatalog } from '../api/catalogApi';
+
+/**
+ * Products Slice - Redux Toolkit Slice for the Product Catalog
+ *
+ * Redux Slice Concepts Demonstrated:
+ * 1. createAsyncThunk - Async action that loads data from an API
+ * 2. createEntityAdapter - Normalised state (ids + entities keyed by id)
+ * 3. extraReducers - Responding to pending/fulfilled/rejected thunk actions
+ * 4. Memoised selectors generated by the entity adapter
+ *
+ * Catalog-Specific Features:
+ * - Products with SKU, category, image and stock level
+ * - Category reference data for grouping and filtering
+ * - Loading and error flags for request status
+ */
+
+// Entity adapter - generates reducers and selectors for normalised collections
+// State shape: { ids: [1, 2], entities: { 1: {...}, 2: {...} } }
+const productsAdapter = createEntityAdapter();
+
+/**
+ * Fetch products thunk
+ * Loads products and categories from the mock catalog API
+ *
+ * The condition option skips the request when data is already loaded
+ * or a request is in flight, so every page can dispatch it on mount.
+ */
+export const fetchProducts = createAsyncThunk(
+  'products/fetchProducts',
+  async () => fetchCatalog(),
+  {
+    condition: (_, { getState }) => {
+      const { products } = getState();
+      return !products.loading && products.ids.length === 0;
+    },
+  }
+);
+
+const productsSlice = createSlice({
+  // Slice name - creates action types like 'products/fetchProducts/pending'
+  name: 'products',
+
+  // Initial state - adapter state plus request status and categories
+  initialState: productsAdapter.getInitialState({
+    categories: [],
+    loading: false,
+    error: null,
+  }),
+
+  // No synchronous reducers yet - catalog data is read-only in the UI
+  reducers: {},
+
+  // extraReducers - handle actions generated by createAsyncThunk
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchProducts.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchProducts.fulfilled, (state, action) => {
+        state.loading = false;
+        state.categories = action.payload.categories;
+        productsAdapter.setAll(state, action.payload.products);
+      })
+      .addCase(fetchProducts.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.error.message || 'Failed to load products';
+      });
+  },
+});
+
+// Export adapter selectors bound to the products slice of the root state
+// Usage: useSelector(selectAllProducts)
+export const {
+  selectAll: selectAllProducts,
+  selectById: selectProductById,
+} = productsAdapter.getSelectors((state) => state.products);
+
+// Export reducer function for store configuration
+export default productsSlice.reducer;
@@ -1,12 +1,26 @@
 // Import configureStore from Redux Toolkit for creating Redux store
 // configureStore is an enhanced version of createStore with good defaults
-import { configureStore } from '@reduxjs/toolkit';
+// combineReducers builds the root reducer so it can be wrapped for persistence
+import { configureStore, combineReducers } from '@reduxjs/toolkit';
 
 // Import all reducer functions from their respective slices
 // Each slice handles a specific domain of application state
 import blogReducer from './blogSlice';
 import billingReducer from './billingSlice';
 import cartReducer from './cartSlice';
+import productsReducer from './productsSlice';
+import persistStatusReducer from './persistSlice';
+import syncReducer from './syncSlice';
+import taxReducer from './taxSlice';
+import auditReducer from './auditSlice';
+import customersReducer from './customersSlice';
+
+// Import persistence helpers for saving and restoring state
+import { persistReducer, persistStore } from './persistence';
+// Import cross-tab synchronisation middleware factory
+import { createCrossTabSync } from './crossTabSync';
+// Import audit trail middleware factory
+import { createAuditTrail } from './auditTrail';
 
 /**
  * Redux Store Configuration
@@ -16,6 +30,9 @@ import cartReducer from './cartSlice';
  * 2. Reducer combination - Multiple slices combined into root reducer
  * 3. State structure - Organized by feature domains
  * 4. Middleware integration - Built-in thunk, devtools, and serialization checks
+ * 5. Higher-order reducers - Root reducer wrapped to support rehydration
+ * 6. Custom middleware - Actions shared between browser tabs
+ * 7. Custom middleware - Billing actions recorded in an audit log
  * 
  * Store Benefits:
  * - Centralized state management
@@ -23,28 +40,75 @@ import cartReducer from './cartSlice';
  * - Time-travel debugging with Redux DevTools
  * - Middleware support for async operations
  * - Hot reloading support in development
+ * - Cart, billing, blog and customer data survive page reloads
+ * - Cart, billing, blog and customer changes appear in every open tab
+ * - Every billing change is logged with who made it and what changed
  */
 
+// Combine slice reducers into a single root reducer
+const rootReducer = combineReducers({
+  // Each key becomes a slice of the global state
+  // State structure: { blog, billing, cart, customers, products, tax, persist, sync, audit }
+
+  // Blog slice - handles blog posts CRUD operations
+  blog: blogReducer,
+
+  // Billing slice - handles billing/invoice management
+  billing: billingReducer,
+
+  // Cart slice - handles shopping cart operations
+  cart: cartReducer,
+
+  // Customers slice - customer directory shared by registration and billing
+  customers: customersReducer,
+
+  // Products slice - handles the product catalog loaded from the mock API
+  products: productsReducer,
+
+  // Tax slice - tax rates shared by cart and billing totals
+  tax: taxReducer,
+
+  // Persist slice - tracks whether saved state has been restored
+  persist: persistStatusReducer,
+
+  // Sync slice - cross-tab leadership and conflict status
+  sync: syncReducer,
+
+  // Audit slice - append-only log of billing actions
+  audit: auditReducer,
+});
+
+// Cross-tab sync - only the leader tab writes persisted state
+// The callback runs after the persistor below has been created
+const crossTabSync = createCrossTabSync({
+  onLeadershipChange: (isLeader) => (isLeader ? persistor.resume() : persistor.pause()),
+});
+
+// Audit trail - actions dispatched here are recorded as made by this tab
+const auditTrail = createAuditTrail({
+  getActor: () => `Tab ${crossTabSync.tabId.slice(-6)}`,
+});
+
 // Create and configure Redux store
 export const store = configureStore({
-  // Reducer configuration - combines multiple slice reducers
-  reducer: {
-    // Each key becomes a slice of the global state
-    // State structure: { blog: {...}, billing: {...}, cart: {...} }
-    
-    // Blog slice - handles blog posts CRUD operations
-    blog: blogReducer,
-    
-    // Billing slice - handles billing/invoice management
-    billing: billingReducer,
-    
-    // Cart slice - handles shopping cart operations
-    cart: cartReducer,
-  },
-  
+  // Root reducer wrapped so saved slices can be merged back in on startup
+  reducer: persistReducer(rootReducer),
+
+  // Append the audit and sync middleware to Redux Toolkit's default middleware
+  // The audit trail runs first so the actor it stamps is broadcast with the action
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(auditTrail.middleware, crossTabSync.middleware),
+
   // configureStore automatically includes:
   // - redux-thunk middleware for async actions
   // - Redux DevTools Extension integration
   // - Serialization and immutability checks in development
   // - Default middleware for better DX (Developer Experience)
-});
\ No newline at end of file
+});
+
+// Start saving whitelisted slices and restore any previously saved state
+// The persistor exposes flush(), purge(), pause() and resume() for manual control
+export const persistor = persistStore(store);
+
+// Hold writes until the leader election has decided which tab owns storage
+persistor.pause();
+crossTabSync.start(store);
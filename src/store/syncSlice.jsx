@@ -0,0 +1,69 @@
+// Import createSlice from Redux Toolkit for creating Redux slice
+import { createSlice } from '@reduxjs/toolkit';
+
+// Number of resolved conflicts kept for display
+const MAX_CONFLICTS = 10;
+
+/**
+ * Sync Slice - Redux Toolkit Slice for Cross-Tab Synchronisation Status
+ *
+ * Redux Slice Concepts Demonstrated:
+ * 1. Status state written by middleware rather than by components
+ * 2. Bounded history - Only the most recent conflicts are kept
+ *
+ * Sync-Specific Features:
+ * - Whether this tab is the leader that writes persisted state
+ * - How many other tabs are currently open
+ * - Log of edit conflicts resolved between tabs
+ */
+const syncSlice = createSlice({
+  // Slice name - creates action types like 'sync/leadershipChanged'
+  name: 'sync',
+
+  // Initial state - a tab starts as a follower until an election runs
+  initialState: {
+    isLeader: false,
+    peerCount: 0,
+    conflicts: [],
+  },
+
+  reducers: {
+    /**
+     * Leadership changed reducer
+     *
+     * @param {Object} state - Current sync state
+     * @param {Object} action - Action object with payload: boolean isLeader
+     */
+    leadershipChanged: (state, action) => {
+      state.isLeader = action.payload;
+    },
+
+    /**
+     * Peers changed reducer
+     *
+     * @param {Object} state - Current sync state
+     * @param {Object} action - Action object with payload: number of other open tabs
+     */
+    peersChanged: (state, action) => {
+      state.peerCount = action.payload;
+    },
+
+    /**
+     * Conflict resolved reducer
+     * Records a conflict between an edit made here and one made in another tab
+     *
+     * @param {Object} state - Current sync state
+     * @param {Object} action - Action object with payload: { actionType, entityId, winner, at }
+     */
+    conflictResolved: (state, action) => {
+      state.conflicts.unshift(action.payload);
+      state.conflicts.length = Math.min(state.conflicts.length, MAX_CONFLICTS);
+    },
+  },
+});
+
+// Export action creators
+export const { leadershipChanged, peersChanged, conflictResolved } = syncSlice.actions;
+
+// Export reducer function for store configuration
+export default syncSlice.reducer;
@@ -0,0 +1,111 @@
+// Import createSlice from Redux Toolkit for creating Redux slice
+import { createSlice } from '@reduxjs/toolkit';
+// Import the default configuration from the tax engine
+import { DEFAULT_TAX_CONFIG } from '../utils/tax';
+
+/**
+ * Tax Slice - Redux Toolkit Slice for the Tax Configuration
+ *
+ * Redux Slice Concepts Demonstrated:
+ * 1. Configuration stored in Redux so every page reads the same rules
+ * 2. Keyed objects for rates, arrays of IDs for rate assignments
+ * 3. Cascading updates - removing a rate removes every reference to it
+ *
+ * The state is a tax engine configuration (see utils/tax.jsx) and can be
+ * passed straight to calculateTotals().
+ */
+const taxSlice = createSlice({
+  // Slice name - creates action types like 'tax/saveRate'
+  name: 'tax',
+
+  // Initial state - the engine's default configuration
+  initialState: DEFAULT_TAX_CONFIG,
+
+  reducers: {
+    /**
+     * Switch between tax-exclusive and tax-inclusive prices
+     *
+     * @param {Object} state - Current tax configuration
+     * @param {Object} action - Action object with payload: boolean
+     */
+    setPricesIncludeTax: (state, action) => {
+      state.pricesIncludeTax = action.payload;
+    },
+
+    /**
+     * Add or update a named rate
+     *
+     * @param {Object} state - Current tax configuration
+     * @param {Object} action - Action object with payload: { id, label, rate, compound }
+     */
+    saveRate: (state, action) => {
+      const { id, label, rate, compound } = action.payload;
+      state.rates[id] = { label, rate, compound: !!compound };
+    },
+
+    /**
+     * Remove a named rate and every reference to it
+     *
+     * @param {Object} state - Current tax configuration
+     * @param {Object} action - Action object with payload: { id }
+     */
+    removeRate: (state, action) => {
+      const { id } = action.payload;
+      delete state.rates[id];
+      state.defaultRateIds = state.defaultRateIds.filter(rateId => rateId !== id);
+      Object.keys(state.categoryRates).forEach(category => {
+        state.categoryRates[category] = state.categoryRates[category].filter(rateId => rateId !== id);
+      });
+    },
+
+    /**
+     * Set the rates used by categories without their own entry
+     *
+     * @param {Object} state - Current tax configuration
+     * @param {Object} action - Action object with payload: array of rate IDs
+     */
+    setDefaultRates: (state, action) => {
+      state.defaultRateIds = action.payload;
+    },
+
+    /**
+     * Set the rates for one category (an empty array makes it zero-rated)
+     *
+     * @param {Object} state - Current tax configuration
+     * @param {Object} action - Action object with payload: { category, rateIds }
+     */
+    setCategoryRates: (state, action) => {
+      const { category, rateIds } = action.payload;
+      state.categoryRates[category] = rateIds;
+    },
+
+    /**
+     * Remove a category override so it falls back to the default rates
+     *
+     * @param {Object} state - Current tax configuration
+     * @param {Object} action - Action object with payload: { category }
+     */
+    removeCategoryRates: (state, action) => {
+      delete state.categoryRates[action.payload.category];
+    },
+
+    /**
+     * Restore the default configuration
+     */
+    resetTaxConfig: () => DEFAULT_TAX_CONFIG,
+  },
+});
+
+// Export action creators
+export const {
+  setPricesIncludeTax,
+  saveRate,
+  removeRate,
+  setDefaultRates,
+  setCategoryRates,
+  removeCategoryRates,
+  resetTaxConfig,
+} = taxSlice.actions;
+
+// Export reducer function for store configuration
+export default taxSlice.reducer;
@@ -0,0 +1,228 @@
+// Import nanoid for IDs of imported items
+import { nanoid } from '@reduxjs/toolkit';
+// Import money helpers for exact price parsing and writing
+import { fromMajor, toDecimalString, CURRENCIES } from './money';
+// Import currency conversion for rows priced in another currency
+import { convert } from './currency';
+// Import quantity parsing and units of measure
+import { parseQuantity, UNITS, DEFAULT_UNIT, MAX_QUANTITY } from './lineItems';
+
+/**
+ * Billing Items File - CSV and JSON import/export for invoice items
+ *
+ * File Concepts Demonstrated:
+ * 1. Serialising state - Items written as CSV rows or a JSON document
+ * 2. RFC 4180 CSV - Quoted fields, escaped quotes and embedded line breaks
+ * 3. Row-by-row validation - Every row reports its own errors before anything is saved
+ *
+ * File columns (CSV header / JSON keys):
+ * - name     (required) item description
+ * - qty      (optional) quantity, up to 3 decimal places, defaults to 1
+ * - unit     (optional) unit of measure, e.g. 'hour', defaults to 'each'
+ * - price    (required) unit price in major units, e.g. 19.99 - must be greater than 0
+ * - category (optional) 'general' or a category with tax rates, defaults to 'general'
+ * - taxable  (optional) true/false, yes/no or 1/0, defaults to true
+ * - currency (optional) currency of the price; converted to the invoice currency
+ */
+
+// Columns written on export, in order
+export const ITEM_COLUMNS = ['name', 'qty', 'unit', 'price', 'category', 'taxable', 'currency'];
+
+// Accepted spellings for the taxable column
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ * Also used by the billing reports CSV download
+ *
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe field
+ */
+export const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert billing items to plain export rows
+ *
+ * @param {Array} items - Billing items with money prices
+ * @returns {Array} - Rows keyed by ITEM_COLUMNS
+ */
+const toExportRows = (items) =>
+  items.map(item => ({
+    name: item.name,
+    qty: item.qty ?? 1,
+    unit: item.unit || DEFAULT_UNIT,
+    price: toDecimalString(item.price),
+    category: item.category,
+    taxable: item.taxable !== false,
+    currency: item.price.currency,
+  }));
+
+/**
+ * Write billing items as CSV with a header row
+ *
+ * @param {Array} items - Billing items
+ * @returns {string} - CSV text
+ */
+export const itemsToCsv = (items) => {
+  const rows = toExportRows(items).map(row => ITEM_COLUMNS.map(column => csvField(row[column])).join(','));
+  return [ITEM_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Write billing items as a JSON document
+ *
+ * @param {Array} items - Billing items
+ * @param {Object} invoice - Invoice the items belong to (number and currency are recorded)
+ * @returns {string} - Pretty-printed JSON
+ */
+export const itemsToJson = (items, invoice) =>
+  JSON.stringify({
+    invoice: invoice.number,
+    currency: invoice.currency,
+    items: toExportRows(items),
+  }, null, 2);
+
+/**
+ * Parse CSV text into an array of records (arrays of fields)
+ * Handles quoted fields, "" escapes, CRLF line endings and a UTF-8 BOM
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} - Records; blank lines are skipped
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  records.push(record);
+
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Validate one imported row and build a billing item from it
+ *
+ * @param {Object} raw - Row keyed by column name (values as read from the file)
+ * @param {Object} options - { currency: invoice currency, categories: allowed categories }
+ * @returns {{item: Object|null, errors: Array}} - Item when valid, otherwise the errors
+ */
+export const validateItemRow = (raw, { currency, categories }) => {
+  const errors = [];
+
+  const name = String(raw.name ?? '').trim();
+  if (!name) errors.push('Name is required');
+
+  const qtyText = String(raw.qty ?? '').trim();
+  const qty = qtyText === '' ? 1 : parseQuantity(qtyText);
+  if (qty === null) errors.push(`Quantity must be greater than 0 and at most ${MAX_QUANTITY}, with up to 3 decimals`);
+
+  const unit = String(raw.unit ?? '').trim().toLowerCase() || DEFAULT_UNIT;
+  if (!UNITS.includes(unit)) errors.push(`Unknown unit "${unit}"`);
+
+  // Prices are read in the row's own currency (the invoice currency when blank)
+  const rowCurrency = String(raw.currency ?? '').trim().toUpperCase() || currency;
+  const price = fromMajor(raw.price, rowCurrency);
+  if (!CURRENCIES[rowCurrency]) {
+    errors.push(`Unsupported currency "${rowCurrency}"`);
+  } else if (!price || price.amount <= 0) {
+    errors.push('Price must be a number greater than 0');
+  }
+
+  const category = String(raw.category ?? '').trim().toLowerCase() || 'general';
+  if (!categories.includes(category)) errors.push(`Unknown category "${category}"`);
+
+  const taxableText = String(raw.taxable ?? '').trim().toLowerCase();
+  const taxable = taxableText === '' || TRUE_VALUES.includes(taxableText);
+  if (taxableText && !taxable && !FALSE_VALUES.includes(taxableText)) {
+    errors.push('Taxable must be true/false, yes/no or 1/0');
+  }
+
+  if (errors.length > 0) return { item: null, errors };
+  return {
+    item: {
+      id: nanoid(),
+      name,
+      qty,
+      unit,
+      price: convert(price, currency),
+      category,
+      taxable,
+      addedAt: new Date().toISOString(),
+    },
+    errors,
+  };
+};
+
+/**
+ * Read raw rows from CSV or JSON file text
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name; '.json' selects the JSON reader
+ * @returns {Array} - Raw rows keyed by column name
+ * @throws {Error} - When the file cannot be read as CSV or JSON
+ */
+const readRawRows = (text, fileName) => {
+  if (fileName.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(rows)) throw new Error('JSON must be an array of items or { "items": [...] }');
+    // Rows without their own currency use the file's currency
+    return rows.map(row => ({ currency: data.currency, ...row }));
+  }
+
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map(column => column.trim().toLowerCase());
+  if (!columns.includes('name') || !columns.includes('price')) {
+    throw new Error('CSV header must include "name" and "price" columns');
+  }
+  return records.map(fields => Object.fromEntries(columns.map((column, index) => [column, fields[index]])));
+};
+
+/**
+ * Parse and validate an items file
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to choose between CSV and JSON
+ * @param {Object} options - { currency, categories } passed to validateItemRow
+ * @returns {Array} - Preview rows: { row (1-based), raw, item, errors }
+ * @throws {Error} - When the file as a whole cannot be read
+ */
+export const parseItemsFile = (text, fileName, options) =>
+  readRawRows(text, fileName).map((raw, index) => ({
+    row: index + 1,
+    raw,
+    ...validateItemRow(raw, options),
+  }));
@@ -0,0 +1,275 @@
+// Import exact money arithmetic
+import { DEFAULT_CURRENCY, money, subtract, sum, formatMoney } from './money';
+// Import currency conversion - coupon amounts are set in the catalog currency
+import { convert } from './currency';
+// Import calendar date helpers for expiry checks
+import { toISODate, daysBetween } from './dates';
+// Import line totals (unit price x quantity)
+import { lineTotal } from './lineItems';
+// Import the discount engine - a coupon is applied as a single order-wide rule
+import { applyDiscountRules } from './discounts';
+// Import the tax engine and rate formatting
+import { calculateTotals, formatRate } from './tax';
+
+/**
+ * Coupons - Promotional codes for the shopping cart
+ *
+ * Coupon Concepts Demonstrated:
+ * 1. A registry of codes - in a real application this would live on the server
+ * 2. Validation with reasons - every rejected code says why it was rejected
+ * 3. Usage limits - a total cap across all shoppers and a cap per customer
+ * 4. Eligible products - a coupon can be limited to some products in the cart
+ * 5. Reusing the discount engine - the coupon becomes an order-wide rule,
+ *    allocated across eligible lines before tax
+ *
+ * Coupon shape:
+ * {
+ *   code: 'WELCOME10', description,
+ *   type: 'percentage' | 'fixed',
+ *   value: 0.1 | { amount: 2000, currency: 'USD' }, // rate, or amount off the order
+ *   minSpend: { amount: 5000, currency: 'USD' } | null, // cart items total before tax
+ *   expiresAt: 'YYYY-MM-DD' | null,                     // last day the code works
+ *   usageLimit: 500 | null, timesRedeemed: 212,         // total cap and redemptions so far
+ *   perCustomerLimit: 1 | null,                         // cap for this shopper
+ *   productIds: [],                                     // empty means every product
+ * }
+ */
+
+// Coupon registry - amounts are in the catalog currency and converted to the cart's
+export const COUPONS = [
+  {
+    code: 'WELCOME10',
+    description: '10% off your first order over $50',
+    type: 'percentage',
+    value: 0.1,
+    minSpend: money(5000),
+    expiresAt: '2027-12-31',
+    usageLimit: null,
+    timesRedeemed: 0,
+    perCustomerLimit: 1,
+    productIds: [],
+  },
+  {
+    code: 'SAVE20',
+    description: '$20 off orders over $150',
+    type: 'fixed',
+    value: money(2000),
+    minSpend: money(15000),
+    expiresAt: '2027-03-31',
+    usageLimit: 500,
+    timesRedeemed: 212,
+    perCustomerLimit: 3,
+    productIds: [],
+  },
+  {
+    code: 'AUDIO15',
+    description: '15% off headphones',
+    type: 'percentage',
+    value: 0.15,
+    minSpend: null,
+    expiresAt: '2027-06-30',
+    usageLimit: null,
+    timesRedeemed: 0,
+    perCustomerLimit: null,
+    productIds: [5],
+  },
+  {
+    code: 'DESK5',
+    description: '$5 off keyboards and mice',
+    type: 'fixed',
+    value: money(500),
+    minSpend: money(3000),
+    expiresAt: null,
+    usageLimit: null,
+    timesRedeemed: 0,
+    perCustomerLimit: null,
+    productIds: [2, 3],
+  },
+  {
+    code: 'SUMMER25',
+    description: '25% off everything (summer sale)',
+    type: 'percentage',
+    value: 0.25,
+    minSpend: null,
+    expiresAt: '2026-08-31',
+    usageLimit: null,
+    timesRedeemed: 0,
+    perCustomerLimit: null,
+    productIds: [],
+  },
+  {
+    code: 'LAUNCH50',
+    description: '50% off for the first 100 orders',
+    type: 'percentage',
+    value: 0.5,
+    minSpend: null,
+    expiresAt: null,
+    usageLimit: 100,
+    timesRedeemed: 100,
+    perCustomerLimit: null,
+    productIds: [],
+  },
+];
+
+/**
+ * Normalise a typed code for lookup, e.g. ' save20 ' -> 'SAVE20'
+ *
+ * @param {string} code - Code as typed
+ * @returns {string} - Upper-case code without spaces
+ */
+export const normalizeCode = (code) => String(code ?? '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Find a coupon in the registry
+ *
+ * @param {string} code - Coupon code (any case)
+ * @param {Array} registry - Coupons to search
+ * @returns {Object|undefined} - Coupon, if the code exists
+ */
+export const findCoupon = (code, registry = COUPONS) =>
+  registry.find(coupon => coupon.code === normalizeCode(code));
+
+/**
+ * Describe what a coupon takes off, e.g. '10% off' or '€18.40 off'
+ *
+ * @param {Object} coupon - Coupon
+ * @param {string} currency - Currency to show fixed amounts in
+ * @returns {string} - Short description
+ */
+export const describeCoupon = (coupon, currency = DEFAULT_CURRENCY) =>
+  coupon.type === 'percentage'
+    ? `${formatRate(coupon.value)} off`
+    : `${formatMoney(convert(coupon.value, currency))} off`;
+
+/**
+ * Check whether a cart item can be discounted by a coupon
+ *
+ * @param {Object} coupon - Coupon
+ * @param {Object} item - Cart item (product ID as id)
+ * @returns {boolean} - True if the coupon covers the item
+ */
+export const isEligible = (coupon, item) =>
+  coupon.productIds.length === 0 || coupon.productIds.includes(item.id);
+
+/**
+ * Cart items with unit prices in the cart's currency
+ *
+ * @param {Array} items - Cart items (catalog prices)
+ * @param {string} currency - Cart currency
+ * @returns {Array} - Items shaped for the discount and tax engines
+ */
+const toCartLines = (items, currency) =>
+  items.map(item => ({ ...item, price: convert(item.price, currency), category: item.categoryId }));
+
+/**
+ * Format a 'YYYY-MM-DD' date for messages
+ *
+ * @param {string} isoDate - Calendar date
+ * @returns {string} - Locale date, e.g. '8/31/2026'
+ */
+const formatDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString();
+};
+
+/**
+ * Validate a coupon code against the cart
+ * Checks run from the code itself to the cart, so the first reason is the most basic one
+ *
+ * @param {string} code - Code as typed
+ * @param {Object} context - Cart context
+ * @param {Array} context.items - Cart items
+ * @param {string} context.currency - Cart currency
+ * @param {Object} context.redemptions - Times this customer has used each code, by code
+ * @param {Array} context.products - Catalog products, used to name eligible products
+ * @param {string} context.today - Today's 'YYYY-MM-DD' date
+ * @param {Array} context.registry - Coupons to look codes up in
+ * @returns {{coupon: Object|null, error: string|null}} - The coupon, or why it was rejected
+ */
+export const validateCoupon = (code, {
+  items = [],
+  currency = DEFAULT_CURRENCY,
+  redemptions = {},
+  products = [],
+  today = toISODate(),
+  registry = COUPONS,
+} = {}) => {
+  const reject = (error) => ({ coupon: null, error });
+
+  if (!normalizeCode(code)) return reject('Please enter a coupon code.');
+  const coupon = findCoupon(code, registry);
+  if (!coupon) return reject(`"${normalizeCode(code)}" is not a valid coupon code.`);
+
+  if (coupon.expiresAt && daysBetween(today, coupon.expiresAt) < 0) {
+    return reject(`${coupon.code} expired on ${formatDate(coupon.expiresAt)}.`);
+  }
+
+  const used = redemptions[coupon.code] || 0;
+  if (coupon.usageLimit !== null && coupon.timesRedeemed + used >= coupon.usageLimit) {
+    return reject(`${coupon.code} has reached its limit of ${coupon.usageLimit} uses.`);
+  }
+  if (coupon.perCustomerLimit !== null && used >= coupon.perCustomerLimit) {
+    return reject(coupon.perCustomerLimit === 1
+      ? `You have already used ${coupon.code}.`
+      : `You have already used ${coupon.code} ${used} times (limit ${coupon.perCustomerLimit}).`);
+  }
+
+  if (items.length === 0) return reject('Add items to your cart before applying a coupon.');
+  if (!items.some(item => isEligible(coupon, item))) {
+    const names = products.filter(product => coupon.productIds.includes(product.id)).map(product => product.name);
+    return reject(`${coupon.code} only applies to ${names.length > 0 ? names.join(', ') : 'selected products'}.`);
+  }
+
+  if (coupon.minSpend) {
+    const minSpend = convert(coupon.minSpend, currency);
+    const spent = sum(toCartLines(items, currency).map(lineTotal), currency);
+    if (spent.amount < minSpend.amount) {
+      return reject(
+        `${coupon.code} needs a minimum spend of ${formatMoney(minSpend)} - add ${formatMoney(subtract(minSpend, spent))} more.`
+      );
+    }
+  }
+
+  return { coupon, error: null };
+};
+
+/**
+ * Calculate cart totals with a coupon taken off before tax
+ *
+ * @param {Array} items - Cart items (catalog prices)
+ * @param {Object|null} coupon - Validated coupon, or null
+ * @param {Object} taxConfig - Tax configuration (state.tax)
+ * @param {string} currency - Cart currency
+ * @returns {Object} - Tax engine totals (subtotal is after the coupon, net of tax) plus
+ *   itemsTotal (before the coupon) and couponDiscount
+ */
+export const calculateCartTotals = (items, coupon, taxConfig, currency = DEFAULT_CURRENCY) => {
+  const lines = toCartLines(items, currency);
+  const nets = lines.map(lineTotal);
+
+  if (coupon) {
+    // Apply the coupon as one order-wide rule over the eligible lines only
+    const eligible = lines.filter(line => isEligible(coupon, line));
+    const rule = {
+      id: coupon.code,
+      label: coupon.code,
+      type: coupon.type,
+      scope: 'invoice',
+      ...(coupon.type === 'percentage' ? { rate: coupon.value } : { amount: convert(coupon.value, currency) }),
+      priority: 0,
+      stackable: true,
+    };
+    const { lines: discounted } = applyDiscountRules(eligible, [rule], currency);
+    discounted.forEach(line => {
+      nets[lines.findIndex(candidate => candidate.id === line.id)] = line.net;
+    });
+  }
+
+  const itemsTotal = sum(lines.map(lineTotal), currency);
+  const totals = calculateTotals(
+    lines.map((line, index) => ({ amount: nets[index], category: line.category })),
+    taxConfig,
+    currency
+  );
+  return { ...totals, itemsTotal, couponDiscount: subtract(itemsTotal, sum(nets, currency)) };
+};
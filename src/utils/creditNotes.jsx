@@ -0,0 +1,158 @@
+// Import exact money arithmetic
+import { money, add, subtract, divideRounded } from './money';
+// Import the discount engine - credits reverse what the customer was actually charged
+import { applyDiscountRules } from './discounts';
+// Import the tax engine - credit notes reverse tax with the same rates
+import { calculateTotals } from './tax';
+// Import the unit shown for items without one
+import { DEFAULT_UNIT } from './lineItems';
+
+/**
+ * Credit Notes - Documents that reverse some or all of an issued invoice
+ *
+ * Credit Note Concepts Demonstrated:
+ * 1. Reversal instead of deletion - the invoice keeps its lines; the credit note
+ *    records what is taken back, so the books always show both
+ * 2. Partial credits - any quantity of any line, across as many credit notes as needed
+ * 3. Cumulative rounding - each credit is the share of the line up to the new total
+ *    credited quantity minus the share already credited, so crediting a line in
+ *    parts adds up to exactly the line's discounted amount; totals (with tax) are
+ *    worked out the same way, so crediting everything reverses exactly the invoice total
+ *
+ * Credit note shape:
+ * {
+ *   id, number: 'CN-0001', invoiceId, issueDate: 'YYYY-MM-DD', reason, currency,
+ *   lines: [{ itemId, description, qty, unit, amount, category, taxable }], // amount is net of discounts
+ *   total, // amount credited including tax
+ * }
+ */
+
+// Quantities have at most 3 decimals - they are compared as whole thousandths
+const QTY_SCALE = 1000;
+const scaled = (qty) => Math.round(qty * QTY_SCALE);
+
+/**
+ * Format a sequence number as a credit note number, e.g. 3 -> 'CN-0003'
+ *
+ * @param {number} sequence - Sequential credit note counter
+ * @returns {string} - Display credit note number
+ */
+export const formatCreditNoteNumber = (sequence) => `CN-${String(sequence).padStart(4, '0')}`;
+
+/**
+ * Quantity of each invoice item already credited
+ *
+ * @param {Array} creditNotes - Credit notes of one invoice
+ * @returns {Object} - Credited quantity by item ID
+ */
+export const creditedQuantities = (creditNotes) => {
+  const credited = {};
+  creditNotes.forEach(note => note.lines.forEach(line => {
+    credited[line.itemId] = (scaled(credited[line.itemId] || 0) + scaled(line.qty)) / QTY_SCALE;
+  }));
+  return credited;
+};
+
+/**
+ * Invoice items with what can still be credited on each
+ *
+ * @param {Object} invoice - Invoice from the billing slice
+ * @param {Array} creditNotes - Credit notes already issued against the invoice
+ * @returns {Array} - { item, net, creditedQty, remainingQty } per item
+ */
+export const creditableLines = (invoice, creditNotes) => {
+  const { lines } = applyDiscountRules(invoice.items, invoice.discounts, invoice.currency);
+  const credited = creditedQuantities(creditNotes);
+  return invoice.items.map((item, index) => {
+    const qty = item.qty ?? 1;
+    const creditedQty = credited[item.id] || 0;
+    return { item, net: lines[index].net, creditedQty, remainingQty: (scaled(qty) - scaled(creditedQty)) / QTY_SCALE };
+  });
+};
+
+/**
+ * Build credit note lines for quantities of an invoice's items
+ *
+ * @param {Object} invoice - Invoice from the billing slice
+ * @param {Object} quantities - Quantity to credit by item ID (missing or 0 = not credited)
+ * @param {Array} creditNotes - Credit notes already issued against the invoice
+ * @returns {Array} - Credit note lines (quantities above what remains are capped)
+ */
+export const buildCreditLines = (invoice, quantities, creditNotes) =>
+  creditableLines(invoice, creditNotes)
+    .map(({ item, net, creditedQty, remainingQty }) => {
+      const qty = Math.min(Number(quantities[item.id]) || 0, remainingQty);
+      if (!(qty > 0)) return null;
+      // Share of the line's net amount covered by a credited quantity
+      const share = (creditQty) => divideRounded(net.amount * scaled(creditQty), scaled(item.qty ?? 1));
+      const amount = share((scaled(creditedQty) + scaled(qty)) / QTY_SCALE) - share(creditedQty);
+      return {
+        itemId: item.id,
+        description: item.name,
+        qty,
+        unit: item.unit || DEFAULT_UNIT,
+        amount: money(amount, net.currency),
+        category: item.category,
+        taxable: item.taxable,
+      };
+    })
+    .filter(Boolean);
+
+/**
+ * Check a credit note before it is issued
+ *
+ * @param {Object} invoice - Invoice being credited
+ * @param {Object} creditNote - New credit note ({ lines, reason })
+ * @param {Array} creditNotes - Credit notes already issued against the invoice
+ * @returns {Array} - Error messages (empty when the credit note is valid)
+ */
+export const validateCreditNote = (invoice, creditNote, creditNotes) => {
+  const errors = [];
+  if (creditNote.lines.length === 0) errors.push('Choose at least one line to credit');
+  const remaining = Object.fromEntries(
+    creditableLines(invoice, creditNotes).map(line => [line.item.id, line.remainingQty])
+  );
+  creditNote.lines.forEach(line => {
+    if (!(line.itemId in remaining)) {
+      errors.push(`${line.description} is not on invoice ${invoice.number}`);
+    } else if (!(line.qty > 0) || scaled(line.qty) > scaled(remaining[line.itemId])) {
+      errors.push(`Only ${remaining[line.itemId]} of ${line.description} can still be credited`);
+    }
+  });
+  if (!creditNote.reason?.trim()) errors.push('Please give a reason for the credit note');
+  return errors;
+};
+
+/**
+ * Total (with tax) of credit lines, taxing all credits of an item as one line
+ * Taxing the merged line - like the invoice does - avoids a rounding cent per credit note
+ *
+ * @param {Array} lines - Credit note lines, possibly several per item
+ * @param {Object} taxConfig - Tax configuration (state.tax)
+ * @param {string} currency - Invoice currency
+ * @returns {Object} - Money value
+ */
+const creditedTotal = (lines, taxConfig, currency) => {
+  const byItem = {};
+  lines.forEach(line => {
+    byItem[line.itemId] = byItem[line.itemId]
+      ? { ...byItem[line.itemId], amount: add(byItem[line.itemId].amount, line.amount) }
+      : { amount: line.amount, category: line.category, taxable: line.taxable };
+  });
+  return calculateTotals(Object.values(byItem), taxConfig, currency).total;
+};
+
+/**
+ * Total of a new credit note, including tax - the lines are taxed like the invoice lines they reverse
+ * Worked out as (everything credited so far + these lines) - (everything credited so far)
+ *
+ * @param {Array} lines - Lines of the new credit note
+ * @param {Array} creditNotes - Credit notes already issued against the invoice
+ * @param {Object} taxConfig - Tax configuration (state.tax)
+ * @param {string} currency - Invoice currency
+ * @returns {Object} - Money value
+ */
+export const creditNoteTotal = (lines, creditNotes, taxConfig, currency) => {
+  const previous = creditNotes.flatMap(note => note.lines);
+  return subtract(creditedTotal([...previous, ...lines], taxConfig, currency), creditedTotal(previous, taxConfig, currency));
+};
@@ -0,0 +1,55 @@
+// Import exact money arithmetic
+import { money, multiply, decimalsFor, DEFAULT_ROUNDING } from './money';
+
+/**
+ * Currency Conversion - Converts money values with a local exchange-rate table
+ *
+ * Conversion Concepts Demonstrated:
+ * 1. Locally configured rates - No network call; edit EXCHANGE_RATES to update
+ * 2. Cross rates through a base currency - Only one rate per currency is needed
+ * 3. Minor-unit scaling - Currencies with different decimals convert correctly
+ * 4. Explicit rounding - Converted amounts are rounded once, to whole minor units
+ */
+
+// Currency the exchange rates are quoted against
+export const BASE_CURRENCY = 'USD';
+
+// Units of each currency per 1 unit of BASE_CURRENCY
+export const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  INR: 83.25,
+};
+
+/**
+ * Exchange rate between two currencies (major units of `to` per major unit of `from`)
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} rates - Exchange-rate table
+ * @returns {number} - Cross rate
+ */
+export const exchangeRate = (from, to, rates = EXCHANGE_RATES) => {
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate for ${from} -> ${to}`);
+  }
+  return rates[to] / rates[from];
+};
+
+/**
+ * Convert a money value to another currency
+ *
+ * @param {Object} value - Money value
+ * @param {string} currency - Target currency code
+ * @param {Object} rates - Exchange-rate table
+ * @param {string} mode - Rounding mode for the converted amount
+ * @returns {Object} - Money value in the target currency
+ */
+export const convert = (value, currency, rates = EXCHANGE_RATES, mode = DEFAULT_ROUNDING) => {
+  if (value.currency === currency) return value;
+
+  // Scale for differing minor units, e.g. 2-decimal USD -> 0-decimal JPY
+  const scale = 10 ** (decimalsFor(currency) - decimalsFor(value.currency));
+  const converted = multiply(value, exchangeRate(value.currency, currency, rates) * scale, mode);
+  return money(converted.amount, currency);
+};
@@ -0,0 +1,92 @@
+/**
+ * Customers - Helpers for the customer directory shared by registration and billing
+ *
+ * Customer Concepts Demonstrated:
+ * 1. One record per email address - registering again updates the existing customer
+ * 2. Snapshots on invoices - an invoice copies the customer's name, email and address
+ *    when it is picked, so later directory edits never change issued invoices
+ *
+ * Customer shape:
+ * {
+ *   id, name, email, phone, company, address, city, state, zipCode, notes,
+ *   source: 'registration' | 'manual', createdAt, updatedAt,
+ * }
+ */
+
+// Editable customer fields and their empty values
+export const EMPTY_CUSTOMER = {
+  name: '',
+  email: '',
+  phone: '',
+  company: '',
+  address: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  notes: '',
+};
+
+// Simple shape check - the browser's type="email" validation does the rest
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalise an email address for comparisons
+ *
+ * @param {string} email - Email as typed
+ * @returns {string} - Trimmed, lower-case email
+ */
+export const normalizeEmail = (email = '') => email.trim().toLowerCase();
+
+/**
+ * Find the customer with an email address
+ *
+ * @param {Array} customers - Customer directory
+ * @param {string} email - Email to look for
+ * @returns {Object|undefined} - Matching customer
+ */
+export const findCustomerByEmail = (customers, email) =>
+  customers.find(customer => normalizeEmail(customer.email) === normalizeEmail(email));
+
+/**
+ * Check a customer before it is saved
+ *
+ * @param {Object} customer - Customer fields (with id when editing)
+ * @param {Array} customers - Customer directory
+ * @returns {Array} - Error messages (empty when the customer is valid)
+ */
+export const validateCustomer = (customer, customers) => {
+  const errors = [];
+  if (!customer.name?.trim()) errors.push('Please enter the customer name');
+  if (!EMAIL_PATTERN.test(customer.email?.trim() || '')) {
+    errors.push('Please enter a valid email address');
+  } else {
+    const existing = findCustomerByEmail(customers, customer.email);
+    if (existing && existing.id !== customer.id) errors.push(`${existing.name} already uses ${customer.email.trim()}`);
+  }
+  return errors;
+};
+
+/**
+ * Postal address as lines, e.g. for an invoice's bill-to address
+ *
+ * @param {Object} customer - Customer record
+ * @returns {string} - Street on the first line, then "City, State ZIP"
+ */
+export const formatCustomerAddress = (customer) => {
+  const cityLine = [[customer.city, customer.state].filter(Boolean).join(', '), customer.zipCode].filter(Boolean).join(' ');
+  return [customer.company, customer.address, cityLine].filter(Boolean).join('\n');
+};
+
+/**
+ * Whether a customer matches a search query (name, email, company, phone or city)
+ *
+ * @param {Object} customer - Customer record
+ * @param {string} query - Search text
+ * @returns {boolean} - True when every word of the query appears in one of the fields
+ */
+export const customerMatches = (customer, query) => {
+  const haystack = [customer.name, customer.email, customer.company, customer.phone, customer.city]
+    .join(' ')
+    .toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+};
@@ -0,0 +1,58 @@
+/**
+ * Date Utilities - Helpers for calendar dates stored as 'YYYY-MM-DD' strings
+ *
+ * Calendar dates (issue date, due date) are stored as plain strings rather
+ * than Date objects so Redux state stays serialisable and free of time zones.
+ */
+
+/**
+ * Format a Date as a local 'YYYY-MM-DD' string
+ *
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} - ISO calendar date
+ */
+export const toISODate = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Add a number of days to a 'YYYY-MM-DD' date
+ *
+ * @param {string} isoDate - Starting calendar date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Resulting calendar date
+ */
+export const addDays = (isoDate, days) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return toISODate(new Date(year, month - 1, day + days));
+};
+
+/**
+ * Count the days from one 'YYYY-MM-DD' date to another
+ *
+ * @param {string} fromDate - Starting calendar date
+ * @param {string} toDate - Ending calendar date
+ * @returns {number} - Whole days (negative if toDate is earlier)
+ */
+export const daysBetween = (fromDate, toDate) => {
+  const toUTC = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(toDate) - toUTC(fromDate)) / 86400000);
+};
+
+/**
+ * Format a Date as a local 'YYYY-MM-DDTHH:mm' string, the value of a
+ * datetime-local input (e.g. a post's publish time)
+ *
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} - Local date and time to the minute
+ */
+export const toLocalDateTime = (date = new Date()) => {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${toISODate(date)}T${hours}:${minutes}`;
+};
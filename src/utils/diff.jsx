@@ -0,0 +1,75 @@
+/**
+ * State Diff - Lists what changed between two versions of an object
+ *
+ * Diff Concepts Demonstrated:
+ * 1. Structural sharing - Immer keeps unchanged branches by reference,
+ *    so identical references are skipped without being walked
+ * 2. Keyed arrays - arrays of objects with an `id` are compared by ID, so
+ *    removing one item is one change rather than a change at every later index
+ * 3. Leaf changes - each change is a path with its value before and after
+ *
+ * Change shape:
+ * { path: 'entities.1.items[id=42].qty', before: 1, after: 3 }
+ * before is undefined for added values, after is undefined for removed ones
+ */
+
+// Plain objects and arrays are walked; anything else is compared as a value
+const isWalkable = (value) => value !== null && typeof value === 'object';
+
+// Arrays whose elements all carry an id are compared by id instead of by index
+// Checked across both versions, so adding to or emptying an array is still keyed
+const isKeyed = (before, after) => {
+  const elements = [...before, ...after];
+  return elements.length > 0 && elements.every(element => isWalkable(element) && element.id !== undefined);
+};
+
+/**
+ * Append a key to a path
+ *
+ * @param {string} path - Path so far ('' at the top level)
+ * @param {string} key - Object key, array index or id
+ * @param {boolean} byId - Whether the key is an element id of a keyed array
+ * @returns {string} - Longer path
+ */
+const joinPath = (path, key, byId) => {
+  if (byId) return `${path}[id=${key}]`;
+  return path ? `${path}.${key}` : String(key);
+};
+
+/**
+ * List the changes between two values
+ *
+ * @param {*} before - Value before the change
+ * @param {*} after - Value after the change
+ * @param {string} path - Path of the values (used when recursing)
+ * @returns {Array} - Changes: { path, before, after }
+ */
+export const diff = (before, after, path = '') => {
+  if (Object.is(before, after)) return [];
+  if (!isWalkable(before) || !isWalkable(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [{ path, before, after }];
+  }
+
+  // Index both sides by id for keyed arrays, by key or index otherwise
+  const byId = Array.isArray(before) && isKeyed(before, after);
+  const entries = (value) =>
+    byId ? new Map(value.map(element => [String(element.id), element])) : new Map(Object.entries(value));
+  const left = entries(before);
+  const right = entries(after);
+
+  const keys = [...new Set([...left.keys(), ...right.keys()])];
+  return keys.flatMap(key => diff(left.get(key), right.get(key), joinPath(path, key, byId)));
+};
+
+/**
+ * Short text for a changed value, for display in lists
+ *
+ * @param {*} value - Value from a change
+ * @param {number} maxLength - Longest text returned
+ * @returns {string} - JSON text, shortened with an ellipsis
+ */
+export const formatDiffValue = (value, maxLength = 80) => {
+  if (value === undefined) return '—';
+  const text = JSON.stringify(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
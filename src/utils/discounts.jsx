@@ -0,0 +1,295 @@
+// Import exact money arithmetic
+import { DEFAULT_CURRENCY, money, subtract, multiply, sum, divideRounded, formatMoney } from './money';
+// Import line totals (unit price x quantity)
+import { lineTotal } from './lineItems';
+// Import the tax engine - discounted lines are taxed, and rates are formatted alike
+import { calculateTotals, formatRate } from './tax';
+
+/**
+ * Discount Engine - Applies an invoice's discount rules to its items
+ *
+ * Discount Concepts Demonstrated:
+ * 1. Rule types - percentage, fixed amount, buy X get Y free and volume tiers
+ * 2. Item vs invoice scope - item rules hit matching lines, invoice rules the whole bill
+ * 3. Priority - item rules run before invoice rules; lower priority numbers run first
+ * 4. Stacking - each rule applies to what earlier rules left; a non-stackable rule
+ *    only applies where nothing else has, and nothing applies after it
+ * 5. Allocation - invoice discounts are split across lines (largest remainder),
+ *    so the tax engine can still tax every line exactly
+ *
+ * Rule shape:
+ * {
+ *   id, label, type: 'percentage' | 'fixed' | 'buyXGetY' | 'tiered',
+ *   scope: 'item' | 'invoice',
+ *   rate: 0.1,                         // percentage
+ *   amount: { amount: 500, currency }, // fixed - per unit for item scope
+ *   buy: 2, get: 1,                    // buyXGetY
+ *   tiers: [{ minQty: 10, rate: 0.05 }], // tiered - by line quantity
+ *   target: { category: null, itemIds: [] }, // item scope - empty means every item
+ *   priority: 1, stackable: true, enabled: true,
+ * }
+ */
+
+// Rule types with the scopes each one supports
+export const DISCOUNT_TYPES = {
+  percentage: { label: 'Percentage off', scopes: ['item', 'invoice'] },
+  fixed: { label: 'Fixed amount off', scopes: ['item', 'invoice'] },
+  buyXGetY: { label: 'Buy X get Y free', scopes: ['item'] },
+  tiered: { label: 'Volume tiers', scopes: ['item'] },
+};
+
+/**
+ * Describe what a rule does, e.g. 'Buy 2 get 1 free'
+ *
+ * @param {Object} rule - Discount rule
+ * @returns {string} - Short description
+ */
+export const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'percentage':
+      return `${formatRate(rule.rate)} off`;
+    case 'fixed':
+      return `${formatMoney(rule.amount)} off${rule.scope === 'item' ? ' each' : ''}`;
+    case 'buyXGetY':
+      return `Buy ${rule.buy} get ${rule.get} free`;
+    case 'tiered':
+      return `Volume: ${rule.tiers.map(tier => `${tier.minQty}+ ${formatRate(tier.rate)}`).join(', ')}`;
+    default:
+      return rule.type;
+  }
+};
+
+/**
+ * Name shown on the bill for a rule - its label, or its description
+ *
+ * @param {Object} rule - Discount rule
+ * @returns {string} - Display label
+ */
+export const ruleLabel = (rule) => rule.label?.trim() || describeRule(rule);
+
+/**
+ * Parse volume tiers typed as 'minQty:percent' pairs, e.g. '10:5, 50:10'
+ *
+ * @param {string} text - Tier list
+ * @returns {Array|null} - Tiers sorted by minQty, or null if the text is not valid
+ */
+export const parseTiers = (text) => {
+  const parts = String(text ?? '').split(',').map(part => part.trim()).filter(Boolean);
+  const tiers = parts.map(part => {
+    const match = /^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)%?$/.exec(part);
+    return match ? { minQty: Number(match[1]), rate: Number(match[2]) / 100 } : null;
+  });
+  if (tiers.length === 0 || tiers.includes(null)) return null;
+  return tiers.sort((a, b) => a.minQty - b.minQty);
+};
+
+/**
+ * Check a rule before it is saved
+ *
+ * @param {Object} rule - Discount rule
+ * @returns {Array} - Error messages (empty when the rule is valid)
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  const type = DISCOUNT_TYPES[rule.type];
+  if (!type) return [`Unknown discount type "${rule.type}"`];
+  if (!type.scopes.includes(rule.scope)) errors.push(`${type.label} cannot apply to the whole invoice`);
+
+  const isRate = (rate) => typeof rate === 'number' && rate > 0 && rate <= 1;
+  if (rule.type === 'percentage' && !isRate(rule.rate)) {
+    errors.push('Percentage must be greater than 0 and at most 100');
+  }
+  if (rule.type === 'fixed' && !(rule.amount?.amount > 0)) {
+    errors.push('Amount must be greater than 0');
+  }
+  if (rule.type === 'buyXGetY' && !(Number.isInteger(rule.buy) && rule.buy > 0 && Number.isInteger(rule.get) && rule.get > 0)) {
+    errors.push('Buy and get quantities must be whole numbers greater than 0');
+  }
+  if (rule.type === 'tiered' && !(rule.tiers?.length > 0 && rule.tiers.every(tier => tier.minQty > 0 && isRate(tier.rate)))) {
+    errors.push('Tiers must be "quantity:percent" pairs, e.g. 10:5, 50:10');
+  }
+  if (!Number.isInteger(rule.priority)) errors.push('Priority must be a whole number');
+  return errors;
+};
+
+/**
+ * Check whether an item-scope rule targets an item
+ *
+ * @param {Object} rule - Discount rule
+ * @param {Object} item - Billing item
+ * @returns {boolean} - True if the rule applies to the item
+ */
+export const ruleMatchesItem = (rule, item) => {
+  const { category = null, itemIds = [] } = rule.target || {};
+  if (itemIds.length > 0 && !itemIds.includes(item.id)) return false;
+  return !category || item.category === category;
+};
+
+/**
+ * Discount an item-scope rule gives one line, before capping
+ *
+ * @param {Object} rule - Discount rule
+ * @param {Object} line - Working line { item, remaining }
+ * @returns {Object} - Money value
+ */
+const lineDiscount = (rule, line) => {
+  const qty = line.item.qty ?? 1;
+  switch (rule.type) {
+    case 'percentage':
+      return multiply(line.remaining, rule.rate);
+    case 'fixed':
+      return multiply(rule.amount, qty);
+    case 'buyXGetY': {
+      // Whole sets of (buy + get) units earn 'get' free units each
+      const freeUnits = Math.floor(Math.floor(qty) / (rule.buy + rule.get)) * rule.get;
+      // Free share of the remaining amount; quantities have at most 3 decimals
+      return money(divideRounded(line.remaining.amount * freeUnits * 1000, Math.round(qty * 1000)), line.remaining.currency);
+    }
+    case 'tiered': {
+      const tier = [...rule.tiers].reverse().find(candidate => qty >= candidate.minQty);
+      return tier ? multiply(line.remaining, tier.rate) : money(0, line.remaining.currency);
+    }
+    default:
+      return money(0, line.remaining.currency);
+  }
+};
+
+/**
+ * Split an invoice discount across lines in proportion to what each line has left
+ * Uses the largest remainder method, so shares add up exactly and never exceed a line
+ *
+ * @param {number} total - Discount in minor units (at most the lines' combined amount)
+ * @param {Array} lines - Working lines with remaining money values
+ * @returns {Array} - Share of each line in minor units
+ */
+const allocate = (total, lines) => {
+  const base = lines.reduce((running, line) => running + line.remaining.amount, 0);
+  const exact = lines.map(line => {
+    const product = total * line.remaining.amount;
+    if (!Number.isSafeInteger(product)) {
+      throw new Error(`Amount too large to allocate exactly: ${total} x ${line.remaining.amount}`);
+    }
+    return { share: Math.floor(product / base), remainder: product % base };
+  });
+
+  // Hand the cents lost to flooring to the lines with the largest remainders
+  let leftover = total - exact.reduce((running, part) => running + part.share, 0);
+  [...exact.keys()]
+    .sort((a, b) => exact[b].remainder - exact[a].remainder)
+    .forEach(index => {
+      if (leftover > 0) {
+        exact[index].share += 1;
+        leftover -= 1;
+      }
+    });
+  return exact.map(part => part.share);
+};
+
+/**
+ * Sort rules into the order they are applied
+ * Item rules first, then invoice rules; lower priority first; ties keep their order
+ *
+ * @param {Array} rules - Discount rules
+ * @returns {Array} - Enabled rules in application order
+ */
+export const orderRules = (rules) =>
+  rules
+    .filter(rule => rule.enabled !== false)
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) =>
+      (a.rule.scope === 'invoice') - (b.rule.scope === 'invoice') ||
+      a.rule.priority - b.rule.priority ||
+      a.index - b.index
+    )
+    .map(({ rule }) => rule);
+
+/**
+ * Apply discount rules to billing items
+ *
+ * @param {Array} items - Billing items (price per unit, qty)
+ * @param {Array} rules - Discount rules
+ * @param {string} currency - Currency of the totals when there are no items
+ * @returns {{lines: Array, applied: Array, discountTotal: Object}}
+ *   lines: { id, gross, net, discounts: [{ ruleId, label, scope, amount }] } per item;
+ *   applied: { ruleId, label, scope, amount } per rule that took something off, in order
+ */
+export const applyDiscountRules = (items, rules = [], currency = DEFAULT_CURRENCY) => {
+  const totalsCurrency = items[0]?.price.currency ?? currency;
+  const lines = items.map(item => {
+    const gross = lineTotal(item);
+    return { item, gross, remaining: gross, discounts: [], locked: false };
+  });
+  const applied = [];
+
+  orderRules(rules).forEach(rule => {
+    const open = lines.filter(line => !line.locked && line.remaining.amount > 0);
+    let eligible;
+    if (rule.scope === 'invoice') {
+      // A non-stackable invoice rule only applies to an otherwise undiscounted bill
+      eligible = rule.stackable || lines.every(line => line.discounts.length === 0) ? open : [];
+    } else {
+      eligible = open.filter(line =>
+        ruleMatchesItem(rule, line.item) && (rule.stackable || line.discounts.length === 0)
+      );
+    }
+    if (eligible.length === 0) return;
+
+    let shares;
+    if (rule.scope === 'invoice') {
+      const base = eligible.reduce((running, line) => running + line.remaining.amount, 0);
+      const wanted = rule.type === 'percentage'
+        ? multiply(money(base, totalsCurrency), rule.rate).amount
+        : rule.amount.amount;
+      shares = allocate(Math.min(wanted, base), eligible);
+    } else {
+      shares = eligible.map(line => Math.min(lineDiscount(rule, line).amount, line.remaining.amount));
+    }
+
+    const label = ruleLabel(rule);
+    eligible.forEach((line, index) => {
+      if (shares[index] <= 0) return;
+      const amount = money(shares[index], totalsCurrency);
+      line.discounts.push({ ruleId: rule.id, label, scope: rule.scope, amount });
+      line.remaining = subtract(line.remaining, amount);
+      // Nothing else may touch a line once a non-stackable rule has discounted it
+      if (!rule.stackable) line.locked = true;
+    });
+
+    const total = shares.reduce((running, share) => running + Math.max(share, 0), 0);
+    if (total > 0) {
+      applied.push({ ruleId: rule.id, label, scope: rule.scope, amount: money(total, totalsCurrency) });
+    }
+  });
+
+  return {
+    lines: lines.map(line => ({ id: line.item.id, gross: line.gross, net: line.remaining, discounts: line.discounts })),
+    applied,
+    discountTotal: sum(applied.map(entry => entry.amount), totalsCurrency),
+  };
+};
+
+/**
+ * Calculate invoice totals with discounts applied before tax
+ *
+ * @param {Array} items - Billing items
+ * @param {Array} rules - Discount rules
+ * @param {Object} taxConfig - Tax configuration (state.tax)
+ * @param {string} currency - Currency of the totals when there are no items
+ * @returns {Object} - Tax engine totals (subtotal is after discounts, net of tax) plus
+ *   itemsTotal (before discounts), discounts (applied rules), discountTotal and lines
+ */
+export const calculateDiscountedTotals = (items, rules, taxConfig, currency = DEFAULT_CURRENCY) => {
+  const { lines, applied, discountTotal } = applyDiscountRules(items, rules, currency);
+  const totals = calculateTotals(
+    items.map((item, index) => ({ amount: lines[index].net, category: item.category, taxable: item.taxable })),
+    taxConfig,
+    currency
+  );
+  return {
+    ...totals,
+    itemsTotal: sum(lines.map(line => line.gross), discountTotal.currency),
+    discounts: applied,
+    discountTotal,
+    lines,
+  };
+};
@@ -0,0 +1,130 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the discount engine under test
+import { applyDiscountRules, calculateDiscountedTotals, orderRules } from './discounts';
+// Import the default tax configuration for discounted totals
+import { DEFAULT_TAX_CONFIG } from './tax';
+// Import money constructor to build prices and amounts
+import { money } from './money';
+
+/**
+ * Discount Tests
+ * Invoice discounts are split across lines by largest remainder and must add up exactly
+ */
+
+/**
+ * Build a discount rule with the defaults the discount editor uses
+ *
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} - Discount rule
+ */
+const rule = (overrides) => ({
+  id: 'rule',
+  label: '',
+  type: 'percentage',
+  scope: 'invoice',
+  rate: 0,
+  amount: money(0),
+  target: { category: '', itemIds: [] },
+  priority: 0,
+  stackable: false,
+  enabled: true,
+  ...overrides,
+});
+
+// Lines of 0.01, 0.01, 0.01 and odd amounts - a poor fit for even splits
+const ITEMS = [
+  { id: 1, price: money(1), qty: 1, category: 'books', taxable: true },
+  { id: 2, price: money(1), qty: 1, category: 'books', taxable: true },
+  { id: 3, price: money(1), qty: 1, category: 'books', taxable: true },
+  { id: 4, price: money(333), qty: 3, category: 'stationery', taxable: true },
+  { id: 5, price: money(1999), qty: 0.125, category: 'computers', taxable: true },
+];
+
+/**
+ * Discount taken off each line
+ *
+ * @param {Object} line - Line from applyDiscountRules
+ * @returns {number} - Minor units
+ */
+const discountOf = (line) => line.discounts.reduce((running, entry) => running + entry.amount.amount, 0);
+
+describe('invoice discount allocation', () => {
+  // Fixed amounts from one cent to the whole bill, plus awkward percentages
+  const grossTotal = 1 + 1 + 1 + 999 + 250;
+  const rules = [
+    ...[1, 2, 7, 100, 333, 1001, grossTotal].map(cents => rule({ type: 'fixed', amount: money(cents) })),
+    ...[0.01, 0.1, 1 / 3, 0.3333, 0.5, 0.9999, 1].map(rate => rule({ rate })),
+  ];
+
+  rules.forEach(discount => {
+    const name = discount.type === 'fixed' ? `${discount.amount.amount} cents off` : `${discount.rate * 100}% off`;
+
+    it(`splits ${name} so the shares add up exactly`, () => {
+      const { lines, applied, discountTotal } = applyDiscountRules(ITEMS, [discount]);
+      const shares = lines.map(discountOf);
+
+      expect(shares.reduce((running, share) => running + share, 0)).toBe(discountTotal.amount);
+      expect(applied.reduce((running, entry) => running + entry.amount.amount, 0)).toBe(discountTotal.amount);
+      lines.forEach((line, index) => {
+        expect(shares[index]).toBeGreaterThanOrEqual(0);
+        expect(shares[index]).toBeLessThanOrEqual(line.gross.amount);
+        expect(line.net.amount).toBe(line.gross.amount - shares[index]);
+      });
+    });
+  });
+
+  it('hands the leftover cents to the largest remainders', () => {
+    // 10 cents over 1/3 each: 3.33 + 3.33 + 3.33, one leftover cent to the first largest remainder
+    const items = ITEMS.slice(0, 3).map(item => ({ ...item, price: money(100) }));
+    const { lines } = applyDiscountRules(items, [rule({ type: 'fixed', amount: money(10) })]);
+    expect(lines.map(discountOf)).toEqual([4, 3, 3]);
+  });
+
+  it('never takes more than the bill', () => {
+    const { discountTotal, lines } = applyDiscountRules(ITEMS, [rule({ type: 'fixed', amount: money(999999) })]);
+    expect(discountTotal.amount).toBe(grossTotal);
+    lines.forEach(line => expect(line.net.amount).toBe(0));
+  });
+});
+
+describe('rule order and stacking', () => {
+  it('applies item rules before invoice rules, then by priority', () => {
+    const rules = [
+      rule({ id: 'invoice' }),
+      rule({ id: 'late', scope: 'item', priority: 2 }),
+      rule({ id: 'early', scope: 'item', priority: 1 }),
+      rule({ id: 'off', scope: 'item', enabled: false }),
+    ];
+    expect(orderRules(rules).map(entry => entry.id)).toEqual(['early', 'late', 'invoice']);
+  });
+
+  it('allocates a stacked invoice discount over what item rules left', () => {
+    const rules = [
+      rule({ id: 'books', scope: 'item', rate: 0.5, target: { category: 'stationery', itemIds: [] } }),
+      rule({ id: 'invoice', type: 'fixed', amount: money(101), stackable: true }),
+    ];
+    const { lines, discountTotal } = applyDiscountRules(ITEMS, rules);
+    const gross = lines.reduce((running, line) => running + line.gross.amount, 0);
+    const net = lines.reduce((running, line) => running + line.net.amount, 0);
+    expect(gross - net).toBe(discountTotal.amount);
+  });
+});
+
+describe('calculateDiscountedTotals', () => {
+  const rules = [rule({ type: 'fixed', amount: money(337) })];
+
+  [false, true].forEach(pricesIncludeTax => {
+    it(`adds up with prices ${pricesIncludeTax ? 'including' : 'excluding'} tax`, () => {
+      const config = { ...DEFAULT_TAX_CONFIG, pricesIncludeTax };
+      const totals = calculateDiscountedTotals(ITEMS, rules, config);
+      const netLines = totals.lines.reduce((running, line) => running + line.net.amount, 0);
+
+      expect(totals.itemsTotal.amount - totals.discountTotal.amount).toBe(netLines);
+      expect(totals.total.amount).toBe(totals.subtotal.amount + totals.taxTotal.amount);
+      // Inclusive prices already contain the tax, so the bill is the discounted lines
+      if (pricesIncludeTax) expect(totals.total.amount).toBe(netLines);
+      else expect(totals.subtotal.amount).toBe(netLines);
+    });
+  });
+});
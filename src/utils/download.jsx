@@ -0,0 +1,25 @@
+/**
+ * Download Utilities - Save generated files from the browser
+ *
+ * Creates a temporary object URL and clicks a hidden link, which makes
+ * the browser save the Blob with the given file name.
+ */
+
+/**
+ * Save a Blob as a file
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name, e.g. 'INV-0001.pdf'
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
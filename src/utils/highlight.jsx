@@ -0,0 +1,157 @@
+/**
+ * Syntax Highlighting - Splits source code into coloured tokens
+ *
+ * Highlighting Concepts Demonstrated:
+ * 1. A single left-to-right scanner driven by a per-language table of
+ *    keywords, comment markers and string quotes
+ * 2. Tokens instead of HTML - the Markdown component wraps each token in a
+ *    <span>, so code is never injected as markup
+ *
+ * Token shape: { type: 'keyword' | 'string' | 'comment' | 'number' | 'plain', text }
+ */
+
+// Keywords shared by JavaScript-family languages
+const JS_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import',
+  'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield',
+  'interface', 'type', 'enum', 'implements',
+];
+
+// Language rules - keywords, comment markers and string quotes
+const LANGUAGES = {
+  js: {
+    keywords: JS_KEYWORDS,
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'", '`'],
+  },
+  json: {
+    keywords: ['true', 'false', 'null'],
+    quotes: ['"'],
+  },
+  css: {
+    keywords: ['important', 'media', 'import', 'keyframes', 'root'],
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+  },
+  python: {
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+      'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+      'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try',
+      'while', 'with', 'yield',
+    ],
+    lineComment: '#',
+    quotes: ['"', "'"],
+  },
+  bash: {
+    keywords: [
+      'case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if',
+      'in', 'local', 'return', 'then', 'until', 'while',
+    ],
+    lineComment: '#',
+    quotes: ['"', "'"],
+  },
+};
+
+// Other names for the languages above, as written after ``` in Markdown
+const ALIASES = {
+  javascript: 'js',
+  jsx: 'js',
+  mjs: 'js',
+  ts: 'js',
+  tsx: 'js',
+  typescript: 'js',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+};
+
+/**
+ * Rules for a language name, or undefined if it is not highlighted
+ *
+ * @param {string} lang - Language after the code fence, e.g. 'jsx'
+ * @returns {Object|undefined} - Language rules
+ */
+const languageFor = (lang = '') => LANGUAGES[ALIASES[lang.toLowerCase()] || lang.toLowerCase()];
+
+/**
+ * Split code into highlighted tokens
+ * Unknown languages come back as a single plain token
+ *
+ * @param {string} code - Source code
+ * @param {string} lang - Language name
+ * @returns {Array} - Tokens in source order; their texts join back into the code
+ */
+export const highlight = (code, lang) => {
+  const rules = languageFor(lang);
+  if (!rules) return [{ type: 'plain', text: code }];
+
+  const keywords = new Set(rules.keywords);
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (type === 'plain' && last?.type === 'plain') {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  while (i < code.length) {
+    const rest = code.slice(i);
+
+    // Comments run to the end of the line, or to the closing marker
+    if (rules.lineComment && rest.startsWith(rules.lineComment)) {
+      const end = rest.indexOf('\n');
+      const text = end === -1 ? rest : rest.slice(0, end);
+      push('comment', text);
+      i += text.length;
+      continue;
+    }
+    if (rules.blockComment && rest.startsWith(rules.blockComment[0])) {
+      const end = rest.indexOf(rules.blockComment[1], rules.blockComment[0].length);
+      const text = end === -1 ? rest : rest.slice(0, end + rules.blockComment[1].length);
+      push('comment', text);
+      i += text.length;
+      continue;
+    }
+
+    // Strings end at the matching unescaped quote (or the line end, except for template literals)
+    if (rules.quotes.includes(rest[0])) {
+      const quote = rest[0];
+      let end = 1;
+      while (end < rest.length && rest[end] !== quote && (quote === '`' || rest[end] !== '\n')) {
+        end += rest[end] === '\\' ? 2 : 1;
+      }
+      const text = rest.slice(0, Math.min(end + 1, rest.length));
+      push('string', text);
+      i += text.length;
+      continue;
+    }
+
+    // Numbers - not when part of a word such as 'h1'
+    const number = /^(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(rest);
+    if (number && !/[\w$]/.test(code[i - 1] || '')) {
+      push('number', number[0]);
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(rest);
+    if (word) {
+      push(keywords.has(word[0]) ? 'keyword' : 'plain', word[0]);
+      i += word[0].length;
+      continue;
+    }
+
+    push('plain', rest[0]);
+    i += 1;
+  }
+
+  return tokens;
+};
@@ -0,0 +1,242 @@
+// Import the discount engine - invoice totals with discounts applied before tax
+import { calculateDiscountedTotals } from './discounts';
+// Import money formatting and arithmetic for amounts
+import { formatMoney, subtract, sum } from './money';
+// Import the unit shown for items without one
+import { DEFAULT_UNIT } from './lineItems';
+// Import rate formatting for tax labels
+import { formatRate } from './tax';
+// Import calendar helper for the payment terms
+import { daysBetween } from './dates';
+// Import the PDF writer
+import { createPdf, textWidth, PAGE_WIDTH, PAGE_HEIGHT } from './pdf';
+
+/**
+ * Invoice Document - Customer-facing invoice built from billing state
+ *
+ * Document Concepts Demonstrated:
+ * 1. View model - Invoice + tax configuration turned into display-ready data once
+ * 2. Two renderers, one model - The React view and the PDF export read the same object
+ * 3. Pagination - Long invoices continue on extra PDF pages with repeated table headers
+ * 4. Discounts - item discounts reduce each line's amount; invoice discounts are listed
+ *    between the items total and the subtotal
+ */
+
+// Stamp printed under the dates - a sent invoice with nothing paid has none
+const STATUS_STAMPS = { draft: 'Draft', partiallyPaid: 'Partially paid', paid: 'Paid', credited: 'Credited', void: 'Void' };
+
+// Company shown in the document header
+export const COMPANY = {
+  name: 'React State Showcase Pvt. Ltd.',
+  address: ['4th Floor, Demo Tech Park', 'Bengaluru, Karnataka 560001', 'India'],
+  email: 'billing@react-state-showcase.example',
+  phone: '+91 80 4000 0000',
+  taxId: 'GSTIN 29ABCDE1234F1Z5',
+};
+
+/**
+ * Build the payment terms sentence for an invoice
+ *
+ * @param {Object} invoice - Invoice from the billing slice
+ * @returns {string} - e.g. 'Net 30 - payment due by 2026-11-18'
+ */
+export const paymentTerms = (invoice) => {
+  const days = daysBetween(invoice.issueDate, invoice.dueDate);
+  return days > 0
+    ? `Net ${days} - payment due by ${invoice.dueDate}`
+    : `Due on receipt (${invoice.dueDate})`;
+};
+
+/**
+ * Turn an invoice into the data shown on the printed document
+ * All amounts are formatted strings; pass currencyDisplay 'code' for
+ * output that cannot show every currency symbol (such as the PDF)
+ *
+ * @param {Object} invoice - Invoice from the billing slice
+ * @param {Object} taxConfig - Tax configuration the invoice is priced with -
+ *   the frozen one once issued (see invoiceTaxConfig in billingSlice.jsx)
+ * @param {string} currencyDisplay - 'symbol' or 'code'
+ * @returns {Object} - Document view model
+ */
+export const buildInvoiceDocument = (invoice, taxConfig, currencyDisplay = 'symbol') => {
+  const format = (value) => formatMoney(value, undefined, currencyDisplay);
+  const { lines, discounts, subtotal, taxes, total } = calculateDiscountedTotals(
+    invoice.items,
+    invoice.discounts || [],
+    taxConfig,
+    invoice.currency
+  );
+
+  // Each line's amount is after its own item discounts
+  const lineAmounts = invoice.items.map((item, index) => {
+    const itemDiscounts = lines[index].discounts.filter(discount => discount.scope === 'item');
+    const discountTotal = sum(itemDiscounts.map(discount => discount.amount), invoice.currency);
+    return { itemDiscounts, discountTotal, amount: subtract(lines[index].gross, discountTotal) };
+  });
+  const invoiceDiscounts = discounts.filter(discount => discount.scope === 'invoice');
+
+  return {
+    company: COMPANY,
+    number: invoice.number,
+    status: invoice.status,
+    stamp: STATUS_STAMPS[invoice.status] || null,
+    currency: invoice.currency,
+    issueDate: invoice.issueDate,
+    dueDate: invoice.dueDate,
+    billTo: invoice.customer.billTo,
+    shipTo: invoice.customer.shipTo,
+    lines: invoice.items.map((item, index) => {
+      const { itemDiscounts, discountTotal, amount } = lineAmounts[index];
+      return {
+        id: item.id,
+        description: item.name,
+        category: item.category,
+        taxExempt: item.taxable === false,
+        quantity: `${item.qty ?? 1} ${item.unit || DEFAULT_UNIT}`,
+        unitPrice: format(item.price),
+        discounts: itemDiscounts.map(discount => ({ id: discount.ruleId, label: discount.label, amount: format(discount.amount) })),
+        discount: discountTotal.amount > 0 ? format(discountTotal) : null,
+        amount: format(amount),
+      };
+    }),
+    itemsTotal: format(sum(lineAmounts.map(line => line.amount), invoice.currency)),
+    invoiceDiscounts: invoiceDiscounts.map(discount => ({ id: discount.ruleId, label: discount.label, amount: format(discount.amount) })),
+    subtotal: format(subtotal),
+    taxes: taxes.map(tax => ({ id: tax.id, label: `${tax.label} (${formatRate(tax.rate)})`, amount: format(tax.amount) })),
+    total: format(total),
+    pricesIncludeTax: taxConfig.pricesIncludeTax,
+    paymentTerms: paymentTerms(invoice),
+  };
+};
+
+// PDF layout - margins and column positions in points
+const MARGIN = 40;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const COLUMNS = { description: MARGIN + 6, quantity: 290, unitPrice: 380, discount: 445, amount: RIGHT - 6 };
+const ROW_HEIGHT = 18;
+// Item rows have a second, smaller line for the category
+const ITEM_ROW_HEIGHT = 26;
+const FOOTER_SPACE = 150;
+// Height of each extra line (category note, discounts) under an item
+const NOTE_HEIGHT = 9;
+
+/**
+ * Shorten text with an ellipsis so it fits a column
+ *
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in points
+ * @param {number} size - Font size in points
+ * @returns {string} - Text that fits maxWidth
+ */
+const fitText = (text, maxWidth, size = 10) => {
+  if (textWidth(text, size) <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && textWidth(`${fitted}...`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+/**
+ * Render an invoice document view model as a PDF
+ *
+ * @param {Object} doc - View model from buildInvoiceDocument (with currencyDisplay 'code')
+ * @returns {Blob} - PDF file
+ */
+export const invoiceToPdf = (doc) => {
+  const pdf = createPdf();
+
+  // Company header and invoice title
+  pdf.text(doc.company.name, MARGIN, 60, { size: 16, bold: true });
+  [...doc.company.address, doc.company.email, doc.company.phone, doc.company.taxId].forEach((line, index) => {
+    pdf.text(line, MARGIN, 78 + index * 12, { size: 9, gray: 0.35 });
+  });
+  pdf.text('INVOICE', RIGHT, 60, { size: 22, bold: true, align: 'right' });
+  pdf.text(doc.number, RIGHT, 80, { size: 11, align: 'right' });
+  pdf.text(`Issued: ${doc.issueDate}`, RIGHT, 96, { size: 9, align: 'right' });
+  pdf.text(`Due: ${doc.dueDate}`, RIGHT, 108, { size: 9, align: 'right' });
+  if (doc.stamp) {
+    pdf.text(doc.stamp.toUpperCase(), RIGHT, 124, { size: 11, bold: true, align: 'right', gray: 0.5 });
+  }
+
+  // Bill-to / ship-to blocks
+  let y = 170;
+  pdf.text('BILL TO', MARGIN, y, { size: 8, bold: true, gray: 0.4 });
+  pdf.text('SHIP TO', 320, y, { size: 8, bold: true, gray: 0.4 });
+  const billTo = [doc.billTo.name, doc.billTo.email, ...doc.billTo.address.split('\n')].filter(Boolean);
+  const shipTo = [doc.shipTo.name, ...doc.shipTo.address.split('\n')].filter(Boolean);
+  billTo.forEach((line, index) => pdf.text(line, MARGIN, y + 14 + index * 12, { bold: index === 0 }));
+  shipTo.forEach((line, index) => pdf.text(line, 320, y + 14 + index * 12, { bold: index === 0 }));
+  y += 30 + Math.max(billTo.length, shipTo.length, 1) * 12;
+
+  /**
+   * Draw the shaded line-item table header at the current position
+   */
+  const drawTableHeader = () => {
+    pdf.rect(MARGIN, y - 12, RIGHT - MARGIN, ROW_HEIGHT);
+    pdf.text('Description', COLUMNS.description, y, { size: 9, bold: true });
+    pdf.text('Qty', COLUMNS.quantity, y, { size: 9, bold: true, align: 'right' });
+    pdf.text('Unit Price', COLUMNS.unitPrice, y, { size: 9, bold: true, align: 'right' });
+    pdf.text('Discount', COLUMNS.discount, y, { size: 9, bold: true, align: 'right' });
+    pdf.text(`Amount (${doc.currency})`, COLUMNS.amount, y, { size: 9, bold: true, align: 'right' });
+    y += ROW_HEIGHT;
+  };
+
+  drawTableHeader();
+  doc.lines.forEach(line => {
+    // Continue on a new page, keeping room for the totals block
+    if (y > PAGE_HEIGHT - FOOTER_SPACE) {
+      pdf.addPage();
+      y = 60;
+      pdf.text(`${doc.number} (continued)`, MARGIN, y - 20, { size: 9, gray: 0.4 });
+      drawTableHeader();
+    }
+    const note = [line.category, line.taxExempt && 'tax exempt'].filter(Boolean).join(', ');
+    const extraHeight = line.discounts.length * NOTE_HEIGHT;
+    pdf.text(fitText(line.description, 180), COLUMNS.description, y);
+    pdf.text(note, COLUMNS.description, y + 10, { size: 7, gray: 0.45 });
+    line.discounts.forEach((discount, index) => {
+      pdf.text(fitText(`${discount.label}: -${discount.amount}`, 220, 7), COLUMNS.description, y + 10 + (index + 1) * NOTE_HEIGHT, { size: 7, gray: 0.3 });
+    });
+    pdf.text(fitText(line.quantity, 70), COLUMNS.quantity, y, { align: 'right' });
+    pdf.text(line.unitPrice, COLUMNS.unitPrice, y, { align: 'right' });
+    if (line.discount) pdf.text(`-${line.discount}`, COLUMNS.discount, y, { align: 'right' });
+    pdf.text(line.amount, COLUMNS.amount, y, { align: 'right' });
+    pdf.line(MARGIN, y + 14 + extraHeight, RIGHT, y + 14 + extraHeight, { gray: 0.85 });
+    y += ITEM_ROW_HEIGHT + extraHeight;
+  });
+
+  // Totals block - right aligned under the amount column
+  // Start a new page if the block would run past the bottom margin
+  const totalsHeight = (doc.invoiceDiscounts.length + doc.taxes.length + 4) * 15 + 70;
+  if (y + totalsHeight > PAGE_HEIGHT - MARGIN) {
+    pdf.addPage();
+    y = 60;
+  }
+  y += 8;
+  const totalsRow = (label, amount, options = {}) => {
+    pdf.text(label, COLUMNS.discount, y, { align: 'right', ...options });
+    pdf.text(amount, COLUMNS.amount, y, { align: 'right', ...options });
+    y += 15;
+  };
+  if (doc.invoiceDiscounts.length > 0) {
+    totalsRow('Items', doc.itemsTotal);
+    doc.invoiceDiscounts.forEach(discount => totalsRow(fitText(discount.label, 200), `-${discount.amount}`));
+  }
+  totalsRow('Subtotal', doc.subtotal);
+  doc.taxes.forEach(tax => totalsRow(tax.label, tax.amount));
+  pdf.line(COLUMNS.unitPrice - 60, y - 9, RIGHT, y - 9);
+  y += 4;
+  totalsRow('Total', doc.total, { size: 12, bold: true });
+  if (doc.pricesIncludeTax) {
+    totalsRow('Prices include tax', '', { size: 8, gray: 0.45 });
+  }
+
+  // Payment terms footer
+  y += 20;
+  pdf.text('Payment Terms', MARGIN, y, { size: 9, bold: true });
+  pdf.text(doc.paymentTerms, MARGIN, y + 13, { size: 9 });
+  pdf.text(`Please quote ${doc.number} with your payment. Thank you for your business!`, MARGIN, y + 26, { size: 9, gray: 0.4 });
+
+  return pdf.toBlob();
+};
@@ -0,0 +1,54 @@
+// Import money multiplication for quantity x unit price
+import { multiply } from './money';
+
+/**
+ * Line Items - Quantities and units of measure for billing items
+ *
+ * Line Item Concepts Demonstrated:
+ * 1. Unit price x quantity - price is per unit, the line total is derived
+ * 2. Fractional quantities - e.g. 1.5 hours, rounded to whole cents per line
+ * 3. One place for line totals - every billing page and the invoice document agree
+ *
+ * Item shape: { name, price (per unit), qty, unit, category, taxable, ... }
+ * Items saved before quantities existed have no qty/unit and count as 1 'each'.
+ */
+
+// Units of measure offered in the billing forms
+export const UNITS = ['each', 'hour', 'day', 'month', 'licence', 'kg'];
+
+// Unit used when an item has none
+export const DEFAULT_UNIT = 'each';
+
+// Largest quantity accepted on a single line
+export const MAX_QUANTITY = 100000;
+
+/**
+ * Parse a quantity typed by the user
+ * Accepts positive numbers with up to 3 decimal places (e.g. '2', '1.5')
+ *
+ * @param {string|number} value - Raw quantity
+ * @returns {number|null} - Quantity, or null if it is not valid
+ */
+export const parseQuantity = (value) => {
+  const text = String(value ?? '').trim();
+  if (!/^\d*(\.\d{0,3})?$/.test(text)) return null;
+  const qty = Number(text);
+  return text !== '' && qty > 0 && qty <= MAX_QUANTITY ? qty : null;
+};
+
+/**
+ * Total for one line - unit price x quantity, rounded to whole minor units
+ *
+ * @param {Object} item - Billing item
+ * @returns {Object} - Money value
+ */
+export const lineTotal = (item) => multiply(item.price, item.qty ?? 1);
+
+/**
+ * Turn billing items into the lines the tax engine expects
+ *
+ * @param {Array} items - Billing items
+ * @returns {Array} - Lines of { amount, category, taxable }
+ */
+export const toTaxLines = (items) =>
+  items.map(item => ({ amount: lineTotal(item), category: item.category, taxable: item.taxable }));
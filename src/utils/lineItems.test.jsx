@@ -0,0 +1,53 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the line item helpers under test
+import { lineTotal, toTaxLines, parseQuantity, MAX_QUANTITY } from './lineItems';
+// Import money constructor to build prices
+import { money } from './money';
+
+/**
+ * Line Item Tests
+ * Quantity parsing and per-line rounding of unit price x quantity
+ */
+
+describe('parseQuantity', () => {
+  it('accepts positive quantities with up to 3 decimals', () => {
+    expect(parseQuantity('2')).toBe(2);
+    expect(parseQuantity(' 1.5 ')).toBe(1.5);
+    expect(parseQuantity('0.125')).toBe(0.125);
+  });
+
+  it('rejects empty, zero, negative, over-precise and oversized quantities', () => {
+    ['', '0', '-1', '1.2345', 'abc', String(MAX_QUANTITY + 1)].forEach(value => {
+      expect(parseQuantity(value)).toBeNull();
+    });
+  });
+});
+
+describe('lineTotal', () => {
+  it('multiplies the unit price by the quantity', () => {
+    expect(lineTotal({ price: money(1999), qty: 3 })).toEqual(money(5997));
+  });
+
+  it('treats a missing quantity as one', () => {
+    expect(lineTotal({ price: money(250) })).toEqual(money(250));
+  });
+
+  it('rounds fractional quantities to whole cents', () => {
+    // 3.33 x 1.5 = 4.995
+    expect(lineTotal({ price: money(333), qty: 1.5 })).toEqual(money(500));
+  });
+});
+
+describe('toTaxLines', () => {
+  it('keeps category and taxable flag for the tax engine', () => {
+    const items = [
+      { id: 1, price: money(333), qty: 1.5, category: 'stationery', taxable: true },
+      { id: 2, price: money(777), qty: 0.333, category: 'books', taxable: false },
+    ];
+    expect(toTaxLines(items)).toEqual([
+      { amount: money(500), category: 'stationery', taxable: true },
+      { amount: money(259), category: 'books', taxable: false },
+    ]);
+  });
+});
@@ -0,0 +1,541 @@
+// Import slug helpers for heading anchors
+import { slugify, uniqueSlug } from './slug';
+
+/**
+ * Markdown - A small Markdown parser producing a syntax tree, not HTML
+ *
+ * Markdown Concepts Demonstrated:
+ * 1. Two passes - lines are grouped into blocks, then each block's text is
+ *    parsed for inline formatting
+ * 2. Safe by construction - the tree is rendered as React elements, so raw HTML
+ *    in a post is shown as text and never injected into the page
+ * 3. URL allow-list - only http(s), mailto and relative links survive; anything
+ *    else (javascript:, data:, ...) is rendered as plain text
+ * 4. Heading anchors - every heading gets a unique slug for #links
+ * 5. Linear-time inline parsing - a delimiter that found no closer is remembered,
+ *    and brackets are paired in a single pass, so text full of unmatched *, _
+ *    or [ is not rescanned for every one of them
+ * 6. Memoised parsing - trees are cached by source, so rendering a post and
+ *    indexing it for search parse it once
+ *
+ * Supported: # headings, paragraphs, **bold**, *italic*, ~~strike~~, `code`,
+ * fenced ``` code blocks with a language, > quotes, - and 1. lists (nested by
+ * indenting), ---, [links](url), ![images](url), <https://autolinks> and
+ * hard line breaks (two trailing spaces or a backslash).
+ *
+ * Block nodes:  { type: 'heading', level, id, children } | { type: 'paragraph', children }
+ *               | { type: 'code', lang, text } | { type: 'blockquote', children }
+ *               | { type: 'list', ordered, start, loose, items: [blocks] } | { type: 'hr' }
+ * Inline nodes: { type: 'text', text } | { type: 'strong' | 'em' | 'del', children }
+ *               | { type: 'code', text } | { type: 'link', href, children }
+ *               | { type: 'image', src, alt } | { type: 'break' }
+ */
+
+// Block-level line patterns
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:( +)(.*))?$/;
+
+// Characters that can be escaped with a backslash
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+/**
+ * Whether a URL is safe to link to
+ * Allows http(s) and mailto, plus relative URLs and #anchors (no scheme at all)
+ *
+ * @param {string} url - URL from the Markdown source
+ * @returns {string|null} - The trimmed URL, or null if it must not be linked
+ */
+export const safeUrl = (url = '') => {
+  const trimmed = url.trim();
+  // Browsers ignore tabs, newlines and control characters inside URLs, so drop them before checking the scheme
+  const compact = [...trimmed].filter(c => c.charCodeAt(0) > 0x20).join('');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (!scheme) return compact.startsWith('//') ? null : trimmed;
+  return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? trimmed : null;
+};
+
+const isBlank = (line) => line.trim() === '';
+const indentOf = (line) => line.length - line.trimStart().length;
+
+/**
+ * Whether a line starts a new block (and so ends a paragraph)
+ *
+ * @param {string} line - Source line
+ * @returns {boolean} - True for fences, headings, rules, quotes and list items
+ */
+const startsBlock = (line) =>
+  FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+  (LIST_ITEM.test(line) && indentOf(line) < 4 && !isBlank(LIST_ITEM.exec(line)[4] || ''));
+
+/**
+ * Parse inline formatting within a block's text
+ *
+ * @param {string} text - Text of a paragraph, heading or list item
+ * @returns {Array} - Inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  // Earliest position from which each kind of delimiter run is known to have no closer
+  const unclosed = new Map();
+  // Index of each '[' -> index of its matching ']', found on the first bracket
+  let closers = null;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes and backslash line breaks
+    if (ch === '\\' && text[i + 1] === '\n') {
+      push({ type: 'break' });
+      i += 2;
+      continue;
+    }
+    if (ch === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Hard line break - two or more spaces before a newline
+    if (ch === '\n') {
+      if (/ {2,}$/.test(buffer)) {
+        buffer = buffer.replace(/ +$/, '');
+        push({ type: 'break' });
+      } else {
+        buffer = buffer.replace(/ +$/, '') + '\n';
+      }
+      i += 1;
+      continue;
+    }
+
+    // Code span - closed by a run of the same number of backticks
+    if (ch === '`') {
+      const run = /^`+/.exec(rest)[0];
+      const close = rest.indexOf(run, run.length);
+      if (close !== -1 && rest[close + run.length] !== '`') {
+        let code = rest.slice(run.length, close).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        push({ type: 'code', text: code });
+        i += close + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    // Autolink - <https://example.com> or <mailto:someone@example.com>
+    if (ch === '<') {
+      const autolink = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i.exec(rest);
+      if (autolink) {
+        push({ type: 'link', href: autolink[1], children: [{ type: 'text', text: autolink[1].replace(/^mailto:/i, '') }] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    // Links and images - [text](url "title") and ![alt](url)
+    if (ch === '[' || (ch === '!' && text[i + 1] === '[')) {
+      const image = ch === '!';
+      closers = closers || matchBrackets(text);
+      const link = parseLink(text, image ? i + 1 : i, closers);
+      if (link) {
+        const url = safeUrl(link.url);
+        if (image) {
+          const alt = inlineText(parseInline(link.label));
+          push(url ? { type: 'image', src: url, alt } : { type: 'text', text: alt });
+        } else if (url) {
+          push({ type: 'link', href: url, children: parseInline(link.label) });
+        } else {
+          // Unsafe URL - keep the link text, drop the link
+          flush();
+          nodes.push(...parseInline(link.label));
+        }
+        i = link.end;
+        continue;
+      }
+    }
+
+    // Emphasis - **strong**, __strong__, *em*, _em_, ~~del~~
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const emphasis = parseEmphasis(text, i, unclosed);
+      if (emphasis) {
+        push({ type: emphasis.type, children: parseInline(emphasis.inner) });
+        i = emphasis.end;
+        continue;
+      }
+      const run = new RegExp(`^\\${ch}+`).exec(rest)[0];
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    buffer += ch;
+    i += 1;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Pair every unescaped '[' with its matching ']' in one pass
+ * Scanning forward from each '[' for its closer instead would make text like
+ * '[a [a [a ...' quadratic
+ *
+ * @param {string} text - Inline text
+ * @returns {Map} - Index of each matched '[' -> index of its ']' (unmatched ones are absent)
+ */
+const matchBrackets = (text) => {
+  const closers = new Map();
+  const open = [];
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === '[') {
+      open.push(i);
+    } else if (text[i] === ']' && open.length > 0) {
+      closers.set(open.pop(), i);
+    }
+  }
+  return closers;
+};
+
+/**
+ * Parse [label](url "optional title") starting at an opening bracket
+ *
+ * @param {string} text - Inline text
+ * @param {number} start - Index of '['
+ * @param {Map} closers - Bracket pairs from matchBrackets
+ * @returns {Object|null} - { label, url, end } or null if there is no link here
+ */
+const parseLink = (text, start, closers) => {
+  const close = closers.get(start) ?? -1;
+  if (close === -1 || text[close + 1] !== '(') return null;
+
+  const destination = /^\(\s*(<[^>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'))?\s*\)/.exec(text.slice(close + 1));
+  if (!destination) return null;
+  return {
+    label: text.slice(start + 1, close),
+    url: destination[1].replace(/^<|>$/g, ''),
+    end: close + 1 + destination[0].length,
+  };
+};
+
+/**
+ * Parse emphasis starting at a delimiter run
+ * The closing run must match the opening one exactly, and underscores inside
+ * words (snake_case) are left alone
+ *
+ * A run with no closer is recorded in unclosed: a later run of the same kind
+ * could only close on text that was already searched, so it is rejected at once.
+ * This keeps text like '*a *b *c ...' linear instead of quadratic.
+ *
+ * @param {string} text - Inline text
+ * @param {number} start - Index of the first delimiter character
+ * @param {Map} unclosed - Kind of run (e.g. '*2') -> position searched from without finding a closer
+ * @returns {Object|null} - { type, inner, end } or null if the run is not closed
+ */
+const parseEmphasis = (text, start, unclosed) => {
+  const ch = text[start];
+  const openRun = new RegExp(`^\\${ch}+`).exec(text.slice(start))[0];
+  if (ch === '~' && openRun.length !== 2) return null;
+  if (ch === '_' && /[\p{L}\p{N}]/u.test(text[start - 1] || '')) return null;
+
+  // Runs of one are em, two strong, three strong and em together
+  const length = ch === '~' ? 2 : Math.min(openRun.length, 3);
+  const contentStart = start + length;
+  if (/\s/.test(text[contentStart] || ' ')) return null;
+  const kind = `${ch}${length}`;
+  if (unclosed.get(kind) <= contentStart) return null;
+
+  for (let i = contentStart + 1; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+      continue;
+    }
+    // Skip code spans so delimiters inside them do not close the emphasis
+    if (text[i] === '`') {
+      const run = /^`+/.exec(text.slice(i))[0];
+      const close = text.indexOf(run, i + run.length);
+      if (close !== -1) i = close + run.length - 1;
+      continue;
+    }
+    if (text[i] !== ch) continue;
+
+    // Runs of another length belong to nested emphasis and are skipped whole
+    const run = new RegExp(`^\\${ch}+`).exec(text.slice(i))[0];
+    const rightFlanking = !/\s/.test(text[i - 1]) && !(ch === '_' && /[\p{L}\p{N}]/u.test(text[i + run.length] || ''));
+    if (run.length === length && rightFlanking) {
+      const inner = text.slice(contentStart, i);
+      return {
+        type: ch === '~' ? 'del' : length === 1 ? 'em' : 'strong',
+        // ***text*** is strong around em - the em delimiters are put back for the inner parse
+        inner: length === 3 ? `${ch}${inner}${ch}` : inner,
+        end: i + length,
+      };
+    }
+    i += run.length - 1;
+  }
+  unclosed.set(kind, contentStart);
+  return null;
+};
+
+/**
+ * Group a list starting at a line into items, each parsed as its own blocks
+ *
+ * @param {Array} lines - Source lines
+ * @param {number} start - Index of the first item
+ * @returns {Object} - { node, next } - the list node and the index after it
+ */
+const parseList = (lines, start) => {
+  const first = LIST_ITEM.exec(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const baseIndent = first[1].length;
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length && !RULE.test(lines[i])) {
+    const match = LIST_ITEM.exec(lines[i]);
+    if (!match || /\d/.test(match[2]) !== ordered || match[1].length > baseIndent + 1) break;
+
+    // Content lines are indented at least as far as the item's text
+    const contentIndent = match[1].length + match[2].length + Math.max(1, (match[3] || ' ').length);
+    const itemLines = [match[4] || ''];
+    i += 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        let next = i + 1;
+        while (next < lines.length && isBlank(lines[next])) next += 1;
+        if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+          itemLines.push(...lines.slice(i, next).map(() => ''));
+          i = next;
+          loose = true;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) >= contentIndent) {
+        itemLines.push(line.slice(contentIndent));
+      } else if (LIST_ITEM.test(line) && indentOf(line) > baseIndent + 1 && !RULE.test(line)) {
+        // Sub-list indented less than the item's text - still nested in this item
+        itemLines.push(line.slice(indentOf(line)));
+      } else if (startsBlock(line)) {
+        break;
+      } else {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trim());
+      }
+      i += 1;
+    }
+    items.push(parseBlocks(itemLines));
+
+    // Blank lines between items make the list loose; anything else ends it
+    let next = i;
+    while (next < lines.length && isBlank(lines[next])) next += 1;
+    const following = LIST_ITEM.exec(lines[next] || '');
+    if (next > i && following && /\d/.test(following[2]) === ordered && following[1].length <= baseIndent + 1) {
+      loose = true;
+      i = next;
+    } else if (next > i) {
+      break;
+    }
+  }
+
+  return {
+    node: { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : null, loose, items },
+    next: i,
+  };
+};
+
+/**
+ * Group source lines into block nodes
+ *
+ * @param {Array} lines - Source lines
+ * @returns {Array} - Block nodes (heading IDs are assigned by parseMarkdown)
+ */
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+
+    // Fenced code block - runs to the closing fence, or the end of the post
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const indent = indentOf(line);
+      const code = [];
+      i += 1;
+      while (i < lines.length && !new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+        i += 1;
+      }
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), text: code.join('\n') });
+      i += 1;
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2] || '') });
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i += 1;
+      continue;
+    }
+
+    // Blockquote - consecutive quoted lines (and lazy continuation lines) parsed recursively
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i += 1;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line) && indentOf(line) < 4) {
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    // Paragraph - runs until a blank line or the start of another block
+    const paragraph = [line.trimStart()];
+    i += 1;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+      paragraph.push(lines[i].trimStart());
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n').replace(/\s+$/, '')) });
+  }
+
+  return blocks;
+};
+
+/**
+ * Plain text of inline nodes, e.g. for heading slugs and image alt text
+ *
+ * @param {Array} nodes - Inline nodes
+ * @returns {string} - Text without formatting
+ */
+export const inlineText = (nodes) =>
+  nodes
+    .map(node => {
+      if (node.type === 'text' || node.type === 'code') return node.text;
+      if (node.type === 'image') return node.alt;
+      if (node.type === 'break') return ' ';
+      return node.children ? inlineText(node.children) : '';
+    })
+    .join('');
+
+/**
+ * Plain text of a block node - inline formatting and link URLs are dropped
+ *
+ * @param {Object} block - Block node
+ * @returns {string} - Text, with line breaks between nested blocks
+ */
+const blockText = (block) => {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+      return inlineText(block.children);
+    case 'code':
+      return block.text;
+    case 'blockquote':
+      return block.children.map(blockText).join('\n');
+    case 'list':
+      return block.items.map(item => item.map(blockText).join('\n')).join('\n');
+    default:
+      return '';
+  }
+};
+
+/**
+ * Give every heading in a tree a unique slug ID, in document order
+ *
+ * @param {Array} blocks - Block nodes
+ * @param {Set} used - Slugs already taken
+ */
+const assignHeadingIds = (blocks, used) => {
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      block.id = uniqueSlug(slugify(inlineText(block.children)) || 'section', used);
+      used.add(block.id);
+    } else if (block.type === 'blockquote') {
+      assignHeadingIds(block.children, used);
+    } else if (block.type === 'list') {
+      block.items.forEach(item => assignHeadingIds(item, used));
+    }
+  });
+};
+
+// Number of parsed sources kept - enough for every post on the blog pages
+const PARSE_CACHE_SIZE = 100;
+
+// Parsed trees by source, least recently used first
+const parseCache = new Map();
+
+/**
+ * Parse Markdown source into block nodes
+ * Trees are cached by source and shared between callers, so they must not be modified
+ *
+ * @param {string} source - Markdown text
+ * @returns {Array} - Block nodes, ready for the Markdown component
+ */
+export const parseMarkdown = (source = '') => {
+  if (parseCache.has(source)) {
+    const cached = parseCache.get(source);
+    // Move to the end so the most recently used trees are kept
+    parseCache.delete(source);
+    parseCache.set(source, cached);
+    return cached;
+  }
+
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const blocks = parseBlocks(lines);
+  assignHeadingIds(blocks, new Set());
+
+  parseCache.set(source, blocks);
+  if (parseCache.size > PARSE_CACHE_SIZE) parseCache.delete(parseCache.keys().next().value);
+  return blocks;
+};
+
+/**
+ * Plain text of Markdown source, e.g. for search indexing and excerpts
+ *
+ * @param {string} source - Markdown text
+ * @returns {string} - Text without formatting, one line per block
+ */
+export const markdownText = (source = '') =>
+  parseMarkdown(source).map(blockText).filter(Boolean).join('\n');
@@ -0,0 +1,75 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the Markdown parser under test
+import { parseInline, parseMarkdown } from './markdown';
+
+/**
+ * Markdown Tests
+ * Emphasis and link parsing stay correct, and linear on text full of unmatched delimiters
+ */
+
+describe('parseInline emphasis', () => {
+  it('parses strong, em, both and strikethrough', () => {
+    expect(parseInline('**a** *b* ***c*** ~~d~~')).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'a' }] },
+      { type: 'text', text: ' ' },
+      { type: 'em', children: [{ type: 'text', text: 'b' }] },
+      { type: 'text', text: ' ' },
+      { type: 'strong', children: [{ type: 'em', children: [{ type: 'text', text: 'c' }] }] },
+      { type: 'text', text: ' ' },
+      { type: 'del', children: [{ type: 'text', text: 'd' }] },
+    ]);
+  });
+
+  it('still closes later emphasis after an unmatched delimiter', () => {
+    expect(parseInline('*a* *b* *c')).toEqual([
+      { type: 'em', children: [{ type: 'text', text: 'a' }] },
+      { type: 'text', text: ' ' },
+      { type: 'em', children: [{ type: 'text', text: 'b' }] },
+      { type: 'text', text: ' *c' },
+    ]);
+    expect(parseInline('*unclosed **strong** text')).toEqual([
+      { type: 'text', text: '*unclosed ' },
+      { type: 'strong', children: [{ type: 'text', text: 'strong' }] },
+      { type: 'text', text: ' text' },
+    ]);
+  });
+
+  it('leaves underscores inside words alone', () => {
+    expect(parseInline('snake_case_word')).toEqual([{ type: 'text', text: 'snake_case_word' }]);
+  });
+
+  // Each of these took seconds when every delimiter or bracket rescanned the rest of the text
+  ['*a ', '_a ', '**a ', '~~a ', '[a '].forEach(unit => {
+    it(`keeps ${unit.trim()} repeated thousands of times as text`, () => {
+      const text = unit.repeat(5000).trim();
+      expect(parseInline(text)).toEqual([{ type: 'text', text }]);
+    });
+  });
+});
+
+describe('parseInline links', () => {
+  it('pairs each bracket with its own closer', () => {
+    expect(parseInline('[[a](b)')).toEqual([
+      { type: 'text', text: '[' },
+      { type: 'link', href: 'b', children: [{ type: 'text', text: 'a' }] },
+    ]);
+    expect(parseInline('[a [b] c](d)')).toEqual([
+      { type: 'link', href: 'd', children: [{ type: 'text', text: 'a [b] c' }] },
+    ]);
+  });
+
+  it('ignores escaped brackets when pairing', () => {
+    expect(parseInline('[a \\] b](c)')).toEqual([
+      { type: 'link', href: 'c', children: [{ type: 'text', text: 'a ] b' }] },
+    ]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('returns the cached tree for the same source', () => {
+    const source = '# Title\n\nSome *text*';
+    expect(parseMarkdown(source)).toBe(parseMarkdown(source));
+    expect(parseMarkdown(source)[0]).toMatchObject({ type: 'heading', level: 1, id: 'title' });
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Money - Exact currency arithmetic in integer minor units
+ *
+ * Money Concepts Demonstrated:
+ * 1. Integer minor units - $12.34 is stored as { amount: 1234, currency: 'USD' }
+ * 2. Explicit rounding - Every operation that can produce fractions of a cent
+ *    takes a rounding mode instead of relying on floating-point accidents
+ * 3. Currency safety - Amounts in different currencies are never combined
+ * 4. Plain objects - Money values are serialisable and safe to keep in Redux
+ * 5. Locale-aware display - Intl.NumberFormat renders symbols and digit grouping
+ *
+ * Rounding modes:
+ * - 'halfUp'   - ties round away from zero (2.5 -> 3, -2.5 -> -3), the default
+ * - 'halfEven' - ties round to the even neighbour (2.5 -> 2, 3.5 -> 4), banker's rounding
+ * - 'up'       - any fraction rounds away from zero
+ * - 'down'     - any fraction is dropped (rounds toward zero)
+ *
+ * Amounts must stay within Number.MAX_SAFE_INTEGER minor units, and factors
+ * are applied with 6 decimal places of precision (e.g. a 7.125% tax rate).
+ */
+
+// Currency used when none is given
+export const DEFAULT_CURRENCY = 'USD';
+
+// Rounding mode used when none is given
+export const DEFAULT_ROUNDING = 'halfUp';
+
+// Supported currencies - name for pickers, locale for formatting,
+// decimals = number of minor-unit digits
+export const CURRENCIES = {
+  USD: { name: 'US Dollar', locale: 'en-US', decimals: 2 },
+  EUR: { name: 'Euro', locale: 'de-DE', decimals: 2 },
+  INR: { name: 'Indian Rupee', locale: 'en-IN', decimals: 2 },
+};
+
+// Scale used to turn fractional factors into integers (6 decimal places)
+const FACTOR_SCALE = 1e6;
+
+/**
+ * Number of minor-unit digits for a currency
+ *
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Decimal places (2 when the currency is unknown)
+ */
+export const decimalsFor = (currency) => CURRENCIES[currency]?.decimals ?? 2;
+
+/**
+ * Decide whether a truncated result must move one step away from zero
+ *
+ * @param {string} fraction - Discarded part: 'zero', 'below' half, 'half' or 'above' half
+ * @param {boolean} isOdd - Whether the truncated result is odd (for halfEven)
+ * @param {string} mode - Rounding mode
+ * @returns {boolean} - True to round away from zero
+ */
+const roundsAway = (fraction, isOdd, mode) => {
+  if (fraction === 'zero') return false;
+  switch (mode) {
+    case 'up':
+      return true;
+    case 'down':
+      return false;
+    case 'halfEven':
+      return fraction === 'above' || (fraction === 'half' && isOdd);
+    case 'halfUp':
+      return fraction !== 'below';
+    default:
+      throw new Error(`Unknown rounding mode: ${mode}`);
+  }
+};
+
+/**
+ * Divide two integers and round the quotient to an integer
+ * Uses the integer remainder, so no precision is lost to floating point
+ *
+ * @param {number} numerator - Integer numerator
+ * @param {number} denominator - Non-zero integer denominator
+ * @param {string} mode - Rounding mode
+ * @returns {number} - Rounded integer quotient
+ */
+export const divideRounded = (numerator, denominator, mode = DEFAULT_ROUNDING) => {
+  const quotient = Math.trunc(numerator / denominator);
+  const remainder = Math.abs(numerator - quotient * denominator);
+  const twice = remainder * 2;
+  const divisor = Math.abs(denominator);
+  const fraction = remainder === 0 ? 'zero' : twice < divisor ? 'below' : twice === divisor ? 'half' : 'above';
+  const negative = (numerator < 0) !== (denominator < 0);
+
+  // + 0 turns -0 into 0
+  if (!roundsAway(fraction, Math.abs(quotient) % 2 === 1, mode)) return quotient + 0;
+  return quotient + (negative ? -1 : 1);
+};
+
+/**
+ * Create a money value
+ *
+ * @param {number} amount - Integer amount in minor units (cents)
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {{amount: number, currency: string}} - Money value
+ */
+export const money = (amount = 0, currency = DEFAULT_CURRENCY) => {
+  if (!Number.isSafeInteger(amount)) {
+    throw new Error(`Money amounts must be whole minor units, got ${amount}`);
+  }
+  return { amount, currency };
+};
+
+/**
+ * Create a money value from a major-unit amount, e.g. '12.345' or 12.345
+ * Strings are parsed digit by digit, so '0.1' is exactly 10 cents
+ *
+ * @param {string|number} value - Amount in major units (dollars)
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} mode - Rounding mode for digits beyond the currency's precision
+ * @returns {Object|null} - Money value, or null if value is not a number
+ */
+export const fromMajor = (value, currency = DEFAULT_CURRENCY, mode = DEFAULT_ROUNDING) => {
+  // Numbers are printed with a fixed number of digits to avoid exponent notation
+  const text = typeof value === 'number' ? value.toFixed(10) : String(value ?? '').trim();
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, whole = '', fractionDigits = ''] = match;
+  const decimals = decimalsFor(currency);
+  const kept = fractionDigits.slice(0, decimals).padEnd(decimals, '0');
+  const dropped = fractionDigits.slice(decimals);
+
+  // Classify the dropped digits against one half of a minor unit
+  const fraction = !/[1-9]/.test(dropped)
+    ? 'zero'
+    : dropped[0] < '5'
+      ? 'below'
+      : dropped[0] > '5' || /[1-9]/.test(dropped.slice(1)) ? 'above' : 'half';
+
+  const truncated = Number(`${whole || '0'}${kept}`);
+  const magnitude = truncated + (roundsAway(fraction, truncated % 2 === 1, mode) ? 1 : 0);
+  return money(sign === '-' && magnitude !== 0 ? -magnitude : magnitude, currency);
+};
+
+/**
+ * Convert a money value to a major-unit number for display or export
+ *
+ * @param {Object} value - Money value
+ * @returns {number} - Amount in major units (dollars)
+ */
+export const toMajor = (value) => value.amount / 10 ** decimalsFor(value.currency);
+
+/**
+ * Write a money value as an exact plain decimal string, e.g. '1234.50'
+ * Built from the integer digits, so it round-trips through fromMajor unchanged
+ *
+ * @param {Object} value - Money value
+ * @returns {string} - Decimal amount without symbol or grouping
+ */
+export const toDecimalString = (value) => {
+  const decimals = decimalsFor(value.currency);
+  const digits = String(Math.abs(value.amount)).padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals > 0 ? `.${digits.slice(-decimals)}` : '';
+  return `${value.amount < 0 ? '-' : ''}${whole}${fraction}`;
+};
+
+// Intl.NumberFormat instances are costly to create, so they are cached per locale and currency
+const formatters = new Map();
+
+/**
+ * Format a money value for display with Intl.NumberFormat
+ * e.g. { amount: 12000000, currency: 'INR' } -> '₹1,20,000.00'
+ *
+ * @param {Object} value - Money value
+ * @param {string} locale - BCP 47 locale (defaults to the currency's own locale)
+ * @param {string} currencyDisplay - 'symbol' (₹) or 'code' (INR), e.g. for PDFs without symbol glyphs
+ * @returns {string} - Localised amount with currency symbol or code
+ */
+export const formatMoney = (value, locale = CURRENCIES[value.currency]?.locale, currencyDisplay = 'symbol') => {
+  const key = `${locale}|${value.currency}|${currencyDisplay}`;
+  if (!formatters.has(key)) {
+    const decimals = decimalsFor(value.currency);
+    formatters.set(key, new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: value.currency,
+      currencyDisplay,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }));
+  }
+  return formatters.get(key).format(toMajor(value));
+};
+
+/**
+ * Throw if two money values are in different currencies
+ *
+ * @param {Object} a - Money value
+ * @param {Object} b - Money value
+ */
+const assertSameCurrency = (a, b) => {
+  if (a.currency !== b.currency) {
+    throw new Error(`Cannot combine ${a.currency} with ${b.currency}`);
+  }
+};
+
+/**
+ * Add two money values
+ *
+ * @param {Object} a - Money value
+ * @param {Object} b - Money value in the same currency
+ * @returns {Object} - Sum
+ */
+export const add = (a, b) => {
+  assertSameCurrency(a, b);
+  return money(a.amount + b.amount, a.currency);
+};
+
+/**
+ * Subtract one money value from another
+ *
+ * @param {Object} a - Money value
+ * @param {Object} b - Money value in the same currency
+ * @returns {Object} - Difference a - b
+ */
+export const subtract = (a, b) => {
+  assertSameCurrency(a, b);
+  return money(a.amount - b.amount, a.currency);
+};
+
+/**
+ * Add up a list of money values
+ *
+ * @param {Array} values - Money values in the same currency
+ * @param {string} currency - Currency of the result when the list is empty
+ * @returns {Object} - Total
+ */
+export const sum = (values, currency = DEFAULT_CURRENCY) =>
+  values.reduce(add, money(0, values[0]?.currency ?? currency));
+
+/**
+ * Multiply a money value by a quantity, rate or ratio and round the result
+ *
+ * @param {Object} value - Money value
+ * @param {number} factor - Multiplier, e.g. 3 (quantity) or 0.08 (tax rate)
+ * @param {string} mode - Rounding mode
+ * @returns {Object} - Rounded product
+ */
+export const multiply = (value, factor, mode = DEFAULT_ROUNDING) => {
+  if (Number.isInteger(factor)) return money(value.amount * factor, value.currency);
+  const scaledFactor = Math.round(factor * FACTOR_SCALE);
+  const product = value.amount * scaledFactor;
+  if (!Number.isSafeInteger(product)) {
+    throw new Error(`Amount too large to multiply exactly: ${value.amount} x ${factor}`);
+  }
+  return money(divideRounded(product, FACTOR_SCALE, mode), value.currency);
+};
+
+/**
+ * Reduce a money value by a fractional discount
+ * The discount itself is rounded, then subtracted, so
+ * price + discount always equals the original amount
+ *
+ * @param {Object} value - Original money value
+ * @param {number} rate - Discount as a fraction, e.g. 0.1 for 10%
+ * @param {string} mode - Rounding mode for the discount amount
+ * @returns {Object} - Discounted money value
+ */
+export const discountBy = (value, rate, mode = DEFAULT_ROUNDING) =>
+  subtract(value, multiply(value, rate, mode));
@@ -0,0 +1,120 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the money helpers under test
+import {
+  money,
+  fromMajor,
+  toMajor,
+  add,
+  multiply,
+  divideRounded,
+  discountBy,
+  sum,
+  formatMoney,
+} from './money';
+
+/**
+ * Money Tests
+ * Exact minor-unit arithmetic, every rounding mode and currency formatting
+ */
+
+const MODES = ['halfUp', 'halfEven', 'up', 'down'];
+
+describe('divideRounded', () => {
+  // numerator / denominator -> expected result per mode
+  const cases = [
+    [25, 10, { halfUp: 3, halfEven: 2, up: 3, down: 2 }],
+    [35, 10, { halfUp: 4, halfEven: 4, up: 4, down: 3 }],
+    [21, 10, { halfUp: 2, halfEven: 2, up: 3, down: 2 }],
+    [29, 10, { halfUp: 3, halfEven: 3, up: 3, down: 2 }],
+    [-25, 10, { halfUp: -3, halfEven: -2, up: -3, down: -2 }],
+    [20, 10, { halfUp: 2, halfEven: 2, up: 2, down: 2 }],
+  ];
+
+  cases.forEach(([numerator, denominator, expected]) => {
+    MODES.forEach(mode => {
+      it(`rounds ${numerator}/${denominator} ${mode} to ${expected[mode]}`, () => {
+        expect(divideRounded(numerator, denominator, mode)).toBe(expected[mode]);
+      });
+    });
+  });
+
+  it('never returns negative zero', () => {
+    expect(Object.is(divideRounded(-1, 10, 'down'), 0)).toBe(true);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => divideRounded(15, 10, 'sideways')).toThrow('Unknown rounding mode');
+  });
+});
+
+describe('fromMajor', () => {
+  it('parses strings digit by digit', () => {
+    expect(fromMajor('0.1')).toEqual(money(10));
+    expect(fromMajor('19.99')).toEqual(money(1999));
+    expect(fromMajor('-4.5')).toEqual(money(-450));
+  });
+
+  it('rounds extra digits with the given mode', () => {
+    expect(fromMajor('12.345', 'USD', 'halfUp').amount).toBe(1235);
+    expect(fromMajor('12.345', 'USD', 'halfEven').amount).toBe(1234);
+    expect(fromMajor('12.341', 'USD', 'up').amount).toBe(1235);
+    expect(fromMajor('12.349', 'USD', 'down').amount).toBe(1234);
+  });
+
+  it('returns null for text that is not a number', () => {
+    expect(fromMajor('abc')).toBeNull();
+    expect(fromMajor('')).toBeNull();
+  });
+
+  it('round-trips through toMajor', () => {
+    expect(toMajor(fromMajor('1234.56'))).toBe(1234.56);
+  });
+});
+
+describe('arithmetic', () => {
+  it('only accepts whole minor units', () => {
+    expect(() => money(1.5)).toThrow();
+  });
+
+  it('refuses to mix currencies', () => {
+    expect(() => add(money(100, 'USD'), money(100, 'EUR'))).toThrow('Cannot combine USD with EUR');
+  });
+
+  it('multiplies without floating point drift', () => {
+    // 0.1 x 3 is 0.30000000000000004 in floating point
+    expect(multiply(money(10), 3)).toEqual(money(30));
+    expect(multiply(money(1999), 0.08)).toEqual(money(160));
+  });
+
+  it('keeps price and discount adding up to the original amount', () => {
+    MODES.forEach(mode => {
+      const original = money(999);
+      const discounted = discountBy(original, 0.15, mode);
+      const discount = multiply(original, 0.15, mode);
+      expect(discounted.amount + discount.amount).toBe(original.amount);
+    });
+  });
+
+  it('sums to zero in the given currency when empty', () => {
+    expect(sum([], 'EUR')).toEqual(money(0, 'EUR'));
+  });
+});
+
+describe('formatMoney', () => {
+  it('shows exactly one currency symbol', () => {
+    const text = formatMoney(money(1234, 'USD'));
+    expect(text).toBe('$12.34');
+    expect(text.match(/\$/g)).toHaveLength(1);
+  });
+
+  it('uses the currency locale and symbol', () => {
+    // de-DE puts the symbol after the amount, separated by a no-break space
+    expect(formatMoney(money(123456, 'EUR'))).toBe('1.234,56\u00a0€');
+    expect(formatMoney(money(-500, 'USD'))).toBe('-$5.00');
+  });
+
+  it('can show the currency code instead of the symbol', () => {
+    expect(formatMoney(money(1234, 'USD'), 'en-US', 'code')).toBe('USD\u00a012.34');
+  });
+});
@@ -0,0 +1,116 @@
+// Import exact money arithmetic
+import { money, add, subtract, sum, formatMoney } from './money';
+
+/**
+ * Payments Ledger - Payments, refunds and credits recorded against an invoice
+ *
+ * Ledger Concepts Demonstrated:
+ * 1. Append-only ledger - entries are never edited; a mistake is corrected with a refund
+ * 2. Derived balances - amount paid and balance due are summed from the entries
+ * 3. Derived status - sent, partially paid, paid and credited follow from the balance
+ * 4. Guarded entries - overpayments and refunds of more than was paid are rejected
+ * 5. Credit notes settle part of the balance like a payment, without money changing hands
+ *
+ * Entry shape:
+ * {
+ *   id, type: 'payment' | 'refund' | 'credit',  // credit entries come from credit notes
+ *   amount: { amount: 5000, currency: 'USD' }, // always positive, in the invoice currency
+ *   method: 'bank transfer', date: 'YYYY-MM-DD', reference: 'TX-1234',
+ *   recordedAt: ISO timestamp,
+ * }
+ */
+
+// Ways a payment can be made
+export const PAYMENT_METHODS = ['bank transfer', 'card', 'cash', 'cheque', 'other'];
+
+/**
+ * Sum a ledger's payments, refunds and credits
+ *
+ * @param {Array} payments - Ledger entries
+ * @param {string} currency - Invoice currency
+ * @returns {{paid: Object, refunded: Object, netPaid: Object, credited: Object}} - Money values
+ */
+export const ledgerTotals = (payments = [], currency) => {
+  const totalOf = (type) => sum(payments.filter(entry => entry.type === type).map(entry => entry.amount), currency);
+  const paid = totalOf('payment');
+  const refunded = totalOf('refund');
+  return { paid, refunded, netPaid: subtract(paid, refunded), credited: totalOf('credit') };
+};
+
+/**
+ * Amount the customer has covered - net payments plus credit notes
+ *
+ * @param {Array} payments - Ledger entries
+ * @param {string} currency - Invoice currency
+ * @returns {Object} - Money value
+ */
+const settledAmount = (payments, currency) => {
+  const { netPaid, credited } = ledgerTotals(payments, currency);
+  return add(netPaid, credited);
+};
+
+/**
+ * Amount still owed on an invoice
+ *
+ * @param {Object} total - Invoice total (money value)
+ * @param {Array} payments - Ledger entries
+ * @returns {Object} - Money value (0 once fully paid)
+ */
+export const balanceDue = (total, payments = []) => {
+  const balance = subtract(total, settledAmount(payments, total.currency));
+  return balance.amount > 0 ? balance : money(0, total.currency);
+};
+
+/**
+ * Amount owed back to the customer - e.g. a paid invoice that was later credited
+ *
+ * @param {Object} total - Invoice total (money value)
+ * @param {Array} payments - Ledger entries
+ * @returns {Object} - Money value (0 unless the customer has paid too much)
+ */
+export const customerCredit = (total, payments = []) => {
+  const excess = subtract(settledAmount(payments, total.currency), total);
+  return excess.amount > 0 ? excess : money(0, total.currency);
+};
+
+/**
+ * Status an issued invoice has for what has been paid and credited
+ *
+ * @param {Object} total - Invoice total
+ * @param {Array} payments - Ledger entries
+ * @returns {string} - 'sent', 'partiallyPaid', 'paid' or 'credited' (reversed in full)
+ */
+export const paymentStatus = (total, payments) => {
+  const { credited } = ledgerTotals(payments, total.currency);
+  if (total.amount > 0 && credited.amount >= total.amount) return 'credited';
+  const settled = settledAmount(payments, total.currency);
+  if (settled.amount <= 0) return 'sent';
+  return settled.amount >= total.amount ? 'paid' : 'partiallyPaid';
+};
+
+/**
+ * Check a ledger entry before it is recorded
+ *
+ * @param {Object} entry - New payment or refund
+ * @param {Object} invoice - { total, payments } of the invoice it is recorded against
+ * @returns {Array} - Error messages (empty when the entry is valid)
+ */
+export const validateLedgerEntry = (entry, { total, payments = [] }) => {
+  if (!['payment', 'refund'].includes(entry.type)) return [`Unknown ledger entry type "${entry.type}"`];
+  if (!(entry.amount?.amount > 0)) return ['Amount must be greater than 0'];
+  if (entry.amount.currency !== total.currency) return [`Amount must be in ${total.currency}`];
+
+  const errors = [];
+  const { netPaid } = ledgerTotals(payments, total.currency);
+  if (entry.type === 'payment') {
+    const balance = balanceDue(total, payments);
+    if (entry.amount.amount > balance.amount) {
+      errors.push(`Payment cannot be more than the balance due of ${formatMoney(balance)}`);
+    }
+  } else if (entry.amount.amount > netPaid.amount) {
+    errors.push(`Refund cannot be more than the ${formatMoney(netPaid)} paid`);
+  }
+  if (!PAYMENT_METHODS.includes(entry.method)) errors.push('Please choose a payment method');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '')) errors.push('Please enter the payment date');
+  return errors;
+};
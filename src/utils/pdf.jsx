@@ -0,0 +1,181 @@
+/**
+ * PDF Writer - Builds simple text-and-line PDF documents in the browser
+ *
+ * PDF Concepts Demonstrated:
+ * 1. PDF object structure - Catalog, page tree, pages, fonts and content streams
+ * 2. Cross-reference table - Byte offsets that let readers find each object
+ * 3. Standard fonts - Helvetica needs no embedding, so files stay tiny
+ * 4. Text measurement - Character widths for right-aligned columns
+ *
+ * Coordinates are in points (1/72 inch) measured from the TOP-left corner;
+ * the writer flips them to PDF's bottom-left origin. Text is limited to
+ * Latin-1 characters - anything else is replaced with '?'.
+ *
+ * Usage:
+ *   const pdf = createPdf();
+ *   pdf.text('Hello', 40, 60, { size: 18, bold: true });
+ *   pdf.line(40, 70, 555, 70);
+ *   const blob = pdf.toBlob();
+ */
+
+// A4 page size in points
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Bold glyphs are slightly wider; digits and punctuation keep the same widths
+const BOLD_FACTOR = 1.05;
+
+/**
+ * Replace characters the standard fonts cannot show
+ *
+ * @param {string} text - Any string
+ * @returns {string} - Latin-1 only string
+ */
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+/**
+ * Measure text width in points
+ * Uses Helvetica metrics; characters outside ASCII use the average width
+ *
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether the bold face is used
+ * @returns {number} - Width in points
+ */
+export const textWidth = (text, size = 10, bold = false) => {
+  const units = [...toLatin1(text)].reduce((total, char) => {
+    const code = char.charCodeAt(0);
+    return total + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+};
+
+/**
+ * Escape a string for use inside a PDF literal string ( ... )
+ *
+ * @param {string} text - Latin-1 text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Create a PDF document builder
+ *
+ * @returns {Object} - Builder with addPage, text, line, rect and toBlob methods
+ */
+export const createPdf = () => {
+  // Each page is a list of content-stream operators
+  const pages = [[]];
+  const currentPage = () => pages[pages.length - 1];
+
+  // Convert a top-based y coordinate to PDF's bottom-based one
+  const flipY = (y) => (PAGE_HEIGHT - y).toFixed(2);
+
+  return {
+    /**
+     * Start a new page; later drawing goes onto it
+     */
+    addPage() {
+      pages.push([]);
+    },
+
+    /**
+     * Draw a line of text
+     *
+     * @param {string} text - Text to draw
+     * @param {number} x - Left edge (or right edge when align is 'right')
+     * @param {number} y - Baseline, measured from the top of the page
+     * @param {Object} options - { size, bold, align: 'left' | 'right', gray: 0-1 }
+     */
+    text(text, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+      const safeText = toLatin1(text);
+      const left = align === 'right' ? x - textWidth(safeText, size, bold) : x;
+      currentPage().push(
+        `${gray} g BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${flipY(y)} Td (${escapeText(safeText)}) Tj ET`
+      );
+    },
+
+    /**
+     * Draw a straight line
+     *
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y (from top)
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y (from top)
+     * @param {Object} options - { width, gray: 0-1 }
+     */
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+      currentPage().push(
+        `${gray} G ${width} w ${x1.toFixed(2)} ${flipY(y1)} m ${x2.toFixed(2)} ${flipY(y2)} l S`
+      );
+    },
+
+    /**
+     * Draw a filled rectangle (e.g. table header shading)
+     *
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge (from top)
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Object} options - { gray: 0-1 }
+     */
+    rect(x, y, width, height, { gray = 0.9 } = {}) {
+      currentPage().push(
+        `${gray} g ${x.toFixed(2)} ${flipY(y + height)} ${width.toFixed(2)} ${height.toFixed(2)} re f`
+      );
+    },
+
+    /**
+     * Serialise the document
+     *
+     * @returns {Blob} - PDF file as a Blob with type application/pdf
+     */
+    toBlob() {
+      // Objects 1-4 are fixed; each page adds a page object and a content stream
+      const objects = [];
+      const pageIds = pages.map((_, index) => 5 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      pages.forEach((operators, index) => {
+        const pageId = pageIds[index];
+        const content = operators.join('\n');
+        objects[pageId] =
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+      });
+
+      // Every character is Latin-1, so string length equals byte length
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = output.length;
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = output.length;
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      const bytes = Uint8Array.from(output, (char) => char.charCodeAt(0));
+      return new Blob([bytes], { type: 'application/pdf' });
+    },
+  };
+};
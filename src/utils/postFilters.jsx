@@ -0,0 +1,116 @@
+/**
+ * Post Filters - Search, category, status and sort of the blog list, kept in the URL
+ *
+ * Filter Concepts Demonstrated:
+ * 1. URL as state - filters live in the query string, so a filtered view can be
+ *    bookmarked, shared and restored with the back button
+ * 2. Defaults stay out of the URL - '?category=Business', not '?q=&status=all&sort=newest'
+ * 3. Facet counts - each facet is counted with every other filter applied, so a
+ *    count says how many posts clicking it would show
+ *
+ * Filters: { q, categories: [], status: 'all' | post status, sort }
+ * Query string: ?q=redux&category=Technology&category=Business&status=published&sort=title
+ */
+
+// Sort options and their labels ('relevance' needs a search query)
+export const POST_SORTS = {
+  relevance: 'Best match',
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  updated: 'Recently updated',
+  title: 'Title (A–Z)',
+};
+
+/**
+ * Sort used when none is chosen - best match while searching, otherwise newest first
+ *
+ * @param {string} q - Search text
+ * @returns {string} - Sort key
+ */
+export const defaultPostSort = (q) => (q.trim() ? 'relevance' : 'newest');
+
+/**
+ * Read filters from the query string
+ * Unknown sorts fall back to the default; statuses are checked by the caller
+ *
+ * @param {URLSearchParams} params - Query string, e.g. from useSearchParams
+ * @returns {Object} - Filters
+ */
+export const readPostFilters = (params) => {
+  const q = params.get('q') || '';
+  const sort = params.get('sort');
+  return {
+    q,
+    categories: params.getAll('category'),
+    status: params.get('status') || 'all',
+    sort: POST_SORTS[sort] && (sort !== 'relevance' || q.trim()) ? sort : defaultPostSort(q),
+  };
+};
+
+/**
+ * Write filters as a query string, leaving out defaults
+ *
+ * @param {Object} filters - Filters
+ * @returns {URLSearchParams} - Query string params
+ */
+export const postFilterParams = ({ q = '', categories = [], status = 'all', sort }) => {
+  const params = new URLSearchParams();
+  if (q.trim()) params.set('q', q);
+  categories.forEach(category => params.append('category', category));
+  if (status !== 'all') params.set('status', status);
+  if (sort && sort !== defaultPostSort(q)) params.set('sort', sort);
+  return params;
+};
+
+// Order of posts for each sort; ties keep the newest post first
+const byNewest = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '') || b.id - a.id;
+const COMPARATORS = {
+  newest: () => byNewest,
+  oldest: () => (a, b) => byNewest(b, a),
+  updated: () => (a, b) =>
+    (b.updatedAt || b.createdAt || '').localeCompare(a.updatedAt || a.createdAt || '') || byNewest(a, b),
+  title: () => (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }) || byNewest(a, b),
+  relevance: (scores) => (a, b) => (scores?.get(b.id) || 0) - (scores?.get(a.id) || 0) || byNewest(a, b),
+};
+
+/**
+ * Sort posts without changing the original array
+ *
+ * @param {Array} posts - Posts
+ * @param {string} sort - Sort key from POST_SORTS
+ * @param {Map|null} scores - Relevance scores by post ID, from searchIndex
+ * @returns {Array} - Sorted copy
+ */
+export const sortPosts = (posts, sort, scores = null) =>
+  [...posts].sort((COMPARATORS[sort] || COMPARATORS.newest)(scores));
+
+/**
+ * Count posts by the value of a field
+ *
+ * @param {Array} posts - Posts
+ * @param {string} field - Field name, e.g. 'category'
+ * @returns {Object} - Count per value, e.g. { Business: 2 }
+ */
+const countBy = (posts, field) =>
+  posts.reduce((counts, post) => ({ ...counts, [post[field]]: (counts[post[field]] || 0) + 1 }), {});
+
+/**
+ * Apply filters and sort to posts, with the counts shown on each facet
+ *
+ * @param {Array} posts - All posts
+ * @param {Object} filters - Filters from readPostFilters
+ * @param {Map|null} scores - Search results from searchIndex (null when not searching)
+ * @returns {Object} - { posts, statusCounts: { all, [status]: n }, categoryCounts: { [category]: n } }
+ */
+export const applyPostFilters = (posts, filters, scores) => {
+  const found = scores ? posts.filter(post => scores.has(post.id)) : posts;
+  const inCategory = (post) => filters.categories.length === 0 || filters.categories.includes(post.category);
+  const inStatus = (post) => filters.status === 'all' || post.status === filters.status;
+  const inCategories = found.filter(inCategory);
+
+  return {
+    posts: sortPosts(inCategories.filter(inStatus), filters.sort, scores),
+    statusCounts: { all: inCategories.length, ...countBy(inCategories, 'status') },
+    categoryCounts: countBy(found.filter(inStatus), 'category'),
+  };
+};
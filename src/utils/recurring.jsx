@@ -0,0 +1,137 @@
+// Import calendar date helpers - schedules are plain 'YYYY-MM-DD' strings like invoice dates
+import { toISODate, addDays, daysBetween } from './dates';
+
+/**
+ * Recurring Invoices - Schedules that turn a template into a draft invoice every period
+ *
+ * Schedule Concepts Demonstrated:
+ * 1. Dates counted from the start date - run n is start + n intervals, so a schedule
+ *    starting on the 31st bills on the last day of shorter months without drifting
+ * 2. Catch-up - every run date that has passed since the last run is due, so
+ *    periods missed while the app was closed are still billed
+ * 3. Idempotent runs - a run is only applied if its date is still the template's
+ *    next run date, so two tabs opening at once cannot bill a period twice
+ *
+ * Template shape:
+ * {
+ *   id, name, interval: 'monthly', startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' | null,
+ *   active: true, runCount: 2, nextRunDate: 'YYYY-MM-DD' | null (null once the schedule has ended),
+ *   currency, customerId, customer, items, discounts,  // copied from the invoice the template was made from
+ *   invoiceIds: [],                        // invoices generated so far
+ * }
+ */
+
+// Supported intervals - weeks are counted in days, everything else in calendar months
+export const RECURRING_INTERVALS = {
+  weekly: { label: 'Weekly', days: 7 },
+  monthly: { label: 'Monthly', months: 1 },
+  quarterly: { label: 'Quarterly', months: 3 },
+  yearly: { label: 'Yearly', months: 12 },
+};
+
+// Oldest start date accepted, in days before today - older schedules would generate a flood of invoices
+const MAX_BACKDATE_DAYS = 366;
+
+/**
+ * Date of the nth run of a schedule (run 0 is the start date)
+ * Month-based intervals keep the start date's day, or the last day of shorter months
+ *
+ * @param {string} startDate - Schedule start as 'YYYY-MM-DD'
+ * @param {string} interval - Key of RECURRING_INTERVALS
+ * @param {number} n - Run number
+ * @returns {string} - Run date as 'YYYY-MM-DD'
+ */
+export const runDate = (startDate, interval, n) => {
+  const { days, months } = RECURRING_INTERVALS[interval];
+  if (days) return addDays(startDate, days * n);
+
+  const [year, month, day] = startDate.split('-').map(Number);
+  const monthIndex = month - 1 + months * n;
+  // Day 0 of the following month is the last day of this one
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return toISODate(new Date(year, monthIndex, Math.min(day, lastDay)));
+};
+
+/**
+ * Next run date after a number of runs, or null once the schedule has ended
+ *
+ * @param {Object} schedule - { startDate, endDate, interval }
+ * @param {number} runCount - Runs already made
+ * @returns {string|null} - Run date as 'YYYY-MM-DD'
+ */
+export const nextRunAfter = (schedule, runCount) => {
+  const date = runDate(schedule.startDate, schedule.interval, runCount);
+  return schedule.endDate && date > schedule.endDate ? null : date;
+};
+
+/**
+ * Runs due for a set of templates - every passed run date not yet billed
+ *
+ * @param {Array} templates - Recurring templates
+ * @param {string} today - Today as 'YYYY-MM-DD'
+ * @returns {Array} - { templateId, date } per invoice to generate, oldest first per template
+ */
+export const dueRuns = (templates, today = toISODate()) =>
+  templates
+    .filter(template => template.active)
+    .flatMap(template => {
+      const runs = [];
+      for (let n = template.runCount; ; n += 1) {
+        const date = nextRunAfter(template, n);
+        if (!date || date > today) break;
+        runs.push({ templateId: template.id, date });
+      }
+      return runs;
+    });
+
+/**
+ * Upcoming run dates of a template
+ *
+ * @param {Object} template - Recurring template
+ * @param {number} count - Most dates to return
+ * @returns {Array} - Run dates as 'YYYY-MM-DD' (fewer than count if the schedule ends)
+ */
+export const upcomingRuns = (template, count) => {
+  const dates = [];
+  for (let n = template.runCount; dates.length < count; n += 1) {
+    const date = nextRunAfter(template, n);
+    if (!date) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Run count that skips every run date before a given date
+ * Used when a paused schedule is resumed, so the paused periods are not billed
+ *
+ * @param {Object} template - Recurring template
+ * @param {string} fromDate - First date that may still be billed, as 'YYYY-MM-DD'
+ * @returns {number} - New run count
+ */
+export const skipRunsBefore = (template, fromDate) => {
+  let n = template.runCount;
+  while (runDate(template.startDate, template.interval, n) < fromDate) n += 1;
+  return n;
+};
+
+/**
+ * Check a schedule before a template is created
+ *
+ * @param {Object} schedule - { name, interval, startDate, endDate }
+ * @param {string} today - Today as 'YYYY-MM-DD'
+ * @returns {Array} - Error messages (empty when the schedule is valid)
+ */
+export const validateSchedule = ({ name, interval, startDate, endDate }, today = toISODate()) => {
+  const errors = [];
+  if (!name?.trim()) errors.push('Please name the schedule');
+  if (!RECURRING_INTERVALS[interval]) errors.push('Please choose how often to bill');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) {
+    errors.push('Please choose a start date');
+  } else if (daysBetween(startDate, today) > MAX_BACKDATE_DAYS) {
+    errors.push('Start date cannot be more than a year ago');
+  } else if (endDate && endDate < startDate) {
+    errors.push('End date must be on or after the start date');
+  }
+  return errors;
+};
@@ -0,0 +1,203 @@
+// Import exact money arithmetic
+import { money, add, subtract } from './money';
+// Import currency conversion - invoices in different currencies are reported in one
+import { convert } from './currency';
+// Import the discount engine - revenue is what was charged after discounts
+import { applyDiscountRules, calculateDiscountedTotals } from './discounts';
+// Import the tax engine - revenue is reported net of tax
+import { taxLine } from './tax';
+// Import the payments ledger for outstanding balances
+import { balanceDue } from './payments';
+// Import calendar date helpers for aging
+import { toISODate, daysBetween } from './dates';
+// Import CSV quoting shared with the item export
+import { csvField } from './billingItemsFile';
+
+/**
+ * Billing Reports - Aggregates invoices and credit notes for the reports dashboard
+ *
+ * Report Concepts Demonstrated:
+ * 1. Revenue lines - every invoice line and credit note line becomes a dated,
+ *    categorised amount, so all revenue reports group the same list
+ * 2. Net revenue - after discounts, before tax, minus credit notes in the period they were issued
+ * 3. Receivables aging - unpaid balances bucketed by days past their due date
+ * 4. One reporting currency - amounts are converted with the local exchange-rate table
+ * 5. Issued prices - each invoice is taxed with the configuration frozen when it left
+ *    draft, so changing the tax settings never rewrites past revenue
+ *
+ * Drafts and void invoices are not revenue and are left out of every report.
+ */
+
+// Invoices counted as revenue - issued and not voided
+const REPORTED_STATUSES = ['sent', 'partiallyPaid', 'paid', 'credited'];
+
+// Invoices that can still have a balance due
+const RECEIVABLE_STATUSES = ['sent', 'partiallyPaid'];
+
+// Customers listed in the top customers report
+export const TOP_CUSTOMER_COUNT = 5;
+
+// Period granularity for revenue over time
+export const REPORT_PERIODS = {
+  month: 'Month',
+  quarter: 'Quarter',
+  year: 'Year',
+};
+
+// Aging buckets by days past due - invoices not yet due count as 0 days
+export const AGING_BUCKETS = [
+  { key: '0-30', label: '0–30 days', maxDays: 30 },
+  { key: '31-60', label: '31–60 days', maxDays: 60 },
+  { key: '61-90', label: '61–90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: Infinity },
+];
+
+/**
+ * Period a date falls in, e.g. '2026-05-14' -> '2026-05', '2026-Q2' or '2026'
+ *
+ * @param {string} isoDate - Date as 'YYYY-MM-DD'
+ * @param {string} period - Key of REPORT_PERIODS
+ * @returns {string} - Period label that sorts in date order
+ */
+export const periodOf = (isoDate, period) => {
+  const [year, month] = isoDate.split('-');
+  if (period === 'year') return year;
+  if (period === 'quarter') return `${year}-Q${Math.ceil(Number(month) / 3)}`;
+  return `${year}-${month}`;
+};
+
+// Customer name used for grouping - invoices without one are reported together
+const customerName = (invoice) => invoice.customer.billTo.name.trim() || 'No customer';
+
+/**
+ * Revenue lines of one invoice - one per item, net of discounts and tax
+ *
+ * @param {Object} invoice - Issued invoice from the billing slice
+ * @returns {Array} - { date, category, customer, amount } in the invoice currency
+ */
+const invoiceRevenueLines = (invoice) => {
+  const { lines } = applyDiscountRules(invoice.items, invoice.discounts, invoice.currency);
+  return invoice.items.map((item, index) => ({
+    date: invoice.issueDate,
+    category: item.category || 'general',
+    customer: customerName(invoice),
+    amount: taxLine({ amount: lines[index].net, category: item.category, taxable: item.taxable }, invoice.taxConfig).net,
+  }));
+};
+
+/**
+ * Revenue lines of one credit note - negative, dated when the credit note was issued
+ *
+ * @param {Object} creditNote - Credit note from the billing slice
+ * @param {Object} invoice - Invoice it credits
+ * @returns {Array} - { date, category, customer, amount } in the invoice currency
+ */
+const creditRevenueLines = (creditNote, invoice) =>
+  creditNote.lines.map(line => ({
+    date: creditNote.issueDate,
+    category: line.category || 'general',
+    customer: customerName(invoice),
+    amount: subtract(money(0, line.amount.currency), taxLine(line, invoice.taxConfig).net),
+  }));
+
+/**
+ * Add an amount to a keyed group of money totals
+ *
+ * @param {Object} groups - Totals by key
+ * @param {string} key - Group key
+ * @param {Object} amount - Money value to add
+ */
+const addTo = (groups, key, amount) => {
+  groups[key] = groups[key] ? add(groups[key], amount) : amount;
+};
+
+/**
+ * Build every report for a date range
+ *
+ * @param {Array} invoices - All invoices
+ * @param {Array} creditNotes - All credit notes
+ * @param {Object} options - { from, to, period, currency, today }
+ *   from/to: 'YYYY-MM-DD' or '' for open-ended; invoices by issue date, credit notes by theirs
+ *   period: key of REPORT_PERIODS; currency: reporting currency; today: aging reference date
+ * @returns {Object} - { totals, byPeriod, byCategory, aging, topCustomers } with money values
+ */
+export const buildBillingReport = (invoices, creditNotes, { from, to, period, currency, today = toISODate() }) => {
+  const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+  const reported = invoices.filter(invoice => REPORTED_STATUSES.includes(invoice.status));
+  const invoicesById = Object.fromEntries(reported.map(invoice => [invoice.id, invoice]));
+
+  // Every revenue line in the range, converted to the reporting currency
+  const revenueLines = [
+    ...reported.flatMap(invoice => invoiceRevenueLines(invoice)),
+    ...creditNotes
+      .filter(note => invoicesById[note.invoiceId])
+      .flatMap(note => creditRevenueLines(note, invoicesById[note.invoiceId])),
+  ]
+    .filter(line => inRange(line.date))
+    .map(line => ({ ...line, amount: convert(line.amount, currency) }));
+
+  const byPeriod = {};
+  const byCategory = {};
+  const byCustomer = {};
+  revenueLines.forEach(line => {
+    addTo(byPeriod, periodOf(line.date, period), line.amount);
+    addTo(byCategory, line.category, line.amount);
+    addTo(byCustomer, line.customer, line.amount);
+  });
+
+  // Outstanding balances of invoices issued in the range
+  const issuedInRange = reported.filter(invoice => inRange(invoice.issueDate));
+  const aging = AGING_BUCKETS.map(bucket => ({ ...bucket, amount: money(0, currency), count: 0 }));
+  const outstandingByCustomer = {};
+  issuedInRange
+    .filter(invoice => RECEIVABLE_STATUSES.includes(invoice.status))
+    .forEach(invoice => {
+      const { total } = calculateDiscountedTotals(invoice.items, invoice.discounts, invoice.taxConfig, invoice.currency);
+      const balance = convert(balanceDue(total, invoice.payments), currency);
+      if (balance.amount <= 0) return;
+      const daysPastDue = Math.max(daysBetween(invoice.dueDate, today), 0);
+      const bucket = aging.find(entry => daysPastDue <= entry.maxDays);
+      bucket.amount = add(bucket.amount, balance);
+      bucket.count += 1;
+      addTo(outstandingByCustomer, customerName(invoice), balance);
+    });
+
+  const invoiceCounts = {};
+  issuedInRange.forEach(invoice => {
+    invoiceCounts[customerName(invoice)] = (invoiceCounts[customerName(invoice)] || 0) + 1;
+  });
+
+  const zero = money(0, currency);
+  const revenue = revenueLines.reduce((running, line) => add(running, line.amount), zero);
+  const outstanding = aging.reduce((running, bucket) => add(running, bucket.amount), zero);
+
+  return {
+    totals: { revenue, outstanding, invoiceCount: issuedInRange.length },
+    byPeriod: Object.keys(byPeriod).sort().map(key => ({ period: key, amount: byPeriod[key] })),
+    byCategory: Object.keys(byCategory)
+      .map(key => ({ category: key, amount: byCategory[key] }))
+      .sort((a, b) => b.amount.amount - a.amount.amount),
+    aging,
+    topCustomers: Object.keys(byCustomer)
+      .map(name => ({
+        name,
+        revenue: byCustomer[name],
+        invoiceCount: invoiceCounts[name] || 0,
+        outstanding: outstandingByCustomer[name] || zero,
+      }))
+      .sort((a, b) => b.revenue.amount - a.revenue.amount)
+      .slice(0, TOP_CUSTOMER_COUNT),
+  };
+};
+
+/**
+ * Write report rows as CSV with a header row
+ *
+ * @param {Array} columns - [{ label, value: row => value }] per column
+ * @param {Array} rows - Report rows
+ * @returns {string} - CSV text
+ */
+export const reportToCsv = (columns, rows) =>
+  [columns.map(column => csvField(column.label)), ...rows.map(row => columns.map(column => csvField(column.value(row))))]
+    .map(fields => fields.join(','))
+    .join('\r\n');
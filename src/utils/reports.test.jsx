@@ -0,0 +1,54 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the report builder under test
+import { buildBillingReport } from './reports';
+// Import the default tax configuration
+import { DEFAULT_TAX_CONFIG } from './tax';
+// Import money constructor for prices
+import { money } from './money';
+
+/**
+ * Report Tests
+ * Issued invoices are reported with the tax configuration they were issued with
+ */
+
+/**
+ * Build an issued invoice with one $100.00 item
+ *
+ * @param {Object} taxConfig - Tax configuration frozen onto the invoice
+ * @returns {Object} - Invoice
+ */
+const issuedInvoice = (taxConfig) => ({
+  id: 'inv-1',
+  number: 'INV-0001',
+  status: 'sent',
+  currency: 'USD',
+  customer: { billTo: { name: 'Acme', email: '', address: '' }, shipTo: { name: '', address: '' } },
+  issueDate: '2024-01-10',
+  dueDate: '2024-02-09',
+  taxConfig,
+  items: [{ id: 1, name: 'Consulting', price: money(10800), qty: 1, category: 'services', taxable: true }],
+  discounts: [],
+  payments: [],
+});
+
+const OPTIONS = { from: '', to: '', period: 'month', currency: 'USD', today: '2024-01-10' };
+
+describe('buildBillingReport', () => {
+  it('uses each invoice\'s frozen tax configuration', () => {
+    const inclusive = { ...DEFAULT_TAX_CONFIG, pricesIncludeTax: true };
+    const exclusive = buildBillingReport([issuedInvoice(DEFAULT_TAX_CONFIG)], [], OPTIONS);
+    const extracted = buildBillingReport([issuedInvoice(inclusive)], [], OPTIONS);
+
+    // $108.00 net plus 8% tax outstanding, or $108.00 with the tax inside it
+    expect(exclusive.totals.revenue).toEqual(money(10800));
+    expect(exclusive.totals.outstanding).toEqual(money(11664));
+    expect(extracted.totals.revenue).toEqual(money(10000));
+    expect(extracted.totals.outstanding).toEqual(money(10800));
+  });
+
+  it('leaves drafts out', () => {
+    const report = buildBillingReport([{ ...issuedInvoice(null), status: 'draft' }], [], OPTIONS);
+    expect(report.totals.invoiceCount).toBe(0);
+  });
+});
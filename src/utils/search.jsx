@@ -0,0 +1,169 @@
+// Import accent folding shared with slugs
+import { foldText } from './slug';
+
+/**
+ * Search - A small client-side full-text index
+ *
+ * Search Concepts Demonstrated:
+ * 1. Inverted index - each word maps to the documents containing it, so a
+ *    search looks words up instead of scanning every document
+ * 2. Field weights - e.g. a word in a post's title counts more than one in its body
+ * 3. Prefix matching on a sorted word list - 'redu' finds 'redux' while typing
+ * 4. Highlighting as segments - matches come back as { text, match } parts for
+ *    the UI to wrap in <mark>, never as HTML
+ *
+ * Words are compared lower-cased with accents folded, so 'cafe' finds 'Café'.
+ */
+
+// Letters and digits in any script
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Score of a word that only starts with the query word, relative to an exact match
+const PREFIX_MATCH_SCORE = 0.5;
+
+/**
+ * Split text into folded words
+ *
+ * @param {string} text - Text to split
+ * @returns {Array} - Words, e.g. 'Café au lait' -> ['cafe', 'au', 'lait']
+ */
+export const tokenize = (text = '') => (text.match(WORD) || []).map(foldText);
+
+/**
+ * Build an index over a list of documents
+ *
+ * @param {Array} documents - Documents with an id
+ * @param {Array} fields - { text: (document) => string, weight } per field to index
+ * @returns {Object} - { postings: Map(word -> Map(id -> score)), words: sorted words }
+ */
+export const buildSearchIndex = (documents, fields) => {
+  const postings = new Map();
+  documents.forEach(doc => {
+    fields.forEach(({ text, weight }) => {
+      tokenize(text(doc)).forEach(word => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const scores = postings.get(word);
+        scores.set(doc.id, (scores.get(doc.id) || 0) + weight);
+      });
+    });
+  });
+  return { postings, words: [...postings.keys()].sort() };
+};
+
+/**
+ * Indexed words starting with a prefix, found by binary search
+ *
+ * @param {Array} words - Sorted indexed words
+ * @param {string} prefix - Folded query word
+ * @returns {Array} - Matching words
+ */
+const wordsWithPrefix = (words, prefix) => {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (words[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  const matches = [];
+  for (let i = low; i < words.length && words[i].startsWith(prefix); i += 1) {
+    matches.push(words[i]);
+  }
+  return matches;
+};
+
+/**
+ * Search an index - documents must match every word of the query
+ *
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search text, e.g. 'redux sli'
+ * @returns {Map|null} - Map(id -> relevance score) of matching documents,
+ *   or null for an empty query (nothing to filter by)
+ */
+export const searchIndex = (index, query) => {
+  const queryWords = [...new Set(tokenize(query))];
+  if (queryWords.length === 0) return null;
+
+  let results = null;
+  queryWords.forEach(queryWord => {
+    const scores = new Map();
+    wordsWithPrefix(index.words, queryWord).forEach(word => {
+      const factor = word === queryWord ? 1 : PREFIX_MATCH_SCORE;
+      index.postings.get(word).forEach((score, id) => {
+        scores.set(id, (scores.get(id) || 0) + score * factor);
+      });
+    });
+    // Keep only documents that matched every earlier word, adding up their scores
+    results = results === null
+      ? scores
+      : new Map([...results].filter(([id]) => scores.has(id)).map(([id, score]) => [id, score + scores.get(id)]));
+  });
+  return results;
+};
+
+/**
+ * Whether a word of the text matches a word of the query (as a prefix)
+ *
+ * @param {string} word - Word from the text
+ * @param {Array} queryWords - Folded query words
+ * @returns {boolean} - True if the word should be highlighted
+ */
+const isMatch = (word, queryWords) => {
+  const folded = foldText(word);
+  return queryWords.some(queryWord => folded.startsWith(queryWord));
+};
+
+/**
+ * Split text into highlighted and plain parts
+ *
+ * @param {string} text - Text to show, e.g. a post title
+ * @param {string} query - Search text
+ * @returns {Array} - Segments { text, match } that join back into the text
+ */
+export const highlightSegments = (text = '', query = '') => {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return [{ text, match: false }];
+
+  const segments = [];
+  const push = (part, match) => {
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) last.text += part;
+    else if (part) segments.push({ text: part, match });
+  };
+  let end = 0;
+  for (const found of text.matchAll(WORD)) {
+    push(text.slice(end, found.index), false);
+    push(found[0], isMatch(found[0], queryWords));
+    end = found.index + found[0].length;
+  }
+  push(text.slice(end), false);
+  return segments;
+};
+
+/**
+ * Short extract of a text around the first word matching a query
+ * Falls back to the start of the text when nothing matches
+ *
+ * @param {string} text - Full text, e.g. a post's plain text
+ * @param {string} query - Search text
+ * @param {number} length - Roughly how many characters to keep
+ * @returns {string} - Extract, with '…' where text was cut
+ */
+export const excerpt = (text = '', query = '', length = 160) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= length) return flat;
+
+  const queryWords = tokenize(query);
+  const first = queryWords.length > 0
+    ? [...flat.matchAll(WORD)].find(found => isMatch(found[0], queryWords))
+    : undefined;
+
+  // Start a third of the way before the match, at a word boundary
+  let start = first ? Math.max(0, first.index - Math.floor(length / 3)) : 0;
+  if (start > 0) start = flat.indexOf(' ', start) + 1 || start;
+  let stop = Math.min(flat.length, start + length);
+  const lastSpace = flat.lastIndexOf(' ', stop);
+  if (stop < flat.length && lastSpace > start) stop = lastSpace;
+
+  return `${start > 0 ? '…' : ''}${flat.slice(start, stop)}${stop < flat.length ? '…' : ''}`;
+};
@@ -0,0 +1,46 @@
+/**
+ * Slugs - URL-safe identifiers made from human-readable text
+ *
+ * Slug Concepts Demonstrated:
+ * 1. Accents are folded to plain letters, everything else that is not a letter
+ *    or digit becomes a single hyphen
+ * 2. Uniqueness by suffix - a second "Intro" becomes "intro-2"
+ */
+
+/**
+ * Lower-case text with accents folded to plain letters, for comparing words
+ *
+ * @param {string} text - Text, e.g. 'Café'
+ * @returns {string} - Folded text, e.g. 'cafe'
+ */
+export const foldText = (text = '') =>
+  text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Turn text into a lower-case, hyphen-separated slug
+ *
+ * @param {string} text - Text such as a heading, e.g. 'Café & Crème!'
+ * @returns {string} - Slug, e.g. 'cafe-creme' (empty if the text has no letters or digits)
+ */
+export const slugify = (text = '') =>
+  foldText(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Make a slug unique among slugs already taken by adding -2, -3, ...
+ *
+ * @param {string} slug - Wanted slug
+ * @param {Set|Array} taken - Slugs already in use
+ * @returns {string} - The slug, or the first free numbered variant
+ */
+export const uniqueSlug = (slug, taken) => {
+  const used = taken instanceof Set ? taken : new Set(taken);
+  if (!used.has(slug)) return slug;
+  let n = 2;
+  while (used.has(`${slug}-${n}`)) n += 1;
+  return `${slug}-${n}`;
+};
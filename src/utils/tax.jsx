@@ -0,0 +1,145 @@
+// Import exact money arithmetic
+import { DEFAULT_CURRENCY, money, add, subtract, multiply, sum } from './money';
+
+/**
+ * Tax Engine - Calculates taxes for cart and billing lines
+ *
+ * Tax Concepts Demonstrated:
+ * 1. Named rates - Each tax has an ID, a label and a percentage
+ * 2. Per-category rates - Categories map to the list of rates they attract
+ * 3. Tax-exempt lines - Lines with taxable: false are never taxed
+ * 4. Exclusive vs inclusive pricing - Tax added on top, or extracted from the price
+ * 5. Compound taxes - Charged on the price plus all non-compound taxes
+ * 6. Exact money - Amounts are money values (see utils/money.jsx), rounded per line
+ *
+ * Configuration shape:
+ * {
+ *   pricesIncludeTax: false,
+ *   rates: { standard: { label: 'Sales Tax', rate: 0.08, compound: false } },
+ *   defaultRateIds: ['standard'],
+ *   categoryRates: { stationery: ['reduced'] },
+ * }
+ */
+
+/**
+ * Default tax configuration used until the user changes it
+ * - standard applies to every category without its own entry
+ * - stationery uses the reduced rate
+ * - computers also pay an e-waste levy compounded on top of sales tax
+ * - groceries are zero-rated (an empty rate list)
+ */
+export const DEFAULT_TAX_CONFIG = {
+  pricesIncludeTax: false,
+  rates: {
+    standard: { label: 'Sales Tax', rate: 0.08, compound: false },
+    reduced: { label: 'Reduced Rate', rate: 0.05, compound: false },
+    ewaste: { label: 'E-Waste Levy', rate: 0.02, compound: true },
+  },
+  defaultRateIds: ['standard'],
+  categoryRates: {
+    stationery: ['reduced'],
+    computers: ['standard', 'ewaste'],
+    groceries: [],
+  },
+};
+
+/**
+ * Resolve the rates that apply to a line
+ * Non-compound rates come first so compound rates can build on them
+ *
+ * @param {Object} line - Line with category and taxable flag
+ * @param {Object} config - Tax configuration
+ * @returns {Array} - Rate objects ({ id, label, rate, compound })
+ */
+export const ratesForLine = (line, config = DEFAULT_TAX_CONFIG) => {
+  if (line.taxable === false) return [];
+
+  const rateIds = config.categoryRates[line.category] ?? config.defaultRateIds;
+  const rates = rateIds
+    .filter(id => config.rates[id])
+    .map(id => ({ id, ...config.rates[id] }));
+
+  return [...rates.filter(rate => !rate.compound), ...rates.filter(rate => rate.compound)];
+};
+
+/**
+ * Split one line into its net amount and the tax charged by each rate
+ * Tax is rounded per line, so line totals always add up to the invoice total
+ *
+ * Exclusive pricing: amount is net, taxes are added on top
+ * Inclusive pricing: amount is gross, net = gross / (1 + simple) / (1 + compound)...
+ * and any rounding difference goes to the last tax so net + taxes === gross
+ *
+ * @param {Object} line - Line with amount (money), category and taxable flag
+ * @param {Object} config - Tax configuration
+ * @returns {{net: Object, taxes: Array}} - Net money amount and [{ id, amount }] per rate
+ */
+export const taxLine = (line, config = DEFAULT_TAX_CONFIG) => {
+  const rates = ratesForLine(line, config);
+  const simpleRate = rates
+    .filter(rate => !rate.compound)
+    .reduce((total, rate) => total + rate.rate, 0);
+  const compoundFactor = rates
+    .filter(rate => rate.compound)
+    .reduce((factor, rate) => factor * (1 + rate.rate), 1);
+
+  const net = config.pricesIncludeTax
+    ? multiply(line.amount, 1 / ((1 + simpleRate) * compoundFactor))
+    : line.amount;
+
+  // Simple taxes are charged on the net amount;
+  // each compound tax is charged on everything accumulated before it
+  let running = net;
+  const taxes = rates.map(rate => {
+    const base = rate.compound ? running : net;
+    const amount = multiply(base, rate.rate);
+    running = add(running, amount);
+    return { id: rate.id, amount };
+  });
+
+  if (config.pricesIncludeTax && taxes.length > 0) {
+    const last = taxes[taxes.length - 1];
+    last.amount = add(last.amount, subtract(line.amount, running));
+  }
+
+  return { net, taxes };
+};
+
+/**
+ * Calculate totals for a list of lines
+ *
+ * @param {Array} lines - Lines as { amount, category, taxable } with money amounts
+ * @param {Object} config - Tax configuration
+ * @param {string} currency - Currency of the totals when there are no lines
+ * @returns {{subtotal: Object, taxes: Array, taxTotal: Object, total: Object}}
+ *   money values; subtotal is always net of tax; taxes lists { id, label, rate, amount } per rate used
+ */
+export const calculateTotals = (lines, config = DEFAULT_TAX_CONFIG, currency = DEFAULT_CURRENCY) => {
+  const totalsCurrency = lines[0]?.amount.currency ?? currency;
+  const byRate = {};
+  let subtotal = money(0, totalsCurrency);
+
+  lines.forEach(line => {
+    const { net, taxes } = taxLine(line, config);
+    subtotal = add(subtotal, net);
+    taxes.forEach(({ id, amount }) => {
+      byRate[id] = byRate[id] ? add(byRate[id], amount) : amount;
+    });
+  });
+
+  // Keep the order in which rates are defined in the configuration
+  const taxes = Object.keys(config.rates)
+    .filter(id => id in byRate)
+    .map(id => ({ id, label: config.rates[id].label, rate: config.rates[id].rate, amount: byRate[id] }));
+  const taxTotal = sum(taxes.map(tax => tax.amount), totalsCurrency);
+
+  return { subtotal, taxes, taxTotal, total: add(subtotal, taxTotal) };
+};
+
+/**
+ * Format a rate for display, e.g. 0.075 -> '7.5%'
+ *
+ * @param {number} rate - Rate as a fraction
+ * @returns {string} - Percentage label
+ */
+export const formatRate = (rate) => `${Math.round(rate * 10000) / 100}%`;
@@ -0,0 +1,131 @@
+// Import the test runner API
+import { describe, it, expect } from 'vitest';
+// Import the tax engine under test
+import { DEFAULT_TAX_CONFIG, ratesForLine, taxLine, calculateTotals, formatRate } from './tax';
+// Import money helpers to build and round line amounts
+import { money, multiply } from './money';
+
+/**
+ * Tax Tests
+ * Per-line tax rounding must add up to the invoice totals in every pricing mode
+ */
+
+const MODES = ['halfUp', 'halfEven', 'up', 'down'];
+const INCLUSIVE_CONFIG = { ...DEFAULT_TAX_CONFIG, pricesIncludeTax: true };
+
+// Unit prices and fractional quantities whose products land between cents,
+// across every kind of category: standard, reduced, compound, zero-rated and exempt
+const ITEMS = [
+  { price: 333, qty: 1.5, category: 'stationery', taxable: true },
+  { price: 1999, qty: 0.125, category: 'computers', taxable: true },
+  { price: 105, qty: 2.5, category: 'groceries', taxable: true },
+  { price: 777, qty: 0.333, category: 'books', taxable: false },
+  { price: 1249, qty: 2.75, category: 'books', taxable: true },
+  { price: 89999, qty: 1.001, category: 'computers', taxable: true },
+];
+
+/**
+ * Round each item to a line amount with the given mode
+ *
+ * @param {string} mode - Rounding mode
+ * @returns {Array} - Tax engine lines
+ */
+const linesRounded = (mode) =>
+  ITEMS.map(item => ({
+    amount: multiply(money(item.price), item.qty, mode),
+    category: item.category,
+    taxable: item.taxable,
+  }));
+
+/**
+ * Add up the per-line results of taxLine
+ *
+ * @param {Array} lines - Tax engine lines
+ * @param {Object} config - Tax configuration
+ * @returns {Object} - { net, taxes: { [rateId]: amount }, total } in minor units
+ */
+const sumOfLines = (lines, config) =>
+  lines.reduce((totals, line) => {
+    const { net, taxes } = taxLine(line, config);
+    taxes.forEach(({ id, amount }) => {
+      totals.taxes[id] = (totals.taxes[id] || 0) + amount.amount;
+    });
+    const lineTaxes = taxes.reduce((running, tax) => running + tax.amount.amount, 0);
+    return { ...totals, net: totals.net + net.amount, total: totals.total + net.amount + lineTaxes };
+  }, { net: 0, taxes: {}, total: 0 });
+
+describe('ratesForLine', () => {
+  it('uses the category rates, falling back to the default rates', () => {
+    expect(ratesForLine({ category: 'stationery', taxable: true }).map(rate => rate.id)).toEqual(['reduced']);
+    expect(ratesForLine({ category: 'books', taxable: true }).map(rate => rate.id)).toEqual(['standard']);
+    expect(ratesForLine({ category: 'groceries', taxable: true })).toEqual([]);
+  });
+
+  it('never taxes exempt lines', () => {
+    expect(ratesForLine({ category: 'computers', taxable: false })).toEqual([]);
+  });
+});
+
+describe('taxLine', () => {
+  it('compounds the levy on top of sales tax', () => {
+    // 100.00 + 8.00 sales tax; levy is 2% of 108.00
+    const { net, taxes } = taxLine({ amount: money(10000), category: 'computers', taxable: true });
+    expect(net).toEqual(money(10000));
+    expect(taxes).toEqual([{ id: 'standard', amount: money(800) }, { id: 'ewaste', amount: money(216) }]);
+  });
+
+  it('extracts inclusive tax so net plus taxes is the price', () => {
+    linesRounded('halfUp').forEach(line => {
+      const { net, taxes } = taxLine(line, INCLUSIVE_CONFIG);
+      const lineTaxes = taxes.reduce((running, tax) => running + tax.amount.amount, 0);
+      expect(net.amount + lineTaxes).toBe(line.amount.amount);
+    });
+  });
+});
+
+describe('calculateTotals', () => {
+  MODES.forEach(mode => {
+    describe(`with lines rounded ${mode}`, () => {
+      const lines = linesRounded(mode);
+      const linesTotal = lines.reduce((running, line) => running + line.amount.amount, 0);
+
+      it('adds exclusive tax on top of the rounded lines', () => {
+        const totals = calculateTotals(lines, DEFAULT_TAX_CONFIG);
+        const fromLines = sumOfLines(lines, DEFAULT_TAX_CONFIG);
+
+        expect(totals.subtotal.amount).toBe(linesTotal);
+        expect(totals.total.amount).toBe(fromLines.total);
+        expect(totals.total.amount).toBe(totals.subtotal.amount + totals.taxTotal.amount);
+        totals.taxes.forEach(tax => expect(tax.amount.amount).toBe(fromLines.taxes[tax.id]));
+      });
+
+      it('keeps the invoice total equal to the rounded lines when prices include tax', () => {
+        const totals = calculateTotals(lines, INCLUSIVE_CONFIG);
+        const fromLines = sumOfLines(lines, INCLUSIVE_CONFIG);
+
+        expect(totals.total.amount).toBe(linesTotal);
+        expect(totals.subtotal.amount).toBe(fromLines.net);
+        expect(totals.total.amount).toBe(totals.subtotal.amount + totals.taxTotal.amount);
+        totals.taxes.forEach(tax => expect(tax.amount.amount).toBe(fromLines.taxes[tax.id]));
+      });
+    });
+  });
+
+  it('lists rates in configuration order', () => {
+    const totals = calculateTotals(linesRounded('halfUp'));
+    expect(totals.taxes.map(tax => tax.id)).toEqual(['standard', 'reduced', 'ewaste']);
+  });
+
+  it('returns zero totals in the given currency when there are no lines', () => {
+    const totals = calculateTotals([], DEFAULT_TAX_CONFIG, 'EUR');
+    expect(totals.total).toEqual(money(0, 'EUR'));
+    expect(totals.taxes).toEqual([]);
+  });
+});
+
+describe('formatRate', () => {
+  it('shows rates as percentages', () => {
+    expect(formatRate(0.08)).toBe('8%');
+    expect(formatRate(0.075)).toBe('7.5%');
+  });
+});